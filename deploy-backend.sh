@@ -29,7 +29,7 @@ fi
 echo -e "${GREEN}✅ Installing dependencies...${NC}"
 npm install --production
 
-echo -e "${GREEN}✅ Starting application with PM2...${NC}"
+echo -e "${GREEN}✅ Starting application and worker with PM2...${NC}"
 if pm2 list | grep -q "microcourses-backend"; then
     echo "Updating existing PM2 process..."
     pm2 restart microcourses-backend
@@ -39,6 +39,16 @@ else
     pm2 save
 fi
 
+# Background jobs (video processing, emails) run in their own worker process
+if pm2 list | grep -q "microcourses-worker"; then
+    echo "Updating existing PM2 worker process..."
+    pm2 restart microcourses-worker
+else
+    echo "Creating new PM2 worker process..."
+    pm2 start src/worker.js --name microcourses-worker
+    pm2 save
+fi
+
 echo -e "${GREEN}✅ Checking application status...${NC}"
 pm2 status
 
@@ -51,5 +61,6 @@ echo "Useful commands:"
 echo "  pm2 logs microcourses-backend    - View logs"
 echo "  pm2 restart microcourses-backend - Restart app"
 echo "  pm2 stop microcourses-backend    - Stop app"
+echo "  pm2 logs microcourses-worker     - View background job logs"
 echo "  pm2 monit                        - Monitor app"
 
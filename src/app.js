@@ -12,6 +12,9 @@ const lessonRoutes = require('./routes/lessonRoutes');
 const creatorRoutes = require('./routes/creatorRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const learnerRoutes = require('./routes/learnerRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
+const fileRoutes = require('./routes/fileRoutes');
 
 const app = express();
 
@@ -50,6 +53,8 @@ const corsOptions = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
+  // Clients read part ETags to finish multipart uploads
+  exposedHeaders: ['ETag'],
   optionsSuccessStatus: 204
 };
 
@@ -62,12 +67,22 @@ app.use(cookieParser());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Every part of a large upload is a request; part URLs are signed and short-lived
+  skip: (req) => req.method === 'PUT' && req.path.startsWith('/api/files/multipart/')
 });
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -77,6 +92,9 @@ app.use('/api/lessons', lessonRoutes);
 app.use('/api/creator', creatorRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/learner', learnerRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/files', fileRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -106,7 +124,8 @@ app.get('/', (req, res) => {
       lessons: '/api/lessons',
       creator: '/api/creator',
       admin: '/api/admin',
-      learner: '/api/learner'
+      learner: '/api/learner',
+      payments: '/api/payments'
     },
     documentation: 'https://github.com/byteom/micorCourses-backend'
   });
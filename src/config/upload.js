@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+
+// Multer memory storage for small uploads (images); the buffers are handed to the storage driver (see services/storage)
+const storage = multer.memoryStorage();
+
+// Videos are spooled to a temp directory instead, so the server never holds
+// them in memory; storage.uploadFile streams them on and removes the temp file.
+// Videos larger than the limit below go through the multipart upload flow
+// (/api/creator/uploads), straight from the client to storage.
+const diskStorage = multer.diskStorage({
+  destination: path.join(os.tmpdir(), 'microcourses-uploads')
+});
+
+// Remove temp files left by a request (e.g. when it failed validation) once the response is sent
+const cleanupTempFiles = (req, res, next) => {
+  res.on('close', () => {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    files.forEach(file => {
+      if (file.path) {
+        fs.promises.rm(file.path, { force: true }).catch(() => {});
+      }
+    });
+  });
+  next();
+};
+
+// Image types accepted for thumbnails: raster only, since an SVG can carry script
+const RASTER_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+
+// Multer middleware for thumbnails (images)
+const uploadThumbnail = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (RASTER_IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG, JPEG, GIF, WebP and AVIF images are allowed for thumbnails'), false);
+    }
+  },
+});
+
+// Multer middleware for videos
+const uploadVideo = multer({
+  storage: diskStorage,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only video files are allowed'), false);
+    }
+  },
+});
+
+// Combined multer for lesson uploads (video + thumbnail)
+const uploadLesson = multer({
+  storage: diskStorage,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('video/') || RASTER_IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only video files and PNG, JPEG, GIF, WebP or AVIF images are allowed'), false);
+    }
+  },
+});
+
+// Multer middleware for certificate template images (PNG/JPEG only, so they can be embedded in PDFs)
+const uploadCertificateAssets = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['image/png', 'image/jpeg'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG and JPEG images are allowed for certificate templates'), false);
+    }
+  },
+});
+
+// Multer middleware for caption files (WebVTT/SubRip); browsers often send them with a generic type
+const uploadCaption = multer({
+  storage: storage,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const isCaptionFile = /\.(vtt|srt)$/i.test(file.originalname) ||
+      ['text/vtt', 'application/x-subrip'].includes(file.mimetype);
+    if (isCaptionFile) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only WebVTT (.vtt) and SubRip (.srt) caption files are allowed'), false);
+    }
+  },
+});
+
+// Lesson resource files by extension, with the content type they are stored and served with
+// (the type the browser sends is not trusted; nothing that renders as a web page is allowed)
+const RESOURCE_CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.tar': 'application/x-tar',
+  '.7z': 'application/x-7z-compressed',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.key': 'application/vnd.apple.keynote',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif'
+};
+
+// Multer middleware for lesson resource files (slides, documents, code archives)
+const uploadResource = multer({
+  storage: diskStorage,
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (RESOURCE_CONTENT_TYPES[path.extname(file.originalname).toLowerCase()]) {
+      cb(null, true);
+    } else {
+      cb(new Error('This file type is not allowed for lesson resources'), false);
+    }
+  },
+});
+
+module.exports = {
+  uploadThumbnail,
+  uploadVideo,
+  uploadLesson,
+  uploadCertificateAssets,
+  uploadCaption,
+  uploadResource,
+  cleanupTempFiles,
+  RASTER_IMAGE_TYPES,
+  RESOURCE_CONTENT_TYPES,
+};
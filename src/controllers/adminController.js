@@ -1,7 +1,14 @@
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Lesson = require('../models/Lesson');
+const AuditLog = require('../models/AuditLog');
+const Order = require('../models/Order');
+const Enrollment = require('../models/Enrollment');
+const SessionService = require('../services/sessionService');
+const LessonMediaService = require('../services/lessonMediaService');
+const WishlistService = require('../services/wishlistService');
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -39,17 +46,12 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     .select('name email creatorApplication');
 
   // Calculate total enrollments
-  const totalEnrollments = await User.aggregate([
-    { $unwind: '$enrolledCourses' },
-    { $count: 'total' }
-  ]);
-
-  const enrollmentCount = totalEnrollments.length > 0 ? totalEnrollments[0].total : 0;
+  const enrollmentCount = await Enrollment.countDocuments().active();
 
-  // Calculate total revenue from published courses
-  const revenueData = await Course.aggregate([
-    { $match: { status: 'published' } },
-    { $group: { _id: null, totalRevenue: { $sum: '$price' } } }
+  // Calculate total revenue from paid orders
+  const revenueData = await Order.aggregate([
+    { $match: { status: 'paid' } },
+    { $group: { _id: null, totalRevenue: { $sum: '$amount' } } }
   ]);
 
   const totalRevenue = revenueData.length > 0 ? revenueData[0].totalRevenue : 0;
@@ -141,9 +143,24 @@ const updateUserStatus = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(user, ['isActive']);
+
   user.isActive = status === 'active';
   await user.save();
 
+  if (!user.isActive) {
+    await SessionService.revokeAllForUser(user._id, { reason: 'admin', revokedBy: req.user._id });
+  }
+
+  await AuditLog.record(req, {
+    action: 'user.status.update',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before,
+    after: AuditLog.snapshot(user, ['isActive'])
+  });
+
   res.json({
     success: true,
     message: `User ${status === 'active' ? 'activated' : 'deactivated'} successfully`,
@@ -228,6 +245,8 @@ const reviewCourse = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(course, ['status', 'rejectionReason']);
+
   if (action === 'approve') {
     course.status = 'published';
     course.rejectionReason = undefined;
@@ -240,6 +259,21 @@ const reviewCourse = asyncHandler(async (req, res) => {
   course.reviewedAt = new Date();
   await course.save();
 
+  // Tell learners who saved the course about new lessons or a lower price
+  if (course.status === 'published') {
+    await WishlistService.queueUpdateCheck(course._id);
+  }
+
+  await AuditLog.record(req, {
+    action: 'course.review',
+    targetType: 'Course',
+    target: course,
+    targetLabel: course.title,
+    before,
+    after: AuditLog.snapshot(course, ['status', 'rejectionReason']),
+    reason: course.rejectionReason
+  });
+
   const populatedCourse = await Course.findById(course._id)
     .populate('creator', 'name email');
 
@@ -313,6 +347,8 @@ const reviewCreatorApplication = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(user, ['role', 'creatorApplication.status']);
+
   if (action === 'approve') {
     user.role = 'creator';
     user.creatorApplication.status = 'approved';
@@ -326,6 +362,16 @@ const reviewCreatorApplication = asyncHandler(async (req, res) => {
   user.creatorApplication.reviewedAt = new Date();
   await user.save();
 
+  await AuditLog.record(req, {
+    action: 'creator.review',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before,
+    after: AuditLog.snapshot(user, ['role', 'creatorApplication.status']),
+    reason: action === 'reject' ? user.creatorApplication.rejectionReason : undefined
+  });
+
   res.json({
     success: true,
     message: `Creator application ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
@@ -341,49 +387,90 @@ const reviewCreatorApplication = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get system logs (mock)
+// @desc    Get audit logs
 // @route   GET /api/admin/logs
 // @access  Private (Admin)
 const getSystemLogs = asyncHandler(async (req, res) => {
-  // Mock system logs - in real app, this would come from a logging system
-  const logs = [
-    {
-      id: 1,
-      timestamp: new Date(Date.now() - 1000 * 60 * 30), // 30 minutes ago
-      level: 'info',
-      message: 'User john@example.com logged in',
-      userId: '507f1f77bcf86cd799439011',
-      ip: '192.168.1.1'
-    },
-    {
-      id: 2,
-      timestamp: new Date(Date.now() - 1000 * 60 * 60), // 1 hour ago
-      level: 'warning',
-      message: 'Failed login attempt for user admin@example.com',
-      userId: null,
-      ip: '192.168.1.2'
-    },
-    {
-      id: 3,
-      timestamp: new Date(Date.now() - 1000 * 60 * 60 * 2), // 2 hours ago
-      level: 'info',
-      message: 'Course "React Fundamentals" was published',
-      userId: '507f1f77bcf86cd799439012',
-      ip: '192.168.1.3'
-    },
-    {
-      id: 4,
-      timestamp: new Date(Date.now() - 1000 * 60 * 60 * 3), // 3 hours ago
-      level: 'error',
-      message: 'Payment processing failed for user jane@example.com',
-      userId: '507f1f77bcf86cd799439013',
-      ip: '192.168.1.4'
+  const { actor, action, targetType, target, from, to, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  // Filters are single values; objects (?targetType[$ne]=x) would turn into query operators
+  const filters = { actor, action, targetType, target, from, to, cursor };
+  for (const [name, value] of Object.entries(filters)) {
+    if (value !== undefined && typeof value !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${name} filter`
+      });
     }
-  ];
+  }
+
+  if (targetType && !AuditLog.schema.path('targetType').enumValues.includes(targetType)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid targetType filter'
+    });
+  }
+
+  const objectIdFilters = { actor, target, cursor };
+  for (const [name, value] of Object.entries(objectIdFilters)) {
+    if (value && !mongoose.Types.ObjectId.isValid(value)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${name} id`
+      });
+    }
+  }
+
+  let query = {};
+  if (actor) query.actor = actor;
+  if (action) {
+    if (!/^[a-z_.]+$/.test(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action filter'
+      });
+    }
+    // `action=user` matches every user.* action; a full action name matches exactly
+    query.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+  }
+  if (targetType) query.targetType = targetType;
+  if (target) query.target = target;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+  }
+
+  // Cursor pagination: ObjectIds grow with time, so the last _id marks the page boundary
+  if (cursor) query._id = { $lt: cursor };
+
+  const logs = await AuditLog.find(query)
+    .populate('actor', 'name email role')
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = logs.length > limit;
+  const page = hasMore ? logs.slice(0, limit) : logs;
 
   res.json({
     success: true,
-    data: { logs }
+    data: {
+      logs: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null
+      }
+    }
   });
 });
 
@@ -399,24 +486,24 @@ const getCourseEnrollments = asyncHandler(async (req, res) => {
     });
   }
 
-  const enrollments = await User.find({
-    'enrolledCourses.course': course._id
-  })
-    .select('name email enrolledCourses.$')
-    .populate('enrolledCourses.course', 'title');
-
-  const enrollmentDetails = enrollments.map(user => {
-    const enrollment = user.enrolledCourses.find(e => e.course._id.toString() === course._id.toString());
-    return {
-      userId: user._id,
-      userName: user.name,
-      userEmail: user.email,
+  const enrollments = await Enrollment.find({ course: course._id })
+    .active()
+    .populate('learner', 'name email')
+    .sort({ enrolledAt: -1 });
+
+  const enrollmentDetails = enrollments
+    .filter(enrollment => enrollment.learner)
+    .map(enrollment => ({
+      userId: enrollment.learner._id,
+      userName: enrollment.learner.name,
+      userEmail: enrollment.learner.email,
+      status: enrollment.status,
       enrolledAt: enrollment.enrolledAt,
+      completedAt: enrollment.completedAt,
       progress: enrollment.progress,
       completedLessons: enrollment.completedLessons.length,
       certificateIssued: enrollment.certificateIssued
-    };
-  });
+    }));
 
   res.json({
     success: true,
@@ -442,9 +529,15 @@ const getPendingCourses = asyncHandler(async (req, res) => {
     .populate('lessons')
     .sort({ createdAt: -1 });
 
+  // Reviewers get signed URLs to watch the private lesson videos
+  const data = await Promise.all(courses.map(async course => ({
+    ...course.toObject(),
+    lessons: await LessonMediaService.withSignedUrlsAll(course.lessons)
+  })));
+
   res.json({
     success: true,
-    data: courses
+    data
   });
 });
 
@@ -470,6 +563,8 @@ const approveCourse = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(course, ['status', 'requiresReapproval']);
+
   // Approve the course
   course.status = 'published';
   course.reviewedBy = req.user._id;
@@ -479,6 +574,19 @@ const approveCourse = asyncHandler(async (req, res) => {
 
   await course.save();
 
+  // Tell learners who saved the course about new lessons or a lower price
+  await WishlistService.queueUpdateCheck(course._id);
+
+  await AuditLog.record(req, {
+    action: 'course.approve',
+    targetType: 'Course',
+    target: course,
+    targetLabel: course.title,
+    before,
+    after: AuditLog.snapshot(course, ['status', 'requiresReapproval']),
+    reason: feedback
+  });
+
   res.json({
     success: true,
     message: 'Course approved successfully',
@@ -515,6 +623,8 @@ const rejectCourse = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(course, ['status', 'rejectionReason', 'requiresReapproval']);
+
   // Reject the course
   course.status = 'rejected';
   course.reviewedBy = req.user._id;
@@ -525,6 +635,16 @@ const rejectCourse = asyncHandler(async (req, res) => {
 
   await course.save();
 
+  await AuditLog.record(req, {
+    action: 'course.reject',
+    targetType: 'Course',
+    target: course,
+    targetLabel: course.title,
+    before,
+    after: AuditLog.snapshot(course, ['status', 'rejectionReason', 'requiresReapproval']),
+    reason
+  });
+
   res.json({
     success: true,
     message: 'Course rejected successfully',
@@ -553,6 +673,8 @@ const approveCreator = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(creator, ['role', 'creatorApplication.status']);
+
   creator.creatorApplication.status = 'approved';
   creator.creatorApplication.reviewedBy = req.user._id;
   creator.creatorApplication.reviewedAt = new Date();
@@ -560,6 +682,15 @@ const approveCreator = asyncHandler(async (req, res) => {
 
   await creator.save();
 
+  await AuditLog.record(req, {
+    action: 'creator.approve',
+    targetType: 'User',
+    target: creator,
+    targetLabel: creator.email,
+    before,
+    after: AuditLog.snapshot(creator, ['role', 'creatorApplication.status'])
+  });
+
   res.json({
     success: true,
     message: 'Creator application approved successfully',
@@ -596,6 +727,8 @@ const rejectCreator = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(creator, ['role', 'creatorApplication.status']);
+
   creator.creatorApplication.status = 'rejected';
   creator.creatorApplication.reviewedBy = req.user._id;
   creator.creatorApplication.reviewedAt = new Date();
@@ -603,6 +736,16 @@ const rejectCreator = asyncHandler(async (req, res) => {
 
   await creator.save();
 
+  await AuditLog.record(req, {
+    action: 'creator.reject',
+    targetType: 'User',
+    target: creator,
+    targetLabel: creator.email,
+    before,
+    after: AuditLog.snapshot(creator, ['role', 'creatorApplication.status']),
+    reason
+  });
+
   res.json({
     success: true,
     message: 'Creator application rejected successfully',
@@ -639,6 +782,8 @@ const blockUser = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(user, ['isBlocked', 'accountStatus', 'blockReason']);
+
   user.isBlocked = true;
   user.accountStatus = 'blocked';
   user.blockedAt = new Date();
@@ -646,6 +791,17 @@ const blockUser = asyncHandler(async (req, res) => {
   user.blockReason = reason;
 
   await user.save();
+  await SessionService.revokeAllForUser(user._id, { reason: 'blocked', revokedBy: req.user._id });
+
+  await AuditLog.record(req, {
+    action: 'user.block',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before,
+    after: AuditLog.snapshot(user, ['isBlocked', 'accountStatus', 'blockReason']),
+    reason
+  });
 
   res.json({
     success: true,
@@ -668,6 +824,8 @@ const unblockUser = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(user, ['isBlocked', 'accountStatus', 'blockReason']);
+
   user.isBlocked = false;
   user.accountStatus = 'active';
   user.blockedAt = null;
@@ -676,6 +834,15 @@ const unblockUser = asyncHandler(async (req, res) => {
 
   await user.save();
 
+  await AuditLog.record(req, {
+    action: 'user.unblock',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before,
+    after: AuditLog.snapshot(user, ['isBlocked', 'accountStatus', 'blockReason'])
+  });
+
   res.json({
     success: true,
     message: 'User unblocked successfully',
@@ -704,12 +871,24 @@ const deleteUser = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(user, ['accountStatus', 'isActive']);
+
   user.accountStatus = 'deleted';
   user.isActive = false;
   user.deletedAt = new Date();
   user.deletedBy = req.user._id;
 
   await user.save();
+  await SessionService.revokeAllForUser(user._id, { reason: 'deleted', revokedBy: req.user._id });
+
+  await AuditLog.record(req, {
+    action: 'user.delete',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before,
+    after: AuditLog.snapshot(user, ['accountStatus', 'isActive'])
+  });
 
   res.json({
     success: true,
@@ -740,6 +919,8 @@ const restrictUserCourses = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(user, ['restrictedCourses']);
+
   // Add courses to restricted list
   const newRestrictions = courseIds.filter(courseId => 
     !user.restrictedCourses.includes(courseId)
@@ -749,6 +930,16 @@ const restrictUserCourses = asyncHandler(async (req, res) => {
 
   await user.save();
 
+  await AuditLog.record(req, {
+    action: 'user.restrict_courses',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before,
+    after: AuditLog.snapshot(user, ['restrictedCourses']),
+    reason
+  });
+
   res.json({
     success: true,
     message: 'User course restrictions updated successfully',
@@ -782,6 +973,8 @@ const unrestrictUserCourses = asyncHandler(async (req, res) => {
     });
   }
 
+  const before = AuditLog.snapshot(user, ['restrictedCourses']);
+
   // Remove courses from restricted list
   user.restrictedCourses = user.restrictedCourses.filter(courseId => 
     !courseIds.includes(courseId.toString())
@@ -789,6 +982,15 @@ const unrestrictUserCourses = asyncHandler(async (req, res) => {
 
   await user.save();
 
+  await AuditLog.record(req, {
+    action: 'user.unrestrict_courses',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email,
+    before,
+    after: AuditLog.snapshot(user, ['restrictedCourses'])
+  });
+
   res.json({
     success: true,
     message: 'User course restrictions removed successfully',
@@ -807,7 +1009,6 @@ const getUserDetails = asyncHandler(async (req, res) => {
 
   const user = await User.findById(userId)
     .select('-password')
-    .populate('enrolledCourses.course', 'title status creator')
     .populate('restrictedCourses', 'title status creator')
     .populate('blockedBy', 'name email')
     .populate('deletedBy', 'name email');
@@ -819,10 +1020,15 @@ const getUserDetails = asyncHandler(async (req, res) => {
     });
   }
 
+  const enrolledCourses = await Enrollment.find({ learner: userId })
+    .active()
+    .populate('course', 'title status creator')
+    .sort({ enrolledAt: -1 });
+
   // Get additional statistics
-  const totalEnrollments = user.enrolledCourses.length;
-  const completedCourses = user.enrolledCourses.filter(e => e.certificateIssued).length;
-  const totalProgress = user.enrolledCourses.reduce((sum, e) => sum + e.progress, 0);
+  const totalEnrollments = enrolledCourses.length;
+  const completedCourses = enrolledCourses.filter(e => e.certificateIssued).length;
+  const totalProgress = enrolledCourses.reduce((sum, e) => sum + e.progress, 0);
   const averageProgress = totalEnrollments > 0 ? totalProgress / totalEnrollments : 0;
 
   // Get courses created (if creator)
@@ -837,7 +1043,10 @@ const getUserDetails = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      user,
+      user: {
+        ...user.toObject(),
+        enrolledCourses
+      },
       statistics: {
         totalEnrollments,
         completedCourses,
@@ -877,7 +1086,6 @@ const getAllLearners = asyncHandler(async (req, res) => {
 
   const learners = await User.find(query)
     .select('-password')
-    .populate('enrolledCourses.course', 'title')
     .populate('blockedBy', 'name')
     .sort({ createdAt: -1 })
     .skip(skip)
@@ -886,13 +1094,14 @@ const getAllLearners = asyncHandler(async (req, res) => {
   const total = await User.countDocuments(query);
 
   // Add statistics for each learner
+  const statsByLearner = await Enrollment.getLearnerStats(learners.map(learner => learner._id));
+
   const learnersWithStats = learners.map(learner => ({
     ...learner.toObject(),
-    stats: {
-      totalEnrollments: learner.enrolledCourses.length,
-      completedCourses: learner.enrolledCourses.filter(e => e.certificateIssued).length,
-      averageProgress: learner.enrolledCourses.length > 0 ? 
-        learner.enrolledCourses.reduce((sum, e) => sum + e.progress, 0) / learner.enrolledCourses.length : 0
+    stats: statsByLearner[learner._id.toString()] || {
+      totalEnrollments: 0,
+      completedCourses: 0,
+      averageProgress: 0
     }
   }));
 
@@ -1,6 +1,64 @@
 const asyncHandler = require('express-async-handler');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateToken } = require('../middlewares/auth');
+const Enrollment = require('../models/Enrollment');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const SessionService = require('../services/sessionService');
+const UserTokenService = require('../services/userTokenService');
+const MailService = require('../services/mailService');
+const { getMailTransport, MailConfigError } = require('../services/mailTransports');
+
+// Send a verification email; registration must not fail because mail is down
+const sendVerificationEmail = async (user, req) => {
+  try {
+    const token = await UserTokenService.issue(user, 'email_verification', { ip: req.ip });
+    await MailService.sendEmailVerification(user, token);
+    return true;
+  } catch (error) {
+    console.error('Error sending verification email:', error.message);
+    return false;
+  }
+};
+
+const cookieOptions = () => ({
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+});
+
+// Set the access token cookie (readable by the frontend) and the refresh token cookie (HTTP-only)
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie('token', accessToken, {
+    ...cookieOptions(),
+    httpOnly: false,
+    maxAge: SessionService.refreshTokenTtlMs,
+    path: '/'
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions(),
+    httpOnly: true,
+    maxAge: SessionService.refreshTokenTtlMs,
+    path: '/api/auth'
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie('token', '', {
+    ...cookieOptions(),
+    httpOnly: false,
+    path: '/',
+    expires: new Date(0)
+  });
+
+  res.cookie('refreshToken', '', {
+    ...cookieOptions(),
+    httpOnly: true,
+    path: '/api/auth',
+    expires: new Date(0)
+  });
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -8,6 +66,19 @@ const { generateToken } = require('../middlewares/auth');
 const register = asyncHandler(async (req, res) => {
   const { name, email, password, bio, role } = req.body;
 
+  // New accounts can't do much until they verify their email, so don't create any while
+  // verification mail can't be sent at all
+  try {
+    getMailTransport();
+  } catch (error) {
+    if (!(error instanceof MailConfigError)) throw error;
+    console.error('Registration unavailable:', error.message);
+    return res.status(error.statusCode).json({
+      success: false,
+      message: 'Registration is not available right now'
+    });
+  }
+
   // Check if user exists
   const userExists = await User.findOne({ email });
   if (userExists) {
@@ -27,24 +98,19 @@ const register = asyncHandler(async (req, res) => {
     email: email.toLowerCase().trim(),
     password,
     bio: bio?.trim(),
-    role: userRole
+    role: userRole,
+    emailVerified: false
   });
 
   if (user) {
-    const token = generateToken(user._id);
-    
-    // Set cookie (accessible by JavaScript for frontend)
-    res.cookie('token', token, {
-      httpOnly: false,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000,
-      path: '/'
-    });
+    await sendVerificationEmail(user, req);
+
+    const tokens = await SessionService.createSession(user, req, { deviceName: req.body.deviceName });
+    setAuthCookies(res, tokens);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your address.',
       data: {
         user: {
           _id: user._id,
@@ -53,9 +119,11 @@ const register = asyncHandler(async (req, res) => {
           role: user.role,
           bio: user.bio,
           avatar: user.avatar,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt
         },
-        token
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken
       }
     });
   } else {
@@ -84,6 +152,14 @@ const login = asyncHandler(async (req, res) => {
     .select('+password');
 
   if (!user) {
+    await AuditLog.record(req, {
+      actor: null,
+      actorEmail: email.toLowerCase().trim(),
+      action: 'auth.login.failure',
+      targetType: 'User',
+      reason: 'Unknown email'
+    });
+
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
@@ -92,6 +168,15 @@ const login = asyncHandler(async (req, res) => {
 
   // Check if user account is active and not blocked
   if (!user.isActive || user.isBlocked || user.accountStatus === 'blocked' || user.accountStatus === 'deleted') {
+    await AuditLog.record(req, {
+      actor: user,
+      action: 'auth.login.failure',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      reason: `Account ${user.accountStatus !== 'active' ? user.accountStatus : 'inactive'}`
+    });
+
     return res.status(401).json({
       success: false,
       message: 'Account is deactivated or blocked. Please contact support.'
@@ -102,23 +187,32 @@ const login = asyncHandler(async (req, res) => {
   const isMatch = await user.comparePassword(password);
 
   if (!isMatch) {
+    await AuditLog.record(req, {
+      actor: user,
+      action: 'auth.login.failure',
+      targetType: 'User',
+      target: user,
+      targetLabel: user.email,
+      reason: 'Invalid password'
+    });
+
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
-  const token = generateToken(user._id);
-  
-  // Set cookie (accessible by JavaScript for frontend)
-  res.cookie('token', token, {
-    httpOnly: false,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    maxAge: 30 * 24 * 60 * 60 * 1000,
-    path: '/'
+  await AuditLog.record(req, {
+    actor: user,
+    action: 'auth.login.success',
+    targetType: 'User',
+    target: user,
+    targetLabel: user.email
   });
 
+  const tokens = await SessionService.createSession(user, req, { deviceName: req.body.deviceName });
+  setAuthCookies(res, tokens);
+
   res.json({
     success: true,
     message: 'Login successful',
@@ -131,9 +225,11 @@ const login = asyncHandler(async (req, res) => {
         bio: user.bio,
         avatar: user.avatar,
         creatorApplication: user.creatorApplication,
+        emailVerified: user.hasVerifiedEmail(),
         createdAt: user.createdAt
       },
-      token
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     }
   });
 });
@@ -142,8 +238,10 @@ const login = asyncHandler(async (req, res) => {
 // @route   GET /api/auth/profile
 // @access  Private
 const getProfile = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id)
-    .populate('enrolledCourses.course', 'title thumbnail category level');
+  const user = await User.findById(req.user._id);
+  const enrolledCourses = await Enrollment.find({ learner: req.user._id })
+    .active()
+    .populate('course', 'title thumbnail category level');
 
   res.json({
     success: true,
@@ -156,7 +254,8 @@ const getProfile = asyncHandler(async (req, res) => {
         bio: user.bio,
         avatar: user.avatar,
         creatorApplication: user.creatorApplication,
-        enrolledCourses: user.enrolledCourses,
+        emailVerified: user.hasVerifiedEmail(),
+        enrolledCourses,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -237,9 +336,18 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Sign out every device, then start a fresh session for this one
+  await SessionService.revokeAllForUser(user._id, { reason: 'password_change', revokedBy: user._id });
+  const tokens = await SessionService.createSession(user, req, { deviceName: req.authSession.deviceName });
+  setAuthCookies(res, tokens);
+
   res.json({
     success: true,
-    message: 'Password changed successfully'
+    message: 'Password changed successfully. All other sessions have been signed out.',
+    data: {
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    }
   });
 });
 
@@ -247,13 +355,29 @@ const changePassword = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
-  res.cookie('token', '', {
-    httpOnly: false,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
-    path: '/',
-    expires: new Date(0)
-  });
+  const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+  let session = refreshToken ? await SessionService.findByRefreshToken(refreshToken) : null;
+
+  // Fall back to the session named in the access token, even if it has expired
+  if (!session) {
+    const accessToken = req.cookies.token ||
+      (req.headers.authorization && req.headers.authorization.startsWith('Bearer') && req.headers.authorization.split(' ')[1]);
+
+    if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+        session = decoded.sid ? await Session.findOne({ _id: decoded.sid, user: decoded.id }) : null;
+      } catch (error) {
+        session = null;
+      }
+    }
+  }
+
+  if (session) {
+    await SessionService.revokeSession(session, { reason: 'logout', revokedBy: session.user });
+  }
+
+  clearAuthCookies(res);
 
   res.json({
     success: true,
@@ -261,6 +385,276 @@ const logout = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required'
+    });
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  // Only active accounts can reset; the response is the same either way
+  // so the endpoint cannot be used to find out which emails are registered
+  if (user && user.isActive && !user.isBlocked && user.accountStatus === 'active') {
+    try {
+      const token = await UserTokenService.issue(user, 'password_reset', { ip: req.ip });
+      await MailService.sendPasswordReset(user, token);
+    } catch (error) {
+      console.error('Error sending password reset email:', error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+});
+
+// @desc    Reset password with a token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Token and new password are required'
+    });
+  }
+
+  if (password.length < 6) {
+    return res.status(400).json({
+      success: false,
+      message: 'New password must be at least 6 characters'
+    });
+  }
+
+  const resetToken = await UserTokenService.consume(token, 'password_reset');
+  if (!resetToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Reset link is invalid or has expired'
+    });
+  }
+
+  const user = await User.findById(resetToken.user);
+  if (!user || !user.isActive || user.isBlocked || user.accountStatus !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'Reset link is invalid or has expired'
+    });
+  }
+
+  user.password = password;
+  // Receiving the reset email proves the address works
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  await SessionService.revokeAllForUser(user._id, { reason: 'password_reset', revokedBy: user._id });
+  clearAuthCookies(res);
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+});
+
+// @desc    Verify email address with a token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification token is required'
+    });
+  }
+
+  const verificationToken = await UserTokenService.consume(token, 'email_verification');
+  if (!verificationToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired'
+    });
+  }
+
+  const user = await User.findById(verificationToken.user);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired'
+    });
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      emailVerified: true,
+      emailVerifiedAt: user.emailVerifiedAt
+    }
+  });
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.hasVerifiedEmail()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified'
+    });
+  }
+
+  const sent = await sendVerificationEmail(req.user, req);
+  if (!sent) {
+    return res.status(500).json({
+      success: false,
+      message: 'Could not send verification email, please try again later'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Verification email sent to ${req.user.email}`
+  });
+});
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+const refreshSession = asyncHandler(async (req, res) => {
+  const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+  if (!refreshToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Refresh token is required'
+    });
+  }
+
+  let tokens;
+  try {
+    tokens = await SessionService.refresh(refreshToken, req);
+  } catch (error) {
+    if (!(error instanceof SessionService.SessionError)) throw error;
+
+    clearAuthCookies(res);
+    return res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const user = await User.findById(tokens.session.user);
+  if (!user || !user.isActive || user.isBlocked || user.accountStatus === 'blocked' || user.accountStatus === 'deleted') {
+    await SessionService.revokeSession(tokens.session, { reason: 'blocked' });
+    clearAuthCookies(res);
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated or blocked'
+    });
+  }
+
+  setAuthCookies(res, tokens);
+
+  res.json({
+    success: true,
+    data: {
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    }
+  });
+});
+
+// @desc    List my active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await SessionService.listActiveSessions(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.authSession._id.toString()
+      }))
+    }
+  });
+});
+
+// @desc    Revoke one of my sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+    : null;
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found'
+    });
+  }
+
+  await SessionService.revokeSession(session, { reason: 'user', revokedBy: req.user._id });
+
+  const isCurrent = session._id.toString() === req.authSession._id.toString();
+  if (isCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: isCurrent ? 'Current session revoked. You have been logged out.' : 'Session revoked'
+  });
+});
+
+// @desc    Revoke all of my sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+
+  const revoked = await SessionService.revokeAllForUser(req.user._id, {
+    reason: 'user',
+    revokedBy: req.user._id,
+    exceptSessionId: keepCurrent ? req.authSession._id : undefined
+  });
+
+  if (!keepCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: keepCurrent ? 'All other sessions revoked' : 'All sessions revoked. You have been logged out.',
+    data: { revoked }
+  });
+});
+
 // @desc    Apply for creator role
 // @route   POST /api/auth/apply-creator
 // @access  Private
@@ -323,5 +717,13 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   applyForCreator
 };
\ No newline at end of file
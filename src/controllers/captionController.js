@@ -0,0 +1,309 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Transcript = require('../models/Transcript');
+const CaptionService = require('../services/captionService');
+const EnrollmentService = require('../services/enrollmentService');
+const LessonAccessService = require('../services/lessonAccessService');
+const { uploadFile, deleteFile } = require('../services/storage');
+
+const LANGUAGE = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+// Load a lesson of one of the creator's courses; sends the error response itself
+const findOwnLesson = async (req, res) => {
+  const lesson = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Lesson.findById(req.params.id).populate('course', 'creator')
+    : null;
+
+  if (!lesson) {
+    res.status(404).json({ success: false, message: 'Lesson not found' });
+    return null;
+  }
+
+  if (lesson.course.creator.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage captions for this lesson' });
+    return null;
+  }
+
+  return lesson;
+};
+
+// @desc    Get a lesson's captions
+// @route   GET /api/creator/lessons/:id/captions
+// @access  Private (Creator)
+const getCaptions = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  res.json({
+    success: true,
+    data: { captions: lesson.captions }
+  });
+});
+
+// @desc    Upload a caption file (WebVTT or SubRip) for one language, replacing any existing one
+// @route   POST /api/creator/lessons/:id/captions
+// @access  Private (Creator)
+const uploadCaption = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  if (!lesson.hasPlayback()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Captions can only be added to video lessons'
+    });
+  }
+
+  const language = String(req.body.language || '').trim();
+  const { label } = req.body;
+  const isDefault = req.body.isDefault === true || req.body.isDefault === 'true';
+
+  if (!LANGUAGE.test(language)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Language must be a language code such as en or pt-BR'
+    });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a caption file'
+    });
+  }
+
+  const content = req.file.buffer.toString('utf8');
+  const format = CaptionService.detectFormat(req.file.originalname, content);
+
+  let cues;
+  try {
+    cues = CaptionService.parse(content, format);
+  } catch (error) {
+    if (error instanceof CaptionService.CaptionError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  // Captions are stored as WebVTT, the format browsers play
+  const vtt = format === 'vtt' ? content : CaptionService.toVtt(cues);
+  const stored = await uploadFile({
+    buffer: Buffer.from(vtt, 'utf8'),
+    originalname: `${lesson._id}-${language}.vtt`,
+    mimetype: 'text/vtt',
+    size: Buffer.byteLength(vtt, 'utf8')
+  }, 'microcourses/captions', { isPrivate: true });
+
+  const existing = lesson.captions.find(caption => caption.language === language);
+  const previousFile = existing && existing.file.publicId;
+
+  const caption = {
+    language,
+    label: label !== undefined ? String(label).trim() : (existing ? existing.label : language),
+    file: { url: stored.url, publicId: stored.key },
+    sourceFormat: format,
+    cueCount: cues.length,
+    // The first caption of a lesson is its default
+    isDefault: isDefault || (existing ? existing.isDefault : lesson.captions.length === 0)
+  };
+
+  if (caption.isDefault) {
+    lesson.captions.forEach(other => { other.isDefault = false; });
+  }
+  if (existing) {
+    existing.set(caption);
+  } else {
+    lesson.captions.push(caption);
+  }
+
+  try {
+    await lesson.validate();
+  } catch (error) {
+    await deleteFile(stored.key);
+    throw error;
+  }
+
+  await Transcript.findOneAndUpdate(
+    { lesson: lesson._id, language },
+    { $set: { course: lesson.course._id, cues } },
+    { upsert: true, new: true }
+  );
+
+  await CaptionService.refreshTranscripts(lesson);
+  await deleteFile(previousFile);
+
+  res.status(existing ? 200 : 201).json({
+    success: true,
+    message: existing ? 'Captions replaced successfully' : 'Captions added successfully',
+    data: {
+      caption: lesson.captions.find(candidate => candidate.language === language),
+      captions: lesson.captions
+    }
+  });
+});
+
+// @desc    Delete a lesson's captions for one language
+// @route   DELETE /api/creator/lessons/:id/captions/:language
+// @access  Private (Creator)
+const deleteCaption = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  const caption = lesson.captions.find(candidate => candidate.language === req.params.language);
+  if (!caption) {
+    return res.status(404).json({
+      success: false,
+      message: 'No captions for this language'
+    });
+  }
+
+  lesson.captions.pull(caption._id);
+  // Another language takes over as the default
+  if (caption.isDefault && lesson.captions.length > 0) {
+    lesson.captions[0].isDefault = true;
+  }
+
+  await Transcript.deleteOne({ lesson: lesson._id, language: caption.language });
+  await CaptionService.refreshTranscripts(lesson);
+  await deleteFile(caption.file.publicId);
+
+  res.json({
+    success: true,
+    message: 'Captions deleted successfully',
+    data: { captions: lesson.captions }
+  });
+});
+
+// Check the user may read the course's lessons; sends the error response itself.
+// Returns { enrollment } (null for the course's creator and admins), or null when denied.
+const checkCourseAccess = async (req, res, course) => {
+  if (req.user.role === 'admin' || course.creator.toString() === req.user._id.toString()) {
+    return { enrollment: null };
+  }
+
+  const enrollment = course.status === 'published'
+    ? await EnrollmentService.getEnrollment(req.user._id, course._id)
+    : null;
+
+  if (!enrollment) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. You must be enrolled in this course to view lessons.'
+    });
+    return null;
+  }
+
+  return { enrollment };
+};
+
+// @desc    Get a lesson's transcript (timed cues) in one language
+// @route   GET /api/lessons/:id/transcript
+// @access  Private (enrolled learners, course creator, admin)
+const getTranscript = asyncHandler(async (req, res) => {
+  const lesson = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Lesson.findOne({ _id: req.params.id, isActive: true }).populate('course', 'creator status')
+    : null;
+
+  if (!lesson) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lesson not found'
+    });
+  }
+
+  const access = await checkCourseAccess(req, res, lesson.course);
+  if (!access) return;
+
+  if (access.enrollment) {
+    const availability = await LessonAccessService.getLessonAvailability(lesson, access.enrollment);
+    if (availability.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: LessonAccessService.getLockMessage(availability),
+        data: { availability }
+      });
+    }
+  }
+
+  const main = lesson.captions.find(caption => caption.isDefault) || lesson.captions[0];
+  const language = req.query.language ? String(req.query.language) : (main && main.language);
+  const transcript = language ? await Transcript.findOne({ lesson: lesson._id, language }) : null;
+
+  if (!transcript) {
+    return res.status(404).json({
+      success: false,
+      message: 'This lesson has no transcript in that language'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      lesson: lesson._id,
+      language: transcript.language,
+      languages: lesson.captions.map(caption => ({ language: caption.language, label: caption.label })),
+      cues: transcript.cues
+    }
+  });
+});
+
+// @desc    Search a course's transcripts; each match links to a lesson and timestamp
+// @route   GET /api/learner/courses/:id/transcripts/search
+// @access  Private (Learner)
+const searchTranscripts = asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const language = req.query.language ? String(req.query.language) : undefined;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+  if (!q) {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query is required'
+    });
+  }
+
+  const course = mongoose.Types.ObjectId.isValid(req.params.id) ? await Course.findById(req.params.id) : null;
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  const access = await checkCourseAccess(req, res, course);
+  if (!access) return;
+
+  // Learners only search the lessons they can open
+  let lessonIds;
+  if (access.enrollment) {
+    const lessons = await Lesson.find({ course: course._id, isActive: true });
+    const availability = await LessonAccessService.getAvailability(lessons, access.enrollment);
+    lessonIds = lessons
+      .filter(lesson => !availability[lesson._id.toString()].isLocked)
+      .map(lesson => lesson._id);
+  }
+
+  const matches = await CaptionService.search(course._id, q, { language, lessonIds, limit });
+
+  res.json({
+    success: true,
+    data: {
+      query: q,
+      count: matches.length,
+      matches
+    }
+  });
+});
+
+module.exports = {
+  getCaptions,
+  uploadCaption,
+  deleteCaption,
+  getTranscript,
+  searchTranscripts
+};
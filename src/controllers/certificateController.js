@@ -0,0 +1,221 @@
+const asyncHandler = require('express-async-handler');
+const Certificate = require('../models/Certificate');
+const AuditLog = require('../models/AuditLog');
+const CertificateService = require('../services/certificateService');
+const CertificateSigningService = require('../services/certificateSigningService');
+
+const SERIAL_PATTERN = /^[A-F0-9]{16}$/;
+
+// Public view of a certificate: no learner account details beyond the printed name
+const toVerification = (certificate) => {
+  const signatureCheck = certificate.verifySignature();
+
+  return {
+    serialHash: certificate.serialHash,
+    valid: certificate.verify(),
+    status: certificate.isValid ? 'valid' : 'revoked',
+    learnerName: certificate.learnerName,
+    courseTitle: certificate.courseTitle,
+    issuer: (certificate.issuedBy && certificate.issuedBy.name) || 'MicroCourses Platform',
+    completionDate: certificate.completionDate,
+    grade: certificate.grade,
+    revokedAt: certificate.isValid ? null : certificate.revokedAt || null,
+    // unsigned: issued before certificates were signed
+    signatureStatus: signatureCheck === null ? 'unsigned' : (signatureCheck.valid ? 'valid' : 'invalid'),
+    // Everything needed to check the signature offline against GET /api/certificates/keys
+    signed: certificate.signature
+      ? {
+        payload: certificate.getSignedPayload(),
+        signature: certificate.signature,
+        keyId: certificate.signatureKeyId,
+        algorithm: certificate.signatureAlgorithm
+      }
+      : null
+  };
+};
+
+// Browsers get the HTML page; API clients (or ?format=json) get JSON
+const wantsHtml = req => req.query.format === 'html' ||
+  (req.query.format !== 'json' && req.accepts(['json', 'html']) === 'html');
+
+// @desc    Verify a certificate by its serial
+// @route   GET /api/certificates/verify/:serialHash
+// @access  Public
+const verifyCertificate = asyncHandler(async (req, res) => {
+  const serialHash = String(req.params.serialHash).trim().toUpperCase();
+  const html = wantsHtml(req);
+
+  const certificate = SERIAL_PATTERN.test(serialHash)
+    ? await Certificate.findOne({ serialHash }).populate('issuedBy', 'name')
+    : null;
+
+  if (!certificate) {
+    if (html) {
+      return res.status(404).type('html').send(CertificateService.generateVerificationHTML(serialHash, null));
+    }
+    return res.status(404).json({
+      success: false,
+      message: 'Certificate not found'
+    });
+  }
+
+  const verification = toVerification(certificate);
+
+  if (html) {
+    return res.type('html').send(CertificateService.generateVerificationHTML(serialHash, verification));
+  }
+
+  res.json({
+    success: true,
+    data: { certificate: verification }
+  });
+});
+
+// @desc    Get the public keys certificates are signed with (active and retired)
+// @route   GET /api/certificates/keys
+// @access  Public
+const getSigningKeys = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      algorithm: CertificateSigningService.algorithm,
+      keys: CertificateSigningService.getPublicKeys()
+    }
+  });
+});
+
+// @desc    Check a signed certificate payload against the published keys (no database lookup)
+// @route   POST /api/certificates/verify-signature
+// @access  Public
+const verifyCertificateSignature = asyncHandler(async (req, res) => {
+  const { payload, signature, keyId } = req.body;
+
+  if (!payload || typeof payload !== 'object' || !signature || !keyId) {
+    return res.status(400).json({
+      success: false,
+      message: 'payload, signature and keyId are required'
+    });
+  }
+
+  const result = CertificateSigningService.verify(payload, signature, keyId);
+
+  res.json({
+    success: true,
+    data: {
+      valid: result.valid,
+      keyId,
+      keyStatus: result.keyStatus || null,
+      reason: result.reason || null
+    }
+  });
+});
+
+// @desc    Get all certificates
+// @route   GET /api/admin/certificates
+// @access  Private (Admin)
+const getAllCertificates = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  let query = {};
+  if (req.query.serial) query.serialHash = String(req.query.serial).trim().toUpperCase();
+  if (req.query.course) query.course = req.query.course;
+  if (req.query.learner) query.learner = req.query.learner;
+  if (req.query.status === 'valid') query.isValid = true;
+  if (req.query.status === 'revoked') query.isValid = false;
+
+  const certificates = await Certificate.find(query)
+    .populate('learner', 'name email')
+    .populate('revokedBy', 'name email')
+    .sort({ completionDate: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Certificate.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      certificates,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Shared implementation of revoke/reinstate
+const setCertificateValidity = async (req, res, action) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: `A reason is required to ${action} a certificate`
+    });
+  }
+
+  const certificate = await Certificate.findById(req.params.id);
+  if (!certificate) {
+    return res.status(404).json({
+      success: false,
+      message: 'Certificate not found'
+    });
+  }
+
+  const revoke = action === 'revoke';
+  if (certificate.isValid !== revoke) {
+    return res.status(400).json({
+      success: false,
+      message: revoke ? 'Certificate is already revoked' : 'Certificate is not revoked'
+    });
+  }
+
+  const fields = ['isValid', 'revocationReason'];
+  const before = AuditLog.snapshot(certificate, fields);
+
+  certificate.isValid = !revoke;
+  certificate.revokedAt = revoke ? new Date() : undefined;
+  certificate.revokedBy = revoke ? req.user._id : undefined;
+  certificate.revocationReason = revoke ? reason : undefined;
+  await certificate.save();
+
+  await AuditLog.record(req, {
+    action: `certificate.${action}`,
+    targetType: 'Certificate',
+    target: certificate,
+    targetLabel: `${certificate.serialHash} (${certificate.learnerName} - ${certificate.courseTitle})`,
+    before,
+    after: AuditLog.snapshot(certificate, fields),
+    reason
+  });
+
+  res.json({
+    success: true,
+    message: revoke ? 'Certificate revoked successfully' : 'Certificate reinstated successfully',
+    data: { certificate }
+  });
+};
+
+// @desc    Revoke a certificate
+// @route   PUT /api/admin/certificates/:id/revoke
+// @access  Private (Admin)
+const revokeCertificate = asyncHandler(async (req, res) => setCertificateValidity(req, res, 'revoke'));
+
+// @desc    Reinstate a revoked certificate
+// @route   PUT /api/admin/certificates/:id/reinstate
+// @access  Private (Admin)
+const reinstateCertificate = asyncHandler(async (req, res) => setCertificateValidity(req, res, 'reinstate'));
+
+module.exports = {
+  verifyCertificate,
+  getSigningKeys,
+  verifyCertificateSignature,
+  getAllCertificates,
+  revokeCertificate,
+  reinstateCertificate
+};
@@ -0,0 +1,318 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const Certificate = require('../models/Certificate');
+const Course = require('../models/Course');
+const CertificateService = require('../services/certificateService');
+const { uploadFile, deleteFile } = require('../services/storage');
+
+const TEXT_FIELDS = ['name', 'title', 'introText', 'completionText', 'fontFamily', 'signatoryName', 'signatoryTitle'];
+const COLOR_KEYS = ['primary', 'text', 'secondary', 'border', 'accent', 'background'];
+const FIELD_KEYS = ['courseDuration', 'totalLessons', 'completionDate', 'grade', 'serialHash', 'issuer', 'qrCode'];
+
+const toBoolean = value => value === true || value === 'true';
+
+// Objects may arrive as JSON strings (multipart forms) or nested fields
+const parseObject = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Pull template settings out of a (possibly multipart) request body
+const parseTemplateInput = (body) => {
+  const values = {};
+
+  TEXT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+
+  const colors = parseObject(body.colors);
+  if (colors) {
+    COLOR_KEYS.forEach(key => {
+      if (colors[key] !== undefined) values[`colors.${key}`] = colors[key];
+    });
+  }
+
+  const fields = parseObject(body.fields);
+  if (fields) {
+    FIELD_KEYS.forEach(key => {
+      if (fields[key] !== undefined) values[`fields.${key}`] = toBoolean(fields[key]);
+    });
+  }
+
+  if (body.isActive !== undefined) values.isActive = toBoolean(body.isActive);
+
+  return values;
+};
+
+const uploadedFile = (req, name) => (req.files && req.files[name] ? req.files[name][0] : null);
+
+// Upload new logo/signature images; returns the storage keys they replace
+const applyImageUploads = async (req, template) => {
+  const replacedKeys = [];
+  const images = [
+    { file: uploadedFile(req, 'logo'), path: 'logo', remove: toBoolean(req.body.removeLogo) },
+    { file: uploadedFile(req, 'signature'), path: 'signatureImage', remove: toBoolean(req.body.removeSignature) }
+  ];
+
+  for (const image of images) {
+    const current = template[image.path];
+    if (!image.file && !image.remove) continue;
+
+    if (current && current.key) replacedKeys.push(current.key);
+
+    if (image.file) {
+      const uploadResult = await uploadFile(image.file, 'microcourses/certificate-templates');
+      template[image.path] = { url: uploadResult.url, key: uploadResult.key };
+    } else {
+      template[image.path] = undefined;
+    }
+  }
+
+  return replacedKeys;
+};
+
+const isAdmin = req => req.user.role === 'admin';
+
+// Templates a user may see: admins see everything, creators platform templates and their own
+const visibleTo = req => (isAdmin(req)
+  ? {}
+  : { $or: [{ scope: 'platform', isActive: true }, { scope: 'creator', creator: req.user._id }] });
+
+// Load a template the user may manage (admins: any; creators: their own); sends the error response itself
+const findManageableTemplate = async (req, res) => {
+  const template = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await CertificateTemplate.findById(req.params.id)
+    : null;
+
+  if (!template) {
+    res.status(404).json({ success: false, message: 'Certificate template not found' });
+    return null;
+  }
+
+  if (!isAdmin(req) && !(template.scope === 'creator' && template.creator.toString() === req.user._id.toString())) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage this certificate template' });
+    return null;
+  }
+
+  return template;
+};
+
+// @desc    Get certificate templates
+// @route   GET /api/creator/certificate-templates
+// @route   GET /api/admin/certificate-templates
+// @access  Private (Creator/Admin)
+const getTemplates = asyncHandler(async (req, res) => {
+  const query = visibleTo(req);
+  if (req.query.scope) query.scope = req.query.scope;
+
+  const templates = await CertificateTemplate.find(query)
+    .populate('creator', 'name email')
+    .sort({ scope: -1, isDefault: -1, name: 1 });
+
+  res.json({
+    success: true,
+    data: { templates }
+  });
+});
+
+// @desc    Get a certificate template
+// @route   GET /api/creator/certificate-templates/:id
+// @route   GET /api/admin/certificate-templates/:id
+// @access  Private (Creator/Admin)
+const getTemplate = asyncHandler(async (req, res) => {
+  const template = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await CertificateTemplate.findOne({ _id: req.params.id, ...visibleTo(req) }).populate('creator', 'name email')
+    : null;
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Certificate template not found'
+    });
+  }
+
+  const courseCount = await Course.countDocuments({ certificateTemplate: template._id });
+
+  res.json({
+    success: true,
+    data: { template, courseCount }
+  });
+});
+
+// @desc    Create a certificate template (platform-wide for admins, private for creators)
+// @route   POST /api/creator/certificate-templates
+// @route   POST /api/admin/certificate-templates
+// @access  Private (Creator/Admin)
+const createTemplate = asyncHandler(async (req, res) => {
+  let values;
+  try {
+    values = parseTemplateInput(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid data format for colors or fields'
+    });
+  }
+
+  const template = new CertificateTemplate({
+    scope: isAdmin(req) ? 'platform' : 'creator',
+    creator: isAdmin(req) ? null : req.user._id
+  });
+  template.set(values);
+
+  // Validate before uploading images so a bad request leaves nothing behind in storage
+  await template.validate();
+  await applyImageUploads(req, template);
+  await template.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Certificate template created successfully',
+    data: { template }
+  });
+});
+
+// @desc    Update a certificate template
+// @route   PUT /api/creator/certificate-templates/:id
+// @route   PUT /api/admin/certificate-templates/:id
+// @access  Private (Creator: own / Admin)
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await findManageableTemplate(req, res);
+  if (!template) return;
+
+  let values;
+  try {
+    values = parseTemplateInput(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid data format for colors or fields'
+    });
+  }
+
+  template.set(values);
+  if (template.isDefault && template.isActive === false) {
+    template.isDefault = false;
+  }
+
+  await template.validate();
+  const replacedKeys = await applyImageUploads(req, template);
+  await template.save();
+
+  // Old images are only removed once the template no longer points at them
+  await Promise.all(replacedKeys.map(key => deleteFile(key)));
+
+  res.json({
+    success: true,
+    message: 'Certificate template updated successfully',
+    data: { template }
+  });
+});
+
+// @desc    Delete a certificate template
+// @route   DELETE /api/creator/certificate-templates/:id
+// @route   DELETE /api/admin/certificate-templates/:id
+// @access  Private (Creator: own / Admin)
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await findManageableTemplate(req, res);
+  if (!template) return;
+
+  const courseCount = await Course.countDocuments({ certificateTemplate: template._id });
+  if (courseCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `This template is used by ${courseCount} course(s). Pick another template for them first.`
+    });
+  }
+
+  // Issued certificates keep rendering with their template, so keep it but retire it
+  if (await Certificate.exists({ template: template._id })) {
+    template.isActive = false;
+    template.isDefault = false;
+    await template.save();
+
+    return res.json({
+      success: true,
+      message: 'Certificate template deactivated (certificates issued with it still use it)',
+      data: { template }
+    });
+  }
+
+  await template.deleteOne();
+  await Promise.all([template.logo, template.signatureImage]
+    .filter(image => image && image.key)
+    .map(image => deleteFile(image.key)));
+
+  res.json({
+    success: true,
+    message: 'Certificate template deleted successfully'
+  });
+});
+
+// @desc    Make a platform template the default for courses without one
+// @route   PUT /api/admin/certificate-templates/:id/default
+// @access  Private (Admin)
+const setDefaultTemplate = asyncHandler(async (req, res) => {
+  const template = await findManageableTemplate(req, res);
+  if (!template) return;
+
+  if (template.scope !== 'platform' || !template.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only active platform templates can be the default'
+    });
+  }
+
+  await CertificateTemplate.updateMany({ _id: { $ne: template._id }, isDefault: true }, { $set: { isDefault: false } });
+  template.isDefault = true;
+  await template.save();
+
+  res.json({
+    success: true,
+    message: 'Default certificate template updated',
+    data: { template }
+  });
+});
+
+// @desc    Render a template with sample data
+// @route   GET /api/creator/certificate-templates/:id/preview
+// @route   GET /api/admin/certificate-templates/:id/preview
+// @access  Private (Creator/Admin)
+const previewTemplate = asyncHandler(async (req, res) => {
+  const template = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await CertificateTemplate.findOne({ _id: req.params.id, ...visibleTo(req) })
+    : null;
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Certificate template not found'
+    });
+  }
+
+  const sampleData = CertificateService.getSampleCertificateData();
+
+  if (req.query.format === 'html') {
+    const html = await CertificateService.generateCertificateHTML(sampleData, template);
+    res.setHeader('Content-Type', 'text/html');
+    return res.send(html);
+  }
+
+  const pdfBuffer = await CertificateService.generatePDFCertificate(sampleData, template);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'inline; filename="certificate-template-preview.pdf"');
+  res.setHeader('Content-Length', pdfBuffer.length);
+  res.send(pdfBuffer);
+});
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  setDefaultTemplate,
+  previewTemplate
+};
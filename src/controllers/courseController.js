@@ -1,13 +1,88 @@
 const asyncHandler = require('express-async-handler');
 const Course = require('../models/Course');
 const Lesson = require('../models/Lesson');
-const User = require('../models/User');
-const { deleteFromS3, uploadToS3 } = require('../config/s3');
+const Section = require('../models/Section');
+const Enrollment = require('../models/Enrollment');
+const EnrollmentService = require('../services/enrollmentService');
+const CourseSearchService = require('../services/courseSearchService');
+const WishlistService = require('../services/wishlistService');
+const { deleteFile, uploadFile } = require('../services/storage');
+
+// Values of a facet filter: repeated (?level=a&level=b) or comma-separated (?level=a,b)
+const listParam = value => (Array.isArray(value) ? value : [value])
+  .filter(item => item !== undefined && item !== null)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Search options from the query string (category, level, price band, minimum rating,
+// price range, sort and paging)
+const readSearchOptions = (query, { defaultLimit }) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 50);
+
+  return {
+    page,
+    limit,
+    offset: (page - 1) * limit,
+    filters: {
+      category: listParam(query.category),
+      level: listParam(query.level),
+      price: listParam(query.price),
+      rating: listParam(query.rating).map(value => String(parseFloat(value)))
+    },
+    minPrice: query.minPrice ? parseFloat(query.minPrice) : undefined,
+    maxPrice: query.maxPrice ? parseFloat(query.maxPrice) : undefined,
+    sort: typeof query.sort === 'string' ? query.sort : undefined
+  };
+};
+
+// Published courses by id, in the order of the ids (search results). Courses
+// unpublished since the search index last synced are left out.
+const findCoursesInOrder = async (courseIds, creatorFields) => {
+  const courses = await Course.find({ _id: { $in: courseIds }, status: 'published', isActive: true })
+    .populate('creator', creatorFields)
+    .populate('lessonCount');
+  const byId = new Map(courses.map(course => [course._id.toString(), course]));
+  return courseIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+// Courses (documents or plain objects) as plain objects, with isWishlisted for a
+// signed-in learner (see optionalAuth)
+const withWishlistFlags = async (req, courses) => {
+  const plain = courses.map(course => (typeof course.toObject === 'function' ? course.toObject() : course));
+  if (!req.user || req.user.role !== 'learner' || plain.length === 0) {
+    return plain;
+  }
+
+  const saved = await WishlistService.getWishlistedIds(req.user._id, plain.map(course => course._id));
+  return plain.map(course => ({ ...course, isWishlisted: saved.has(course._id.toString()) }));
+};
 
 // @desc    Get all published courses
 // @route   GET /api/courses
 // @access  Public
 const getCourses = asyncHandler(async (req, res) => {
+  // Searches are ranked by the search index
+  if (typeof req.query.search === 'string' && req.query.search.trim()) {
+    const options = readSearchOptions(req.query, { defaultLimit: 10 });
+    const { total, courseIds, facets } = await CourseSearchService.search(req.query.search.trim(), options);
+
+    return res.json({
+      success: true,
+      data: {
+        courses: await withWishlistFlags(req, await findCoursesInOrder(courseIds, 'name avatar bio')),
+        facets,
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          total,
+          pages: Math.ceil(total / options.limit) || 1
+        }
+      }
+    });
+  }
+
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
@@ -15,11 +90,6 @@ const getCourses = asyncHandler(async (req, res) => {
   // Build query
   let query = { status: 'published', isActive: true };
 
-  // Search functionality
-  if (req.query.search) {
-    query.$text = { $search: req.query.search };
-  }
-
   // Category filter
   if (req.query.category) {
     query.category = req.query.category;
@@ -65,7 +135,7 @@ const getCourses = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      courses: courses || [],
+      courses: await withWishlistFlags(req, courses || []),
       pagination: {
         page,
         limit,
@@ -89,7 +159,11 @@ const getCourse = asyncHandler(async (req, res) => {
     .populate({
       path: 'lessons',
       match: { isActive: true },
-      select: 'title description order duration'
+      select: 'title description type order duration section'
+    })
+    .populate({
+      path: 'sections',
+      select: 'title description order'
     });
 
   if (!course) {
@@ -99,9 +173,15 @@ const getCourse = asyncHandler(async (req, res) => {
     });
   }
 
+  // Group the lesson outline by section
+  const { sections, ungroupedLessons } = Section.groupLessons(course.sections, course.lessons);
+  const [flagged] = await withWishlistFlags(req, [course]);
+
   res.json({
     success: true,
-    data: { course }
+    data: {
+      course: { ...flagged, sections, ungroupedLessons }
+    }
   });
 });
 
@@ -244,24 +324,24 @@ const deleteCourse = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete associated lessons and their videos from S3
+  // Delete associated lessons and their videos from storage
   const lessons = await Lesson.find({ course: course._id });
   for (const lesson of lessons) {
     if (lesson.video.publicId) {
       try {
-        await deleteFromS3(lesson.video.publicId);
+        await deleteFile(lesson.video.publicId);
       } catch (error) {
-        console.error('Error deleting video from S3:', error);
+        console.error('Error deleting video from storage:', error);
       }
     }
   }
 
-  // Delete course thumbnail from S3
+  // Delete course thumbnail from storage
   if (course.thumbnail && course.thumbnail.publicId) {
     try {
-      await deleteFromS3(course.thumbnail.publicId);
+      await deleteFile(course.thumbnail.publicId);
     } catch (error) {
-      console.error('Error deleting thumbnail from S3:', error);
+      console.error('Error deleting thumbnail from storage:', error);
     }
   }
 
@@ -304,19 +384,19 @@ const uploadThumbnail = asyncHandler(async (req, res) => {
   // Delete old thumbnail if exists
   if (course.thumbnail && course.thumbnail.publicId) {
     try {
-      await deleteFromS3(course.thumbnail.publicId);
+      await deleteFile(course.thumbnail.publicId);
     } catch (error) {
       console.error('Error deleting old thumbnail:', error);
     }
   }
 
-  // Upload new thumbnail to S3
-  const uploadResult = await uploadToS3(req.file, 'microcourses/thumbnails');
+  // Upload new thumbnail to storage
+  const uploadResult = await uploadFile(req.file, 'microcourses/thumbnails');
 
   // Update course with new thumbnail
   course.thumbnail = {
     url: uploadResult.url,
-    publicId: uploadResult.key // Store S3 key as publicId for compatibility
+    publicId: uploadResult.key // Store the storage key as publicId for compatibility
   };
 
   await course.save();
@@ -428,8 +508,8 @@ const getMyCourses = asyncHandler(async (req, res) => {
 // @route   GET /api/courses/search
 // @access  Public
 const searchCourses = asyncHandler(async (req, res) => {
-  const { q, category, level, minPrice, maxPrice } = req.query;
-  
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
   if (!q) {
     return res.status(400).json({
       success: false,
@@ -437,29 +517,44 @@ const searchCourses = asyncHandler(async (req, res) => {
     });
   }
 
-  let query = {
-    status: 'published',
-    isActive: true,
-    $text: { $search: q }
-  };
+  const options = readSearchOptions(req.query, { defaultLimit: 20 });
+  const { total, courseIds, facets } = await CourseSearchService.search(q, options);
 
-  if (category) query.category = category;
-  if (level) query.level = level;
-  if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = parseFloat(minPrice);
-    if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+  res.json({
+    success: true,
+    data: {
+      courses: await withWishlistFlags(req, await findCoursesInOrder(courseIds, 'name avatar')),
+      facets,
+      pagination: {
+        page: options.page,
+        limit: options.limit,
+        total,
+        pages: Math.ceil(total / options.limit) || 1
+      }
+    }
+  });
+});
+
+// @desc    Autocomplete course searches
+// @route   GET /api/courses/suggest
+// @access  Public
+const suggestCourses = asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
+
+  // Too short to suggest anything useful
+  if (q.length < 2) {
+    return res.json({
+      success: true,
+      data: { query: q, suggestions: [], courses: [] }
+    });
   }
 
-  const courses = await Course.find(query)
-    .populate('creator', 'name avatar')
-    .populate('lessonCount')
-    .sort({ score: { $meta: 'textScore' } })
-    .limit(20);
+  const { suggestions, courses } = await CourseSearchService.suggest(q, { limit });
 
   res.json({
     success: true,
-    data: { courses }
+    data: { query: q, suggestions, courses }
   });
 });
 
@@ -490,7 +585,7 @@ const getCoursesByCategory = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      courses,
+      courses: await withWishlistFlags(req, courses),
       category,
       pagination: {
         page,
@@ -522,39 +617,35 @@ const enrollInCourse = asyncHandler(async (req, res) => {
     });
   }
 
-  const user = await User.findById(userId);
-
   // Check if already enrolled
-  const alreadyEnrolled = user.enrolledCourses.some(
-    enrollment => enrollment.course.toString() === courseId
-  );
-
-  if (alreadyEnrolled) {
+  if (await EnrollmentService.isEnrolled(userId, courseId)) {
     return res.status(400).json({
       success: false,
       message: 'Already enrolled in this course'
     });
   }
 
-  // Add course to user's enrolled courses
-  user.enrolledCourses.push({
-    course: courseId,
-    enrolledAt: new Date(),
-    progress: 0,
-    completedLessons: []
-  });
-
-  await user.save();
+  // Paid courses are only unlocked by a successful checkout
+  if (course.price > 0) {
+    return res.status(402).json({
+      success: false,
+      message: 'This course requires payment. Start a checkout to enroll.',
+      data: {
+        courseId,
+        price: course.price,
+        checkout: 'POST /api/payments/checkout'
+      }
+    });
+  }
 
-  // Update course enrollment count
-  await course.updateEnrollmentCount();
+  const { enrollment } = await EnrollmentService.enroll(userId, course);
 
   res.status(201).json({
     success: true,
     message: 'Successfully enrolled in course',
     data: {
       courseId,
-      enrolledAt: new Date()
+      enrolledAt: enrollment.enrolledAt
     }
   });
 });
@@ -563,72 +654,21 @@ const enrollInCourse = asyncHandler(async (req, res) => {
 // @route   GET /api/courses/enrolled/my-courses
 // @access  Private (Learner)
 const getEnrolledCourses = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id)
+  const enrollments = await Enrollment.find({ learner: req.user._id })
+    .active()
     .populate({
-      path: 'enrolledCourses.course',
+      path: 'course',
       select: 'title description thumbnail category level duration rating creator',
       populate: {
         path: 'creator',
         select: 'name'
       }
-    });
-
-  res.json({
-    success: true,
-    data: user.enrolledCourses
-  });
-});
-
-// @desc    Rate course
-// @route   POST /api/courses/:id/rate
-// @access  Private (Learner)
-const rateCourse = asyncHandler(async (req, res) => {
-  const { rating } = req.body;
-  const courseId = req.params.id;
-
-  if (!rating || rating < 1 || rating > 5) {
-    return res.status(400).json({
-      success: false,
-      message: 'Rating must be between 1 and 5'
-    });
-  }
-
-  const user = await User.findById(req.user._id);
-  const enrollment = user.enrolledCourses.find(
-    e => e.course.toString() === courseId
-  );
-
-  if (!enrollment) {
-    return res.status(400).json({
-      success: false,
-      message: 'You must be enrolled in this course to rate it'
-    });
-  }
-
-  // For simplicity, we'll just update the course rating
-  // In a real app, you'd want to store individual ratings
-  const course = await Course.findById(courseId);
-  
-  if (!course) {
-    return res.status(404).json({
-      success: false,
-      message: 'Course not found'
-    });
-  }
-
-  // Simple rating calculation (in real app, store individual ratings)
-  const currentTotal = course.rating.average * course.rating.count;
-  course.rating.count += 1;
-  course.rating.average = (currentTotal + rating) / course.rating.count;
-
-  await course.save();
+    })
+    .sort({ enrolledAt: -1 });
 
   res.json({
     success: true,
-    message: 'Course rated successfully',
-    data: {
-      rating: course.rating
-    }
+    data: enrollments
   });
 });
 
@@ -642,8 +682,8 @@ module.exports = {
   submitCourse,
   getMyCourses,
   searchCourses,
+  suggestCourses,
   getCoursesByCategory,
   enrollInCourse,
-  getEnrolledCourses,
-  rateCourse
+  getEnrolledCourses
 };
\ No newline at end of file
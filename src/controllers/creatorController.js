@@ -1,8 +1,98 @@
 const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Lesson = require('../models/Lesson');
-const { uploadToS3, deleteFromS3 } = require('../config/s3');
+const Order = require('../models/Order');
+const Enrollment = require('../models/Enrollment');
+const Quiz = require('../models/Quiz');
+const Section = require('../models/Section');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const WishlistItem = require('../models/WishlistItem');
+const LedgerService = require('../services/ledgerService');
+const CourseAnalyticsService = require('../services/courseAnalyticsService');
+const LessonMediaService = require('../services/lessonMediaService');
+const UploadService = require('../services/uploadService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const CaptionService = require('../services/captionService');
+const LessonResourceService = require('../services/lessonResourceService');
+const LessonTypeService = require('../services/lessonTypeService');
+const WishlistService = require('../services/wishlistService');
+const { uploadFile, deleteFile, getFileUrl } = require('../services/storage');
+
+// Resolve a certificateTemplate form value to a template id the creator may use.
+// Empty values clear the choice; returns { error } for unknown or unavailable templates.
+const resolveCertificateTemplate = async (value, creatorId) => {
+  if (value === '' || value === 'null' || value === null) {
+    return { templateId: null };
+  }
+
+  const template = mongoose.Types.ObjectId.isValid(value) ? await CertificateTemplate.findById(value) : null;
+  if (!template || !template.isUsableBy(creatorId)) {
+    return { error: 'Certificate template not found or not available to you' };
+  }
+
+  return { templateId: template._id };
+};
+
+// Parse the drip and prerequisites form values (JSON strings in multipart forms) for a lesson.
+// Prerequisites must be lessons or quizzes of the same course; returns { error } otherwise.
+const resolveLessonAccessRules = async ({ drip, prerequisites }, courseId) => {
+  const rules = {};
+
+  try {
+    if (drip !== undefined && drip !== '') {
+      const parsed = typeof drip === 'string' ? JSON.parse(drip) : drip;
+      rules.drip = {
+        mode: parsed.mode || 'none',
+        days: parsed.days !== undefined && parsed.days !== null && parsed.days !== '' ? Number(parsed.days) : undefined,
+        date: parsed.date ? new Date(parsed.date) : undefined
+      };
+    }
+
+    if (prerequisites !== undefined && prerequisites !== '') {
+      const parsed = typeof prerequisites === 'string' ? JSON.parse(prerequisites) : prerequisites;
+      rules.prerequisites = {
+        lessons: [...new Set((parsed.lessons || []).map(String))],
+        quizzes: [...new Set((parsed.quizzes || []).map(String))]
+      };
+    }
+  } catch (error) {
+    return { error: 'Invalid drip or prerequisites format' };
+  }
+
+  // Checked here as well as in the model so bad rules are rejected before the video upload
+  if (rules.drip) {
+    const { mode, days, date } = rules.drip;
+    if (!['none', 'after_enrollment', 'fixed_date'].includes(mode)) {
+      return { error: 'Drip mode must be none, after_enrollment or fixed_date' };
+    }
+    if (mode === 'after_enrollment' && !(Number.isInteger(days) && days >= 0)) {
+      return { error: 'Drip days must be a whole number of days (0 or more)' };
+    }
+    if (mode === 'fixed_date' && (!date || isNaN(date.getTime()))) {
+      return { error: 'A valid release date is required for fixed date release' };
+    }
+  }
+
+  if (rules.prerequisites) {
+    const { lessons, quizzes } = rules.prerequisites;
+    if (![...lessons, ...quizzes].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Prerequisites must be lessons and quizzes of this course' };
+    }
+
+    const [lessonCount, quizCount] = await Promise.all([
+      Lesson.countDocuments({ _id: { $in: lessons }, course: courseId }),
+      Quiz.countDocuments({ _id: { $in: quizzes }, course: courseId })
+    ]);
+
+    if (lessonCount !== lessons.length || quizCount !== quizzes.length) {
+      return { error: 'Prerequisites must be lessons and quizzes of this course' };
+    }
+  }
+
+  return { rules };
+};
 
 // @desc    Apply to become a creator
 // @route   POST /api/creator/apply
@@ -92,37 +182,27 @@ const getCreatorDashboard = asyncHandler(async (req, res) => {
     .limit(5)
     .select('title status enrollmentCount rating createdAt updatedAt');
 
-  // Calculate total revenue (mock calculation)
-  const totalRevenue = courses.reduce((sum, course) => {
-    return sum + (course.enrollmentCount * course.price);
-  }, 0);
+  // Calculate total revenue from paid orders
+  const revenueByCourse = await Order.getRevenueByCourse({ creator: userId });
+  const totalRevenue = Object.values(revenueByCourse).reduce((sum, row) => sum + row.revenue, 0);
 
   // Get monthly enrollment data (last 6 months)
   const sixMonthsAgo = new Date();
   sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
-  const enrollmentData = await User.aggregate([
-    { $unwind: '$enrolledCourses' },
-    {
-      $lookup: {
-        from: 'courses',
-        localField: 'enrolledCourses.course',
-        foreignField: '_id',
-        as: 'courseInfo'
-      }
-    },
-    { $unwind: '$courseInfo' },
+  const enrollmentData = await Enrollment.aggregate([
     {
       $match: {
-        'courseInfo.creator': userId,
-        'enrolledCourses.enrolledAt': { $gte: sixMonthsAgo }
+        course: { $in: courses.map(c => c._id) },
+        status: { $in: Enrollment.ACTIVE_STATUSES },
+        enrolledAt: { $gte: sixMonthsAgo }
       }
     },
     {
       $group: {
         _id: {
-          year: { $year: '$enrolledCourses.enrolledAt' },
-          month: { $month: '$enrolledCourses.enrolledAt' }
+          year: { $year: '$enrolledAt' },
+          month: { $month: '$enrolledAt' }
         },
         count: { $sum: 1 }
       }
@@ -216,51 +296,61 @@ const updateCreatorProfile = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Get creator earnings (mock)
+// @desc    Get creator earnings
 // @route   GET /api/creator/earnings
 // @access  Private (Creator/Admin)
 const getCreatorEarnings = asyncHandler(async (req, res) => {
+  const months = Math.min(Math.max(parseInt(req.query.months) || 12, 1), 36);
+
   const courses = await Course.find({ creator: req.user._id })
     .select('title price enrollmentCount createdAt');
 
-  const earnings = courses.map(course => ({
-    courseId: course._id,
-    courseTitle: course.title,
-    price: course.price,
-    enrollments: course.enrollmentCount,
-    revenue: (course.price * course.enrollmentCount).toFixed(2),
-    createdAt: course.createdAt
-  }));
+  const ledger = await LedgerService.getEarnings(req.user._id, { months });
 
-  const totalRevenue = earnings.reduce((sum, earning) => sum + parseFloat(earning.revenue), 0);
+  const earnings = courses.map(course => {
+    const row = ledger.byCourse[course._id.toString()] || {
+      grossRevenue: 0, platformFees: 0, earnings: 0, sales: 0, refunds: 0
+    };
+    return {
+      courseId: course._id,
+      courseTitle: course.title,
+      price: course.price,
+      enrollments: course.enrollmentCount,
+      sales: row.sales,
+      refunds: row.refunds,
+      grossRevenue: row.grossRevenue.toFixed(2),
+      platformFees: row.platformFees.toFixed(2),
+      revenue: row.earnings.toFixed(2),
+      createdAt: course.createdAt
+    };
+  });
+
+  const { summary } = ledger;
   const totalEnrollments = earnings.reduce((sum, earning) => sum + earning.enrollments, 0);
 
-  // Mock monthly earnings for the last 12 months
-  const monthlyEarnings = [];
-  const now = new Date();
-  
-  for (let i = 11; i >= 0; i--) {
-    const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-    const monthName = date.toLocaleString('default', { month: 'short', year: 'numeric' });
-    
-    // Mock earnings calculation (in real app, this would be based on actual enrollment dates)
-    const monthlyRevenue = Math.random() * (totalRevenue / 12);
-    
-    monthlyEarnings.push({
-      month: monthName,
-      revenue: monthlyRevenue.toFixed(2),
-      enrollments: Math.floor(Math.random() * 20)
-    });
-  }
+  const monthlyEarnings = ledger.monthly.map(month => ({
+    month: month.month,
+    grossRevenue: month.grossRevenue.toFixed(2),
+    platformFees: month.platformFees.toFixed(2),
+    refunds: month.refunds.toFixed(2),
+    revenue: month.earnings.toFixed(2),
+    sales: month.sales
+  }));
 
   res.json({
     success: true,
     data: {
       summary: {
-        totalRevenue: totalRevenue.toFixed(2),
+        grossRevenue: summary.grossRevenue.toFixed(2),
+        platformFees: summary.platformFees.toFixed(2),
+        refunds: summary.refunds.toFixed(2),
+        totalRevenue: summary.earnings.toFixed(2),
+        paidOut: summary.paidOut.toFixed(2),
+        balance: summary.balance.toFixed(2),
+        totalSales: summary.sales,
         totalEnrollments,
         totalCourses: courses.length,
-        averageRevenuePerCourse: courses.length > 0 ? (totalRevenue / courses.length).toFixed(2) : '0.00'
+        averageRevenuePerCourse: courses.length > 0 ? (summary.earnings / courses.length).toFixed(2) : '0.00'
       },
       courseEarnings: earnings,
       monthlyEarnings
@@ -281,7 +371,9 @@ const createCourse = asyncHandler(async (req, res) => {
     price,
     tags,
     requirements,
-    outcomes
+    outcomes,
+    requireQuizPass,
+    certificateTemplate
   } = req.body;
 
 
@@ -293,14 +385,26 @@ const createCourse = asyncHandler(async (req, res) => {
     });
   }
 
+  let templateId = null;
+  if (certificateTemplate !== undefined) {
+    const resolved = await resolveCertificateTemplate(certificateTemplate, req.user._id);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+    templateId = resolved.templateId;
+  }
+
   try {
     // Handle thumbnail upload
     let thumbnailData = {};
     if (req.file) {
-      const uploadResult = await uploadToS3(req.file, 'microcourses/thumbnails');
+      const uploadResult = await uploadFile(req.file, 'microcourses/thumbnails');
       thumbnailData = {
         url: uploadResult.url,
-        publicId: uploadResult.key // Store S3 key as publicId for compatibility
+        publicId: uploadResult.key // Store the storage key as publicId for compatibility
       };
     }
 
@@ -333,6 +437,8 @@ const createCourse = asyncHandler(async (req, res) => {
       tags: parsedTags.map(tag => tag.trim()),
       requirements: parsedRequirements.map(req => req.trim()),
       outcomes: parsedOutcomes.map(outcome => outcome.trim()),
+      requireQuizPass: requireQuizPass === true || requireQuizPass === 'true',
+      certificateTemplate: templateId,
       duration: 0 // Will be calculated when lessons are added
     });
 
@@ -429,15 +535,30 @@ const updateCourse = asyncHandler(async (req, res) => {
     price,
     tags,
     requirements,
-    outcomes
+    outcomes,
+    requireQuizPass,
+    certificateTemplate
   } = req.body;
 
+  if (certificateTemplate !== undefined) {
+    const resolved = await resolveCertificateTemplate(certificateTemplate, course.creator);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error
+      });
+    }
+    course.certificateTemplate = resolved.templateId;
+  }
+
   if (title) course.title = title.trim();
   if (description) course.description = description.trim();
   if (shortDescription) course.shortDescription = shortDescription.trim();
   if (category) course.category = category;
   if (level) course.level = level;
+  const previousPrice = course.price;
   if (price !== undefined) course.price = parseFloat(price);
+  if (requireQuizPass !== undefined) course.requireQuizPass = requireQuizPass === true || requireQuizPass === 'true';
   
   // Parse JSON strings for arrays
   if (tags) {
@@ -484,16 +605,16 @@ const updateCourse = asyncHandler(async (req, res) => {
     try {
       // Delete old thumbnail if exists
       if (course.thumbnail && course.thumbnail.publicId) {
-        await deleteFromS3(course.thumbnail.publicId);
+        await deleteFile(course.thumbnail.publicId);
       }
 
-      // Upload new thumbnail to S3
-      const uploadResult = await uploadToS3(req.file, 'microcourses/thumbnails');
+      // Upload new thumbnail to storage
+      const uploadResult = await uploadFile(req.file, 'microcourses/thumbnails');
       
       // Update course thumbnail with the uploaded file info
       course.thumbnail = {
         url: uploadResult.url,
-        publicId: uploadResult.key // Store S3 key as publicId for compatibility
+        publicId: uploadResult.key // Store the storage key as publicId for compatibility
       };
     } catch (uploadError) {
       console.error('Thumbnail upload error:', uploadError);
@@ -519,6 +640,11 @@ const updateCourse = asyncHandler(async (req, res) => {
 
   await course.save();
 
+  // Learners who saved the course hear about the lower price
+  if (course.price < previousPrice) {
+    await WishlistService.queueUpdateCheck(course._id);
+  }
+
   const updatedCourse = await Course.findById(course._id)
     .populate('creator', 'name avatar bio');
 
@@ -593,39 +719,89 @@ const createLesson = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if video file is uploaded
-  if (!req.files || !req.files.video || req.files.video.length === 0) {
+  const type = req.body.type || 'video';
+  const { content, errors: contentErrors } = LessonTypeService.resolveContent(type, req.body);
+  if (contentErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: contentErrors[0]
+    });
+  }
+  const isVideo = type === 'video';
+
+  // The video is either in the form or a completed multipart upload (POST /api/creator/uploads/video)
+  const hasVideoFile = isVideo && req.files && req.files.video && req.files.video.length > 0;
+  if (isVideo && !hasVideoFile && !req.body.videoUpload) {
     return res.status(400).json({
       success: false,
       message: 'Please upload a video file'
     });
   }
 
-  const videoFile = req.files.video[0];
-  const thumbnailFile = req.files.thumbnail ? req.files.thumbnail[0] : null;
+  let videoUpload = null;
+  if (isVideo && !hasVideoFile) {
+    try {
+      videoUpload = mongoose.Types.ObjectId.isValid(req.body.videoUpload)
+        ? await UploadService.findAttachable(req.body.videoUpload, req.user._id, courseId)
+        : null;
+    } catch (error) {
+      if (!(error instanceof UploadService.UploadError)) throw error;
+    }
+    if (!videoUpload) {
+      return res.status(400).json({
+        success: false,
+        message: 'Video upload not found or not completed'
+      });
+    }
+  }
+
+  const { rules: accessRules, error: accessRulesError } = await resolveLessonAccessRules(req.body, courseId);
+  if (accessRulesError) {
+    return res.status(400).json({
+      success: false,
+      message: accessRulesError
+    });
+  }
 
-  try {
-    // Upload video to S3
-    console.log('Uploading video file:', {
-      filename: videoFile.originalname,
-      mimetype: videoFile.mimetype,
-      size: videoFile.size,
-      hasBuffer: !!videoFile.buffer
+  let section = null;
+  if (req.body.section && mongoose.Types.ObjectId.isValid(req.body.section)) {
+    section = await Section.findOne({ _id: req.body.section, course: courseId });
+  }
+  if (req.body.section && !section) {
+    return res.status(400).json({
+      success: false,
+      message: 'Section not found in this course'
     });
+  }
 
-    const videoResult = await uploadToS3(videoFile, 'microcourses/videos');
+  const videoFile = hasVideoFile ? req.files.video[0] : null;
+  const thumbnailFile = req.files && req.files.thumbnail ? req.files.thumbnail[0] : null;
 
-    // Upload thumbnail to S3 if provided
+  try {
+    let videoResult = null;
+    if (videoFile) {
+      // Upload video to storage
+      console.log('Uploading video file:', {
+        filename: videoFile.originalname,
+        mimetype: videoFile.mimetype,
+        size: videoFile.size
+      });
+
+      videoResult = await uploadFile(videoFile, 'microcourses/videos', { isPrivate: true });
+    } else if (videoUpload) {
+      videoResult = { url: videoUpload.url, key: videoUpload.key };
+    }
+
+    // Upload thumbnail to storage if provided
     let thumbnailResult = null;
     if (thumbnailFile) {
       console.log('Uploading thumbnail file:', {
         filename: thumbnailFile.originalname,
         mimetype: thumbnailFile.mimetype,
-        size: thumbnailFile.size,
-        hasBuffer: !!thumbnailFile.buffer
+        size: thumbnailFile.size
       });
 
-      thumbnailResult = await uploadToS3(thumbnailFile, 'microcourses/thumbnails');
+      thumbnailResult = await uploadFile(thumbnailFile, 'microcourses/thumbnails');
     }
 
     const nextOrder = await Lesson.getNextOrder(courseId);
@@ -635,19 +811,37 @@ const createLesson = asyncHandler(async (req, res) => {
       description: description?.trim(),
       course: courseId,
       order: nextOrder,
-      video: {
+      type,
+      video: videoResult ? {
         url: videoResult.url,
-        publicId: videoResult.key, // Store S3 key as publicId for compatibility
+        publicId: videoResult.key, // Store the storage key as publicId for compatibility
         duration: 0 // Video duration would need to be extracted separately if needed
-      },
+      } : undefined,
+      ...content,
       thumbnail: thumbnailResult ? {
         url: thumbnailResult.url,
-        publicId: thumbnailResult.key // Store S3 key as publicId for compatibility
+        publicId: thumbnailResult.key // Store the storage key as publicId for compatibility
       } : undefined,
-      duration: parseInt(duration),
-      notes: notes?.trim()
+      duration: parseInt(duration) || LessonTypeService.getDefaultDuration(type, content),
+      notes: notes?.trim(),
+      section: section ? section._id : null,
+      ...accessRules
     });
 
+    if (videoUpload) {
+      await UploadService.markAttached(videoUpload, lesson);
+    }
+
+    // Probe the duration, make a poster and encode HLS in the background
+    if (isVideo) {
+      await VideoProcessingService.queueLesson(lesson);
+    }
+
+    // New lessons go to the end of their section
+    if (section) {
+      await Lesson.resequence(courseId);
+    }
+
     await course.calculateTotalDuration();
     await course.save();
 
@@ -657,7 +851,7 @@ const createLesson = asyncHandler(async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Lesson created successfully',
-      data: { lesson: populatedLesson }
+      data: { lesson: await LessonMediaService.withSignedUrls(populatedLesson) }
     });
 
   } catch (uploadError) {
@@ -669,7 +863,7 @@ const createLesson = asyncHandler(async (req, res) => {
     });
     return res.status(500).json({
       success: false,
-      message: 'Error uploading files to S3',
+      message: 'Error uploading files to storage',
       error: uploadError.message
     });
   }
@@ -698,12 +892,39 @@ const updateLesson = asyncHandler(async (req, res) => {
   // Allow lesson updates but mark course for re-approval if published
   const isPublishedCourse = lesson.course.status === 'published';
 
-  const { title, description, duration, notes } = req.body;
+  const { title, description, duration, notes, order } = req.body;
+
+  if (req.body.type && req.body.type !== lesson.type) {
+    return res.status(400).json({
+      success: false,
+      message: 'A lesson\'s type cannot be changed'
+    });
+  }
+
+  const { content, errors: contentErrors } = LessonTypeService.resolveContent(lesson.type, req.body, { partial: true });
+  if (contentErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: contentErrors[0]
+    });
+  }
 
   if (title) lesson.title = title.trim();
   if (description !== undefined) lesson.description = description.trim();
   if (notes !== undefined) lesson.notes = notes.trim();
   if (duration) lesson.duration = parseInt(duration);
+  if (content.article) lesson.article = content.article;
+  if (content.embed) lesson.embed = content.embed;
+
+  const { rules: accessRules, error: accessRulesError } = await resolveLessonAccessRules(req.body, lesson.course._id);
+  if (accessRulesError) {
+    return res.status(400).json({
+      success: false,
+      message: accessRulesError
+    });
+  }
+  if (accessRules.drip) lesson.drip = accessRules.drip;
+  if (accessRules.prerequisites) lesson.prerequisites = accessRules.prerequisites;
 
   // Handle thumbnail update if provided
   if (req.files && req.files.thumbnail && req.files.thumbnail.length > 0) {
@@ -712,16 +933,16 @@ const updateLesson = asyncHandler(async (req, res) => {
     try {
       // Delete old thumbnail if exists
       if (lesson.thumbnail && lesson.thumbnail.publicId) {
-        await deleteFromS3(lesson.thumbnail.publicId);
+        await deleteFile(lesson.thumbnail.publicId);
       }
 
-      // Upload new thumbnail to S3
-      const thumbnailResult = await uploadToS3(thumbnailFile, 'microcourses/thumbnails');
+      // Upload new thumbnail to storage
+      const thumbnailResult = await uploadFile(thumbnailFile, 'microcourses/thumbnails');
 
       // Update lesson thumbnail
       lesson.thumbnail = {
         url: thumbnailResult.url,
-        publicId: thumbnailResult.key // Store S3 key as publicId for compatibility
+        publicId: thumbnailResult.key // Store the storage key as publicId for compatibility
       };
     } catch (uploadError) {
       console.error('Thumbnail upload error:', uploadError);
@@ -734,12 +955,18 @@ const updateLesson = asyncHandler(async (req, res) => {
 
   await lesson.save();
 
+  // Moving a lesson shifts the ones in between instead of colliding with them
+  if (order && parseInt(order) !== lesson.order) {
+    await Lesson.moveToOrder(lesson, parseInt(order));
+    lesson.order = (await Lesson.findById(lesson._id).select('order')).order;
+  }
+
   if (duration) {
     await lesson.course.calculateTotalDuration();
   }
 
   // If updating lesson in published course, mark course for re-approval
-  if (isPublishedCourse && (title || description)) {
+  if (isPublishedCourse && (title || description || content.article || content.embed)) {
     lesson.course.status = 'pending_review';
     lesson.course.requiresReapproval = true;
     lesson.course.modificationReason = 'Lesson content modified - requires re-approval';
@@ -751,7 +978,7 @@ const updateLesson = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Lesson updated successfully',
-    data: { lesson }
+    data: { lesson: await LessonMediaService.withSignedUrls(lesson) }
   });
 });
 
@@ -783,9 +1010,13 @@ const deleteLesson = asyncHandler(async (req, res) => {
   }
 
   await lesson.deleteOne();
+  await Promise.all(lesson.captions.map(caption => deleteFile(caption.file.publicId)));
+  await LessonResourceService.deleteFiles(lesson);
 
   await lesson.course.calculateTotalDuration();
   await lesson.course.save();
+  // The lesson's transcripts no longer count towards course search
+  await CaptionService.refreshCourseSearchText(lesson.course._id);
 
   res.json({
     success: true,
@@ -813,11 +1044,50 @@ const getCourseAnalytics = asyncHandler(async (req, res) => {
     });
   }
 
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  if (from && to && from > to) {
+    return res.status(400).json({
+      success: false,
+      message: 'from must be before to'
+    });
+  }
+
+  if (req.query.interval && !CourseAnalyticsService.intervals.includes(req.query.interval)) {
+    return res.status(400).json({
+      success: false,
+      message: `interval must be one of: ${CourseAnalyticsService.intervals.join(', ')}`
+    });
+  }
+
+  // Every interval of the range is a point of the time series
+  const rangeStart = from || course.createdAt;
+  const rangeEnd = to || new Date();
+  const interval = req.query.interval || CourseAnalyticsService.defaultInterval(rangeStart, rangeEnd);
+  if (CourseAnalyticsService.bucketCount(rangeStart, rangeEnd, interval) > CourseAnalyticsService.maxBuckets) {
+    return res.status(400).json({
+      success: false,
+      message: `The range is too long for ${interval} intervals (at most ${CourseAnalyticsService.maxBuckets} points); shorten it or pick a longer interval`
+    });
+  }
+
   const totalLessons = await Lesson.countDocuments({ course: course._id });
-  const totalRevenue = (course.enrollmentCount * course.price).toFixed(2);
+  const revenueByCourse = await Order.getRevenueByCourse({ course: course._id });
+  const totalRevenue = (revenueByCourse[course._id.toString()]?.revenue || 0).toFixed(2);
 
-  // Mock completion rate (in real app, calculate from user progress)
-  const completionRate = Math.floor(Math.random() * 40) + 60; // 60-100%
+  const stats = await CourseAnalyticsService.getCourseAnalytics(course, {
+    from,
+    to,
+    interval: req.query.interval
+  });
 
   res.json({
     success: true,
@@ -832,9 +1102,19 @@ const getCourseAnalytics = asyncHandler(async (req, res) => {
       analytics: {
         totalLessons,
         totalRevenue,
-        completionRate,
+        completionRate: stats.completionRate,
         averageRating: course.rating.average,
-        totalRatings: course.rating.count
+        totalRatings: course.rating.count,
+        range: stats.range,
+        enrollments: stats.enrollments,
+        completions: stats.completions,
+        medianProgress: stats.medianProgress,
+        averageProgress: stats.averageProgress,
+        lessonDropOff: stats.lessonDropOff,
+        timeToComplete: stats.timeToComplete,
+        ratingDistribution: stats.ratingDistribution,
+        wishlists: stats.wishlists,
+        timeSeries: stats.timeSeries
       }
     }
   });
@@ -852,13 +1132,14 @@ const uploadVideo = asyncHandler(async (req, res) => {
   }
 
   try {
-    const uploadResult = await uploadToS3(req.file, 'microcourses/videos');
+    const uploadResult = await uploadFile(req.file, 'microcourses/videos', { isPrivate: true });
     
     res.json({
       success: true,
       message: 'Video uploaded successfully',
       data: {
         url: uploadResult.url,
+        previewUrl: await getFileUrl(uploadResult.key, LessonMediaService.urlTtl),
         publicId: uploadResult.key,
         duration: 0 // Video duration would need to be extracted separately if needed
       }
@@ -902,6 +1183,26 @@ const submitCourse = asyncHandler(async (req, res) => {
     });
   }
 
+  // Download lessons need something to download and quiz lessons a quiz to take
+  const emptyDownload = await Lesson.findOne({ course: course._id, isActive: true, type: 'download', 'resources.0': { $exists: false } })
+    .select('title');
+  if (emptyDownload) {
+    return res.status(400).json({
+      success: false,
+      message: `Download lesson "${emptyDownload.title}" has no resources`
+    });
+  }
+
+  const quizLessons = await Lesson.find({ course: course._id, isActive: true, type: 'quiz' }).select('title');
+  const quizzedLessons = await Quiz.distinct('lesson', { course: course._id, isActive: true });
+  const emptyQuiz = quizLessons.find(lesson => !quizzedLessons.some(id => id && id.equals(lesson._id)));
+  if (emptyQuiz) {
+    return res.status(400).json({
+      success: false,
+      message: `Quiz lesson "${emptyQuiz.title}" has no quiz`
+    });
+  }
+
   // Check if course has thumbnail
   if (!course.thumbnail || !course.thumbnail.url) {
     return res.status(400).json({
@@ -952,7 +1253,91 @@ const getLesson = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { lesson }
+    data: { lesson: await LessonMediaService.withSignedUrls(lesson) }
+  });
+});
+
+// Load a lesson of one of the creator's courses, or send 404/403
+const findOwnLesson = async (req, res) => {
+  const lesson = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Lesson.findById(req.params.id).populate('course', 'creator')
+    : null;
+
+  if (!lesson) {
+    res.status(404).json({
+      success: false,
+      message: 'Lesson not found'
+    });
+    return null;
+  }
+
+  if (lesson.course.creator.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this lesson'
+    });
+    return null;
+  }
+
+  return lesson;
+};
+
+// Processing state of a lesson's video, for polling
+const formatProcessing = (lesson) => ({
+  ...lesson.processing.toObject(),
+  videoDuration: lesson.video.duration,
+  duration: lesson.duration,
+  renditions: lesson.video.hls ? lesson.video.hls.renditions : [],
+  thumbnail: lesson.thumbnail
+});
+
+// @desc    Get a lesson's video processing status
+// @route   GET /api/creator/lessons/:id/processing
+// @access  Private (Creator)
+const getLessonProcessing = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  res.json({
+    success: true,
+    data: { processing: formatProcessing(lesson) }
+  });
+});
+
+// @desc    Process a lesson's video again (e.g. after a failure)
+// @route   POST /api/creator/lessons/:id/processing/retry
+// @access  Private (Creator)
+const retryLessonProcessing = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  if (lesson.type !== 'video') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only video lessons are processed'
+    });
+  }
+
+  if (['queued', 'processing'].includes(lesson.processing.status)) {
+    return res.status(409).json({
+      success: false,
+      message: 'This lesson\'s video is already being processed'
+    });
+  }
+
+  if (!(await VideoProcessingService.isAvailable())) {
+    return res.status(503).json({
+      success: false,
+      message: 'Video processing is not available on this server'
+    });
+  }
+
+  await VideoProcessingService.queueLesson(lesson);
+
+  res.status(202).json({
+    success: true,
+    message: 'Video queued for processing',
+    data: { processing: formatProcessing(lesson) }
   });
 });
 
@@ -977,12 +1362,19 @@ const getCourseLessons = asyncHandler(async (req, res) => {
     });
   }
 
-  const lessons = await Lesson.find({ course: courseId, isActive: true })
-    .sort({ order: 1 });
+  const [lessons, sections] = await Promise.all([
+    Lesson.find({ course: courseId, isActive: true }).sort({ order: 1 }),
+    Section.find({ course: courseId }).sort({ order: 1 })
+  ]);
+
+  const signedLessons = await LessonMediaService.withSignedUrlsAll(lessons);
 
   res.json({
     success: true,
-    data: { lessons }
+    data: {
+      lessons: signedLessons,
+      sections: Section.groupLessons(sections, signedLessons).sections
+    }
   });
 });
 
@@ -1008,17 +1400,24 @@ const getStudents = asyncHandler(async (req, res) => {
 
   const courseIds = courses.map(course => course._id);
 
-  // Get all users enrolled in these courses
-  const users = await User.find({
-    'enrolledCourses.course': { $in: courseIds }
-  }).select('name email enrolledCourses avatar');
+  // Get all enrollments in these courses, grouped by learner
+  const courseEnrollments = await Enrollment.find({ course: { $in: courseIds } })
+    .active()
+    .populate('learner', 'name email avatar')
+    .sort({ enrolledAt: -1 });
+
+  const enrollmentsByLearner = new Map();
+  courseEnrollments.forEach(enrollment => {
+    if (!enrollment.learner) return;
+    const key = enrollment.learner._id.toString();
+    if (!enrollmentsByLearner.has(key)) {
+      enrollmentsByLearner.set(key, { user: enrollment.learner, enrollments: [] });
+    }
+    enrollmentsByLearner.get(key).enrollments.push(enrollment);
+  });
 
   // Process student data
-  const students = users.map(user => {
-    const enrollments = user.enrolledCourses.filter(enrollment => 
-      courseIds.includes(enrollment.course)
-    );
-
+  const students = [...enrollmentsByLearner.values()].map(({ user, enrollments }) => {
     return {
       _id: user._id,
       name: user.name,
@@ -1078,28 +1477,25 @@ const getCourseStudents = asyncHandler(async (req, res) => {
   }
 
   // Get all students enrolled in this course
-  const users = await User.find({
-    'enrolledCourses.course': courseId
-  }).select('name email enrolledCourses avatar');
-
-  const students = users.map(user => {
-    const enrollment = user.enrolledCourses.find(e => 
-      e.course.toString() === courseId
-    );
-
-    return {
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      avatar: user.avatar,
+  const enrollments = await Enrollment.find({ course: course._id })
+    .active()
+    .populate('learner', 'name email avatar');
+
+  const students = enrollments
+    .filter(enrollment => enrollment.learner)
+    .map(enrollment => ({
+      _id: enrollment.learner._id,
+      name: enrollment.learner.name,
+      email: enrollment.learner.email,
+      avatar: enrollment.learner.avatar,
       enrolledAt: enrollment.enrolledAt,
       progress: enrollment.progress,
       completedLessons: enrollment.completedLessons.length,
       totalLessons: course.lessons.length,
       certificateIssued: enrollment.certificateIssued,
-      lastActivity: enrollment.enrolledAt // Could be enhanced with actual last activity
-    };
-  });
+      completedAt: enrollment.completedAt,
+      lastActivity: enrollment.lastAccessedAt || enrollment.enrolledAt
+    }));
 
   // Sort by progress (highest first)
   students.sort((a, b) => b.progress - a.progress);
@@ -1139,6 +1535,7 @@ const getStudentAnalytics = asyncHandler(async (req, res) => {
         totalEnrollments: 0,
         averageProgress: 0,
         completionRate: 0,
+        totalWishlists: 0,
         studentsByCourse: [],
         monthlyEnrollments: []
       }
@@ -1146,56 +1543,33 @@ const getStudentAnalytics = asyncHandler(async (req, res) => {
   }
 
   // Get enrollment statistics
-  const users = await User.find({
-    'enrolledCourses.course': { $in: courseIds }
-  }).select('enrolledCourses');
+  const enrollments = await Enrollment.find({ course: { $in: courseIds } })
+    .active()
+    .select('learner course progress certificateIssued');
 
-  let totalStudents = 0;
-  let totalEnrollments = 0;
-  let totalProgress = 0;
-  let completedCourses = 0;
+  // Learners who saved a course but haven't enrolled yet
+  const wishlistsByCourse = await WishlistItem.countByCourse(courseIds);
 
   const studentsByCourse = courses.map(course => {
-    const courseEnrollments = users.filter(user => 
-      user.enrolledCourses.some(e => e.course.toString() === course._id.toString())
-    );
-
-    const courseStats = courseEnrollments.reduce((stats, user) => {
-      const enrollment = user.enrolledCourses.find(e => 
-        e.course.toString() === course._id.toString()
-      );
-      
-      stats.totalEnrollments++;
-      stats.totalProgress += enrollment.progress;
-      if (enrollment.certificateIssued) stats.completed++;
-      
-      return stats;
-    }, { totalEnrollments: 0, totalProgress: 0, completed: 0 });
+    const courseEnrollments = enrollments.filter(e => e.course.toString() === course._id.toString());
+    const totalProgress = courseEnrollments.reduce((sum, e) => sum + e.progress, 0);
 
     return {
       courseId: course._id,
       courseTitle: course.title,
       totalStudents: courseEnrollments.length,
-      totalEnrollments: courseStats.totalEnrollments,
-      averageProgress: courseStats.totalEnrollments > 0 ? 
-        courseStats.totalProgress / courseStats.totalEnrollments : 0,
-      completedStudents: courseStats.completed
+      totalEnrollments: courseEnrollments.length,
+      averageProgress: courseEnrollments.length > 0 ? totalProgress / courseEnrollments.length : 0,
+      completedStudents: courseEnrollments.filter(e => e.certificateIssued).length,
+      wishlistCount: wishlistsByCourse[course._id.toString()] || 0
     };
   });
 
   // Calculate overall statistics
-  users.forEach(user => {
-    const creatorEnrollments = user.enrolledCourses.filter(e => 
-      courseIds.includes(e.course)
-    );
-    
-    if (creatorEnrollments.length > 0) {
-      totalStudents++;
-      totalEnrollments += creatorEnrollments.length;
-      totalProgress += creatorEnrollments.reduce((sum, e) => sum + e.progress, 0);
-      completedCourses += creatorEnrollments.filter(e => e.certificateIssued).length;
-    }
-  });
+  const totalStudents = new Set(enrollments.map(e => e.learner.toString())).size;
+  const totalEnrollments = enrollments.length;
+  const totalProgress = enrollments.reduce((sum, e) => sum + e.progress, 0);
+  const completedCourses = enrollments.filter(e => e.certificateIssued).length;
 
   res.status(200).json({
     success: true,
@@ -1204,6 +1578,7 @@ const getStudentAnalytics = asyncHandler(async (req, res) => {
       totalEnrollments,
       averageProgress: totalEnrollments > 0 ? totalProgress / totalEnrollments : 0,
       completionRate: totalEnrollments > 0 ? (completedCourses / totalEnrollments) * 100 : 0,
+      totalWishlists: Object.values(wishlistsByCourse).reduce((sum, count) => sum + count, 0),
       studentsByCourse,
       monthlyEnrollments: [] // Could be enhanced with actual monthly data
     }
@@ -1227,6 +1602,8 @@ module.exports = {
   uploadVideo,
   submitCourse,
   getLesson,
+  getLessonProcessing,
+  retryLessonProcessing,
   getCourseLessons,
   getStudents,
   getCourseStudents,
@@ -0,0 +1,114 @@
+const asyncHandler = require('express-async-handler');
+const { getStorage } = require('../services/storage');
+const { RASTER_IMAGE_TYPES } = require('../config/upload');
+
+// Shown in the browser; anything else (SVG, HTML, PDFs, documents) is downloaded, sandboxed,
+// so an uploaded file can't run script on the API origin
+const isInlineType = contentType => Boolean(contentType) &&
+  (RASTER_IMAGE_TYPES.includes(contentType) || /^(video|audio)\//.test(contentType));
+
+// @desc    Serve a file from local storage
+// @route   GET /api/files/*
+// @access  Public (private files need an unexpired signed link)
+const serveFile = asyncHandler(async (req, res) => {
+  const storage = getStorage();
+  const key = req.params[0];
+
+  // Only the local driver serves files itself; S3 URLs point at the bucket.
+  // Dot-segments hold metadata and unfinished uploads, never files.
+  if (storage.name !== 'local' || !key || key.endsWith('.meta.json') || key.split('/').some(part => part.startsWith('.'))) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  let info = null;
+  try {
+    info = await storage.head(key);
+  } catch (error) {
+    info = null;
+  }
+
+  if (!info) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  if (info.isPrivate && !storage.verifySignature(key, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  // Let the frontend (another origin) play and display the files
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', info.isPrivate ? 'private, no-store' : 'public, max-age=86400');
+  res.set('X-Content-Type-Options', 'nosniff');
+  if (!isInlineType(info.contentType)) {
+    res.attachment(key.split('/').pop());
+    res.set('Content-Security-Policy', 'sandbox');
+  }
+  // After attachment(), which sets a type from the file extension
+  if (info.contentType) {
+    res.type(info.contentType);
+  }
+
+  // sendFile handles Range requests, so videos can seek
+  res.sendFile(storage.resolvePath(key));
+});
+
+// @desc    Receive one part of a multipart upload into local storage
+// @route   PUT /api/files/multipart/:uploadId/:partNumber
+// @access  Public (needs an unexpired signed part URL from POST /api/creator/uploads/:id/parts)
+const uploadPart = asyncHandler(async (req, res) => {
+  const storage = getStorage();
+  const { uploadId } = req.params;
+  const partNumber = parseInt(req.params.partNumber);
+
+  if (storage.name !== 'local') {
+    return res.status(404).json({
+      success: false,
+      message: 'Not found'
+    });
+  }
+
+  if (!storage.verifyPartSignature(uploadId, req.params.partNumber, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  let etag;
+  try {
+    // The body is streamed to disk as it arrives
+    etag = await storage.writePart(uploadId, partNumber, req);
+  } catch (error) {
+    if (error.name === 'EntityTooLarge') {
+      return res.status(413).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name !== 'NoSuchUpload') throw error;
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  res.set('ETag', etag);
+  res.json({
+    success: true,
+    data: { partNumber, etag }
+  });
+});
+
+module.exports = {
+  serveFile,
+  uploadPart
+};
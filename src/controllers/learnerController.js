@@ -1,9 +1,15 @@
 const asyncHandler = require('express-async-handler');
-const User = require('../models/User');
 const Course = require('../models/Course');
 const Lesson = require('../models/Lesson');
 const Certificate = require('../models/Certificate');
+const CertificateTemplate = require('../models/CertificateTemplate');
+const Enrollment = require('../models/Enrollment');
+const Section = require('../models/Section');
 const CertificateService = require('../services/certificateService');
+const EnrollmentService = require('../services/enrollmentService');
+const LessonAccessService = require('../services/lessonAccessService');
+const LessonMediaService = require('../services/lessonMediaService');
+const LessonTypeService = require('../services/lessonTypeService');
 
 // @desc    Enroll in a course
 // @route   POST /api/learner/courses/:id/enroll
@@ -44,39 +50,35 @@ const enrollInCourse = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is already enrolled
-  const user = await User.findById(userId);
-  const isAlreadyEnrolled = user.enrolledCourses.some(
-    enrollment => enrollment.course.toString() === courseId
-  );
-
-  if (isAlreadyEnrolled) {
+  // Check if already enrolled
+  if (await EnrollmentService.isEnrolled(userId, courseId)) {
     return res.status(400).json({
       success: false,
       message: 'You are already enrolled in this course'
     });
   }
 
-  // Enroll user in course
-  user.enrolledCourses.push({
-    course: courseId,
-    enrolledAt: new Date(),
-    progress: 0,
-    completedLessons: [],
-    certificateIssued: false
-  });
-
-  await user.save();
+  // Paid courses are only unlocked by a successful checkout
+  if (course.price > 0) {
+    return res.status(402).json({
+      success: false,
+      message: 'This course requires payment. Start a checkout to enroll.',
+      data: {
+        courseId,
+        price: course.price,
+        checkout: 'POST /api/payments/checkout'
+      }
+    });
+  }
 
-  // Update course enrollment count
-  await course.updateEnrollmentCount();
+  const { enrollment } = await EnrollmentService.enroll(userId, course);
 
   res.status(201).json({
     success: true,
     message: 'Successfully enrolled in course',
     data: {
       courseId,
-      enrolledAt: new Date()
+      enrolledAt: enrollment.enrolledAt
     }
   });
 });
@@ -89,10 +91,7 @@ const completeLesson = asyncHandler(async (req, res) => {
   const userId = req.user._id;
 
   // Check if user is enrolled in the course
-  const user = await User.findById(userId);
-  const enrollment = user.enrolledCourses.find(
-    enrollment => enrollment.course.toString() === courseId
-  );
+  const enrollment = await EnrollmentService.getEnrollment(userId, courseId);
 
   if (!enrollment) {
     return res.status(404).json({
@@ -116,39 +115,36 @@ const completeLesson = asyncHandler(async (req, res) => {
   }
 
   // Check if lesson is already completed
-  if (enrollment.completedLessons.includes(lessonId)) {
+  if (enrollment.hasCompletedLesson(lessonId)) {
     return res.status(400).json({
       success: false,
       message: 'Lesson already completed'
     });
   }
 
-  // Add lesson to completed lessons
-  enrollment.completedLessons.push(lessonId);
+  const availability = await LessonAccessService.getLessonAvailability(lesson, enrollment);
+  if (availability.isLocked) {
+    return res.status(403).json({
+      success: false,
+      message: LessonAccessService.getLockMessage(availability),
+      data: { availability }
+    });
+  }
+
+  const course = await Course.findById(courseId);
 
-  // Calculate new progress
-  const course = await Course.findById(courseId).populate('lessons');
-  const totalLessons = course.lessons.length;
-  const completedLessons = enrollment.completedLessons.length;
-  enrollment.progress = totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0;
-
-  // Check if course is completed (100% progress)
-  if (enrollment.progress === 100 && !enrollment.certificateIssued) {
-    try {
-      // Generate certificate using the static method
-      console.log('Generating certificate for user:', user._id, 'course:', courseId);
-      const certificate = await Certificate.generateCertificate(user, courseId);
-      console.log('Certificate generated successfully:', certificate.serialHash);
-      
-      enrollment.certificateIssued = true;
-      enrollment.certificateHash = certificate.serialHash;
-    } catch (error) {
-      console.error('Error generating certificate:', error);
-      // Don't fail the lesson completion if certificate generation fails
-    }
+  // Each lesson type has its own rule (read the article, pass the quiz...)
+  const blocker = await LessonTypeService.getCompletionBlocker(lesson, userId, course);
+  if (blocker) {
+    return res.status(400).json({
+      success: false,
+      message: blocker.message,
+      data: blocker.data
+    });
   }
 
-  await user.save();
+  // Update progress and complete the course (and issue the certificate) once everything required is done
+  const { completed, pendingQuizzes } = await EnrollmentService.completeLesson(enrollment, lesson, req.user, course);
 
   res.status(200).json({
     success: true,
@@ -156,8 +152,9 @@ const completeLesson = asyncHandler(async (req, res) => {
     data: {
       lessonId,
       progress: enrollment.progress,
-      courseCompleted: enrollment.progress === 100,
-      certificateIssued: enrollment.certificateIssued
+      courseCompleted: completed,
+      certificateIssued: enrollment.certificateIssued,
+      pendingQuizzes
     }
   });
 });
@@ -166,19 +163,21 @@ const completeLesson = asyncHandler(async (req, res) => {
 // @route   GET /api/learner/courses
 // @access  Private (Learner)
 const getEnrolledCourses = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id)
+  const enrollments = await Enrollment.find({ learner: req.user._id })
+    .active()
     .populate({
-      path: 'enrolledCourses.course',
+      path: 'course',
       select: 'title description thumbnail category level duration rating enrollmentCount creator',
       populate: {
         path: 'creator',
         select: 'name'
       }
-    });
+    })
+    .sort({ enrolledAt: -1 });
 
   res.status(200).json({
     success: true,
-    data: user.enrolledCourses
+    data: enrollments
   });
 });
 
@@ -187,11 +186,7 @@ const getEnrolledCourses = asyncHandler(async (req, res) => {
 // @access  Private (Learner)
 const getCourseProgress = asyncHandler(async (req, res) => {
   const courseId = req.params.id;
-  const user = await User.findById(req.user._id);
-
-  const enrollment = user.enrolledCourses.find(
-    enrollment => enrollment.course.toString() === courseId
-  );
+  const enrollment = await EnrollmentService.getEnrollment(req.user._id, courseId);
 
   if (!enrollment) {
     return res.status(404).json({
@@ -202,11 +197,25 @@ const getCourseProgress = asyncHandler(async (req, res) => {
 
   // Get course with lessons
   const course = await Course.findById(courseId).populate('lessons');
+  const sections = await Section.find({ course: courseId }).sort({ order: 1 });
   
   const totalLessons = course.lessons.length;
   const completedLessonsCount = enrollment.completedLessons.length;
   const progress = totalLessons > 0 ? Math.round((completedLessonsCount / totalLessons) * 100) : 0;
 
+  // Progress per section
+  const sectionProgress = Section.groupLessons(sections, course.lessons).sections.map(section => {
+    const completed = section.lessons.filter(lesson => enrollment.hasCompletedLesson(lesson._id)).length;
+    return {
+      _id: section._id,
+      title: section.title,
+      order: section.order,
+      totalLessons: section.lessonCount,
+      completedLessons: completed,
+      progress: section.lessonCount > 0 ? Math.round((completed / section.lessonCount) * 100) : 0
+    };
+  });
+
   res.status(200).json({
     success: true,
     data: {
@@ -214,7 +223,9 @@ const getCourseProgress = asyncHandler(async (req, res) => {
       totalLessons,
       completedLessons: enrollment.completedLessons, // Return the array of lesson IDs
       progress,
+      sections: sectionProgress,
       enrolledAt: enrollment.enrolledAt,
+      courseCompleted: enrollment.status === 'completed',
       certificateIssued: enrollment.certificateIssued
     }
   });
@@ -225,11 +236,7 @@ const getCourseProgress = asyncHandler(async (req, res) => {
 // @access  Private (Learner)
 const getCertificate = asyncHandler(async (req, res) => {
   const courseId = req.params.id;
-  const user = await User.findById(req.user._id);
-
-  const enrollment = user.enrolledCourses.find(
-    enrollment => enrollment.course.toString() === courseId
-  );
+  const enrollment = await EnrollmentService.getEnrollment(req.user._id, courseId);
 
   if (!enrollment) {
     return res.status(404).json({
@@ -259,6 +266,13 @@ const getCertificate = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!certificate.isValid) {
+    return res.status(403).json({
+      success: false,
+      message: 'This certificate has been revoked'
+    });
+  }
+
   // Generate PDF certificate
   try {
     const certificateData = {
@@ -269,10 +283,12 @@ const getCertificate = asyncHandler(async (req, res) => {
       completionDate: certificate.completionDate,
       serialHash: certificate.serialHash,
       grade: certificate.grade,
-      issuedByName: certificate.issuedBy?.name || 'MicroCourses Platform'
+      issuedByName: certificate.issuedBy?.name || 'MicroCourses Platform',
+      signatureKeyId: certificate.signatureKeyId
     };
 
-    const pdfBuffer = await CertificateService.generatePDFCertificate(certificateData);
+    const template = await CertificateTemplate.findForCertificate(certificate);
+    const pdfBuffer = await CertificateService.generatePDFCertificate(certificateData, template);
 
     // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
@@ -293,18 +309,18 @@ const getCertificate = asyncHandler(async (req, res) => {
 // @route   GET /api/learner/recommendations
 // @access  Private (Learner)
 const getRecommendations = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
-  
+  const enrolledCourseIds = await Enrollment.find({ learner: req.user._id }).active().distinct('course');
+
   // Get enrolled course categories
   const enrolledCourses = await Course.find({
-    _id: { $in: user.enrolledCourses.map(e => e.course) }
+    _id: { $in: enrolledCourseIds }
   }).select('category');
 
   const enrolledCategories = [...new Set(enrolledCourses.map(c => c.category))];
 
   // Find courses in similar categories that user hasn't enrolled in
   const recommendations = await Course.find({
-    _id: { $nin: user.enrolledCourses.map(e => e.course) },
+    _id: { $nin: enrolledCourseIds },
     category: { $in: enrolledCategories },
     status: 'published',
     isActive: true
@@ -316,7 +332,7 @@ const getRecommendations = asyncHandler(async (req, res) => {
   // If no category-based recommendations, get popular courses
   if (recommendations.length < 5) {
     const popularCourses = await Course.find({
-      _id: { $nin: user.enrolledCourses.map(e => e.course) },
+      _id: { $nin: enrolledCourseIds },
       status: 'published',
       isActive: true
     })
@@ -337,16 +353,16 @@ const getRecommendations = asyncHandler(async (req, res) => {
 // @route   GET /api/learner/stats
 // @access  Private (Learner)
 const getLearningStats = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id);
-  
-  const totalEnrolled = user.enrolledCourses.length;
-  const completedCourses = user.enrolledCourses.filter(e => e.certificateIssued).length;
-  const totalCompletedLessons = user.enrolledCourses.reduce(
+  const enrollments = await Enrollment.find({ learner: req.user._id }).active();
+
+  const totalEnrolled = enrollments.length;
+  const completedCourses = enrollments.filter(e => e.certificateIssued).length;
+  const totalCompletedLessons = enrollments.reduce(
     (total, enrollment) => total + enrollment.completedLessons.length, 0
   );
 
   // Calculate total learning time
-  const enrolledCourseIds = user.enrolledCourses.map(e => e.course);
+  const enrolledCourseIds = enrollments.map(e => e.course);
   const courses = await Course.find({ _id: { $in: enrolledCourseIds } });
   const totalLearningTime = courses.reduce((total, course) => total + course.duration, 0);
 
@@ -359,7 +375,7 @@ const getLearningStats = asyncHandler(async (req, res) => {
       totalCompletedLessons,
       totalLearningTime, // in minutes
       averageProgress: totalEnrolled > 0 ? 
-        user.enrolledCourses.reduce((sum, e) => sum + e.progress, 0) / totalEnrolled : 0
+        enrollments.reduce((sum, e) => sum + e.progress, 0) / totalEnrolled : 0
     }
   });
 });
@@ -380,11 +396,8 @@ const getCourseLessons = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user is enrolled by looking at user's enrolledCourses
-  const user = await User.findById(userId);
-  const enrollment = user.enrolledCourses.find(
-    enrollment => enrollment.course.toString() === courseId.toString()
-  );
+  // Check if user is enrolled
+  const enrollment = await EnrollmentService.getEnrollment(userId, courseId);
 
   if (!enrollment) {
     return res.status(403).json({
@@ -393,15 +406,28 @@ const getCourseLessons = asyncHandler(async (req, res) => {
     });
   }
 
-  // Get lessons for the course
-  const lessons = await Lesson.find({ 
-    course: courseId, 
-    isActive: true 
-  }).sort({ order: 1 });
+  // Get lessons and sections for the course
+  const [courseLessons, sections] = await Promise.all([
+    Lesson.find({ course: courseId, isActive: true }).sort({ order: 1 }),
+    Section.find({ course: courseId }).sort({ order: 1 })
+  ]);
+
+  // Attach each lesson's availability; locked lessons don't expose their content
+  const availability = await LessonAccessService.getAvailability(courseLessons, enrollment);
+  const lessons = await Promise.all(courseLessons.map(async lesson => {
+    const lessonAvailability = availability[lesson._id.toString()];
+    const view = lessonAvailability.isLocked
+      ? LessonAccessService.toLockedView(lesson)
+      : await LessonMediaService.withSignedUrls(lesson);
+    return { ...view, availability: lessonAvailability };
+  }));
 
   res.json({
     success: true,
-    data: { lessons }
+    data: {
+      lessons,
+      sections: Section.groupLessons(sections, lessons).sections
+    }
   });
 });
 
@@ -410,11 +436,7 @@ const getCourseLessons = asyncHandler(async (req, res) => {
 // @access  Private (Learner)
 const getCertificatePreview = asyncHandler(async (req, res) => {
   const courseId = req.params.id;
-  const user = await User.findById(req.user._id);
-
-  const enrollment = user.enrolledCourses.find(
-    enrollment => enrollment.course.toString() === courseId
-  );
+  const enrollment = await EnrollmentService.getEnrollment(req.user._id, courseId);
 
   if (!enrollment) {
     return res.status(404).json({
@@ -444,6 +466,13 @@ const getCertificatePreview = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!certificate.isValid) {
+    return res.status(403).json({
+      success: false,
+      message: 'This certificate has been revoked'
+    });
+  }
+
   // Generate HTML certificate
   const certificateData = {
     learnerName: certificate.learner.name,
@@ -453,10 +482,12 @@ const getCertificatePreview = asyncHandler(async (req, res) => {
     completionDate: certificate.completionDate,
     serialHash: certificate.serialHash,
     grade: certificate.grade,
-    issuedByName: certificate.issuedBy?.name || 'MicroCourses Platform'
+    issuedByName: certificate.issuedBy?.name || 'MicroCourses Platform',
+    signatureKeyId: certificate.signatureKeyId
   };
 
-  const htmlCertificate = await CertificateService.generateCertificateHTML(certificateData);
+  const template = await CertificateTemplate.findForCertificate(certificate);
+  const htmlCertificate = await CertificateService.generateCertificateHTML(certificateData, template);
 
   res.setHeader('Content-Type', 'text/html');
   res.send(htmlCertificate);
@@ -1,7 +1,12 @@
 const asyncHandler = require('express-async-handler');
 const Lesson = require('../models/Lesson');
 const Course = require('../models/Course');
-const { deleteFromS3 } = require('../config/s3');
+const WatchProgress = require('../models/WatchProgress');
+const EnrollmentService = require('../services/enrollmentService');
+const LessonAccessService = require('../services/lessonAccessService');
+const LessonMediaService = require('../services/lessonMediaService');
+const LessonTypeService = require('../services/lessonTypeService');
+const { deleteFile } = require('../services/storage');
 
 // @desc    Get lessons for a course
 // @route   GET /api/courses/:courseId/lessons
@@ -65,6 +70,7 @@ const getLesson = asyncHandler(async (req, res) => {
 
   // Check access permissions
   let canAccess = false;
+  let enrollment = null;
   
   if (req.user.role === 'admin') {
     canAccess = true;
@@ -72,10 +78,8 @@ const getLesson = asyncHandler(async (req, res) => {
     canAccess = true;
   } else if (lesson.course.status === 'published') {
     // Check if user is enrolled in the course
-    const user = await req.user.populate('enrolledCourses.course');
-    canAccess = user.enrolledCourses.some(
-      enrollment => enrollment.course._id.toString() === lesson.course._id.toString()
-    );
+    enrollment = await EnrollmentService.getEnrollment(req.user._id, lesson.course._id);
+    canAccess = Boolean(enrollment);
   }
 
   if (!canAccess) {
@@ -85,9 +89,28 @@ const getLesson = asyncHandler(async (req, res) => {
     });
   }
 
+  // Learners only see lessons that are released and whose prerequisites are done
+  let watchProgress = null;
+  if (enrollment) {
+    const availability = await LessonAccessService.getLessonAvailability(lesson, enrollment);
+    if (availability.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: LessonAccessService.getLockMessage(availability),
+        data: { availability }
+      });
+    }
+
+    watchProgress = await WatchProgress.findOne({ learner: req.user._id, lesson: lesson._id });
+  }
+
   res.json({
     success: true,
-    data: { lesson }
+    data: {
+      lesson: await LessonMediaService.withSignedUrls(lesson),
+      resumePosition: watchProgress ? watchProgress.getResumePosition() : 0,
+      watchPercentage: watchProgress ? watchProgress.watchPercentage : 0
+    }
   });
 });
 
@@ -162,7 +185,7 @@ const createLesson = asyncHandler(async (req, res) => {
     // If lesson creation fails, delete uploaded video
     if (req.file && req.file.filename) {
       try {
-        await deleteFromS3(req.file.filename);
+        await deleteFile(req.file.filename);
       } catch (deleteError) {
         console.error('Error deleting video after failed lesson creation:', deleteError);
       }
@@ -208,29 +231,14 @@ const updateLesson = asyncHandler(async (req, res) => {
   if (notes !== undefined) lesson.notes = notes.trim();
   if (duration) lesson.duration = parseInt(duration);
 
-  // Handle order change
-  if (order && parseInt(order) !== lesson.order) {
-    const newOrder = parseInt(order);
-    
-    // Check if new order is already taken
-    const existingLesson = await Lesson.findOne({
-      course: lesson.course._id,
-      order: newOrder,
-      _id: { $ne: lesson._id }
-    });
-
-    if (existingLesson) {
-      return res.status(400).json({
-        success: false,
-        message: `Lesson with order ${newOrder} already exists`
-      });
-    }
+  await lesson.save();
 
-    lesson.order = newOrder;
+  // Moving a lesson shifts the ones in between instead of colliding with them
+  if (order && parseInt(order) !== lesson.order) {
+    await Lesson.moveToOrder(lesson, parseInt(order));
+    lesson.order = (await Lesson.findById(lesson._id).select('order')).order;
   }
 
-  await lesson.save();
-
   // Update course duration if lesson duration changed
   if (duration) {
     await lesson.course.calculateTotalDuration();
@@ -273,12 +281,12 @@ const deleteLesson = asyncHandler(async (req, res) => {
     });
   }
 
-  // Delete video from S3
+  // Delete video from storage
   if (lesson.video.publicId) {
     try {
-      await deleteFromS3(lesson.video.publicId);
+      await deleteFile(lesson.video.publicId);
     } catch (error) {
-      console.error('Error deleting video from S3:', error);
+      console.error('Error deleting video from storage:', error);
     }
   }
 
@@ -295,11 +303,11 @@ const deleteLesson = asyncHandler(async (req, res) => {
 });
 
 // @desc    Reorder lessons
-// @route   PUT /api/courses/:courseId/lessons/reorder
+// @route   PUT /api/creator/courses/:courseId/lessons/reorder
 // @access  Private (Creator/Admin)
 const reorderLessons = asyncHandler(async (req, res) => {
   const { courseId } = req.params;
-  const { lessonOrders } = req.body; // Array of { lessonId, order }
+  const { lessonIds } = req.body; // Every lesson of the course, in the new order
 
   const course = await Course.findById(courseId);
   if (!course) {
@@ -317,20 +325,29 @@ const reorderLessons = asyncHandler(async (req, res) => {
     });
   }
 
-  if (!Array.isArray(lessonOrders)) {
+  const lessons = await Lesson.find({ course: courseId }).sort({ order: 1 }).select('_id isActive');
+  const activeIds = new Set(lessons.filter(lesson => lesson.isActive).map(lesson => lesson._id.toString()));
+  const requested = Array.isArray(lessonIds) ? lessonIds.map(String) : [];
+
+  // The new order must list every active lesson of the course exactly once
+  if (requested.length !== activeIds.size ||
+      new Set(requested).size !== requested.length ||
+      !requested.every(id => activeIds.has(id))) {
     return res.status(400).json({
       success: false,
-      message: 'lessonOrders must be an array'
+      message: 'lessonIds must list every lesson of the course exactly once'
     });
   }
 
-  // Update lesson orders
-  for (const { lessonId, order } of lessonOrders) {
-    await Lesson.findByIdAndUpdate(lessonId, { order: parseInt(order) });
-  }
+  // Inactive lessons keep their relative order after the active ones
+  const inactiveIds = lessons.filter(lesson => !lesson.isActive).map(lesson => lesson._id.toString());
+
+  await Lesson.applyOrder(course._id, [...requested, ...inactiveIds]);
+  // Lessons stay grouped by section; the list decides the order within each section
+  await Lesson.resequence(course._id);
 
   // Get updated lessons
-  const lessons = await Lesson.find({ 
+  const updatedLessons = await Lesson.find({ 
     course: courseId, 
     isActive: true 
   }).sort({ order: 1 });
@@ -338,7 +355,7 @@ const reorderLessons = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Lessons reordered successfully',
-    data: { lessons }
+    data: { lessons: updatedLessons }
   });
 });
 
@@ -358,12 +375,8 @@ const markLessonComplete = asyncHandler(async (req, res) => {
     });
   }
 
-  const user = await User.findById(userId);
-  
   // Check if user is enrolled in the course
-  const enrollment = user.enrolledCourses.find(
-    e => e.course.toString() === lesson.course._id.toString()
-  );
+  const enrollment = await EnrollmentService.getEnrollment(userId, lesson.course._id);
 
   if (!enrollment) {
     return res.status(400).json({
@@ -373,40 +386,37 @@ const markLessonComplete = asyncHandler(async (req, res) => {
   }
 
   // Check if lesson is already completed
-  if (enrollment.completedLessons.includes(lessonId)) {
+  if (enrollment.hasCompletedLesson(lessonId)) {
     return res.status(400).json({
       success: false,
       message: 'Lesson already marked as complete'
     });
   }
 
-  // Add lesson to completed lessons
-  enrollment.completedLessons.push(lessonId);
-
-  // Calculate new progress
-  const totalLessons = await Lesson.countDocuments({ 
-    course: lesson.course._id, 
-    isActive: true 
-  });
-  
-  const completedCount = enrollment.completedLessons.length;
-  enrollment.progress = Math.round((completedCount / totalLessons) * 100);
+  const availability = await LessonAccessService.getLessonAvailability(lesson, enrollment);
+  if (availability.isLocked) {
+    return res.status(403).json({
+      success: false,
+      message: LessonAccessService.getLockMessage(availability),
+      data: { availability }
+    });
+  }
 
-  // Check if course is completed (100% progress)
-  if (enrollment.progress === 100 && !enrollment.certificateIssued) {
-    enrollment.certificateIssued = true;
-    
-    // Generate certificate
-    const Certificate = require('../models/Certificate');
-    await Certificate.create({
-      user: userId,
-      course: lesson.course._id,
-      completedAt: new Date(),
-      certificateHash: require('crypto').randomBytes(32).toString('hex')
+  // Each lesson type has its own rule (read the article, pass the quiz...)
+  const blocker = await LessonTypeService.getCompletionBlocker(lesson, userId, lesson.course);
+  if (blocker) {
+    return res.status(400).json({
+      success: false,
+      message: blocker.message,
+      data: blocker.data
     });
   }
 
-  await user.save();
+  // Update progress and complete the course (and issue the certificate) once everything required is done
+  const { completed, pendingQuizzes, totalLessons } = await EnrollmentService.completeLesson(
+    enrollment, lesson, req.user, lesson.course
+  );
+  const completedCount = enrollment.completedLessons.length;
 
   res.json({
     success: true,
@@ -415,7 +425,143 @@ const markLessonComplete = asyncHandler(async (req, res) => {
       progress: enrollment.progress,
       completedLessons: completedCount,
       totalLessons,
-      certificateIssued: enrollment.certificateIssued
+      courseCompleted: completed,
+      certificateIssued: enrollment.certificateIssued,
+      pendingQuizzes
+    }
+  });
+});
+
+// @desc    Record playback: video position and watched intervals, or reading progress for articles
+// @route   POST /api/lessons/:id/heartbeat
+// @access  Private (Learner)
+const recordHeartbeat = asyncHandler(async (req, res) => {
+  const lesson = await Lesson.findOne({ _id: req.params.id, isActive: true }).populate('course');
+
+  if (!lesson) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lesson not found'
+    });
+  }
+
+  const isArticle = lesson.type === 'article';
+
+  if (!lesson.hasPlayback() && !isArticle) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only video and article lessons record progress'
+    });
+  }
+
+  const { position, intervals = [], scrollPercentage, activeSeconds = 0 } = req.body;
+
+  if (isArticle) {
+    if (scrollPercentage === undefined || isNaN(scrollPercentage) ||
+        Number(scrollPercentage) < 0 || Number(scrollPercentage) > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scroll percentage must be a number between 0 and 100'
+      });
+    }
+
+    if (isNaN(activeSeconds) || Number(activeSeconds) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Active seconds must be a number of seconds (0 or more)'
+      });
+    }
+  } else {
+    if (position === undefined || isNaN(position) || Number(position) < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Position must be a number of seconds (0 or more)'
+      });
+    }
+
+    if (!Array.isArray(intervals) || intervals.length > 100 ||
+        !intervals.every(i => i && !isNaN(i.start) && !isNaN(i.end))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Intervals must be an array of up to 100 { start, end } in seconds'
+      });
+    }
+  }
+
+  const enrollment = await EnrollmentService.getEnrollment(req.user._id, lesson.course._id);
+
+  if (!enrollment) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You must be enrolled in this course to view lessons.'
+    });
+  }
+
+  const availability = await LessonAccessService.getLessonAvailability(lesson, enrollment);
+  if (availability.isLocked) {
+    return res.status(403).json({
+      success: false,
+      message: LessonAccessService.getLockMessage(availability),
+      data: { availability }
+    });
+  }
+
+  const watchProgress = await WatchProgress.upsertFor(req.user._id, lesson);
+
+  if (isArticle) {
+    watchProgress.recordReading({
+      scrollPercentage: Number(scrollPercentage),
+      activeSeconds: Number(activeSeconds),
+      readingSeconds: ((lesson.article && lesson.article.readingTime) || lesson.duration) * 60
+    });
+  } else {
+    watchProgress.recordHeartbeat({
+      position: Number(position),
+      intervals,
+      duration: lesson.getVideoDuration()
+    });
+  }
+
+  // Articles complete once read; videos optionally once enough has been watched
+  const autoCompletePercent = parseFloat(process.env.LESSON_AUTO_COMPLETE_PERCENT) || 0;
+  const isFinished = isArticle
+    ? LessonTypeService.hasReadArticle(lesson, watchProgress)
+    : autoCompletePercent > 0 && watchProgress.watchPercentage >= autoCompletePercent;
+  let autoCompleted = false;
+  let courseCompleted = enrollment.status === 'completed';
+  let pendingQuizzes = [];
+
+  if (isFinished && !enrollment.hasCompletedLesson(lesson._id)) {
+    // Quizzes the course requires (or a quiz lesson's own) still have to be passed first
+    const blocker = await LessonTypeService.getCompletionBlocker(lesson, req.user._id, lesson.course, { watchProgress });
+
+    if (blocker) {
+      pendingQuizzes = blocker.data.pendingQuizzes || [];
+    } else {
+      const result = await EnrollmentService.completeLesson(enrollment, lesson, req.user, lesson.course);
+      autoCompleted = true;
+      courseCompleted = result.completed;
+      pendingQuizzes = result.pendingQuizzes;
+      watchProgress.autoCompletedAt = new Date();
+    }
+  }
+
+  await watchProgress.save();
+
+  res.json({
+    success: true,
+    data: {
+      position: watchProgress.position,
+      resumePosition: watchProgress.getResumePosition(),
+      watchedSeconds: watchProgress.watchedSeconds,
+      duration: watchProgress.duration,
+      watchPercentage: watchProgress.watchPercentage,
+      scrollPercentage: watchProgress.scrollPercentage,
+      lessonCompleted: enrollment.hasCompletedLesson(lesson._id),
+      autoCompleted,
+      progress: enrollment.progress,
+      courseCompleted,
+      pendingQuizzes
     }
   });
 });
@@ -436,11 +582,7 @@ const getLessonProgress = asyncHandler(async (req, res) => {
     });
   }
 
-  const user = await User.findById(userId);
-  
-  const enrollment = user.enrolledCourses.find(
-    e => e.course.toString() === lesson.course._id.toString()
-  );
+  const enrollment = await EnrollmentService.getEnrollment(userId, lesson.course._id);
 
   if (!enrollment) {
     return res.status(400).json({
@@ -449,7 +591,7 @@ const getLessonProgress = asyncHandler(async (req, res) => {
     });
   }
 
-  const isCompleted = enrollment.completedLessons.includes(lessonId);
+  const isCompleted = enrollment.hasCompletedLesson(lessonId);
 
   res.json({
     success: true,
@@ -461,6 +603,37 @@ const getLessonProgress = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get a lesson's HLS playlist with signed URLs
+// @route   GET /api/lessons/:id/hls/*
+// @access  Public (needs the signed video.hlsUrl from a lesson response)
+const getHlsPlaylist = asyncHandler(async (req, res) => {
+  const { expires, signature } = req.query;
+
+  if (!LessonMediaService.verifyStream(req.params.id, expires, signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  const lesson = await Lesson.findOne({ _id: req.params.id, isActive: true });
+  const playlist = lesson && lesson.isVideoReady()
+    ? await LessonMediaService.getHlsPlaylist(lesson, req.params[0], expires)
+    : null;
+
+  if (!playlist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Playlist not found'
+    });
+  }
+
+  // Let the frontend (another origin) load the playlists
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.set('Cache-Control', 'private, no-store');
+  res.type('application/vnd.apple.mpegurl').send(playlist);
+});
+
 module.exports = {
   getLessons,
   getLesson,
@@ -469,5 +642,7 @@ module.exports = {
   deleteLesson,
   reorderLessons,
   markLessonComplete,
-  getLessonProgress
+  recordHeartbeat,
+  getLessonProgress,
+  getHlsPlaylist
 };
\ No newline at end of file
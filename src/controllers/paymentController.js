@@ -0,0 +1,329 @@
+const asyncHandler = require('express-async-handler');
+const Course = require('../models/Course');
+const Order = require('../models/Order');
+const AuditLog = require('../models/AuditLog');
+const PaymentService = require('../services/paymentService');
+const EnrollmentService = require('../services/enrollmentService');
+const { getPaymentProvider, PaymentConfigError } = require('../services/paymentProviders');
+
+// Answer 503 while no payment provider is configured; anything else is rethrown
+const handlePaymentConfigError = (res, error) => {
+  if (!(error instanceof PaymentConfigError)) throw error;
+  console.error('Payments unavailable:', error.message);
+  return res.status(error.statusCode).json({
+    success: false,
+    message: 'Payments are not available right now'
+  });
+};
+
+// @desc    Start a checkout for a paid course
+// @route   POST /api/payments/checkout
+// @access  Private (Learner)
+const createCheckout = asyncHandler(async (req, res) => {
+  const { courseId, successUrl, cancelUrl } = req.body;
+
+  if (!courseId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Course ID is required'
+    });
+  }
+
+  if (req.user.restrictedCourses && req.user.restrictedCourses.some(id => id.toString() === courseId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You are restricted from enrolling in this course'
+    });
+  }
+
+  const course = await Course.findOne({
+    _id: courseId,
+    status: 'published',
+    isActive: true
+  });
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!course.price || course.price <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'This course is free. Enroll directly instead.'
+    });
+  }
+
+  if (await EnrollmentService.isEnrolled(req.user._id, course._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You are already enrolled in this course'
+    });
+  }
+
+  try {
+    getPaymentProvider();
+  } catch (error) {
+    return handlePaymentConfigError(res, error);
+  }
+
+  const order = await PaymentService.createCheckout(req.user, course, { successUrl, cancelUrl });
+
+  res.status(201).json({
+    success: true,
+    message: 'Checkout session created',
+    data: {
+      order,
+      checkoutUrl: order.checkoutUrl
+    }
+  });
+});
+
+// @desc    Receive payment provider webhooks
+// @route   POST /api/payments/webhook
+// @access  Public (signature verified)
+const handleWebhook = asyncHandler(async (req, res) => {
+  // A 503 (unlike a rejection) makes the provider retry once payments are configured
+  try {
+    getPaymentProvider();
+  } catch (error) {
+    return handlePaymentConfigError(res, error);
+  }
+
+  let result;
+  try {
+    result = await PaymentService.handleWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    console.error('Payment webhook error:', error.message);
+    return res.status(400).json({
+      success: false,
+      message: `Webhook rejected: ${error.message}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      eventId: result.event.id,
+      orderStatus: result.order ? result.order.status : null
+    }
+  });
+});
+
+// @desc    Get my orders
+// @route   GET /api/payments/orders
+// @access  Private
+const getMyOrders = asyncHandler(async (req, res) => {
+  const orders = await Order.find({ learner: req.user._id })
+    .populate('course', 'title thumbnail price')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: { orders }
+  });
+});
+
+// @desc    Get a single order
+// @route   GET /api/payments/orders/:id
+// @access  Private (Owner/Admin)
+const getOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('course', 'title thumbnail price');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && order.learner.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this order'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { order }
+  });
+});
+
+// @desc    View a fake-provider checkout session
+// @route   GET /api/payments/fake/sessions/:sessionId
+// @access  Public (fake provider only, non-production)
+const getFakeCheckoutSession = asyncHandler(async (req, res) => {
+  const order = await Order.findOne({ provider: 'fake', providerSessionId: req.params.sessionId })
+    .populate('course', 'title price');
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Checkout session not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      sessionId: order.providerSessionId,
+      status: order.status,
+      amount: order.amount,
+      currency: order.currency,
+      course: order.course,
+      expiresAt: order.expiresAt,
+      complete: `POST /api/payments/fake/sessions/${order.providerSessionId}/complete { outcome: 'succeeded'|'failed' }`
+    }
+  });
+});
+
+// @desc    Simulate paying (or failing) a fake-provider checkout session
+// @route   POST /api/payments/fake/sessions/:sessionId/complete
+// @access  Public (fake provider only, non-production)
+const completeFakeCheckoutSession = asyncHandler(async (req, res) => {
+  const { outcome = 'succeeded', reason } = req.body;
+  const provider = getPaymentProvider();
+
+  const order = await Order.findOne({ provider: 'fake', providerSessionId: req.params.sessionId });
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Checkout session not found'
+    });
+  }
+
+  if (!order.isOpen()) {
+    return res.status(400).json({
+      success: false,
+      message: `Checkout session is no longer open (order is ${order.status})`
+    });
+  }
+
+  const simulated = outcome === 'failed'
+    ? provider.simulateEvent('checkout.failed', {
+      sessionId: order.providerSessionId,
+      reason: reason || 'Card declined'
+    })
+    : provider.simulateEvent('checkout.completed', {
+      sessionId: order.providerSessionId,
+      paymentId: `fake_pi_${order._id}`,
+      amount: order.amount,
+      currency: order.currency
+    });
+
+  // Go through the same signature check as real webhooks
+  const result = await PaymentService.handleWebhook(simulated.rawBody, simulated.headers);
+
+  res.json({
+    success: true,
+    message: outcome === 'failed' ? 'Payment failed' : 'Payment succeeded',
+    data: { order: result.order }
+  });
+});
+
+// @desc    Get all orders
+// @route   GET /api/admin/orders
+// @access  Private (Admin)
+const getAllOrders = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+  const skip = (page - 1) * limit;
+
+  let query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.course) query.course = req.query.course;
+  if (req.query.learner) query.learner = req.query.learner;
+  if (req.query.needsReview === 'true') query.needsReview = true;
+
+  const orders = await Order.find(query)
+    .populate('learner', 'name email')
+    .populate('course', 'title')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Order.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Refund an order and revoke the enrollment
+// @route   POST /api/admin/orders/:id/refund
+// @access  Private (Admin)
+const refundOrder = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refund reason is required'
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+
+  if (order.status !== 'paid') {
+    return res.status(400).json({
+      success: false,
+      message: `Only paid orders can be refunded (order is ${order.status})`
+    });
+  }
+
+  try {
+    getPaymentProvider();
+  } catch (error) {
+    return handlePaymentConfigError(res, error);
+  }
+
+  const before = AuditLog.snapshot(order, ['status']);
+
+  await PaymentService.refundOrder(order, { reason, refundedBy: req.user._id });
+
+  await AuditLog.record(req, {
+    action: 'order.refund',
+    targetType: 'Order',
+    target: order,
+    targetLabel: `${order.courseTitle} (${order.amount} ${order.currency})`,
+    before,
+    after: AuditLog.snapshot(order, ['status']),
+    reason
+  });
+
+  res.json({
+    success: true,
+    message: 'Order refunded and enrollment revoked',
+    data: { order }
+  });
+});
+
+module.exports = {
+  createCheckout,
+  handleWebhook,
+  getMyOrders,
+  getOrder,
+  getFakeCheckoutSession,
+  completeFakeCheckoutSession,
+  getAllOrders,
+  refundOrder
+};
@@ -0,0 +1,165 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const LedgerEntry = require('../models/LedgerEntry');
+const AuditLog = require('../models/AuditLog');
+const LedgerService = require('../services/ledgerService');
+
+// @desc    Get my payouts
+// @route   GET /api/creator/payouts
+// @access  Private (Creator)
+const getMyPayouts = asyncHandler(async (req, res) => {
+  const payouts = await Payout.find({ creator: req.user._id })
+    .sort({ paidAt: -1 });
+
+  const { balance } = await LedgerEntry.getBalance(req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      payouts,
+      balance: balance.toFixed(2)
+    }
+  });
+});
+
+// @desc    Download a payout statement as CSV
+// @route   GET /api/creator/payouts/:id/statement
+// @route   GET /api/admin/payouts/:id/statement
+// @access  Private (Owner/Admin)
+const getPayoutStatement = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout not found'
+    });
+  }
+
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return res.status(404).json({
+      success: false,
+      message: 'Payout not found'
+    });
+  }
+
+  if (req.user.role !== 'admin' && payout.creator.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this payout'
+    });
+  }
+
+  const csv = await LedgerService.buildStatementCsv(payout);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="payout-${payout.batchId}-${payout.creator}.csv"`
+  });
+  res.send(csv);
+});
+
+// @desc    Get all payouts
+// @route   GET /api/admin/payouts
+// @access  Private (Admin)
+const getAllPayouts = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+  const skip = (page - 1) * limit;
+
+  let query = {};
+  if (req.query.batchId) query.batchId = req.query.batchId;
+  if (req.query.creator) query.creator = req.query.creator;
+
+  const payouts = await Payout.find(query)
+    .populate('creator', 'name email')
+    .populate('paidBy', 'name email')
+    .sort({ paidAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Payout.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      payouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Pay out all unsettled creator balances
+// @route   POST /api/admin/payouts/batch
+// @access  Private (Admin)
+const createPayoutBatch = asyncHandler(async (req, res) => {
+  const { creatorIds, minimumAmount, before, reference } = req.body;
+
+  if (creatorIds !== undefined && (!Array.isArray(creatorIds) || creatorIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+    return res.status(400).json({
+      success: false,
+      message: 'creatorIds must be an array of user IDs'
+    });
+  }
+
+  if (minimumAmount !== undefined && (isNaN(minimumAmount) || Number(minimumAmount) < 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'minimumAmount must be a non-negative number'
+    });
+  }
+
+  const cutoff = before ? new Date(before) : new Date();
+  if (isNaN(cutoff.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'before must be a valid date'
+    });
+  }
+
+  const batch = await LedgerService.createPayoutBatch({
+    paidBy: req.user._id,
+    creatorIds,
+    minimumAmount: minimumAmount !== undefined ? Number(minimumAmount) : 0,
+    before: cutoff,
+    reference
+  });
+
+  for (const payout of batch.payouts) {
+    await AuditLog.record(req, {
+      action: 'payout.create',
+      targetType: 'Payout',
+      target: payout,
+      targetLabel: `${batch.batchId} (${payout.amount} ${payout.currency})`,
+      after: AuditLog.snapshot(payout, ['creator', 'amount', 'entryCount'])
+    });
+  }
+
+  const total = batch.payouts.reduce((sum, payout) => sum + payout.amount, 0);
+
+  res.status(201).json({
+    success: true,
+    message: batch.payouts.length > 0
+      ? `Paid out ${total.toFixed(2)} to ${batch.payouts.length} creator(s)`
+      : 'No balances to pay out',
+    data: {
+      batchId: batch.batchId,
+      total: total.toFixed(2),
+      payouts: batch.payouts,
+      skipped: batch.skipped
+    }
+  });
+});
+
+module.exports = {
+  getMyPayouts,
+  getPayoutStatement,
+  getAllPayouts,
+  createPayoutBatch
+};
@@ -0,0 +1,513 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizService = require('../services/quizService');
+const EnrollmentService = require('../services/enrollmentService');
+const LessonAccessService = require('../services/lessonAccessService');
+const LessonTypeService = require('../services/lessonTypeService');
+
+const QUIZ_FIELDS = ['title', 'description', 'questions', 'passMark', 'maxAttempts', 'shuffleQuestions', 'shuffleOptions', 'isRequired', 'isActive'];
+const QUESTION_FIELDS = ['type', 'prompt', 'options', 'correctAnswer', 'acceptedAnswers', 'caseSensitive', 'points', 'explanation'];
+
+// Copy only the fields creators may set
+const pickQuizFields = (body) => {
+  const fields = {};
+
+  QUIZ_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (Array.isArray(fields.questions)) {
+    fields.questions = fields.questions.map(question => {
+      const picked = {};
+      QUESTION_FIELDS.forEach(field => {
+        if (question && question[field] !== undefined) picked[field] = question[field];
+      });
+      if (Array.isArray(picked.options)) {
+        picked.options = picked.options.map(option => ({ text: option && option.text, isCorrect: Boolean(option && option.isCorrect) }));
+      }
+      return picked;
+    });
+  }
+
+  return fields;
+};
+
+const validationErrorResponse = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors: Object.values(error.errors).map(err => err.message)
+});
+
+// Load a course owned by the requesting creator; sends the error response itself
+const findOwnCourse = async (req, res, courseId) => {
+  if (!mongoose.Types.ObjectId.isValid(courseId)) {
+    res.status(404).json({ success: false, message: 'Course not found' });
+    return null;
+  }
+
+  const course = await Course.findById(courseId);
+
+  if (!course) {
+    res.status(404).json({ success: false, message: 'Course not found' });
+    return null;
+  }
+
+  if (course.creator.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage quizzes for this course' });
+    return null;
+  }
+
+  return course;
+};
+
+// Load a quiz whose course is owned by the requesting creator
+const findOwnQuiz = async (req, res) => {
+  const quiz = mongoose.Types.ObjectId.isValid(req.params.id) ? await Quiz.findById(req.params.id) : null;
+
+  if (!quiz) {
+    res.status(404).json({ success: false, message: 'Quiz not found' });
+    return null;
+  }
+
+  const course = await findOwnCourse(req, res, quiz.course);
+  return course ? quiz : null;
+};
+
+// Load an active quiz in a course the learner is enrolled in
+const findLearnerQuiz = async (req, res) => {
+  const quiz = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Quiz.findOne({ _id: req.params.id, isActive: true })
+    : null;
+
+  if (!quiz) {
+    res.status(404).json({ success: false, message: 'Quiz not found' });
+    return {};
+  }
+
+  const enrollment = await EnrollmentService.getEnrollment(req.user._id, quiz.course);
+  if (!enrollment) {
+    res.status(403).json({ success: false, message: 'You must be enrolled in this course to take its quizzes' });
+    return {};
+  }
+
+  return { quiz, enrollment };
+};
+
+// A lesson's quizzes can only be taken while the lesson is unlocked for the learner.
+// Sends a 403 and returns false while it is locked.
+const ensureQuizLessonUnlocked = async (res, quiz, enrollment) => {
+  const lesson = quiz.lesson && await Lesson.findById(quiz.lesson);
+  if (!lesson) return true;
+
+  const availability = await LessonAccessService.getLessonAvailability(lesson, enrollment);
+  if (availability.isLocked) {
+    res.status(403).json({
+      success: false,
+      message: LessonAccessService.getLockMessage(availability),
+      data: { availability }
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const quizSummary = quiz => ({
+  _id: quiz._id,
+  course: quiz.course,
+  lesson: quiz.lesson,
+  title: quiz.title,
+  description: quiz.description,
+  questionCount: quiz.questions.length,
+  totalPoints: quiz.totalPoints,
+  passMark: quiz.passMark,
+  maxAttempts: quiz.maxAttempts,
+  isRequired: quiz.isRequired
+});
+
+// @desc    Get quizzes for a course
+// @route   GET /api/creator/courses/:courseId/quizzes
+// @access  Private (Creator)
+const getCourseQuizzes = asyncHandler(async (req, res) => {
+  const course = await findOwnCourse(req, res, req.params.courseId);
+  if (!course) return;
+
+  const quizzes = await Quiz.find({ course: course._id })
+    .populate('lesson', 'title order')
+    .sort({ createdAt: 1 });
+
+  // Submitted attempt statistics per quiz
+  const stats = await QuizAttempt.aggregate([
+    { $match: { quiz: { $in: quizzes.map(quiz => quiz._id) }, status: 'submitted' } },
+    {
+      $group: {
+        _id: '$quiz',
+        attempts: { $sum: 1 },
+        learners: { $addToSet: '$learner' },
+        passed: { $sum: { $cond: ['$passed', 1, 0] } },
+        averageScore: { $avg: '$percentage' }
+      }
+    }
+  ]);
+  const statsByQuiz = new Map(stats.map(row => [row._id.toString(), row]));
+
+  res.json({
+    success: true,
+    data: {
+      quizzes: quizzes.map(quiz => {
+        const row = statsByQuiz.get(quiz._id.toString());
+        return {
+          ...quiz.toObject({ virtuals: true }),
+          stats: {
+            attempts: row ? row.attempts : 0,
+            learners: row ? row.learners.length : 0,
+            passRate: row ? Math.round((row.passed / row.attempts) * 100) : 0,
+            averageScore: row ? Math.round(row.averageScore * 100) / 100 : 0
+          }
+        };
+      })
+    }
+  });
+});
+
+// @desc    Create a quiz
+// @route   POST /api/creator/courses/:courseId/quizzes
+// @access  Private (Creator)
+const createQuiz = asyncHandler(async (req, res) => {
+  const course = await findOwnCourse(req, res, req.params.courseId);
+  if (!course) return;
+
+  const { lesson: lessonId } = req.body;
+  let lesson = null;
+
+  if (lessonId) {
+    lesson = mongoose.Types.ObjectId.isValid(lessonId)
+      ? await Lesson.findOne({ _id: lessonId, course: course._id })
+      : null;
+
+    if (!lesson) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lesson not found in this course'
+      });
+    }
+  }
+
+  try {
+    const quiz = await Quiz.create({
+      ...pickQuizFields(req.body),
+      course: course._id,
+      lesson: lesson ? lesson._id : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quiz created successfully',
+      data: { quiz }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    throw error;
+  }
+});
+
+// @desc    Get a quiz with its answer key
+// @route   GET /api/creator/quizzes/:id
+// @access  Private (Creator)
+const getQuiz = asyncHandler(async (req, res) => {
+  const quiz = await findOwnQuiz(req, res);
+  if (!quiz) return;
+
+  await quiz.populate('lesson', 'title order');
+
+  res.json({
+    success: true,
+    data: { quiz }
+  });
+});
+
+// @desc    Update a quiz
+// @route   PUT /api/creator/quizzes/:id
+// @access  Private (Creator)
+const updateQuiz = asyncHandler(async (req, res) => {
+  const quiz = await findOwnQuiz(req, res);
+  if (!quiz) return;
+
+  if (req.body.lesson !== undefined) {
+    if (!req.body.lesson) {
+      quiz.lesson = null;
+    } else {
+      const lesson = mongoose.Types.ObjectId.isValid(req.body.lesson)
+        ? await Lesson.findOne({ _id: req.body.lesson, course: quiz.course })
+        : null;
+
+      if (!lesson) {
+        return res.status(400).json({
+          success: false,
+          message: 'Lesson not found in this course'
+        });
+      }
+      quiz.lesson = lesson._id;
+    }
+  }
+
+  // Submitted attempts keep the score they were given
+  quiz.set(pickQuizFields(req.body));
+
+  try {
+    await quiz.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationErrorResponse(res, error);
+    }
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: 'Quiz updated successfully',
+    data: { quiz }
+  });
+});
+
+// @desc    Delete a quiz and its attempts
+// @route   DELETE /api/creator/quizzes/:id
+// @access  Private (Creator)
+const deleteQuiz = asyncHandler(async (req, res) => {
+  const quiz = await findOwnQuiz(req, res);
+  if (!quiz) return;
+
+  await quiz.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Quiz deleted successfully'
+  });
+});
+
+// @desc    Get quizzes in an enrolled course with my best results
+// @route   GET /api/learner/courses/:id/quizzes
+// @access  Private (Learner)
+const getLearnerCourseQuizzes = asyncHandler(async (req, res) => {
+  const courseId = req.params.id;
+  const enrollment = await EnrollmentService.getEnrollment(req.user._id, courseId);
+
+  if (!enrollment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found in your enrollments'
+    });
+  }
+
+  const course = await Course.findById(courseId).select('requireQuizPass');
+  const quizzes = await Quiz.find({ course: courseId, isActive: true })
+    .populate('lesson', 'title order')
+    .sort({ createdAt: 1 });
+  const results = await QuizAttempt.getBestResults(req.user._id, quizzes.map(quiz => quiz._id));
+
+  res.json({
+    success: true,
+    data: {
+      requireQuizPass: Boolean(course && course.requireQuizPass),
+      quizzes: quizzes.map(quiz => ({
+        ...quizSummary(quiz),
+        bestResult: results[quiz._id.toString()] || null
+      }))
+    }
+  });
+});
+
+// @desc    Get a quiz overview (no questions until an attempt is started)
+// @route   GET /api/learner/quizzes/:id
+// @access  Private (Learner)
+const getLearnerQuiz = asyncHandler(async (req, res) => {
+  const { quiz } = await findLearnerQuiz(req, res);
+  if (!quiz) return;
+
+  const attempts = await QuizAttempt.find({ quiz: quiz._id, learner: req.user._id })
+    .select('attemptNumber status percentage passed startedAt submittedAt')
+    .sort({ attemptNumber: 1 });
+  const inProgress = attempts.find(attempt => attempt.status === 'in_progress');
+
+  res.json({
+    success: true,
+    data: {
+      quiz: quizSummary(quiz),
+      attemptsUsed: attempts.length,
+      attemptsRemaining: quiz.maxAttempts > 0 ? Math.max(0, quiz.maxAttempts - attempts.length) : null,
+      inProgressAttempt: inProgress ? inProgress._id : null,
+      passed: attempts.some(attempt => attempt.passed),
+      bestScore: attempts.reduce((best, attempt) => Math.max(best, attempt.percentage || 0), 0)
+    }
+  });
+});
+
+// @desc    Start (or resume) a quiz attempt
+// @route   POST /api/learner/quizzes/:id/attempts
+// @access  Private (Learner)
+const startQuizAttempt = asyncHandler(async (req, res) => {
+  const { quiz, enrollment } = await findLearnerQuiz(req, res);
+  if (!quiz) return;
+  if (!(await ensureQuizLessonUnlocked(res, quiz, enrollment))) return;
+
+  let result;
+  try {
+    result = await QuizService.startAttempt(quiz, req.user._id);
+  } catch (error) {
+    if (error instanceof QuizService.QuizError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  const { attempt, resumed } = result;
+
+  res.status(resumed ? 200 : 201).json({
+    success: true,
+    message: resumed ? 'Resumed attempt in progress' : 'Quiz attempt started',
+    data: {
+      attempt: {
+        _id: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        startedAt: attempt.startedAt
+      },
+      quiz: quizSummary(quiz),
+      questions: QuizService.presentQuestions(quiz, attempt.layout)
+    }
+  });
+});
+
+// @desc    Submit answers for a quiz attempt
+// @route   POST /api/learner/quizzes/:id/attempts/:attemptId/submit
+// @access  Private (Learner)
+const submitQuizAttempt = asyncHandler(async (req, res) => {
+  const { quiz, enrollment } = await findLearnerQuiz(req, res);
+  if (!quiz) return;
+
+  const attempt = mongoose.Types.ObjectId.isValid(req.params.attemptId)
+    ? await QuizAttempt.findOne({ _id: req.params.attemptId, quiz: quiz._id, learner: req.user._id })
+    : null;
+
+  if (!attempt) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quiz attempt not found'
+    });
+  }
+
+  if (!Array.isArray(req.body.answers)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Answers must be an array of { questionId, selectedOptionIds | answer }'
+    });
+  }
+
+  if (!(await ensureQuizLessonUnlocked(res, quiz, enrollment))) return;
+
+  let submitted;
+  try {
+    submitted = await QuizService.submitAttempt(quiz, attempt, req.body.answers);
+  } catch (error) {
+    if (error instanceof QuizService.QuizError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  // Passing the quizzes of a quiz lesson completes the lesson (once it is unlocked)
+  let courseCompleted = enrollment.status === 'completed';
+  let lessonCompleted = false;
+  if (submitted.passed && quiz.lesson && !enrollment.hasCompletedLesson(quiz.lesson)) {
+    const lesson = await Lesson.findOne({ _id: quiz.lesson, type: 'quiz', isActive: true });
+    const course = lesson && await Course.findById(quiz.course);
+    if (lesson &&
+        !(await LessonAccessService.getLessonAvailability(lesson, enrollment)).isLocked &&
+        !(await LessonTypeService.getCompletionBlocker(lesson, req.user._id, course))) {
+      const result = await EnrollmentService.completeLesson(enrollment, lesson, req.user, course);
+      lessonCompleted = true;
+      courseCompleted = result.completed;
+    }
+  }
+
+  // Passing the last required quiz can complete the course
+  if (submitted.passed && !lessonCompleted && !courseCompleted && enrollment.progress === 100) {
+    const course = await Course.findById(quiz.course);
+    const completion = await EnrollmentService.completeIfEligible(enrollment, req.user, course);
+    courseCompleted = completion.completed;
+    await enrollment.save();
+  }
+
+  // Per-question feedback: correctness and the creator's explanation
+  const feedback = submitted.answers.map(answer => {
+    const question = quiz.questions.id(answer.question);
+    return {
+      questionId: answer.question,
+      isCorrect: answer.isCorrect,
+      pointsAwarded: answer.pointsAwarded,
+      explanation: question ? question.explanation : undefined
+    };
+  });
+
+  res.json({
+    success: true,
+    message: submitted.passed ? 'Quiz passed' : 'Quiz not passed',
+    data: {
+      attempt: {
+        _id: submitted._id,
+        attemptNumber: submitted.attemptNumber,
+        score: submitted.score,
+        maxScore: submitted.maxScore,
+        percentage: submitted.percentage,
+        passed: submitted.passed,
+        submittedAt: submitted.submittedAt
+      },
+      passMark: quiz.passMark,
+      feedback,
+      lessonCompleted,
+      courseCompleted,
+      certificateIssued: enrollment.certificateIssued
+    }
+  });
+});
+
+// @desc    Get my attempts for a quiz
+// @route   GET /api/learner/quizzes/:id/attempts
+// @access  Private (Learner)
+const getMyQuizAttempts = asyncHandler(async (req, res) => {
+  const { quiz } = await findLearnerQuiz(req, res);
+  if (!quiz) return;
+
+  const attempts = await QuizAttempt.find({ quiz: quiz._id, learner: req.user._id })
+    .select('-layout')
+    .sort({ attemptNumber: -1 });
+
+  res.json({
+    success: true,
+    data: { attempts }
+  });
+});
+
+module.exports = {
+  getCourseQuizzes,
+  createQuiz,
+  getQuiz,
+  updateQuiz,
+  deleteQuiz,
+  getLearnerCourseQuizzes,
+  getLearnerQuiz,
+  startQuizAttempt,
+  submitQuizAttempt,
+  getMyQuizAttempts
+};
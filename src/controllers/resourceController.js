@@ -0,0 +1,192 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Lesson = require('../models/Lesson');
+const WatchProgress = require('../models/WatchProgress');
+const EnrollmentService = require('../services/enrollmentService');
+const LessonAccessService = require('../services/lessonAccessService');
+const LessonResourceService = require('../services/lessonResourceService');
+
+// Load a lesson of one of the creator's courses; sends the error response itself
+const findOwnLesson = async (req, res) => {
+  const lesson = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Lesson.findById(req.params.id).populate('course', 'creator')
+    : null;
+
+  if (!lesson) {
+    res.status(404).json({ success: false, message: 'Lesson not found' });
+    return null;
+  }
+
+  if (lesson.course.creator.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage resources for this lesson' });
+    return null;
+  }
+
+  return lesson;
+};
+
+// Send a LessonResourceService.ResourceError as a JSON error; anything else is rethrown
+const handleResourceError = (res, error) => {
+  if (!(error instanceof LessonResourceService.ResourceError)) throw error;
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @desc    Get a lesson's resources, with download counts
+// @route   GET /api/creator/lessons/:id/resources
+// @access  Private (Creator)
+const getResources = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  res.json({
+    success: true,
+    data: { resources: lesson.resources.map(resource => LessonResourceService.toView(resource)) }
+  });
+});
+
+// @desc    Add a resource: an uploaded file, or a link
+// @route   POST /api/creator/lessons/:id/resources
+// @access  Private (Creator)
+const addResource = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  const { title, url } = req.body;
+
+  if (!req.file && !url) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload a file or provide a link url'
+    });
+  }
+
+  let resource;
+  try {
+    resource = req.file
+      ? await LessonResourceService.addFile(lesson, req.file, { title })
+      : await LessonResourceService.addLink(lesson, { title, url });
+  } catch (error) {
+    return handleResourceError(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Resource added successfully',
+    data: { resource: LessonResourceService.toView(resource) }
+  });
+});
+
+// @desc    Reorder a lesson's resources
+// @route   PUT /api/creator/lessons/:id/resources/reorder
+// @access  Private (Creator)
+const reorderResources = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  let resources;
+  try {
+    resources = await LessonResourceService.reorder(lesson, req.body.resourceIds);
+  } catch (error) {
+    return handleResourceError(res, error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Resources reordered successfully',
+    data: { resources: resources.map(resource => LessonResourceService.toView(resource)) }
+  });
+});
+
+// @desc    Delete a resource (and its file)
+// @route   DELETE /api/creator/lessons/:id/resources/:resourceId
+// @access  Private (Creator)
+const deleteResource = asyncHandler(async (req, res) => {
+  const lesson = await findOwnLesson(req, res);
+  if (!lesson) return;
+
+  try {
+    await LessonResourceService.remove(lesson, req.params.resourceId);
+  } catch (error) {
+    return handleResourceError(res, error);
+  }
+
+  res.json({
+    success: true,
+    message: 'Resource deleted successfully'
+  });
+});
+
+// @desc    Get a short-lived download link for a lesson resource (counts the download)
+// @route   GET /api/lessons/:id/resources/:resourceId/download
+// @access  Private (enrolled learners, course creator, admin)
+const downloadResource = asyncHandler(async (req, res) => {
+  const lesson = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Lesson.findOne({ _id: req.params.id, isActive: true }).populate('course', 'creator status')
+    : null;
+  const resource = lesson && mongoose.Types.ObjectId.isValid(req.params.resourceId)
+    ? lesson.resources.id(req.params.resourceId)
+    : null;
+
+  if (!resource) {
+    return res.status(404).json({
+      success: false,
+      message: 'Resource not found'
+    });
+  }
+
+  // Check access permissions
+  let canAccess = false;
+  let enrollment = null;
+
+  if (req.user.role === 'admin' || lesson.course.creator.toString() === req.user._id.toString()) {
+    canAccess = true;
+  } else if (lesson.course.status === 'published') {
+    enrollment = await EnrollmentService.getEnrollment(req.user._id, lesson.course._id);
+    canAccess = Boolean(enrollment);
+  }
+
+  if (!canAccess) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You must be enrolled in this course to view lessons.'
+    });
+  }
+
+  if (enrollment) {
+    const availability = await LessonAccessService.getLessonAvailability(lesson, enrollment);
+    if (availability.isLocked) {
+      return res.status(403).json({
+        success: false,
+        message: LessonAccessService.getLockMessage(availability),
+        data: { availability }
+      });
+    }
+  }
+
+  // Only learners' downloads are counted
+  const download = await LessonResourceService.getDownload(lesson, resource, { count: Boolean(enrollment) });
+
+  // Download lessons are completed by downloading their resources
+  if (enrollment) {
+    await WatchProgress.upsertFor(req.user._id, lesson, { $addToSet: { downloadedResources: resource._id } });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      resource: LessonResourceService.toView(resource),
+      ...download
+    }
+  });
+});
+
+module.exports = {
+  getResources,
+  addResource,
+  reorderResources,
+  deleteResource,
+  downloadResource
+};
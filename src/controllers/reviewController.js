@@ -0,0 +1,438 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Course = require('../models/Course');
+const AuditLog = require('../models/AuditLog');
+const EnrollmentService = require('../services/enrollmentService');
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Validate rating/title/body from a request body; returns a list of errors
+const validateReviewInput = ({ rating, title, body }, { requireRating }) => {
+  const errors = [];
+
+  if (rating === undefined || rating === null || rating === '') {
+    if (requireRating) errors.push('Rating is required');
+  } else if (!Number.isInteger(Number(rating)) || Number(rating) < 1 || Number(rating) > 5) {
+    errors.push('Rating must be a whole number between 1 and 5');
+  }
+
+  if (title !== undefined && typeof title !== 'string') {
+    errors.push('Title must be a string');
+  } else if (title !== undefined && title.trim().length > 100) {
+    errors.push('Title cannot exceed 100 characters');
+  }
+
+  if (body !== undefined && typeof body !== 'string') {
+    errors.push('Review must be a string');
+  } else if (body !== undefined && body.trim().length > 2000) {
+    errors.push('Review cannot exceed 2000 characters');
+  }
+
+  return errors;
+};
+
+// @desc    Get reviews for a course
+// @route   GET /api/courses/:id/reviews
+// @access  Public
+const getCourseReviews = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const skip = (page - 1) * limit;
+  const sortOptions = REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest;
+
+  const course = await Course.findOne({
+    _id: req.params.id,
+    status: 'published',
+    isActive: true
+  }).select('title rating');
+
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  const query = { course: course._id, isHidden: false };
+
+  const reviews = await Review.find(query)
+    .populate('learner', 'name avatar')
+    .select('-flagReason -moderatedBy -moderatedAt -moderationReason')
+    .sort(sortOptions)
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Review.countDocuments(query);
+
+  // Star breakdown for the rating histogram
+  const breakdown = await Review.aggregate([
+    { $match: query },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+  const distribution = [1, 2, 3, 4, 5].reduce((result, stars) => {
+    const bucket = breakdown.find(b => b._id === stars);
+    result[stars] = bucket ? bucket.count : 0;
+    return result;
+  }, {});
+
+  res.json({
+    success: true,
+    data: {
+      reviews,
+      rating: course.rating,
+      distribution,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Create a review for a course
+// @route   POST /api/courses/:id/reviews
+// @access  Private (Learner)
+const createReview = asyncHandler(async (req, res) => {
+  const courseId = req.params.id;
+  const { rating, title, body } = req.body;
+
+  const errors = validateReviewInput(req.body, { requireRating: true });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!(await EnrollmentService.isEnrolled(req.user._id, courseId))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You must be enrolled in this course to review it'
+    });
+  }
+
+  const existingReview = await Review.findOne({ course: courseId, learner: req.user._id });
+  if (existingReview) {
+    return res.status(400).json({
+      success: false,
+      message: 'You have already reviewed this course. Edit your existing review instead.'
+    });
+  }
+
+  const review = await Review.create({
+    course: courseId,
+    learner: req.user._id,
+    rating: Number(rating),
+    title: title?.trim(),
+    body: body?.trim()
+  });
+
+  const updatedCourse = await Course.findById(courseId).select('rating');
+
+  res.status(201).json({
+    success: true,
+    message: 'Review submitted successfully',
+    data: {
+      review,
+      rating: updatedCourse.rating
+    }
+  });
+});
+
+// @desc    Get my review for a course
+// @route   GET /api/courses/:id/reviews/me
+// @access  Private (Learner)
+const getMyReview = asyncHandler(async (req, res) => {
+  const review = await Review.findOne({ course: req.params.id, learner: req.user._id });
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'You have not reviewed this course'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { review }
+  });
+});
+
+// @desc    Update my review for a course
+// @route   PUT /api/courses/:id/reviews/me
+// @access  Private (Learner)
+const updateMyReview = asyncHandler(async (req, res) => {
+  const { rating, title, body } = req.body;
+
+  const errors = validateReviewInput(req.body, { requireRating: false });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  const review = await Review.findOne({ course: req.params.id, learner: req.user._id });
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'You have not reviewed this course'
+    });
+  }
+
+  if (rating !== undefined && rating !== null && rating !== '') review.rating = Number(rating);
+  if (title !== undefined) review.title = title.trim();
+  if (body !== undefined) review.body = body.trim();
+
+  await review.save();
+
+  const updatedCourse = await Course.findById(review.course).select('rating');
+
+  res.json({
+    success: true,
+    message: 'Review updated successfully',
+    data: {
+      review,
+      rating: updatedCourse.rating
+    }
+  });
+});
+
+// @desc    Delete my review for a course
+// @route   DELETE /api/courses/:id/reviews/me
+// @access  Private (Learner)
+const deleteMyReview = asyncHandler(async (req, res) => {
+  const review = await Review.findOne({ course: req.params.id, learner: req.user._id });
+
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'You have not reviewed this course'
+    });
+  }
+
+  await review.deleteOne();
+
+  const updatedCourse = await Course.findById(review.course).select('rating');
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully',
+    data: {
+      rating: updatedCourse ? updatedCourse.rating : undefined
+    }
+  });
+});
+
+// @desc    Rate course (creates or updates the learner's review)
+// @route   POST /api/courses/:id/rate
+// @access  Private (Learner)
+const rateCourse = asyncHandler(async (req, res) => {
+  const { rating } = req.body;
+  const courseId = req.params.id;
+
+  const errors = validateReviewInput({ rating }, { requireRating: true });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Rating must be between 1 and 5'
+    });
+  }
+
+  const course = await Course.findById(courseId);
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (!(await EnrollmentService.isEnrolled(req.user._id, courseId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'You must be enrolled in this course to rate it'
+    });
+  }
+
+  let review = await Review.findOne({ course: courseId, learner: req.user._id });
+  if (review) {
+    review.rating = Number(rating);
+  } else {
+    review = new Review({
+      course: courseId,
+      learner: req.user._id,
+      rating: Number(rating)
+    });
+  }
+
+  await review.save();
+
+  const updatedCourse = await Course.findById(courseId).select('rating');
+
+  res.json({
+    success: true,
+    message: 'Course rated successfully',
+    data: {
+      rating: updatedCourse.rating,
+      review
+    }
+  });
+});
+
+// @desc    Get reviews for moderation
+// @route   GET /api/admin/reviews
+// @access  Private (Admin)
+const getReviewsForModeration = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+  const skip = (page - 1) * limit;
+
+  let query = {};
+  if (req.query.status === 'flagged') query.isFlagged = true;
+  if (req.query.status === 'hidden') query.isHidden = true;
+  if (req.query.status === 'visible') query.isHidden = false;
+  if (typeof req.query.course === 'string' && mongoose.Types.ObjectId.isValid(req.query.course)) {
+    query.course = req.query.course;
+  }
+
+  const reviews = await Review.find(query)
+    .populate('learner', 'name email')
+    .populate('course', 'title')
+    .populate('moderatedBy', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Review.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+const MODERATION_MESSAGES = {
+  hide: 'Review hidden successfully',
+  unhide: 'Review restored successfully',
+  flag: 'Review flagged successfully',
+  unflag: 'Review flag cleared successfully'
+};
+
+// Shared implementation of the hide/unhide/flag/unflag moderation actions
+const moderateReview = async (req, res, action) => {
+  const { reason } = req.body;
+
+  if (['hide', 'flag'].includes(action) && !reason) {
+    return res.status(400).json({
+      success: false,
+      message: `A reason is required to ${action} a review`
+    });
+  }
+
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  const fields = ['isHidden', 'isFlagged', 'flagReason', 'moderationReason'];
+  const before = AuditLog.snapshot(review, fields);
+
+  if (action === 'hide') {
+    review.isHidden = true;
+    review.moderationReason = reason;
+  } else if (action === 'unhide') {
+    review.isHidden = false;
+    review.moderationReason = reason || null;
+  } else if (action === 'flag') {
+    review.isFlagged = true;
+    review.flagReason = reason;
+  } else {
+    review.isFlagged = false;
+    review.flagReason = null;
+  }
+
+  review.moderatedBy = req.user._id;
+  review.moderatedAt = new Date();
+
+  await review.save();
+
+  await AuditLog.record(req, {
+    action: `review.${action}`,
+    targetType: 'Review',
+    target: review,
+    targetLabel: review.title || `Review of course ${review.course}`,
+    before,
+    after: AuditLog.snapshot(review, fields),
+    reason
+  });
+
+  res.json({
+    success: true,
+    message: MODERATION_MESSAGES[action],
+    data: { review }
+  });
+};
+
+// @desc    Hide a review from the public listing
+// @route   PUT /api/admin/reviews/:id/hide
+// @access  Private (Admin)
+const hideReview = asyncHandler(async (req, res) => moderateReview(req, res, 'hide'));
+
+// @desc    Make a hidden review visible again
+// @route   PUT /api/admin/reviews/:id/unhide
+// @access  Private (Admin)
+const unhideReview = asyncHandler(async (req, res) => moderateReview(req, res, 'unhide'));
+
+// @desc    Flag a review for follow-up
+// @route   PUT /api/admin/reviews/:id/flag
+// @access  Private (Admin)
+const flagReview = asyncHandler(async (req, res) => moderateReview(req, res, 'flag'));
+
+// @desc    Clear a review flag
+// @route   PUT /api/admin/reviews/:id/unflag
+// @access  Private (Admin)
+const unflagReview = asyncHandler(async (req, res) => moderateReview(req, res, 'unflag'));
+
+module.exports = {
+  getCourseReviews,
+  createReview,
+  getMyReview,
+  updateMyReview,
+  deleteMyReview,
+  rateCourse,
+  getReviewsForModeration,
+  hideReview,
+  unhideReview,
+  flagReview,
+  unflagReview
+};
@@ -0,0 +1,215 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const Section = require('../models/Section');
+
+// Load a course owned by the requesting creator; sends the error response itself
+const findOwnCourse = async (req, res, courseId) => {
+  const course = mongoose.Types.ObjectId.isValid(courseId) ? await Course.findById(courseId) : null;
+
+  if (!course) {
+    res.status(404).json({ success: false, message: 'Course not found' });
+    return null;
+  }
+
+  if (course.creator.toString() !== req.user._id.toString()) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage sections for this course' });
+    return null;
+  }
+
+  return course;
+};
+
+// Load a section whose course is owned by the requesting creator
+const findOwnSection = async (req, res) => {
+  const section = mongoose.Types.ObjectId.isValid(req.params.id) ? await Section.findById(req.params.id) : null;
+
+  if (!section) {
+    res.status(404).json({ success: false, message: 'Section not found' });
+    return null;
+  }
+
+  const course = await findOwnCourse(req, res, section.course);
+  return course ? section : null;
+};
+
+// The course's sections with their lessons, plus lessons not in any section
+const getCurriculum = async (courseId) => {
+  const [sections, lessons] = await Promise.all([
+    Section.find({ course: courseId }).sort({ order: 1 }),
+    Lesson.find({ course: courseId, isActive: true })
+      .select('title description type order duration section')
+      .sort({ order: 1 })
+  ]);
+
+  return Section.groupLessons(sections, lessons);
+};
+
+// @desc    Get a course's sections with their lessons
+// @route   GET /api/creator/courses/:courseId/sections
+// @access  Private (Creator)
+const getSections = asyncHandler(async (req, res) => {
+  const course = await findOwnCourse(req, res, req.params.courseId);
+  if (!course) return;
+
+  res.json({
+    success: true,
+    data: await getCurriculum(course._id)
+  });
+});
+
+// @desc    Create a section
+// @route   POST /api/creator/courses/:courseId/sections
+// @access  Private (Creator)
+const createSection = asyncHandler(async (req, res) => {
+  const course = await findOwnCourse(req, res, req.params.courseId);
+  if (!course) return;
+
+  const { title, description } = req.body;
+
+  const section = await Section.create({
+    course: course._id,
+    title,
+    description,
+    order: await Section.getNextOrder(course._id)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Section created successfully',
+    data: { section }
+  });
+});
+
+// @desc    Rename or describe a section
+// @route   PUT /api/creator/sections/:id
+// @access  Private (Creator)
+const updateSection = asyncHandler(async (req, res) => {
+  const section = await findOwnSection(req, res);
+  if (!section) return;
+
+  const { title, description } = req.body;
+
+  if (title !== undefined) section.title = title;
+  if (description !== undefined) section.description = description;
+
+  await section.save();
+
+  res.json({
+    success: true,
+    message: 'Section updated successfully',
+    data: { section }
+  });
+});
+
+// @desc    Delete a section (its lessons are kept, ungrouped)
+// @route   DELETE /api/creator/sections/:id
+// @access  Private (Creator)
+const deleteSection = asyncHandler(async (req, res) => {
+  const section = await findOwnSection(req, res);
+  if (!section) return;
+
+  await section.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Section deleted successfully',
+    data: await getCurriculum(section.course)
+  });
+});
+
+// @desc    Reorder a course's sections
+// @route   PUT /api/creator/courses/:courseId/sections/reorder
+// @access  Private (Creator)
+const reorderSections = asyncHandler(async (req, res) => {
+  const course = await findOwnCourse(req, res, req.params.courseId);
+  if (!course) return;
+
+  const { sectionIds } = req.body;
+  const sections = await Section.find({ course: course._id }).select('_id');
+
+  // The new order must list every section of the course exactly once
+  const current = new Set(sections.map(section => section._id.toString()));
+  const requested = Array.isArray(sectionIds) ? sectionIds.map(String) : [];
+  if (requested.length !== current.size ||
+      new Set(requested).size !== requested.length ||
+      !requested.every(id => current.has(id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'sectionIds must list every section of the course exactly once'
+    });
+  }
+
+  await Section.applyOrder(course._id, requested);
+  await Lesson.resequence(course._id);
+
+  res.json({
+    success: true,
+    message: 'Sections reordered successfully',
+    data: await getCurriculum(course._id)
+  });
+});
+
+// @desc    Move a lesson into a section (or out of all sections)
+// @route   PUT /api/creator/lessons/:id/section
+// @access  Private (Creator)
+const moveLesson = asyncHandler(async (req, res) => {
+  const lesson = mongoose.Types.ObjectId.isValid(req.params.id) ? await Lesson.findById(req.params.id) : null;
+
+  if (!lesson) {
+    return res.status(404).json({
+      success: false,
+      message: 'Lesson not found'
+    });
+  }
+
+  const course = await findOwnCourse(req, res, lesson.course);
+  if (!course) return;
+
+  const { section: sectionId, position } = req.body;
+  let section = null;
+
+  if (sectionId) {
+    section = mongoose.Types.ObjectId.isValid(sectionId)
+      ? await Section.findOne({ _id: sectionId, course: course._id })
+      : null;
+
+    if (!section) {
+      return res.status(400).json({
+        success: false,
+        message: 'Section not found in this course'
+      });
+    }
+  }
+
+  if (position !== undefined && !(Number.isInteger(Number(position)) && Number(position) >= 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Position must be a positive whole number'
+    });
+  }
+
+  await Lesson.updateOne({ _id: lesson._id }, { $set: { section: section ? section._id : null } });
+
+  // Without a position the lesson goes to the end of the section
+  await Lesson.resequence(course._id, {
+    lessonId: lesson._id,
+    position: position !== undefined ? Number(position) : Infinity
+  });
+
+  res.json({
+    success: true,
+    message: 'Lesson moved successfully',
+    data: await getCurriculum(course._id)
+  });
+});
+
+module.exports = {
+  getSections,
+  createSection,
+  updateSection,
+  deleteSection,
+  reorderSections,
+  moveLesson
+};
@@ -0,0 +1,215 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const UploadSession = require('../models/UploadSession');
+const UploadService = require('../services/uploadService');
+const LessonMediaService = require('../services/lessonMediaService');
+const VideoProcessingService = require('../services/videoProcessingService');
+
+// Upload fields a client needs to continue an upload
+const formatUpload = (session) => ({
+  _id: session._id,
+  course: session.course,
+  lesson: session.lesson,
+  fileName: session.fileName,
+  contentType: session.contentType,
+  size: session.size,
+  partSize: session.partSize,
+  partCount: session.partCount,
+  status: session.status,
+  expiresAt: session.expiresAt
+});
+
+// Send an UploadService.UploadError as a JSON error; anything else is rethrown
+const handleUploadError = (res, error) => {
+  if (!(error instanceof UploadService.UploadError)) throw error;
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// Load one of the creator's upload sessions, or send 404
+const findOwnUpload = async (req, res) => {
+  const session = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await UploadSession.findOne({ _id: req.params.id, creator: req.user._id })
+    : null;
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  return session;
+};
+
+// @desc    Start a multipart lesson video upload
+// @route   POST /api/creator/uploads/video
+// @access  Private (Creator)
+const createVideoUpload = asyncHandler(async (req, res) => {
+  const { courseId, lessonId, fileName, contentType, size } = req.body;
+
+  const course = mongoose.Types.ObjectId.isValid(courseId) ? await Course.findById(courseId) : null;
+  if (!course) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+  }
+
+  if (course.creator.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to upload videos to this course'
+    });
+  }
+
+  let lesson = null;
+  if (lessonId) {
+    lesson = mongoose.Types.ObjectId.isValid(lessonId)
+      ? await Lesson.findOne({ _id: lessonId, course: course._id })
+      : null;
+    if (!lesson) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lesson not found in this course'
+      });
+    }
+    if (lesson.type !== 'video') {
+      return res.status(400).json({
+        success: false,
+        message: 'Videos can only be uploaded to video lessons'
+      });
+    }
+  }
+
+  // Drop this creator's abandoned uploads while we're here
+  await UploadService.cleanupExpired({ creator: req.user._id });
+
+  let session;
+  try {
+    session = await UploadService.createVideoUpload({
+      creator: req.user._id,
+      course: course._id,
+      lesson: lesson ? lesson._id : null,
+      fileName,
+      contentType,
+      size
+    });
+  } catch (error) {
+    return handleUploadError(res, error);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Upload started',
+    data: { upload: formatUpload(session) }
+  });
+});
+
+// @desc    Get an upload and the parts stored so far (to resume it)
+// @route   GET /api/creator/uploads/:id
+// @access  Private (Creator)
+const getUpload = asyncHandler(async (req, res) => {
+  const session = await findOwnUpload(req, res);
+  if (!session) return;
+
+  res.json({
+    success: true,
+    data: {
+      upload: formatUpload(session),
+      uploadedParts: await UploadService.listUploadedParts(session)
+    }
+  });
+});
+
+// @desc    Get presigned URLs to upload parts to
+// @route   POST /api/creator/uploads/:id/parts
+// @access  Private (Creator)
+const getUploadPartUrls = asyncHandler(async (req, res) => {
+  const session = await findOwnUpload(req, res);
+  if (!session) return;
+
+  try {
+    const parts = await UploadService.getPartUrls(session, req.body.partNumbers);
+    res.json({
+      success: true,
+      data: { parts }
+    });
+  } catch (error) {
+    return handleUploadError(res, error);
+  }
+});
+
+// @desc    Finish an upload; attaches the video when the upload is for a lesson
+// @route   POST /api/creator/uploads/:id/complete
+// @access  Private (Creator)
+const completeUpload = asyncHandler(async (req, res) => {
+  const session = await findOwnUpload(req, res);
+  if (!session) return;
+
+  try {
+    await UploadService.complete(session, req.body.parts);
+  } catch (error) {
+    return handleUploadError(res, error);
+  }
+
+  let lesson = session.lesson ? await Lesson.findById(session.lesson).populate('course') : null;
+  if (lesson) {
+    await UploadService.attachToLesson(session, lesson, { duration: req.body.duration });
+    await VideoProcessingService.queueLesson(lesson);
+
+    // A new video in a published course needs another review, as other lesson edits do
+    if (lesson.course.status === 'published') {
+      lesson.course.status = 'pending_review';
+      lesson.course.requiresReapproval = true;
+      lesson.course.modificationReason = 'Lesson video replaced - requires re-approval';
+      lesson.course.lastModified = new Date();
+      await lesson.course.save();
+    }
+
+    lesson = await LessonMediaService.withSignedUrls(lesson);
+  }
+
+  res.json({
+    success: true,
+    message: lesson ? 'Video uploaded and added to the lesson' : 'Video uploaded',
+    data: {
+      upload: formatUpload(session),
+      lesson
+    }
+  });
+});
+
+// @desc    Cancel an upload
+// @route   DELETE /api/creator/uploads/:id
+// @access  Private (Creator)
+const abortUpload = asyncHandler(async (req, res) => {
+  const session = await findOwnUpload(req, res);
+  if (!session) return;
+
+  if (session.status === 'attached') {
+    return res.status(400).json({
+      success: false,
+      message: 'This video is already used by a lesson'
+    });
+  }
+
+  await UploadService.abort(session);
+
+  res.json({
+    success: true,
+    message: 'Upload cancelled'
+  });
+});
+
+module.exports = {
+  createVideoUpload,
+  getUpload,
+  getUploadPartUrls,
+  completeUpload,
+  abortUpload
+};
@@ -0,0 +1,117 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const WishlistItem = require('../models/WishlistItem');
+const WishlistService = require('../services/wishlistService');
+
+// Send a WishlistService.WishlistError as a JSON error; anything else is rethrown
+const handleWishlistError = (res, error) => {
+  if (!(error instanceof WishlistService.WishlistError)) throw error;
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @desc    Get my wishlist, most recently saved first
+// @route   GET /api/learner/wishlist
+// @access  Private (Learner)
+const getWishlist = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+  const query = { learner: req.user._id };
+
+  const [items, total] = await Promise.all([
+    WishlistItem.find(query)
+      .populate({
+        path: 'course',
+        select: 'title shortDescription thumbnail category level price rating enrollmentCount duration status isActive creator',
+        populate: { path: 'creator', select: 'name avatar' }
+      })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WishlistItem.countDocuments(query)
+  ]);
+
+  const wishlist = items
+    .filter(item => item.course)
+    .map(item => {
+      const { status, isActive, ...course } = item.course.toObject();
+      return {
+        course,
+        addedAt: item.createdAt,
+        priceWhenSaved: item.snapshot.price,
+        priceDropped: course.price < item.snapshot.price,
+        // Saved courses can be unpublished later; they stay listed but can't be enrolled in
+        isAvailable: status === 'published' && isActive
+      };
+    });
+
+  res.json({
+    success: true,
+    data: {
+      wishlist,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit) || 1
+      }
+    }
+  });
+});
+
+// @desc    Save a course to my wishlist
+// @route   POST /api/learner/wishlist
+// @access  Private (Learner)
+const addToWishlist = asyncHandler(async (req, res) => {
+  const { courseId } = req.body;
+
+  if (!courseId || !mongoose.Types.ObjectId.isValid(courseId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid courseId is required'
+    });
+  }
+
+  try {
+    const { item, created } = await WishlistService.add(req.user._id, courseId);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Course added to your wishlist' : 'Course is already in your wishlist',
+      data: {
+        courseId: item.course,
+        addedAt: item.createdAt
+      }
+    });
+  } catch (error) {
+    return handleWishlistError(res, error);
+  }
+});
+
+// @desc    Remove a course from my wishlist
+// @route   DELETE /api/learner/wishlist/:courseId
+// @access  Private (Learner)
+const removeFromWishlist = asyncHandler(async (req, res) => {
+  const removed = mongoose.Types.ObjectId.isValid(req.params.courseId)
+    && await WishlistService.remove(req.user._id, req.params.courseId);
+
+  if (!removed) {
+    return res.status(404).json({
+      success: false,
+      message: 'Course is not in your wishlist'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Course removed from your wishlist'
+  });
+});
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist
+};
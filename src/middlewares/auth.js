@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Protect routes - verify JWT token
 const protect = asyncHandler(async (req, res, next) => {
@@ -28,6 +29,19 @@ const protect = asyncHandler(async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('Token verified successfully for user:', decoded.id);
 
+    // Access tokens are tied to a session so they stop working once it is revoked
+    const session = decoded.sid
+      ? await Session.findById(decoded.sid).select('user revokedAt expiresAt')
+      : null;
+
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked, please log in again'
+      });
+    }
+    req.authSession = session;
+
     // Get user from token
     req.user = await User.findById(decoded.id).select('-password');
 
@@ -61,6 +75,40 @@ const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Identify the user on public routes that show more to signed-in users. Requests
+// without a token, or with one that protect would reject, go on anonymously.
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  let token;
+  if (req.cookies.token) {
+    token = req.cookies.token;
+  } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = decoded.sid
+      ? await Session.findById(decoded.sid).select('user revokedAt expiresAt')
+      : null;
+
+    if (session && session.isActive() && session.user.toString() === decoded.id) {
+      const user = await User.findById(decoded.id).select('-password');
+      if (user && user.isActive && !user.isBlocked && !['blocked', 'deleted'].includes(user.accountStatus)) {
+        req.user = user;
+        req.authSession = session;
+      }
+    }
+  } catch (error) {
+    // An expired or invalid token is the same as none here
+  }
+
+  next();
+});
+
 // Role-based authorization
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -82,6 +130,28 @@ const authorize = (...roles) => {
   };
 };
 
+// Require a verified email address (admins are exempt)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  if (req.user.role !== 'admin' && !req.user.hasVerifiedEmail()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+      data: {
+        resend: 'POST /api/auth/resend-verification'
+      }
+    });
+  }
+
+  next();
+};
+
 // Check if user is creator or admin (for course management)
 const creatorOrAdmin = (req, res, next) => {
   if (!req.user) {
@@ -136,16 +206,18 @@ const ownerOrAdmin = (Model, paramName = 'id') => {
   });
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Generate a short-lived JWT access token for a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id: id.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
   });
 };
 
 module.exports = {
   protect,
+  optionalAuth,
   authorize,
+  requireVerifiedEmail,
   creatorOrAdmin,
   ownerOrAdmin,
   generateToken
@@ -1,4 +1,5 @@
 const asyncHandler = require('express-async-handler');
+const LessonTypeService = require('../services/lessonTypeService');
 
 // Validate course creation/update (robust to multipart/form-data, trims and normalizes)
 const validateCourse = asyncHandler(async (req, res, next) => {
@@ -105,6 +106,13 @@ const validateLesson = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // Each lesson type has its own content (article text, embedded video link). New lessons
+  // are videos unless told otherwise; updates are checked against the lesson's type in the controller.
+  const type = raw.type || (isCreate ? 'video' : null);
+  if (type) {
+    errors.push(...LessonTypeService.resolveContent(type, raw, { partial: !isCreate }).errors);
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who performed the action (null for anonymous events like failed logins)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: String,
+  actorRole: String,
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'auth.login.success',
+      'auth.login.failure',
+      'user.status.update',
+      'user.block',
+      'user.unblock',
+      'user.delete',
+      'user.restrict_courses',
+      'user.unrestrict_courses',
+      'course.review',
+      'course.approve',
+      'course.reject',
+      'creator.review',
+      'creator.approve',
+      'creator.reject',
+      'review.hide',
+      'review.unhide',
+      'review.flag',
+      'review.unflag',
+      'order.refund',
+      'payout.create',
+      'certificate.revoke',
+      'certificate.reinstate'
+    ]
+  },
+  // What the action was performed on
+  targetType: {
+    type: String,
+    enum: ['User', 'Course', 'Review', 'Order', 'Payout', 'Certificate'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType'
+  },
+  targetLabel: String,
+  // Field-level diff of the target
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  reason: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the admin log filters
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+
+// Pick a subset of fields from a document for the before/after diff
+auditLogSchema.statics.snapshot = function(doc, fields) {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject() : (doc || {});
+  return fields.reduce((result, field) => {
+    const keys = field.split('.');
+    const value = keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), source);
+    // Nested paths are stored nested, since Mongo field names cannot contain dots
+    const parent = keys.slice(0, -1).reduce((obj, key) => (obj[key] = obj[key] || {}), result);
+    parent[keys[keys.length - 1]] = value === undefined ? null : value;
+    return result;
+  }, {});
+};
+
+// Static method to record an audit entry from a request.
+// Never throws: a failed audit write must not fail the action being audited.
+auditLogSchema.statics.record = async function(req, entry) {
+  try {
+    const actor = entry.actor !== undefined ? entry.actor : req.user;
+
+    return await this.create({
+      actor: actor ? actor._id : null,
+      actorEmail: entry.actorEmail || (actor ? actor.email : undefined),
+      actorRole: actor ? actor.role : undefined,
+      action: entry.action,
+      targetType: entry.targetType,
+      target: entry.target ? entry.target._id || entry.target : undefined,
+      targetLabel: entry.targetLabel,
+      changes: {
+        before: entry.before || {},
+        after: entry.after || {}
+      },
+      reason: entry.reason,
+      ip: req.ip || (req.connection && req.connection.remoteAddress),
+      userAgent: req.get ? req.get('User-Agent') : undefined
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
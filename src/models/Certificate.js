@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const CertificateSigningService = require('../services/certificateSigningService');
+
+// Random, so serials cannot be guessed from the learner, course and time
+const generateSerialHash = () => crypto.randomBytes(8).toString('hex').toUpperCase();
 
 const certificateSchema = new mongoose.Schema({
   serialHash: {
@@ -37,6 +41,13 @@ const certificateSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when an admin revokes the certificate; cleared on reinstatement
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
   // Certificate metadata
   totalLessons: {
     type: Number,
@@ -50,7 +61,18 @@ const certificateSchema = new mongoose.Schema({
     type: String,
     enum: ['A+', 'A', 'B+', 'B', 'C+', 'C', 'Pass'],
     default: 'Pass'
-  }
+  },
+  // Template the certificate was issued with (see CertificateTemplate.findForCertificate)
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CertificateTemplate',
+    default: null
+  },
+  // Platform signature over getSignedPayload(); see CertificateSigningService
+  signature: String,
+  signatureKeyId: String,
+  signatureAlgorithm: String,
+  signedAt: Date
 }, {
   timestamps: true
 });
@@ -63,19 +85,44 @@ certificateSchema.index({ completionDate: -1 });
 // Pre-save middleware to generate unique serial hash
 certificateSchema.pre('save', function(next) {
   if (!this.serialHash) {
-    const data = `${this.learner}-${this.course}-${Date.now()}`;
-    this.serialHash = crypto.createHash('sha256').update(data).digest('hex').substring(0, 16).toUpperCase();
+    this.serialHash = generateSerialHash();
   }
   next();
 });
 
+// The data covered by the signature
+certificateSchema.methods.getSignedPayload = function() {
+  return CertificateSigningService.buildPayload(this);
+};
+
+// Sign the certificate with the platform's active key
+certificateSchema.methods.sign = function() {
+  if (!this.serialHash) {
+    this.serialHash = generateSerialHash();
+  }
+
+  const { signature, keyId, algorithm } = CertificateSigningService.sign(this.getSignedPayload());
+
+  this.signature = signature;
+  this.signatureKeyId = keyId;
+  this.signatureAlgorithm = algorithm;
+  this.signedAt = new Date();
+};
+
+// Check the stored signature; null for certificates issued before signing existed
+certificateSchema.methods.verifySignature = function() {
+  if (!this.signature) return null;
+  return CertificateSigningService.verify(this.getSignedPayload(), this.signature, this.signatureKeyId);
+};
+
 // Method to verify certificate authenticity
 certificateSchema.methods.verify = function() {
-  return this.isValid && this.completionDate && this.serialHash;
+  const signature = this.verifySignature();
+  return Boolean(this.isValid && this.completionDate && this.serialHash && (signature === null || signature.valid));
 };
 
 // Static method to generate certificate
-certificateSchema.statics.generateCertificate = async function(learner, course) {
+certificateSchema.statics.generateCertificate = async function(learner, course, { grade = 'Pass' } = {}) {
   const User = mongoose.model('User');
   const Course = mongoose.model('Course');
   const Lesson = mongoose.model('Lesson');
@@ -84,21 +131,20 @@ certificateSchema.statics.generateCertificate = async function(learner, course)
   const courseDetails = await Course.findById(course).populate('creator', 'name');
   const lessons = await Lesson.find({ course, isActive: true });
   
-  // Generate unique serial hash
-  const data = `${learner._id}-${course}-${Date.now()}`;
-  const serialHash = crypto.createHash('sha256').update(data).digest('hex').substring(0, 16).toUpperCase();
-  
   const certificate = new this({
-    serialHash: serialHash,
+    serialHash: generateSerialHash(),
     learner: learner._id,
     course: course,
     learnerName: learner.name,
     courseTitle: courseDetails.title,
     issuedBy: courseDetails.creator._id,
     totalLessons: lessons.length,
-    courseDuration: courseDetails.duration
+    courseDuration: courseDetails.duration,
+    grade,
+    template: courseDetails.certificateTemplate || null
   });
-  
+
+  certificate.sign();
   await certificate.save();
   return certificate;
 };
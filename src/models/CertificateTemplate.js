@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const FONT_FAMILIES = ['serif', 'sans-serif', 'monospace'];
+
+const colorField = (defaultValue, label) => ({
+  type: String,
+  default: defaultValue,
+  match: [HEX_COLOR, `${label} colour must be a hex colour like #1A365D`]
+});
+
+const imageSchema = new mongoose.Schema({
+  url: String,
+  key: String // storage key
+}, { _id: false });
+
+const certificateTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // platform templates are managed by admins and usable by every course;
+  // creator templates only by the owning creator's courses
+  scope: {
+    type: String,
+    enum: ['platform', 'creator'],
+    required: true
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The platform template used by courses that have not picked one
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'CERTIFICATE OF COMPLETION',
+    maxlength: [60, 'Title cannot exceed 60 characters']
+  },
+  introText: {
+    type: String,
+    trim: true,
+    default: 'This is to certify that',
+    maxlength: [120, 'Intro text cannot exceed 120 characters']
+  },
+  completionText: {
+    type: String,
+    trim: true,
+    default: 'has successfully completed the course',
+    maxlength: [120, 'Completion text cannot exceed 120 characters']
+  },
+  colors: {
+    primary: colorField('#1A365D', 'Primary'), // learner name and course title
+    text: colorField('#2D3748', 'Text'),
+    secondary: colorField('#4A5568', 'Secondary'),
+    border: colorField('#2D3748', 'Border'),
+    accent: colorField('#E2E8F0', 'Accent'), // decorations
+    background: colorField('#FFFFFF', 'Background')
+  },
+  fontFamily: {
+    type: String,
+    enum: FONT_FAMILIES,
+    default: 'serif'
+  },
+  logo: imageSchema,
+  signatureImage: imageSchema,
+  signatoryName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Signatory name cannot exceed 100 characters']
+  },
+  signatoryTitle: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Signatory title cannot exceed 100 characters']
+  },
+  // Optional parts of the certificate; the learner name and course title are always shown
+  fields: {
+    courseDuration: { type: Boolean, default: true },
+    totalLessons: { type: Boolean, default: true },
+    completionDate: { type: Boolean, default: true },
+    grade: { type: Boolean, default: true },
+    serialHash: { type: Boolean, default: true },
+    issuer: { type: Boolean, default: true },
+    qrCode: { type: Boolean, default: true }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+certificateTemplateSchema.index({ scope: 1, creator: 1, isActive: 1 });
+certificateTemplateSchema.index({ isDefault: 1 });
+
+certificateTemplateSchema.pre('validate', function(next) {
+  if (this.scope === 'creator' && !this.creator) {
+    this.invalidate('creator', 'Creator templates need an owner');
+  }
+  if (this.scope === 'creator' && this.isDefault) {
+    this.invalidate('isDefault', 'Only platform templates can be the default');
+  }
+  next();
+});
+
+certificateTemplateSchema.statics.FONT_FAMILIES = FONT_FAMILIES;
+
+// Check whether a course by this creator may use the template
+certificateTemplateSchema.methods.isUsableBy = function(creatorId) {
+  if (!this.isActive) return false;
+  return this.scope === 'platform' || (this.creator && this.creator.toString() === creatorId.toString());
+};
+
+// Static method to find the template a certificate renders with: the one it was
+// issued with, else the course's current one, else the platform default (or null)
+certificateTemplateSchema.statics.findForCertificate = async function(certificate) {
+  const courseId = certificate.course && (certificate.course._id || certificate.course);
+  const candidates = [certificate.template];
+
+  if (courseId) {
+    const course = await mongoose.model('Course').findById(courseId).select('certificateTemplate');
+    if (course) candidates.push(course.certificateTemplate);
+  }
+
+  for (const id of candidates.filter(Boolean)) {
+    const template = await this.findById(id);
+    if (template) return template;
+  }
+
+  return this.findOne({ scope: 'platform', isDefault: true, isActive: true });
+};
+
+module.exports = mongoose.model('CertificateTemplate', certificateTemplateSchema);
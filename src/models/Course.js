@@ -113,7 +113,24 @@ const courseSchema = new mongoose.Schema({
   outcomes: [{
     type: String,
     trim: true
-  }]
+  }],
+  // Design used for this course's certificates (platform default when unset)
+  certificateTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CertificateTemplate',
+    default: null
+  },
+  // Learners must pass every required quiz before the course counts as completed
+  requireQuizPass: {
+    type: Boolean,
+    default: false
+  },
+  // Lesson transcripts, so course search matches what is said in the videos (see CaptionService)
+  transcriptText: {
+    type: String,
+    default: '',
+    select: false
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -121,7 +138,11 @@ const courseSchema = new mongoose.Schema({
 });
 
 // Indexes for better performance
-courseSchema.index({ title: 'text', description: 'text', tags: 'text' });
+// Transcripts count for less than the course's own text (npm run migrate:search-index replaces the older index)
+courseSchema.index(
+  { title: 'text', description: 'text', tags: 'text', transcriptText: 'text' },
+  { name: 'course_search', weights: { title: 10, tags: 5, description: 3, transcriptText: 1 } }
+);
 courseSchema.index({ category: 1, level: 1 });
 courseSchema.index({ status: 1, isActive: 1 });
 courseSchema.index({ creator: 1 });
@@ -136,6 +157,14 @@ courseSchema.virtual('lessons', {
   options: { sort: { order: 1 } }
 });
 
+// Virtual for sections
+courseSchema.virtual('sections', {
+  ref: 'Section',
+  localField: '_id',
+  foreignField: 'course',
+  options: { sort: { order: 1 } }
+});
+
 // Virtual for lesson count
 courseSchema.virtual('lessonCount', {
   ref: 'Lesson',
@@ -144,9 +173,17 @@ courseSchema.virtual('lessonCount', {
   count: true
 });
 
-// Pre-remove middleware to clean up lessons
+// Pre-remove middleware to clean up lessons, sections, reviews and enrollments
 courseSchema.pre('deleteOne', { document: true, query: false }, async function() {
   await mongoose.model('Lesson').deleteMany({ course: this._id });
+  await mongoose.model('Section').deleteMany({ course: this._id });
+  await mongoose.model('Review').deleteMany({ course: this._id });
+  await mongoose.model('Enrollment').deleteMany({ course: this._id });
+  await mongoose.model('Quiz').deleteMany({ course: this._id });
+  await mongoose.model('QuizAttempt').deleteMany({ course: this._id });
+  await mongoose.model('WatchProgress').deleteMany({ course: this._id });
+  await mongoose.model('Transcript').deleteMany({ course: this._id });
+  await mongoose.model('WishlistItem').deleteMany({ course: this._id });
 });
 
 // Method to calculate total duration from lessons
@@ -159,9 +196,10 @@ courseSchema.methods.calculateTotalDuration = async function() {
 
 // Method to update enrollment count
 courseSchema.methods.updateEnrollmentCount = async function() {
-  const User = mongoose.model('User');
-  const count = await User.countDocuments({
-    'enrolledCourses.course': this._id
+  const Enrollment = mongoose.model('Enrollment');
+  const count = await Enrollment.countDocuments({
+    course: this._id,
+    status: { $in: Enrollment.ACTIVE_STATUSES }
   });
   this.enrollmentCount = count;
   await this.save();
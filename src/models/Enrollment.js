@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Statuses that count as "enrolled"; cancelled enrollments (e.g. refunds)
+// are kept for history but give no access.
+const ACTIVE_STATUSES = ['active', 'completed'];
+
+const enrollmentSchema = new mongoose.Schema({
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  completedLessons: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson'
+  }],
+  enrolledAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  cancelledAt: Date,
+  lastAccessedAt: Date,
+  certificate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Certificate',
+    default: null
+  },
+  certificateIssued: {
+    type: Boolean,
+    default: false
+  },
+  certificateHash: String,
+  // Why the certificate couldn't be issued at completion (e.g. no signing key); cleared once
+  // `certificates:keys -- sign-missing` issues it
+  certificateError: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+enrollmentSchema.index({ learner: 1, course: 1 }, { unique: true });
+enrollmentSchema.index({ course: 1, status: 1, enrolledAt: -1 });
+enrollmentSchema.index({ learner: 1, status: 1, enrolledAt: -1 });
+
+// Query helper: Enrollment.find(...).active()
+enrollmentSchema.query.active = function() {
+  return this.where({ status: { $in: ACTIVE_STATUSES } });
+};
+
+enrollmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+// Check whether a lesson has been completed
+enrollmentSchema.methods.hasCompletedLesson = function(lessonId) {
+  return this.completedLessons.some(id => id.toString() === lessonId.toString());
+};
+
+// Recalculate progress from completed lessons. Completion itself is decided by
+// EnrollmentService.completeIfEligible, since it may also depend on quiz results.
+enrollmentSchema.methods.updateProgress = function(totalLessons) {
+  this.progress = totalLessons > 0
+    ? Math.min(100, Math.round((this.completedLessons.length / totalLessons) * 100))
+    : 0;
+
+  if (this.progress < 100 && this.status === 'completed') {
+    this.status = 'active';
+  }
+
+  return this.progress;
+};
+
+// Mark the enrollment completed
+enrollmentSchema.methods.markCompleted = function() {
+  this.status = 'completed';
+  if (!this.completedAt) {
+    this.completedAt = new Date();
+  }
+};
+
+// Static method to summarize enrollments per learner: { [learnerId]: { totalEnrollments, completedCourses, averageProgress } }
+enrollmentSchema.statics.getLearnerStats = async function(learnerIds) {
+  const rows = await this.aggregate([
+    { $match: { learner: { $in: learnerIds }, status: { $in: ACTIVE_STATUSES } } },
+    {
+      $group: {
+        _id: '$learner',
+        totalEnrollments: { $sum: 1 },
+        completedCourses: { $sum: { $cond: ['$certificateIssued', 1, 0] } },
+        averageProgress: { $avg: '$progress' }
+      }
+    }
+  ]);
+
+  return rows.reduce((stats, row) => {
+    stats[row._id.toString()] = {
+      totalEnrollments: row.totalEnrollments,
+      completedCourses: row.completedCourses,
+      averageProgress: row.averageProgress || 0
+    };
+    return stats;
+  }, {});
+};
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
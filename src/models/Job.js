@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A unit of background work run by the job worker (see JobQueue)
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: [1, 'A job needs at least one attempt']
+  },
+  // Not picked up before this time (used to back off between retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1 });
+// Let MongoDB drop finished jobs after 30 days
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Creator earnings ledger. Amounts are signed from the creator's point of view:
+// sales are positive, refunds and payouts negative, so a creator's balance is
+// the sum of netAmount over their entries.
+const ledgerEntrySchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'refund', 'payout'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  // Payout that settled this entry (for sales/refunds) or that this entry records (for payouts)
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  },
+  // What the learner paid (or got back)
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  // Platform's share of the gross amount
+  platformFee: {
+    type: Number,
+    default: 0
+  },
+  // Creator's share: grossAmount - platformFee, or the payout amount
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  description: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ creator: 1, occurredAt: -1 });
+ledgerEntrySchema.index({ creator: 1, payout: 1 });
+ledgerEntrySchema.index({ course: 1, type: 1 });
+// A single sale and a single refund per order
+ledgerEntrySchema.index(
+  { order: 1, type: 1 },
+  { unique: true, partialFilterExpression: { order: { $exists: true } } }
+);
+
+// Round to cents to avoid floating point drift in sums
+ledgerEntrySchema.statics.roundAmount = function(amount) {
+  return Math.round(amount * 100) / 100;
+};
+
+// Static method to get a creator's unsettled balance
+ledgerEntrySchema.statics.getBalance = async function(creatorId) {
+  const rows = await this.aggregate([
+    { $match: { creator: new mongoose.Types.ObjectId(creatorId), payout: null, type: { $ne: 'payout' } } },
+    { $group: { _id: null, balance: { $sum: '$netAmount' }, entries: { $sum: 1 } } }
+  ]);
+
+  return rows.length > 0
+    ? { balance: this.roundAmount(rows[0].balance), entries: rows[0].entries }
+    : { balance: 0, entries: 0 };
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
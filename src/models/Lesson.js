@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+function isVideoLesson() {
+  return !this.type || this.type === 'video';
+}
+
 const lessonSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -16,23 +20,75 @@ const lessonSchema = new mongoose.Schema({
     ref: 'Course',
     required: true
   },
+  // Section the lesson is grouped under (null for ungrouped lessons)
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
+  // Position in the whole course; lessons run section by section (see resequence)
   order: {
     type: Number,
     required: [true, 'Lesson order is required'],
     min: [1, 'Order must be at least 1']
   },
+  // What the lesson is made of (see LessonTypeService): an uploaded video, an article,
+  // a video hosted elsewhere, resources to download, or quizzes only
+  type: {
+    type: String,
+    enum: ['video', 'article', 'embed', 'download', 'quiz'],
+    default: 'video'
+  },
+  // Uploaded video (video lessons only)
   video: {
     url: {
       type: String,
-      required: [true, 'Video URL is required']
+      required: [isVideoLesson, 'Video URL is required']
     },
     publicId: {
       type: String,
-      required: true
+      required: isVideoLesson
     },
     duration: {
       type: Number, // in seconds
       default: 0
+    },
+    // Adaptive streaming renditions made by the video processing job
+    hls: {
+      prefix: String, // storage folder holding the playlists and segments
+      masterKey: String, // storage key of the master playlist
+      renditions: [{
+        _id: false,
+        name: String,
+        width: Number,
+        height: Number,
+        bandwidth: Number
+      }]
+    }
+  },
+  // Article lessons: the creator's Markdown or HTML and the sanitized HTML learners see
+  article: {
+    format: {
+      type: String,
+      enum: ['markdown', 'html']
+    },
+    body: String,
+    html: String,
+    wordCount: Number,
+    readingTime: Number // minutes
+  },
+  // Embed lessons: a YouTube, Vimeo or Loom video played in the provider's player
+  embed: {
+    provider: {
+      type: String,
+      enum: ['youtube', 'vimeo', 'loom']
+    },
+    videoId: String,
+    url: String, // the link the creator pasted
+    embedUrl: String, // player URL for an iframe
+    duration: {
+      type: Number, // seconds, when the creator gave it
+      default: 0
     }
   },
   thumbnail: {
@@ -41,12 +97,56 @@ const lessonSchema = new mongoose.Schema({
     },
     publicId: {
       type: String
+    },
+    // Poster frame taken from the video because the creator didn't upload one
+    generated: {
+      type: Boolean,
+      default: false
     }
   },
+  // Video processing (see VideoProcessingService). Lessons from before processing
+  // existed default to ready and play their original file.
+  processing: {
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'ready', 'failed'],
+      default: 'ready'
+    },
+    error: String,
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date
+  },
+  // Plain text of the default caption track, kept up to date by CaptionService
   transcript: {
     type: String,
     default: ''
   },
+  // Caption tracks, stored as private WebVTT files; their timed cues are in Transcript
+  captions: [{
+    language: {
+      type: String, // BCP 47 tag, e.g. en or pt-BR
+      required: true,
+      match: [/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/, 'Language must be a language code such as en or pt-BR']
+    },
+    label: {
+      type: String,
+      maxlength: [50, 'Caption label cannot exceed 50 characters']
+    },
+    file: {
+      url: String,
+      publicId: String
+    },
+    sourceFormat: {
+      type: String,
+      enum: ['vtt', 'srt']
+    },
+    cueCount: Number,
+    isDefault: {
+      type: Boolean,
+      default: false
+    }
+  }],
   duration: {
     type: Number, // in minutes
     required: [true, 'Duration is required'],
@@ -56,19 +156,62 @@ const lessonSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  // Lesson resources
-  resources: [{
-    title: String,
-    url: String,
-    type: {
-      type: String,
-      enum: ['pdf', 'link', 'file', 'other']
-    }
-  }],
+  // Lesson resources: links, or files stored privately (publicId is the storage key)
+  // that learners download through GET /api/lessons/:id/resources/:resourceId/download.
+  // The array order is the order learners see them in.
+  resources: {
+    type: [{
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Resource title cannot exceed 100 characters']
+      },
+      url: String,
+      publicId: String,
+      type: {
+        type: String,
+        enum: ['pdf', 'link', 'file', 'other']
+      },
+      fileName: String,
+      contentType: String,
+      size: Number, // bytes
+      downloadCount: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: [resources => resources.length <= 20, 'A lesson can have at most 20 resources']
+  },
   // Lesson notes for instructors
   notes: {
     type: String,
     maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  // Drip scheduling: when the lesson is released to each learner
+  drip: {
+    mode: {
+      type: String,
+      enum: ['none', 'after_enrollment', 'fixed_date'],
+      default: 'none'
+    },
+    days: {
+      type: Number, // days after enrollment (after_enrollment)
+      min: [0, 'Drip days cannot be negative']
+    },
+    date: {
+      type: Date // release date (fixed_date)
+    }
+  },
+  // Lessons and quizzes a learner must finish before this lesson unlocks
+  prerequisites: {
+    lessons: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lesson'
+    }],
+    quizzes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Quiz'
+    }]
   }
 }, {
   timestamps: true
@@ -77,6 +220,31 @@ const lessonSchema = new mongoose.Schema({
 // Compound index to ensure unique order per course
 lessonSchema.index({ course: 1, order: 1 }, { unique: true });
 lessonSchema.index({ course: 1, isActive: 1 });
+lessonSchema.index({ section: 1 });
+
+lessonSchema.pre('validate', function(next) {
+  if (this.drip.mode === 'after_enrollment' && (this.drip.days === undefined || this.drip.days === null)) {
+    this.invalidate('drip.days', 'Drip days are required when releasing after enrollment');
+  }
+
+  if (this.drip.mode === 'fixed_date' && !this.drip.date) {
+    this.invalidate('drip.date', 'A release date is required for fixed date release');
+  }
+
+  if (this.type === 'article' && !(this.article && this.article.html)) {
+    this.invalidate('article.body', 'Article lessons need article content');
+  }
+
+  if (this.type === 'embed' && !(this.embed && this.embed.embedUrl)) {
+    this.invalidate('embed.url', 'Embed lessons need a video link');
+  }
+
+  if (this.prerequisites.lessons.some(id => id.toString() === this._id.toString())) {
+    this.invalidate('prerequisites.lessons', 'A lesson cannot be its own prerequisite');
+  }
+
+  next();
+});
 
 // Pre-save middleware to validate order uniqueness
 lessonSchema.pre('save', async function(next) {
@@ -105,17 +273,107 @@ lessonSchema.statics.getNextOrder = async function(courseId) {
   return lastLesson ? lastLesson.order + 1 : 1;
 };
 
-// Method to reorder lessons after deletion
-lessonSchema.statics.reorderLessons = async function(courseId, deletedOrder) {
-  await this.updateMany(
-    { course: courseId, order: { $gt: deletedOrder } },
-    { $inc: { order: -1 } }
-  );
+// Set the lessons' order to follow lessonIds (every lesson of the course, in the new order).
+// Orders are first moved out of the way (to -n..-1, which keeps the new order if the second
+// step never runs) so the unique index never sees a collision.
+lessonSchema.statics.applyOrder = async function(courseId, lessonIds) {
+  if (lessonIds.length === 0) return;
+
+  await this.bulkWrite(lessonIds.map((id, index) => ({
+    updateOne: { filter: { _id: id, course: courseId }, update: { $set: { order: index - lessonIds.length } } }
+  })));
+  await this.bulkWrite(lessonIds.map((id, index) => ({
+    updateOne: { filter: { _id: id, course: courseId }, update: { $set: { order: index + 1 } } }
+  })));
 };
 
-// Pre-remove middleware to reorder remaining lessons
-lessonSchema.pre('deleteOne', { document: true, query: false }, async function() {
-  await this.constructor.reorderLessons(this.course, this.order);
+// Renumber a course's lessons so they run section by section: ungrouped lessons first, then
+// each section in order. Lessons keep their relative order within a group unless placement
+// ({ lessonId, position }) puts one lesson at a 1-based position within its group.
+lessonSchema.statics.resequence = async function(courseId, placement) {
+  const [lessons, sections] = await Promise.all([
+    this.find({ course: courseId }).sort({ order: 1 }).select('section order'),
+    mongoose.model('Section').find({ course: courseId }).sort({ order: 1 }).select('_id')
+  ]);
+
+  const sectionRank = new Map(sections.map((section, index) => [section._id.toString(), index + 1]));
+  const rankOf = lesson => (lesson.section && sectionRank.get(lesson.section.toString())) || 0;
+
+  let sequence = [...lessons].sort((a, b) => rankOf(a) - rankOf(b) || a.order - b.order);
+
+  const placed = placement && sequence.find(lesson => lesson._id.toString() === placement.lessonId.toString());
+  if (placed) {
+    sequence = sequence.filter(lesson => lesson !== placed);
+    const group = sequence.filter(lesson => rankOf(lesson) === rankOf(placed));
+    const before = group[Math.max(0, placement.position - 1)];
+    const index = before
+      ? sequence.indexOf(before)
+      : sequence.findIndex(lesson => rankOf(lesson) > rankOf(placed));
+    sequence.splice(index === -1 ? sequence.length : index, 0, placed);
+  }
+
+  if (sequence.every((lesson, index) => lesson.order === index + 1)) return;
+
+  await this.applyOrder(courseId, sequence.map(lesson => lesson._id));
+};
+
+// Move a lesson to a position in the whole course; the lessons in between shift to make room.
+// The lesson stays within its section, so the position is limited to the section's range.
+lessonSchema.statics.moveToOrder = async function(lesson, order) {
+  const lessons = await this.find({ course: lesson.course }).sort({ order: 1 }).select('_id');
+  const sequence = lessons.filter(other => other._id.toString() !== lesson._id.toString());
+  const index = Math.min(Math.max(order - 1, 0), sequence.length);
+
+  sequence.splice(index, 0, lesson);
+  await this.applyOrder(lesson.course, sequence.map(other => other._id));
+  await this.resequence(lesson.course);
+};
+
+// Video length in seconds, falling back to the lesson's duration when it wasn't extracted on upload
+lessonSchema.methods.getVideoDuration = function() {
+  if (this.type === 'embed') {
+    return (this.embed && this.embed.duration) || this.duration * 60;
+  }
+  return (this.video && this.video.duration) || this.duration * 60;
+};
+
+// Whether the lesson has a video learners play (and send heartbeats for)
+lessonSchema.methods.hasPlayback = function() {
+  return isVideoLesson.call(this) || this.type === 'embed';
+};
+
+// Whether learners can watch the lesson (its video is not waiting for processing). When
+// processing failed they get the video as uploaded. Lessons without an uploaded video are always ready.
+lessonSchema.methods.isVideoReady = function() {
+  if (!isVideoLesson.call(this)) return true;
+  return !this.processing || !['queued', 'processing'].includes(this.processing.status);
+};
+
+// Date the lesson is released to a learner who enrolled at enrolledAt (null when not scheduled)
+lessonSchema.methods.getReleaseDate = function(enrolledAt) {
+  const { mode, days, date } = this.drip || {};
+
+  if (mode === 'after_enrollment') {
+    return new Date(new Date(enrolledAt).getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  if (mode === 'fixed_date') {
+    return date;
+  }
+
+  return null;
+};
+
+// Post-remove middleware to close the gap in the order, drop the lesson from prerequisites
+// and remove its watch progress and transcripts
+lessonSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.resequence(this.course);
+  await mongoose.model('WatchProgress').deleteMany({ lesson: this._id });
+  await mongoose.model('Transcript').deleteMany({ lesson: this._id });
+  await this.constructor.updateMany(
+    { 'prerequisites.lessons': this._id },
+    { $pull: { 'prerequisites.lessons': this._id } }
+  );
 });
 
 module.exports = mongoose.model('Lesson', lessonSchema);
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Snapshot of the course owner at purchase time
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  courseTitle: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'cancelled', 'refunded'],
+    default: 'pending'
+  },
+  // Payment provider details
+  provider: {
+    type: String,
+    required: true
+  },
+  providerSessionId: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: String,
+  providerRefundId: String,
+  checkoutUrl: String,
+  expiresAt: Date,
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  refundedAt: Date,
+  refundReason: String,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the provider reports a payment the order can't take (e.g. for a failed or
+  // cancelled checkout); an admin settles it by hand
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: String,
+  reviewEventId: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderSchema.index({ provider: 1, providerSessionId: 1 }, { unique: true });
+orderSchema.index({ providerPaymentId: 1 });
+orderSchema.index({ learner: 1, course: 1, status: 1 });
+orderSchema.index({ creator: 1, status: 1, paidAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ needsReview: 1, createdAt: -1 });
+
+// Check whether a pending order can still be paid
+orderSchema.methods.isOpen = function() {
+  return this.status === 'pending' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Static method to sum paid revenue per course
+orderSchema.statics.getRevenueByCourse = async function(match = {}) {
+  const rows = await this.aggregate([
+    { $match: { ...match, status: 'paid' } },
+    {
+      $group: {
+        _id: '$course',
+        revenue: { $sum: '$amount' },
+        sales: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return rows.reduce((result, row) => {
+    result[row._id.toString()] = { revenue: row.revenue, sales: row.sales };
+    return result;
+  }, {});
+};
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  // Payouts created by the same admin run share a batch ID
+  batchId: {
+    type: String,
+    required: true
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Payout amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  // Totals over the settled ledger entries
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  platformFees: {
+    type: Number,
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  periodStart: Date,
+  periodEnd: Date,
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reference: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutSchema.index({ batchId: 1 });
+payoutSchema.index({ creator: 1, paidAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
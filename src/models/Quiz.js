@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'true_false', 'short_answer'];
+
+const optionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Option text is required'],
+    trim: true,
+    maxlength: [500, 'Option text cannot exceed 500 characters']
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Question type is required']
+  },
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [2000, 'Question prompt cannot exceed 2000 characters']
+  },
+  // multiple_choice and multi_select
+  options: [optionSchema],
+  // true_false
+  correctAnswer: Boolean,
+  // short_answer: any of these is accepted (compared after trimming and collapsing spaces)
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: [0, 'Points cannot be negative']
+  },
+  // Shown to the learner after submitting
+  explanation: {
+    type: String,
+    maxlength: [2000, 'Explanation cannot exceed 2000 characters']
+  }
+});
+
+// Each question type needs its own kind of answer key
+questionSchema.pre('validate', function(next) {
+  const correctCount = this.options.filter(option => option.isCorrect).length;
+
+  if (this.type === 'multiple_choice' && (this.options.length < 2 || correctCount !== 1)) {
+    this.invalidate('options', 'Multiple-choice questions need at least 2 options and exactly 1 correct option');
+  }
+  if (this.type === 'multi_select' && (this.options.length < 2 || correctCount < 1)) {
+    this.invalidate('options', 'Multi-select questions need at least 2 options and at least 1 correct option');
+  }
+  if (this.type === 'true_false' && typeof this.correctAnswer !== 'boolean') {
+    this.invalidate('correctAnswer', 'True/false questions need a correctAnswer of true or false');
+  }
+  if (this.type === 'short_answer' && this.acceptedAnswers.filter(Boolean).length === 0) {
+    this.invalidate('acceptedAnswers', 'Short-answer questions need at least one accepted answer');
+  }
+  next();
+});
+
+const quizSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Null for a course-level (final) quiz
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, 'Quiz title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length > 0,
+      message: 'A quiz needs at least one question'
+    }
+  },
+  // Percentage of points needed to pass
+  passMark: {
+    type: Number,
+    default: 70,
+    min: [0, 'Pass mark cannot be below 0'],
+    max: [100, 'Pass mark cannot exceed 100']
+  },
+  // 0 means unlimited
+  maxAttempts: {
+    type: Number,
+    default: 0,
+    min: [0, 'Max attempts cannot be negative']
+  },
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  // Required quizzes must be passed to complete the course when the course has requireQuizPass
+  isRequired: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+quizSchema.index({ course: 1, isActive: 1 });
+quizSchema.index({ lesson: 1 });
+
+quizSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+// Virtual for total points
+quizSchema.virtual('totalPoints').get(function() {
+  return this.questions.reduce((sum, question) => sum + (question.points || 0), 0);
+});
+
+// Clean up attempts when a quiz is deleted
+quizSchema.pre('deleteOne', { document: true, query: false }, async function() {
+  await mongoose.model('QuizAttempt').deleteMany({ quiz: this._id });
+  await mongoose.model('Lesson').updateMany(
+    { 'prerequisites.quizzes': this._id },
+    { $pull: { 'prerequisites.quizzes': this._id } }
+  );
+});
+
+module.exports = mongoose.model('Quiz', quizSchema);
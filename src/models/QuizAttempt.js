@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  selectedOptions: [mongoose.Schema.Types.ObjectId],
+  booleanAnswer: Boolean,
+  textAnswer: String,
+  isCorrect: {
+    type: Boolean,
+    default: false
+  },
+  pointsAwarded: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+  // Order the questions (and their options) were shown in for this attempt
+  layout: [{
+    _id: false,
+    question: mongoose.Schema.Types.ObjectId,
+    options: [mongoose.Schema.Types.ObjectId]
+  }],
+  answers: [answerSchema],
+  score: {
+    type: Number,
+    default: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+quizAttemptSchema.index({ quiz: 1, learner: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ learner: 1, course: 1, status: 1 });
+
+// Static method to get each quiz's best submitted result for a learner: { [quizId]: { percentage, passed, attempts } }
+quizAttemptSchema.statics.getBestResults = async function(learnerId, quizIds) {
+  const rows = await this.aggregate([
+    { $match: { learner: new mongoose.Types.ObjectId(learnerId), quiz: { $in: quizIds }, status: 'submitted' } },
+    {
+      $group: {
+        _id: '$quiz',
+        percentage: { $max: '$percentage' },
+        passed: { $max: '$passed' },
+        attempts: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return rows.reduce((results, row) => {
+    results[row._id.toString()] = {
+      percentage: row.percentage,
+      passed: row.passed,
+      attempts: row.attempts
+    };
+    return results;
+  }, {});
+};
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  // Moderation
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  isFlagged: {
+    type: Boolean,
+    default: false
+  },
+  flagReason: String,
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  moderationReason: String
+}, {
+  timestamps: true
+});
+
+// One review per learner per course
+reviewSchema.index({ course: 1, learner: 1 }, { unique: true });
+reviewSchema.index({ course: 1, isHidden: 1, createdAt: -1 });
+reviewSchema.index({ course: 1, isHidden: 1, rating: -1 });
+reviewSchema.index({ isFlagged: 1, createdAt: -1 });
+
+// Static method to recompute a course's rating from its visible reviews
+reviewSchema.statics.updateCourseRating = async function(courseId) {
+  const Course = mongoose.model('Course');
+
+  const stats = await this.aggregate([
+    { $match: { course: new mongoose.Types.ObjectId(courseId), isHidden: false } },
+    { $group: { _id: '$course', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = stats.length > 0
+    ? { average: Math.round(stats[0].average * 100) / 100, count: stats[0].count }
+    : { average: 0, count: 0 };
+
+  await Course.updateOne({ _id: courseId }, { $set: { rating } });
+  return rating;
+};
+
+// Keep Course.rating in sync whenever a review is written or removed
+reviewSchema.post('save', async function() {
+  await this.constructor.updateCourseRating(this.course);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.updateCourseRating(this.course);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
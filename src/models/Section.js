@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const sectionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  order: {
+    type: Number,
+    required: [true, 'Section order is required'],
+    min: [1, 'Order must be at least 1']
+  }
+}, {
+  timestamps: true
+});
+
+// Compound index to ensure unique order per course
+sectionSchema.index({ course: 1, order: 1 }, { unique: true });
+
+// Static method to get next available order for a course
+sectionSchema.statics.getNextOrder = async function(courseId) {
+  const lastSection = await this.findOne({ course: courseId })
+    .sort({ order: -1 })
+    .select('order');
+
+  return lastSection ? lastSection.order + 1 : 1;
+};
+
+// Set the sections' order to follow sectionIds (every section of the course, in the new order).
+// Orders are first moved out of the way (to -n..-1, which keeps the new order if the second
+// step never runs) so the unique index never sees a collision.
+sectionSchema.statics.applyOrder = async function(courseId, sectionIds) {
+  if (sectionIds.length === 0) return;
+
+  await this.bulkWrite(sectionIds.map((id, index) => ({
+    updateOne: { filter: { _id: id, course: courseId }, update: { $set: { order: index - sectionIds.length } } }
+  })));
+  await this.bulkWrite(sectionIds.map((id, index) => ({
+    updateOne: { filter: { _id: id, course: courseId }, update: { $set: { order: index + 1 } } }
+  })));
+};
+
+// Group lessons (already in course order) under their sections.
+// Returns plain section objects with lessons[], lessonCount and duration (minutes), plus ungroupedLessons[].
+sectionSchema.statics.groupLessons = function(sections, lessons) {
+  const grouped = sections.map(section => ({
+    ...(section.toObject ? section.toObject() : section),
+    lessons: []
+  }));
+  const byId = new Map(grouped.map(section => [section._id.toString(), section]));
+  const ungroupedLessons = [];
+
+  lessons.forEach(lesson => {
+    const section = lesson.section && byId.get(lesson.section.toString());
+    if (section) {
+      section.lessons.push(lesson);
+    } else {
+      ungroupedLessons.push(lesson);
+    }
+  });
+
+  grouped.forEach(section => {
+    section.lessonCount = section.lessons.length;
+    section.duration = section.lessons.reduce((sum, lesson) => sum + (lesson.duration || 0), 0);
+  });
+
+  return { sections: grouped, ungroupedLessons };
+};
+
+// Lessons in a deleted section become ungrouped; later sections move up
+sectionSchema.post('deleteOne', { document: true, query: false }, async function() {
+  const Lesson = mongoose.model('Lesson');
+
+  await Lesson.updateMany({ section: this._id }, { $set: { section: null } });
+
+  const remaining = await this.constructor.find({ course: this.course }).sort({ order: 1 }).select('_id');
+  await this.constructor.applyOrder(this.course, remaining.map(section => section._id));
+  await Lesson.resequence(this.course);
+});
+
+module.exports = mongoose.model('Section', sectionSchema);
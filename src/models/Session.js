@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The refresh token itself is never stored, only its
+// SHA-256 hash; it is rotated on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token replaced by the last rotation. Presenting it again means
+  // the token was copied, so the whole session is revoked.
+  previousTokenHash: String,
+  deviceName: {
+    type: String,
+    maxlength: [100, 'Device name cannot be more than 100 characters']
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'password_change', 'password_reset', 'blocked', 'deleted', 'token_reuse', 'admin']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Let MongoDB drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Hide token hashes from API responses
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousTokenHash;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
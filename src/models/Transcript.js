@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// The timed cues of one caption language of a lesson, parsed from the
+// uploaded caption file (see CaptionService). Used for the interactive
+// transcript and transcript search.
+const transcriptSchema = new mongoose.Schema({
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  cues: [{
+    _id: false,
+    start: {
+      type: Number, // seconds
+      required: true
+    },
+    end: {
+      type: Number, // seconds
+      required: true
+    },
+    text: {
+      type: String,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+transcriptSchema.index({ lesson: 1, language: 1 }, { unique: true });
+transcriptSchema.index({ course: 1, language: 1 });
+
+// Method to get the whole transcript as plain text
+transcriptSchema.methods.getText = function() {
+  return this.cues.map(cue => cue.text).join(' ');
+};
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A lesson video uploaded from the client straight to storage in parts.
+// Sessions left pending past expiresAt (or completed but never attached to a
+// lesson) are aborted and their files removed by UploadService.cleanupExpired.
+const uploadSessionSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Set when the upload replaces an existing lesson's video, or once a new lesson uses it
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    default: null
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // The storage driver's multipart upload id
+  uploadId: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: [1, 'File size must be positive']
+  },
+  partSize: {
+    type: Number,
+    required: true
+  },
+  partCount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'attached', 'aborted'],
+    default: 'pending'
+  },
+  url: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date,
+  attachedAt: Date,
+  abortedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+uploadSessionSchema.index({ creator: 1, status: 1 });
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check if parts can still be uploaded
+uploadSessionSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
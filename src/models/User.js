@@ -41,6 +41,9 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Unset for accounts created before email verification existed; those count as verified
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
   // Admin management fields
   isBlocked: {
     type: Boolean,
@@ -84,33 +87,7 @@ const userSchema = new mongoose.Schema({
     expertise: String,
     experience: String,
     portfolio: String
-  },
-  // Learner progress tracking
-  enrolledCourses: [{
-    course: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Course'
-    },
-    enrolledAt: {
-      type: Date,
-      default: Date.now
-    },
-    progress: {
-      type: Number,
-      default: 0,
-      min: 0,
-      max: 100
-    },
-    completedLessons: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Lesson'
-    }],
-    certificateIssued: {
-      type: Boolean,
-      default: false
-    },
-    certificateHash: String
-  }]
+  }
 }, {
   timestamps: true
 });
@@ -136,12 +113,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Get enrolled course progress
-userSchema.methods.getCourseProgress = function(courseId) {
-  const enrollment = this.enrolledCourses.find(
-    enrollment => enrollment.course.toString() === courseId.toString()
-  );
-  return enrollment ? enrollment.progress : 0;
+// Accounts created before verification existed have no emailVerified flag
+userSchema.methods.hasVerifiedEmail = function() {
+  return this.emailVerified !== false;
 };
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (password reset, email verification).
+// Only a SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  requestIp: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+userTokenSchema.index({ user: 1, type: 1, usedAt: 1 });
+// Let MongoDB drop tokens a day after they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
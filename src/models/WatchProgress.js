@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+
+// Heartbeats may report up to this much playback per second of wall time
+// (players run at up to 2x), plus up to this much slack for clock drift and buffering.
+const MAX_PLAYBACK_RATE = 2;
+const HEARTBEAT_SLACK_SECONDS = 30;
+
+// Positions this close to the end resume from the start
+const RESUME_END_MARGIN_SECONDS = 5;
+
+// Separate watched parts kept per lesson; past this the shortest are dropped (watching
+// in hundreds of separate pieces is scrubbing, not watching)
+const MAX_INTERVALS = 200;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Merge overlapping or touching [start, end] intervals
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+    return merged;
+  }, []);
+};
+
+// What a heartbeat may credit: what fits in the time since the previous heartbeat at `rate`,
+// plus the slack left. Slack is a balance: claiming more than the elapsed time spends it, and
+// it only refills as time passes, so a burst of heartbeats can't claim it again and again.
+const heartbeatBudget = (progress, now, rate) => {
+  const elapsedSeconds = progress.lastHeartbeatAt ? Math.max(0, (now - progress.lastHeartbeatAt) / 1000) : 0;
+  const slack = progress.lastHeartbeatAt && typeof progress.heartbeatSlack === 'number'
+    ? Math.min(HEARTBEAT_SLACK_SECONDS, progress.heartbeatSlack + elapsedSeconds)
+    : HEARTBEAT_SLACK_SECONDS;
+  const earned = elapsedSeconds * rate;
+
+  return {
+    seconds: earned + slack,
+    // Record what was credited, spending slack on whatever went past the elapsed time
+    spend: (seconds) => {
+      progress.heartbeatSlack = round(Math.max(0, slack - Math.max(0, seconds - earned)));
+    }
+  };
+};
+
+const watchProgressSchema = new mongoose.Schema({
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true
+  },
+  // Last reported playback position, in seconds
+  position: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Parts of the video watched, in seconds, merged and sorted
+  intervals: [{
+    _id: false,
+    start: { type: Number, required: true, min: 0 },
+    end: { type: Number, required: true, min: 0 }
+  }],
+  watchedSeconds: {
+    type: Number,
+    default: 0
+  },
+  // Video length the percentage was computed against, in seconds
+  duration: {
+    type: Number,
+    default: 0
+  },
+  watchPercentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Article lessons: how far down the article the learner got (0-100). For articles,
+  // watchedSeconds is the time spent reading and duration the estimated reading time.
+  scrollPercentage: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // Resources of the lesson the learner downloaded (download lessons)
+  downloadedResources: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  lastHeartbeatAt: Date,
+  // Heartbeat slack left, in seconds (unset means the full HEARTBEAT_SLACK_SECONDS)
+  heartbeatSlack: Number,
+  // Set when the lesson was completed automatically from watch progress
+  autoCompletedAt: Date
+}, {
+  timestamps: true
+});
+
+watchProgressSchema.index({ learner: 1, lesson: 1 }, { unique: true });
+watchProgressSchema.index({ lesson: 1 });
+
+// Record a player heartbeat: the current position and the intervals watched since the last one.
+// Intervals are clamped to the video and to what could have played since the previous heartbeat.
+watchProgressSchema.methods.recordHeartbeat = function({ position, intervals = [], duration, now = new Date() }) {
+  this.duration = duration;
+
+  const budget = heartbeatBudget(this, now, MAX_PLAYBACK_RATE);
+  let allowance = budget.seconds;
+
+  const accepted = [];
+  intervals.forEach(({ start, end }) => {
+    const from = Math.max(0, Math.min(Number(start), duration));
+    let to = Math.max(0, Math.min(Number(end), duration));
+    if (!(to > from) || allowance <= 0) return;
+
+    to = Math.min(to, from + allowance);
+    allowance -= to - from;
+    accepted.push({ start: from, end: to });
+  });
+  budget.spend(budget.seconds - allowance);
+
+  let merged = mergeIntervals([...this.intervals.map(i => ({ start: i.start, end: i.end })), ...accepted]);
+  if (merged.length > MAX_INTERVALS) {
+    merged = merged
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+      .slice(0, MAX_INTERVALS)
+      .sort((a, b) => a.start - b.start);
+  }
+  this.intervals = merged;
+  this.watchedSeconds = round(this.intervals.reduce((sum, i) => sum + (i.end - i.start), 0));
+  this.watchPercentage = duration > 0 ? Math.min(100, round((this.watchedSeconds / duration) * 100)) : 0;
+
+  if (position !== undefined && position !== null && !isNaN(position)) {
+    this.position = Math.max(0, Math.min(Number(position), duration));
+  }
+  this.lastHeartbeatAt = now;
+
+  return accepted;
+};
+
+// Record a reading heartbeat for an article: how far the learner has scrolled and the
+// seconds the page was active since the last heartbeat (capped by the time that passed)
+watchProgressSchema.methods.recordReading = function({ scrollPercentage, activeSeconds = 0, readingSeconds, now = new Date() }) {
+  this.duration = readingSeconds;
+
+  const budget = heartbeatBudget(this, now, 1);
+  const accepted = Math.max(0, Math.min(Number(activeSeconds) || 0, budget.seconds));
+  budget.spend(accepted);
+
+  this.watchedSeconds = round(this.watchedSeconds + accepted);
+  this.scrollPercentage = Math.max(this.scrollPercentage || 0, Math.min(100, Math.max(0, Number(scrollPercentage) || 0)));
+
+  // Progress is the lesser of how far they scrolled and how much of the reading time they spent
+  const timePercentage = readingSeconds > 0 ? Math.min(100, (this.watchedSeconds / readingSeconds) * 100) : 100;
+  this.watchPercentage = round(Math.min(this.scrollPercentage, timePercentage));
+  this.lastHeartbeatAt = now;
+
+  return accepted;
+};
+
+// The learner's progress on a lesson, created on first use, with update applied. Two
+// first heartbeats can race to create it: the one that loses retries as a plain update.
+watchProgressSchema.statics.upsertFor = async function(learnerId, lesson, update = {}) {
+  const filter = { learner: learnerId, lesson: lesson._id };
+
+  try {
+    return await this.findOneAndUpdate(
+      filter,
+      { ...update, $setOnInsert: { course: lesson.course._id || lesson.course } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return this.findOneAndUpdate(filter, update, { new: true });
+  }
+};
+
+// Where the player should resume (the start again once the video was watched to the end)
+watchProgressSchema.methods.getResumePosition = function() {
+  if (this.duration > 0 && this.position >= this.duration - RESUME_END_MARGIN_SECONDS) {
+    return 0;
+  }
+  return this.position;
+};
+
+// Per-lesson watch stats: { [lessonId]: { viewers, averageWatchPercentage } }
+// Optionally limited to a set of learners (e.g. an enrollment cohort).
+watchProgressSchema.statics.getLessonStats = async function(lessonIds, learnerIds) {
+  const match = { lesson: { $in: lessonIds.map(id => new mongoose.Types.ObjectId(id)) } };
+  if (learnerIds) {
+    match.learner = { $in: learnerIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$lesson',
+        viewers: { $sum: 1 },
+        averageWatchPercentage: { $avg: '$watchPercentage' }
+      }
+    }
+  ]);
+
+  return rows.reduce((stats, row) => {
+    stats[row._id.toString()] = {
+      viewers: row.viewers,
+      averageWatchPercentage: round(row.averageWatchPercentage)
+    };
+    return stats;
+  }, {});
+};
+
+module.exports = mongoose.model('WatchProgress', watchProgressSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A course a learner saved for later. One document per learner and course.
+const wishlistItemSchema = new mongoose.Schema({
+  learner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // The course as the learner last knew it (when saving it, or the last update they were
+  // told about); price drops and new lessons are measured against this
+  snapshot: {
+    price: {
+      type: Number,
+      default: 0
+    },
+    lessonCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  lastNotifiedAt: Date
+}, {
+  timestamps: true
+});
+
+wishlistItemSchema.index({ learner: 1, course: 1 }, { unique: true });
+wishlistItemSchema.index({ course: 1, createdAt: -1 });
+
+// Number of learners who saved each course: { [courseId]: count }
+wishlistItemSchema.statics.countByCourse = async function(courseIds) {
+  const counts = await this.aggregate([
+    { $match: { course: { $in: courseIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: '$course', count: { $sum: 1 } } }
+  ]);
+
+  return Object.fromEntries(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
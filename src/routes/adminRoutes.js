@@ -24,7 +24,35 @@ const {
   getAllCreators,
   getCourseDetails
 } = require('../controllers/adminController');
+const {
+  getReviewsForModeration,
+  hideReview,
+  unhideReview,
+  flagReview,
+  unflagReview
+} = require('../controllers/reviewController');
+const { getAllOrders, refundOrder } = require('../controllers/paymentController');
+const {
+  getAllPayouts,
+  createPayoutBatch,
+  getPayoutStatement
+} = require('../controllers/payoutController');
+const {
+  getAllCertificates,
+  revokeCertificate,
+  reinstateCertificate
+} = require('../controllers/certificateController');
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  setDefaultTemplate,
+  previewTemplate
+} = require('../controllers/certificateTemplateController');
 const { protect, authorize } = require('../middlewares/auth');
+const { uploadCertificateAssets } = require('../config/upload');
 
 const router = express.Router();
 
@@ -66,6 +94,40 @@ router.put('/creator-applications/:id/review', reviewCreatorApplication);
 router.put('/creators/:id/approve', approveCreator);
 router.put('/creators/:id/reject', rejectCreator);
 
+// Review moderation
+router.get('/reviews', getReviewsForModeration);
+router.put('/reviews/:id/hide', hideReview);
+router.put('/reviews/:id/unhide', unhideReview);
+router.put('/reviews/:id/flag', flagReview);
+router.put('/reviews/:id/unflag', unflagReview);
+
+// Orders
+router.get('/orders', getAllOrders);
+router.post('/orders/:id/refund', refundOrder);
+
+// Creator payouts
+router.get('/payouts', getAllPayouts);
+router.post('/payouts/batch', createPayoutBatch);
+router.get('/payouts/:id/statement', getPayoutStatement);
+
+// Certificates
+router.get('/certificates', getAllCertificates);
+router.put('/certificates/:id/revoke', revokeCertificate);
+router.put('/certificates/:id/reinstate', reinstateCertificate);
+
+// Certificate templates
+const templateImages = uploadCertificateAssets.fields([
+  { name: 'logo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]);
+router.get('/certificate-templates', getTemplates);
+router.post('/certificate-templates', templateImages, createTemplate);
+router.get('/certificate-templates/:id', getTemplate);
+router.put('/certificate-templates/:id', templateImages, updateTemplate);
+router.delete('/certificate-templates/:id', deleteTemplate);
+router.get('/certificate-templates/:id/preview', previewTemplate);
+router.put('/certificate-templates/:id/default', setDefaultTemplate);
+
 // System logs
 router.get('/logs', getSystemLogs);
 
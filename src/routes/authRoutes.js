@@ -6,9 +6,17 @@ const {
   getProfile,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   applyForCreator
 } = require('../controllers/authController');
-const { protect } = require('../middlewares/auth');
+const { protect, requireVerifiedEmail } = require('../middlewares/auth');
 const { validateRegister, validateLogin } = require('../middlewares/validation');
 
 const router = express.Router();
@@ -17,11 +25,21 @@ const router = express.Router();
 router.post('/register', validateRegister, register);
 router.post('/login', validateLogin, login);
 router.post('/logout', logout);
+router.post('/refresh', refreshSession);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.post('/verify-email', verifyEmail);
 
 // Protected routes
 router.get('/profile', protect, getProfile);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
-router.post('/apply-creator', protect, applyForCreator);
+router.post('/apply-creator', protect, requireVerifiedEmail, applyForCreator);
+router.post('/resend-verification', protect, resendVerification);
+
+// Sessions
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router;
\ No newline at end of file
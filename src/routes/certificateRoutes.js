@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  verifyCertificate,
+  getSigningKeys,
+  verifyCertificateSignature
+} = require('../controllers/certificateController');
+
+const router = express.Router();
+
+// Public certificate verification (JSON, or an HTML page for browsers)
+router.get('/verify/:serialHash', verifyCertificate);
+
+// Signature checks that do not depend on our database
+router.get('/keys', getSigningKeys);
+router.post('/verify-signature', verifyCertificateSignature);
+
+module.exports = router;
@@ -3,24 +3,40 @@ const {
   getCourses,
   getCourse,
   searchCourses,
+  suggestCourses,
   getCoursesByCategory,
   enrollInCourse,
-  getEnrolledCourses,
-  rateCourse
+  getEnrolledCourses
 } = require('../controllers/courseController');
-const { protect, authorize } = require('../middlewares/auth');
+const {
+  getCourseReviews,
+  createReview,
+  getMyReview,
+  updateMyReview,
+  deleteMyReview,
+  rateCourse
+} = require('../controllers/reviewController');
+const { protect, optionalAuth, authorize, requireVerifiedEmail } = require('../middlewares/auth');
 
 const router = express.Router();
 
-// Public routes
-router.get('/', getCourses);
-router.get('/search', searchCourses);
-router.get('/category/:category', getCoursesByCategory);
-router.get('/:id', getCourse);
+// Public routes (signed-in learners also see which courses they saved)
+router.get('/', optionalAuth, getCourses);
+router.get('/search', optionalAuth, searchCourses);
+router.get('/suggest', suggestCourses);
+router.get('/category/:category', optionalAuth, getCoursesByCategory);
+router.get('/:id', optionalAuth, getCourse);
+router.get('/:id/reviews', getCourseReviews);
 
 // Protected routes
-router.post('/:id/enroll', protect, authorize('learner'), enrollInCourse);
+router.post('/:id/enroll', protect, authorize('learner'), requireVerifiedEmail, enrollInCourse);
 router.get('/enrolled/my-courses', protect, authorize('learner'), getEnrolledCourses);
 router.post('/:id/rate', protect, authorize('learner'), rateCourse);
 
+// Reviews
+router.post('/:id/reviews', protect, authorize('learner'), createReview);
+router.get('/:id/reviews/me', protect, authorize('learner'), getMyReview);
+router.put('/:id/reviews/me', protect, authorize('learner'), updateMyReview);
+router.delete('/:id/reviews/me', protect, authorize('learner'), deleteMyReview);
+
 module.exports = router;
\ No newline at end of file
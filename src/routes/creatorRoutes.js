@@ -11,14 +11,64 @@ const {
   uploadVideo,
   submitCourse,
   getLesson,
+  getLessonProcessing,
+  retryLessonProcessing,
   getCourseLessons,
   getStudents,
   getCourseStudents,
-  getStudentAnalytics
+  getStudentAnalytics,
+  getCreatorEarnings
 } = require('../controllers/creatorController');
+const { reorderLessons } = require('../controllers/lessonController');
+const { getMyPayouts, getPayoutStatement } = require('../controllers/payoutController');
+const {
+  getCourseQuizzes,
+  createQuiz,
+  getQuiz,
+  updateQuiz,
+  deleteQuiz
+} = require('../controllers/quizController');
+const {
+  getSections,
+  createSection,
+  updateSection,
+  deleteSection,
+  reorderSections,
+  moveLesson
+} = require('../controllers/sectionController');
+const {
+  createVideoUpload,
+  getUpload,
+  getUploadPartUrls,
+  completeUpload,
+  abortUpload
+} = require('../controllers/uploadController');
+const { getCaptions, uploadCaption, deleteCaption } = require('../controllers/captionController');
+const {
+  getResources,
+  addResource,
+  reorderResources,
+  deleteResource
+} = require('../controllers/resourceController');
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate
+} = require('../controllers/certificateTemplateController');
 const { protect, authorize } = require('../middlewares/auth');
 const { validateCourse, validateLesson } = require('../middlewares/validation');
-const { uploadThumbnail, uploadLesson, uploadVideo: uploadVideoMiddleware } = require('../config/s3');
+const {
+  uploadThumbnail,
+  uploadLesson,
+  uploadVideo: uploadVideoMiddleware,
+  uploadCertificateAssets,
+  uploadCaption: uploadCaptionMiddleware,
+  uploadResource,
+  cleanupTempFiles
+} = require('../config/upload');
 
 const router = express.Router();
 
@@ -36,19 +86,63 @@ router.post('/courses/:id/submit', submitCourse);
 
 // Lesson management
 router.get('/courses/:courseId/lessons', getCourseLessons);
-router.post('/courses/:courseId/lessons', uploadLesson.fields([
+router.put('/courses/:courseId/lessons/reorder', reorderLessons);
+router.post('/courses/:courseId/lessons', cleanupTempFiles, uploadLesson.fields([
   { name: 'video', maxCount: 1 },
   { name: 'thumbnail', maxCount: 1 }
 ]), validateLesson, createLesson);
 router.get('/lessons/:id', getLesson);
-router.put('/lessons/:id', uploadLesson.fields([
+router.put('/lessons/:id', cleanupTempFiles, uploadLesson.fields([
   { name: 'video', maxCount: 1 },
   { name: 'thumbnail', maxCount: 1 }
 ]), validateLesson, updateLesson);
 router.delete('/lessons/:id', deleteLesson);
+router.get('/lessons/:id/processing', getLessonProcessing);
+router.post('/lessons/:id/processing/retry', retryLessonProcessing);
+router.put('/lessons/:id/section', moveLesson);
+router.get('/lessons/:id/captions', getCaptions);
+router.post('/lessons/:id/captions', uploadCaptionMiddleware.single('caption'), uploadCaption);
+router.delete('/lessons/:id/captions/:language', deleteCaption);
+router.get('/lessons/:id/resources', getResources);
+router.post('/lessons/:id/resources', cleanupTempFiles, uploadResource.single('file'), addResource);
+router.put('/lessons/:id/resources/reorder', reorderResources);
+router.delete('/lessons/:id/resources/:resourceId', deleteResource);
+
+// Section management
+router.get('/courses/:courseId/sections', getSections);
+router.post('/courses/:courseId/sections', createSection);
+router.put('/courses/:courseId/sections/reorder', reorderSections);
+router.put('/sections/:id', updateSection);
+router.delete('/sections/:id', deleteSection);
+
+// Quiz management
+router.get('/courses/:courseId/quizzes', getCourseQuizzes);
+router.post('/courses/:courseId/quizzes', createQuiz);
+router.get('/quizzes/:id', getQuiz);
+router.put('/quizzes/:id', updateQuiz);
+router.delete('/quizzes/:id', deleteQuiz);
+
+// Certificate templates
+const templateImages = uploadCertificateAssets.fields([
+  { name: 'logo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]);
+router.get('/certificate-templates', getTemplates);
+router.post('/certificate-templates', templateImages, createTemplate);
+router.get('/certificate-templates/:id', getTemplate);
+router.put('/certificate-templates/:id', templateImages, updateTemplate);
+router.delete('/certificate-templates/:id', deleteTemplate);
+router.get('/certificate-templates/:id/preview', previewTemplate);
 
 // File upload
-router.post('/upload/video', uploadVideoMiddleware.single('video'), uploadVideo);
+router.post('/upload/video', cleanupTempFiles, uploadVideoMiddleware.single('video'), uploadVideo);
+
+// Multipart video uploads, straight from the client to storage
+router.post('/uploads/video', createVideoUpload);
+router.get('/uploads/:id', getUpload);
+router.post('/uploads/:id/parts', getUploadPartUrls);
+router.post('/uploads/:id/complete', completeUpload);
+router.delete('/uploads/:id', abortUpload);
 
 
 // Student management
@@ -56,4 +150,9 @@ router.get('/students', getStudents);
 router.get('/courses/:courseId/students', getCourseStudents);
 router.get('/analytics/students', getStudentAnalytics);
 
+// Earnings and payouts
+router.get('/earnings', getCreatorEarnings);
+router.get('/payouts', getMyPayouts);
+router.get('/payouts/:id/statement', getPayoutStatement);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const { serveFile, uploadPart } = require('../controllers/fileController');
+
+const router = express.Router();
+
+// Files stored by the local storage driver
+router.get('/*', serveFile);
+router.put('/multipart/:uploadId/:partNumber(\\d+)', uploadPart);
+
+module.exports = router;
@@ -10,7 +10,20 @@ const {
   getLearningStats,
   getCourseLessons
 } = require('../controllers/learnerController');
-const { protect, authorize } = require('../middlewares/auth');
+const {
+  getLearnerCourseQuizzes,
+  getLearnerQuiz,
+  startQuizAttempt,
+  submitQuizAttempt,
+  getMyQuizAttempts
+} = require('../controllers/quizController');
+const { searchTranscripts } = require('../controllers/captionController');
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist
+} = require('../controllers/wishlistController');
+const { protect, authorize, requireVerifiedEmail } = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -19,13 +32,27 @@ router.use(protect);
 router.use(authorize('learner'));
 
 // Learning management
-router.post('/courses/:id/enroll', enrollInCourse);
+router.post('/courses/:id/enroll', requireVerifiedEmail, enrollInCourse);
 router.post('/courses/:courseId/lessons/:lessonId/complete', completeLesson);
 router.get('/courses', getEnrolledCourses);
 router.get('/courses/:id/lessons', getCourseLessons);
 router.get('/courses/:id/progress', getCourseProgress);
 router.get('/courses/:id/certificate', getCertificate);
 router.get('/courses/:id/certificate/preview', getCertificatePreview);
+router.get('/courses/:id/transcripts/search', searchTranscripts);
+
+// Quizzes
+router.get('/courses/:id/quizzes', getLearnerCourseQuizzes);
+router.get('/quizzes/:id', getLearnerQuiz);
+router.post('/quizzes/:id/attempts', startQuizAttempt);
+router.get('/quizzes/:id/attempts', getMyQuizAttempts);
+router.post('/quizzes/:id/attempts/:attemptId/submit', submitQuizAttempt);
+
+// Wishlist
+router.get('/wishlist', getWishlist);
+router.post('/wishlist', addToWishlist);
+router.delete('/wishlist/:courseId', removeFromWishlist);
+
 router.get('/recommendations', getRecommendations);
 router.get('/stats', getLearningStats);
 
@@ -2,15 +2,27 @@ const express = require('express');
 const {
   getLesson,
   markLessonComplete,
-  getLessonProgress
+  recordHeartbeat,
+  getLessonProgress,
+  getHlsPlaylist
 } = require('../controllers/lessonController');
+const { getTranscript } = require('../controllers/captionController');
+const { downloadResource } = require('../controllers/resourceController');
 const { protect, authorize } = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Signed HLS playlist links (players can't send auth headers for these)
+router.get('/:id/hls/*', getHlsPlaylist);
+
 // Protected routes - learners only
 router.get('/:id', protect, authorize('learner'), getLesson);
 router.post('/:id/complete', protect, authorize('learner'), markLessonComplete);
+router.post('/:id/heartbeat', protect, authorize('learner'), recordHeartbeat);
 router.get('/:id/progress', protect, authorize('learner'), getLessonProgress);
 
+// Enrolled learners, the course's creator and admins (checked in the controller)
+router.get('/:id/transcript', protect, getTranscript);
+router.get('/:id/resources/:resourceId/download', protect, downloadResource);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  createCheckout,
+  handleWebhook,
+  getMyOrders,
+  getOrder,
+  getFakeCheckoutSession,
+  completeFakeCheckoutSession
+} = require('../controllers/paymentController');
+const { protect, authorize, requireVerifiedEmail } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// The fake provider's checkout pages are only mounted when it is the active provider
+const fakeProviderOnly = (req, res, next) => {
+  if ((process.env.PAYMENT_PROVIDER || 'fake') !== 'fake' || process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      success: false,
+      message: `Not found - ${req.originalUrl}`
+    });
+  }
+  next();
+};
+
+// Provider webhooks (authenticated by signature, not JWT)
+router.post('/webhook', handleWebhook);
+
+// Fake provider checkout
+router.get('/fake/sessions/:sessionId', fakeProviderOnly, getFakeCheckoutSession);
+router.post('/fake/sessions/:sessionId/complete', fakeProviderOnly, completeFakeCheckoutSession);
+
+// Protected routes
+router.post('/checkout', protect, authorize('learner'), requireVerifiedEmail, createCheckout);
+router.get('/orders', protect, getMyOrders);
+router.get('/orders/:id', protect, getOrder);
+
+module.exports = router;
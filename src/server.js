@@ -38,12 +38,34 @@ if (process.env.NODE_ENV !== 'production') {
 
 const app = require('./app');
 const connectDB = require('./config/db');
+const JobQueue = require('./services/jobQueue');
+const VideoProcessingService = require('./services/videoProcessingService');
+const { getSigningSecret } = require('./services/storage');
+const { getMailTransport } = require('./services/mailTransports');
 
 const PORT = process.env.PORT || 4001;
 
+// Fail at startup, not at the first signed link, when production isn't configured
+getSigningSecret();
+
+// Without mail the API still runs, but sign-ups are refused until a transport is configured
+try {
+  getMailTransport();
+} catch (error) {
+  console.error(`Mail is not configured, registration is disabled: ${error.message}`);
+}
+
 // Connect to MongoDB
 connectDB();
 
+// Report a missing ffmpeg now rather than at the first upload
+VideoProcessingService.isAvailable();
+
+// Background jobs (video processing, emails) run in `npm run worker`, or here with JOB_WORKER=on
+if (process.env.JOB_WORKER === 'on') {
+  JobQueue.start();
+}
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`MicroCourses API is ready!`);
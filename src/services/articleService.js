@@ -0,0 +1,293 @@
+// Article lessons: Markdown or HTML written by creators, rendered to HTML that
+// is safe to show learners. HTML is cleaned against an allowlist of tags and
+// attributes; everything else is dropped or escaped.
+
+const MAX_BODY_LENGTH = 100000;
+const WORDS_PER_MINUTE = 200;
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Allowed tags and their allowed attributes
+const ALLOWED_TAGS = {
+  p: [], br: [], hr: [], div: [], span: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [], del: [], mark: [], small: [], sub: [], sup: [],
+  blockquote: [], code: ['class'], pre: ['class'],
+  ul: [], ol: ['start'], li: [], dl: [], dt: [], dd: [],
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  figure: [], figcaption: [], abbr: ['title'],
+  table: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+
+// Dropped together with everything inside them
+const DROPPED_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template',
+  'textarea', 'select', 'title', 'head', 'svg', 'math', 'frameset', 'noembed', 'xmp'
+]);
+
+const TOKEN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Text between tags: angle brackets escaped, valid entities kept
+const escapeText = value => String(value)
+  .replace(/&(?!(?:#\d+|#x[0-9a-fA-F]+|[a-zA-Z][a-zA-Z0-9]*);)/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const decodeEntities = value => String(value).replace(/&(#\d+|#x[0-9a-fA-F]+|[a-zA-Z]+);?/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : '';
+  }
+  const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+  return decoded !== undefined ? decoded : match;
+});
+
+// Links may go to web pages, email addresses or anchors in the article; images only to web pages
+const safeUrl = (value, { allowMailto = true } = {}) => {
+  // Browsers ignore these when reading the scheme
+  const url = decodeEntities(value).replace(/[\t\n\r]/g, '').replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '');
+  const schemes = allowMailto ? /^(https?:|mailto:)/i : /^https?:/i;
+  if (schemes.test(url) || (allowMailto && url.startsWith('#'))) {
+    return url;
+  }
+  return null;
+};
+
+const cleanAttributes = (tag, source) => {
+  const allowed = ALLOWED_TAGS[tag];
+  const attributes = [];
+  let match;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(source || '')) !== null) {
+    const name = match[1].toLowerCase();
+    let value = match[2] ?? match[3] ?? match[4] ?? '';
+    if (!allowed.includes(name)) continue;
+
+    if (name === 'href') {
+      value = safeUrl(value);
+    } else if (name === 'src') {
+      value = safeUrl(value, { allowMailto: false });
+    } else if (name === 'class') {
+      // Only code highlighting classes
+      value = decodeEntities(value).split(/\s+/).filter(cls => /^language-[\w-]+$/.test(cls)).join(' ') || null;
+    } else if (['width', 'height', 'colspan', 'rowspan', 'start'].includes(name)) {
+      value = /^\d{1,4}$/.test(value) ? value : null;
+    } else {
+      value = decodeEntities(value);
+    }
+
+    if (value !== null) {
+      attributes.push(`${name}="${escapeHtml(value)}"`);
+    }
+  }
+
+  if (tag === 'a') {
+    attributes.push('rel="noopener noreferrer nofollow"');
+  }
+
+  return attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+};
+
+const renderInline = (text) => {
+  // Code spans, images and links are set aside first so nothing inside them is formatted
+  const pieces = [];
+  const setAside = (html) => {
+    pieces.push(html);
+    return `\u0000${pieces.length - 1}\u0000`;
+  };
+
+  const html = escapeHtml(text.replace(/\u0000/g, '').replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${escapeHtml(code)}</code>`)))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (match, alt, src, title) => {
+      const url = safeUrl(src, { allowMailto: false });
+      if (!url) return alt;
+      return setAside(`<img src="${escapeHtml(url)}" alt="${alt}"${title ? ` title="${title}"` : ''}>`);
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (match, label, href, title) => {
+      const url = safeUrl(href);
+      if (!url) return label;
+      return setAside(`<a href="${escapeHtml(url)}"${title ? ` title="${title}"` : ''}>${label}</a>`);
+    })
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br>\n');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => pieces[Number(index)]);
+};
+
+class ArticleService {
+  static get formats() {
+    return ['markdown', 'html'];
+  }
+
+  static get maxBodyLength() {
+    return MAX_BODY_LENGTH;
+  }
+
+  // HTML with only allowlisted tags and attributes; unclosed tags are closed
+  static sanitizeHtml(html) {
+    const source = String(html || '');
+    const output = [];
+    const open = [];
+    let index = 0;
+    let match;
+
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(source)) !== null) {
+      output.push(escapeText(source.slice(index, match.index)));
+      index = TOKEN.lastIndex;
+
+      const [, closing, rawName, attributes] = match;
+      if (!rawName) continue; // comments, doctypes, processing instructions
+
+      const tag = rawName.toLowerCase();
+
+      if (!closing && DROPPED_WITH_CONTENT.has(tag)) {
+        const end = new RegExp(`</${tag}\\s*>`, 'ig');
+        end.lastIndex = index;
+        const endMatch = end.exec(source);
+        index = endMatch ? end.lastIndex : source.length;
+        TOKEN.lastIndex = index;
+        continue;
+      }
+
+      if (!ALLOWED_TAGS[tag]) continue;
+
+      if (closing) {
+        const position = open.lastIndexOf(tag);
+        if (position !== -1) {
+          output.push(open.splice(position).reverse().map(name => `</${name}>`).join(''));
+        }
+      } else {
+        output.push(`<${tag}${cleanAttributes(tag, attributes)}>`);
+        if (!VOID_TAGS.has(tag)) open.push(tag);
+      }
+    }
+
+    output.push(escapeText(source.slice(index)));
+    output.push(open.reverse().map(name => `</${name}>`).join(''));
+
+    return output.join('');
+  }
+
+  // HTML for Markdown: headings, paragraphs, emphasis, links, images, lists, quotes,
+  // code and rules. HTML inside Markdown is shown as text.
+  static renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    const isBlockStart = line => /^(#{1,6}\s|```|>|\s*([-*+]|\d+[.)])\s+)/.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code
+      const fence = line.match(/^```\s*([\w-]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !/^```\s*$/.test(lines[i])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+        const language = fence[1] ? ` class="language-${fence[1]}"` : '';
+        blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+        i++;
+        continue;
+      }
+
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+
+      if (line.startsWith('>')) {
+        const quoted = [];
+        while (i < lines.length && lines[i].startsWith('>')) {
+          quoted.push(lines[i].replace(/^>\s?/, ''));
+          i++;
+        }
+        blocks.push(`<blockquote>${this.renderMarkdown(quoted.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      const listItem = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+      if (listItem) {
+        const ordered = /\d/.test(listItem[1]);
+        const items = [];
+        while (i < lines.length) {
+          const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+          if (item && /\d/.test(item[1]) === ordered) {
+            items.push([item[2]]);
+          } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length > 0) {
+            // Continuation of the previous item
+            items[items.length - 1].push(lines[i].trim());
+          } else {
+            break;
+          }
+          i++;
+        }
+        const tag = ordered ? 'ol' : 'ul';
+        const start = ordered && parseInt(listItem[1]) !== 1 ? ` start="${parseInt(listItem[1])}"` : '';
+        blocks.push(`<${tag}${start}>${items.map(item => `<li>${renderInline(item.join('\n'))}</li>`).join('')}</${tag}>`);
+        continue;
+      }
+
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+    }
+
+    return blocks.join('\n');
+  }
+
+  // { format, body, html, wordCount, readingTime (minutes) } for a creator's article
+  static render({ format = 'markdown', body }) {
+    const html = this.sanitizeHtml(format === 'html' ? body : this.renderMarkdown(body));
+    const text = decodeEntities(html.replace(/<[^>]*>/g, ' '));
+    const wordCount = (text.match(/\S+/g) || []).length;
+
+    return {
+      format,
+      body,
+      html,
+      wordCount,
+      readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+    };
+  }
+}
+
+ArticleService.escapeHtml = escapeHtml;
+
+module.exports = ArticleService;
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Lesson = require('../models/Lesson');
+const Course = require('../models/Course');
+const Transcript = require('../models/Transcript');
+
+const MAX_CUES = 20000;
+// Course documents carry transcript text for search; keep them well under the 16MB document limit
+const MAX_COURSE_TRANSCRIPT_CHARS = 200000;
+
+const TIMING = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(?:\s+.*)?$/;
+
+class CaptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CaptionError';
+  }
+}
+
+// "01:02:03.456", "02:03,456" -> seconds
+const parseTimestamp = (value) => {
+  const [clock, fraction] = value.replace(',', '.').split('.');
+  const parts = clock.split(':').map(Number);
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+// seconds -> "01:02:03.456"
+const formatTimestamp = (seconds) => {
+  const millis = Math.round(seconds * 1000);
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+};
+
+// Cue text without markup (<v Speaker>, <i>, <00:00:01.000>, {\an8}) on a single line
+const toPlainText = (lines) => lines
+  .join(' ')
+  .replace(/<[^>]*>/g, '')
+  .replace(/\{\\[^}]*\}/g, '')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Parses WebVTT and SubRip caption files into timestamped cues for transcripts
+class CaptionService {
+  static get formats() {
+    return ['vtt', 'srt'];
+  }
+
+  // 'vtt' or 'srt' from the file name, falling back to the content; null when it is neither
+  static detectFormat(fileName, content) {
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    if (this.formats.includes(extension)) return extension;
+    if (/^\uFEFF?WEBVTT/.test(content)) return 'vtt';
+    if (/^\uFEFF?\s*\d+\s*\r?\n[^\n]*-->/.test(content)) return 'srt';
+    return null;
+  }
+
+  // [{ start, end, text }] in seconds, sorted by start; throws CaptionError for malformed files
+  static parse(content, format) {
+    const text = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').replace(/^[ \t]+$/gm, '');
+    const blocks = text.split(/\n{2,}/).map(block => block.split('\n')).filter(lines => lines.some(line => line.trim()));
+    // Line number of each block's first line, for error messages
+    let lineNumber = 1;
+    const lineNumbers = [];
+    text.split(/(\n{2,})/).forEach(chunk => {
+      if (chunk.trim()) lineNumbers.push(lineNumber);
+      lineNumber += (chunk.match(/\n/g) || []).length;
+    });
+
+    if (format === 'vtt') {
+      if (!blocks.length || !/^WEBVTT(\s|$)/.test(blocks[0][0])) {
+        throw new CaptionError('WebVTT files must start with "WEBVTT"');
+      }
+      blocks.shift();
+      lineNumbers.shift();
+    } else if (format !== 'srt') {
+      throw new CaptionError('Caption files must be WebVTT (.vtt) or SubRip (.srt)');
+    }
+
+    const cues = [];
+    blocks.forEach((lines, index) => {
+      const line = lineNumbers[index];
+
+      // VTT blocks that aren't cues
+      if (format === 'vtt' && /^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0])) return;
+
+      // An identifier (the SRT counter, or an optional VTT cue id) may precede the timing line
+      const timingIndex = TIMING.test(lines[0].trim()) ? 0 : 1;
+      const timing = lines[timingIndex] && lines[timingIndex].trim().match(TIMING);
+      if (!timing) {
+        throw new CaptionError(`Invalid cue timing near line ${line}`);
+      }
+
+      const start = parseTimestamp(timing[1]);
+      const end = parseTimestamp(timing[2]);
+      if (end <= start) {
+        throw new CaptionError(`Cue near line ${line} ends before it starts`);
+      }
+
+      const cueText = toPlainText(lines.slice(timingIndex + 1));
+      if (cueText) {
+        cues.push({ start, end, text: cueText });
+      }
+    });
+
+    if (cues.length === 0) {
+      throw new CaptionError('The caption file has no cues');
+    }
+    if (cues.length > MAX_CUES) {
+      throw new CaptionError(`Caption files can have at most ${MAX_CUES} cues`);
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  // WebVTT for cues (SRT uploads are stored as WebVTT, the format browsers play)
+  static toVtt(cues) {
+    const body = cues.map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`);
+    return `WEBVTT\n\n${body.join('\n\n')}\n`;
+  }
+
+  // Keep the lesson's plain transcript (default caption language) and the
+  // course's search text in step with its captions
+  static async refreshTranscripts(lesson) {
+    const captions = lesson.captions || [];
+    const main = captions.find(caption => caption.isDefault) || captions[0];
+    const transcript = main ? await Transcript.findOne({ lesson: lesson._id, language: main.language }) : null;
+
+    lesson.transcript = transcript ? transcript.getText() : '';
+    await lesson.save();
+
+    await this.refreshCourseSearchText(lesson.course._id || lesson.course);
+  }
+
+  // Course.transcriptText: the transcripts of the course's active lessons, for the course search index
+  static async refreshCourseSearchText(courseId) {
+    const lessonIds = await Lesson.find({ course: courseId, isActive: true }).distinct('_id');
+    const transcripts = await Transcript.find({ lesson: { $in: lessonIds } }).select('cues.text');
+
+    const text = transcripts.map(transcript => transcript.getText()).join('\n').slice(0, MAX_COURSE_TRANSCRIPT_CHARS);
+    await Course.updateOne({ _id: courseId }, { $set: { transcriptText: text } });
+  }
+
+  // Cues of a course's transcripts containing every word of query:
+  // [{ lesson, language, start, end, text }], in course order
+  static async search(courseId, query, { language, lessonIds, limit = 50 } = {}) {
+    const terms = String(query).trim().split(/\s+/).filter(Boolean).slice(0, 10);
+    if (terms.length === 0) return [];
+
+    const escape = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const toObjectId = id => new mongoose.Types.ObjectId(String(id));
+    const match = { course: toObjectId(courseId) };
+    if (language) match.language = language;
+    if (lessonIds) match.lesson = { $in: lessonIds.map(toObjectId) };
+
+    const cueMatch = { $and: terms.map(term => ({ 'cues.text': { $regex: escape(term), $options: 'i' } })) };
+
+    const results = await Transcript.aggregate([
+      { $match: { ...match, ...cueMatch } },
+      { $unwind: '$cues' },
+      { $match: cueMatch },
+      { $lookup: { from: 'lessons', localField: 'lesson', foreignField: '_id', as: 'lesson' } },
+      { $unwind: '$lesson' },
+      { $sort: { 'lesson.order': 1, 'cues.start': 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          lesson: { _id: '$lesson._id', title: '$lesson.title', order: '$lesson.order' },
+          language: 1,
+          start: '$cues.start',
+          end: '$cues.end',
+          text: '$cues.text'
+        }
+      }
+    ]);
+
+    return results;
+  }
+}
+
+CaptionService.CaptionError = CaptionError;
+CaptionService.formatTimestamp = formatTimestamp;
+
+module.exports = CaptionService;
@@ -1,9 +1,139 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const QRCode = require('qrcode');
+const { getFileBuffer } = require('./storage');
+
+// Built-in design, used when no CertificateTemplate applies and for any field a template leaves unset
+const DEFAULT_TEMPLATE = {
+  title: 'CERTIFICATE OF COMPLETION',
+  introText: 'This is to certify that',
+  completionText: 'has successfully completed the course',
+  colors: {
+    primary: '#1A365D',
+    text: '#2D3748',
+    secondary: '#4A5568',
+    border: '#2D3748',
+    accent: '#E2E8F0',
+    background: '#FFFFFF'
+  },
+  fontFamily: 'serif',
+  logo: null,
+  signatureImage: null,
+  signatoryName: null,
+  signatoryTitle: null,
+  fields: {
+    courseDuration: true,
+    totalLessons: true,
+    completionDate: true,
+    grade: true,
+    serialHash: true,
+    issuer: true,
+    qrCode: true
+  }
+};
+
+// Standard PDF fonts per template font family
+const PDF_FONTS = {
+  serif: { regular: 'Times-Roman', bold: 'Times-Bold' },
+  'sans-serif': { regular: 'Helvetica', bold: 'Helvetica-Bold' },
+  monospace: { regular: 'Courier', bold: 'Courier-Bold' }
+};
+
+const CSS_FONTS = {
+  serif: "'Georgia', serif",
+  'sans-serif': "'Helvetica Neue', Arial, sans-serif",
+  monospace: "'Courier New', monospace"
+};
+
+const SAMPLE_CERTIFICATE_DATA = {
+  learnerName: 'Jane Doe',
+  courseTitle: 'Sample Course Title',
+  courseDuration: 120,
+  totalLessons: 12,
+  grade: 'A',
+  serialHash: '0123456789ABCDEF',
+  issuedByName: 'Sample Creator',
+  signatureKeyId: null
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
 class CertificateService {
-  static async generatePDFCertificate(certificateData) {
+  // Public URL where anyone can check a certificate
+  static getVerificationUrl(serialHash) {
+    const baseUrl = (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4001}`).replace(/\/$/, '');
+    return `${baseUrl}/api/certificates/verify/${serialHash}`;
+  }
+
+  // Fill in template defaults; `template` may be a CertificateTemplate document, a plain object or null
+  static resolveTemplate(template) {
+    const source = template && typeof template.toObject === 'function' ? template.toObject() : (template || {});
+
+    return {
+      ...DEFAULT_TEMPLATE,
+      ...Object.fromEntries(Object.entries(source).filter(([, value]) => value !== undefined && value !== null)),
+      colors: { ...DEFAULT_TEMPLATE.colors, ...(source.colors || {}) },
+      fields: { ...DEFAULT_TEMPLATE.fields, ...(source.fields || {}) }
+    };
+  }
+
+  // Download the template's logo and signature images for embedding in a PDF
+  static async loadTemplateImages(template) {
+    const load = async (image) => {
+      if (!image || !image.key) return null;
+      try {
+        return await getFileBuffer(image.key);
+      } catch (error) {
+        // Render without the image rather than failing the download
+        console.error(`Could not load certificate template image ${image.key}:`, error.message);
+        return null;
+      }
+    };
+
+    const [logo, signature] = await Promise.all([load(template.logo), load(template.signatureImage)]);
+    return { logo, signature };
+  }
+
+  // Detail lines shown on the certificate, filtered by the template's fields
+  static getDetailLines(certificateData, template) {
+    const lines = [];
+    const { fields } = template;
+
+    if (fields.courseDuration) lines.push(['Duration', `${certificateData.courseDuration} minutes`]);
+    if (fields.totalLessons) lines.push(['Total Lessons', `${certificateData.totalLessons}`]);
+    if (fields.completionDate) lines.push(['Completion Date', formatDate(certificateData.completionDate)]);
+    if (fields.grade) lines.push(['Grade', certificateData.grade || 'Pass']);
+    if (fields.serialHash) lines.push(['Certificate ID', certificateData.serialHash]);
+
+    return lines;
+  }
+
+  static async generatePDFCertificate(certificateData, templateDoc = null) {
+    const template = this.resolveTemplate(templateDoc);
+    const fonts = PDF_FONTS[template.fontFamily] || PDF_FONTS.serif;
+    const { colors, fields } = template;
+    const images = await this.loadTemplateImages(template);
+
+    // QR code linking to the public verification page
+    const qrCode = fields.qrCode
+      ? await QRCode.toBuffer(this.getVerificationUrl(certificateData.serialHash), {
+        type: 'png',
+        margin: 1,
+        width: 240
+      })
+      : null;
+
     return new Promise((resolve, reject) => {
       try {
         // Create a new PDF document
@@ -25,48 +155,61 @@ class CertificateService {
         const pageWidth = doc.page.width;
         const pageHeight = doc.page.height;
 
+        if (colors.background.toUpperCase() !== '#FFFFFF') {
+          doc.rect(0, 0, pageWidth, pageHeight).fill(colors.background);
+        }
+
         // Draw decorative border
         doc.rect(30, 30, pageWidth - 60, pageHeight - 60)
           .lineWidth(3)
-          .stroke('#2D3748');
+          .stroke(colors.border);
 
         doc.rect(40, 40, pageWidth - 80, pageHeight - 80)
           .lineWidth(1)
-          .stroke('#4A5568');
+          .stroke(colors.secondary);
+
+        if (images.logo) {
+          doc.image(images.logo, 60, 55, { fit: [100, 50] });
+        }
 
         // Header - Certificate Title
-        doc.fontSize(36)
-          .fillColor('#2D3748')
-          .text('CERTIFICATE OF COMPLETION', pageWidth / 2, 80, {
+        doc.font(fonts.bold)
+          .fontSize(36)
+          .fillColor(colors.text)
+          .text(template.title, pageWidth / 2, 80, {
             align: 'center',
             underline: true
           });
 
         // Subtitle
-        doc.fontSize(18)
-          .fillColor('#4A5568')
-          .text('This is to certify that', pageWidth / 2, 130, {
+        doc.font(fonts.regular)
+          .fontSize(18)
+          .fillColor(colors.secondary)
+          .text(template.introText, pageWidth / 2, 130, {
             align: 'center'
           });
 
         // Learner Name (highlighted)
-        doc.fontSize(28)
-          .fillColor('#1A365D')
+        doc.font(fonts.bold)
+          .fontSize(28)
+          .fillColor(colors.primary)
           .text(certificateData.learnerName, pageWidth / 2, 160, {
             align: 'center',
             underline: true
           });
 
         // Course completion text
-        doc.fontSize(16)
-          .fillColor('#2D3748')
-          .text('has successfully completed the course', pageWidth / 2, 200, {
+        doc.font(fonts.regular)
+          .fontSize(16)
+          .fillColor(colors.text)
+          .text(template.completionText, pageWidth / 2, 200, {
             align: 'center'
           });
 
         // Course Title (highlighted)
-        doc.fontSize(24)
-          .fillColor('#1A365D')
+        doc.font(fonts.bold)
+          .fontSize(24)
+          .fillColor(colors.primary)
           .text(`"${certificateData.courseTitle}"`, pageWidth / 2, 230, {
             align: 'center',
             underline: true
@@ -74,46 +217,80 @@ class CertificateService {
 
         // Course Details Section
         const detailsY = 280;
-        doc.fontSize(14)
-          .fillColor('#4A5568')
-          .text('Course Details:', 100, detailsY);
-
-        // Course information
-        const courseInfo = [
-          `Duration: ${certificateData.courseDuration} minutes`,
-          `Total Lessons: ${certificateData.totalLessons}`,
-          `Completion Date: ${new Date(certificateData.completionDate).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-          })}`,
-          `Certificate ID: ${certificateData.serialHash}`
-        ];
-
-        courseInfo.forEach((info, index) => {
-          doc.fontSize(12)
-            .fillColor('#2D3748')
-            .text(info, 120, detailsY + 30 + (index * 20));
-        });
+        const details = this.getDetailLines(certificateData, template);
 
-        // Issuer Information
+        if (details.length > 0) {
+          doc.font(fonts.regular)
+            .fontSize(14)
+            .fillColor(colors.secondary)
+            .text('Course Details:', 100, detailsY);
+
+          details.forEach(([label, value], index) => {
+            doc.fontSize(12)
+              .fillColor(colors.text)
+              .text(`${label}: ${value}`, 120, detailsY + 30 + (index * 20));
+          });
+        }
+
+        // Signatory and issuer
         const issuerY = detailsY + 150;
-        doc.fontSize(14)
-          .fillColor('#4A5568')
-          .text('Issued by:', pageWidth - 200, issuerY);
+        const issuerX = pageWidth - 230;
 
-        doc.fontSize(12)
-          .fillColor('#2D3748')
-          .text(certificateData.issuedByName || 'MicroCourses Platform', pageWidth - 200, issuerY + 25);
+        if (images.signature) {
+          doc.image(images.signature, issuerX, issuerY - 55, { fit: [160, 50] });
+        }
+
+        doc.moveTo(issuerX, issuerY)
+          .lineTo(issuerX + 160, issuerY)
+          .lineWidth(1)
+          .stroke(colors.secondary);
 
-        doc.fontSize(10)
+        let lineY = issuerY + 5;
+        const signatoryName = template.signatoryName || (fields.issuer ? certificateData.issuedByName || 'MicroCourses Platform' : null);
+        if (signatoryName) {
+          doc.font(fonts.bold)
+            .fontSize(12)
+            .fillColor(colors.text)
+            .text(signatoryName, issuerX, lineY, { width: 160 });
+          lineY += 17;
+        }
+
+        if (template.signatoryTitle) {
+          doc.font(fonts.regular)
+            .fontSize(10)
+            .fillColor(colors.secondary)
+            .text(template.signatoryTitle, issuerX, lineY, { width: 160 });
+          lineY += 15;
+        }
+
+        if (template.signatoryName && fields.issuer) {
+          doc.font(fonts.regular)
+            .fontSize(10)
+            .fillColor(colors.secondary)
+            .text(`Issued by ${certificateData.issuedByName || 'MicroCourses Platform'}`, issuerX, lineY, { width: 160 });
+          lineY += 15;
+        }
+
+        doc.font(fonts.regular)
+          .fontSize(9)
           .fillColor('#718096')
-          .text('Digital Signature', pageWidth - 200, issuerY + 45);
+          .text(certificateData.signatureKeyId ? `Digitally signed (key ${certificateData.signatureKeyId})` : 'Digital Signature', issuerX, lineY, {
+            width: 160
+          });
+
+        // Verification QR code
+        if (qrCode) {
+          doc.image(qrCode, 70, issuerY, { width: 80, height: 80 });
+          doc.fontSize(8)
+            .fillColor('#718096')
+            .text('Scan to verify', 70, issuerY + 82, { width: 80, align: 'center' });
+        }
 
         // Footer
-        doc.fontSize(10)
+        doc.font(fonts.regular)
+          .fontSize(10)
           .fillColor('#718096')
-          .text('This certificate is digitally verified and can be verified online', pageWidth / 2, pageHeight - 80, {
+          .text(`Verify this certificate online: ${this.getVerificationUrl(certificateData.serialHash)}`, pageWidth / 2, pageHeight - 80, {
             align: 'center'
           });
 
@@ -124,7 +301,7 @@ class CertificateService {
           });
 
         // Decorative elements
-        this.addDecorativeElements(doc, pageWidth, pageHeight);
+        this.addDecorativeElements(doc, pageWidth, pageHeight, colors);
 
         // Finalize the PDF
         doc.end();
@@ -135,48 +312,64 @@ class CertificateService {
     });
   }
 
-  static addDecorativeElements(doc, pageWidth, pageHeight) {
+  static addDecorativeElements(doc, pageWidth, pageHeight, colors = DEFAULT_TEMPLATE.colors) {
     // Add corner decorations
     const cornerSize = 20;
     
     // Top-left corner
     doc.rect(30, 30, cornerSize, cornerSize)
-      .fillColor('#E2E8F0')
+      .fillColor(colors.accent)
       .fill();
 
     // Top-right corner
     doc.rect(pageWidth - 50, 30, cornerSize, cornerSize)
-      .fillColor('#E2E8F0')
+      .fillColor(colors.accent)
       .fill();
 
     // Bottom-left corner
     doc.rect(30, pageHeight - 50, cornerSize, cornerSize)
-      .fillColor('#E2E8F0')
+      .fillColor(colors.accent)
       .fill();
 
     // Bottom-right corner
     doc.rect(pageWidth - 50, pageHeight - 50, cornerSize, cornerSize)
-      .fillColor('#E2E8F0')
+      .fillColor(colors.accent)
       .fill();
 
     // Add some decorative lines
     doc.moveTo(pageWidth / 2 - 100, 120)
       .lineTo(pageWidth / 2 + 100, 120)
-      .stroke('#CBD5E0');
+      .stroke(colors.accent);
 
     doc.moveTo(pageWidth / 2 - 100, 190)
       .lineTo(pageWidth / 2 + 100, 190)
-      .stroke('#CBD5E0');
+      .stroke(colors.accent);
   }
 
-  static async generateCertificateHTML(certificateData) {
+  static async generateCertificateHTML(certificateData, templateDoc = null) {
+    const template = this.resolveTemplate(templateDoc);
+    const { colors, fields } = template;
+    const verificationUrl = this.getVerificationUrl(certificateData.serialHash);
+    const qrCode = fields.qrCode ? await QRCode.toDataURL(verificationUrl, { margin: 1, width: 160 }) : null;
+
+    const details = this.getDetailLines(certificateData, template)
+      .map(([label, value]) => `
+              <div class="detail-item">
+                <span class="detail-label">${escapeHtml(label)}:</span>
+                <span class="detail-value">${escapeHtml(value)}</span>
+              </div>`)
+      .join('');
+
+    const issuerName = certificateData.issuedByName || 'MicroCourses Platform';
+    const signatoryName = template.signatoryName || (fields.issuer ? issuerName : null);
+
     return `
       <!DOCTYPE html>
       <html lang="en">
       <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Certificate of Completion</title>
+        <title>${escapeHtml(template.title)}</title>
         <style>
           * {
             margin: 0;
@@ -185,7 +378,7 @@ class CertificateService {
           }
           
           body {
-            font-family: 'Georgia', serif;
+            font-family: ${CSS_FONTS[template.fontFamily] || CSS_FONTS.serif};
             background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
             min-height: 100vh;
             display: flex;
@@ -195,7 +388,7 @@ class CertificateService {
           }
           
           .certificate {
-            background: white;
+            background: ${colors.background};
             width: 100%;
             max-width: 800px;
             padding: 60px;
@@ -212,7 +405,7 @@ class CertificateService {
             left: 0;
             right: 0;
             bottom: 0;
-            border: 4px solid #2D3748;
+            border: 4px solid ${colors.border};
             border-radius: 16px;
             pointer-events: none;
           }
@@ -224,7 +417,7 @@ class CertificateService {
             left: 20px;
             right: 20px;
             bottom: 20px;
-            border: 2px solid #4A5568;
+            border: 2px solid ${colors.secondary};
             border-radius: 12px;
             pointer-events: none;
           }
@@ -234,52 +427,55 @@ class CertificateService {
             margin-bottom: 40px;
           }
           
+          .logo {
+            max-width: 160px;
+            max-height: 70px;
+            margin-bottom: 20px;
+          }
+          
           .title {
             font-size: 2.5rem;
-            color: #2D3748;
+            color: ${colors.text};
             font-weight: bold;
             margin-bottom: 10px;
             text-decoration: underline;
-            text-decoration-color: #4A5568;
+            text-decoration-color: ${colors.secondary};
           }
           
           .subtitle {
             font-size: 1.2rem;
-            color: #4A5568;
+            color: ${colors.secondary};
             margin-bottom: 30px;
           }
           
           .learner-name {
             font-size: 2rem;
-            color: #1A365D;
+            color: ${colors.primary};
             text-align: center;
             margin: 20px 0;
             font-weight: bold;
             text-decoration: underline;
-            text-decoration-color: #2D3748;
+            text-decoration-color: ${colors.text};
           }
           
           .completion-text {
             font-size: 1.1rem;
-            color: #2D3748;
+            color: ${colors.text};
             text-align: center;
             margin: 20px 0;
           }
           
           .course-title {
             font-size: 1.8rem;
-            color: #1A365D;
+            color: ${colors.primary};
             text-align: center;
             margin: 20px 0 40px 0;
             font-weight: bold;
             text-decoration: underline;
-            text-decoration-color: #2D3748;
+            text-decoration-color: ${colors.text};
           }
           
           .details {
-            display: grid;
-            grid-template-columns: 1fr 1fr;
-            gap: 30px;
             margin: 40px 0;
           }
           
@@ -287,19 +483,19 @@ class CertificateService {
             background: #F7FAFC;
             padding: 20px;
             border-radius: 10px;
-            border-left: 4px solid #4A5568;
+            border-left: 4px solid ${colors.secondary};
           }
           
           .detail-title {
             font-size: 1.1rem;
-            color: #2D3748;
+            color: ${colors.text};
             font-weight: bold;
             margin-bottom: 15px;
           }
           
           .detail-item {
             font-size: 0.95rem;
-            color: #4A5568;
+            color: ${colors.secondary};
             margin-bottom: 8px;
             display: flex;
             justify-content: space-between;
@@ -310,20 +506,35 @@ class CertificateService {
           }
           
           .detail-value {
-            color: #2D3748;
+            color: ${colors.text};
             font-weight: bold;
           }
           
           .footer {
             margin-top: 40px;
             text-align: center;
-            border-top: 2px solid #E2E8F0;
+            border-top: 2px solid ${colors.accent};
             padding-top: 20px;
           }
           
+          .signature-image {
+            max-width: 180px;
+            max-height: 60px;
+            display: block;
+            margin: 0 auto 5px;
+          }
+          
           .issuer {
             font-size: 1rem;
-            color: #4A5568;
+            color: ${colors.text};
+            font-weight: bold;
+            margin-bottom: 5px;
+          }
+          
+          .signatory-title,
+          .issued-by {
+            font-size: 0.9rem;
+            color: ${colors.secondary};
             margin-bottom: 5px;
           }
           
@@ -339,11 +550,17 @@ class CertificateService {
             margin-top: 20px;
           }
           
+          .qr-code {
+            width: 96px;
+            height: 96px;
+            margin-top: 15px;
+          }
+          
           .decorative {
             position: absolute;
             width: 60px;
             height: 60px;
-            background: #E2E8F0;
+            background: ${colors.accent};
             border-radius: 50%;
             opacity: 0.3;
           }
@@ -387,59 +604,32 @@ class CertificateService {
           <div class="decorative bottom-right"></div>
           
           <div class="header">
-            <h1 class="title">CERTIFICATE OF COMPLETION</h1>
-            <p class="subtitle">This is to certify that</p>
+            ${template.logo && template.logo.url ? `<img class="logo" src="${escapeHtml(template.logo.url)}" alt="Logo">` : ''}
+            <h1 class="title">${escapeHtml(template.title)}</h1>
+            <p class="subtitle">${escapeHtml(template.introText)}</p>
           </div>
           
-          <div class="learner-name">${certificateData.learnerName}</div>
+          <div class="learner-name">${escapeHtml(certificateData.learnerName)}</div>
           
-          <p class="completion-text">has successfully completed the course</p>
-          
-          <div class="course-title">"${certificateData.courseTitle}"</div>
+          <p class="completion-text">${escapeHtml(template.completionText)}</p>
           
+          <div class="course-title">"${escapeHtml(certificateData.courseTitle)}"</div>
+          ${details ? `
           <div class="details">
             <div class="detail-section">
-              <div class="detail-title">Course Information</div>
-              <div class="detail-item">
-                <span class="detail-label">Duration:</span>
-                <span class="detail-value">${certificateData.courseDuration} minutes</span>
-              </div>
-              <div class="detail-item">
-                <span class="detail-label">Total Lessons:</span>
-                <span class="detail-value">${certificateData.totalLessons}</span>
-              </div>
-              <div class="detail-item">
-                <span class="detail-label">Completion Date:</span>
-                <span class="detail-value">${new Date(certificateData.completionDate).toLocaleDateString('en-US', {
-                  year: 'numeric',
-                  month: 'long',
-                  day: 'numeric'
-                })}</span>
-              </div>
+              <div class="detail-title">Certificate Details</div>${details}
             </div>
-            
-            <div class="detail-section">
-              <div class="detail-title">Certificate Details</div>
-              <div class="detail-item">
-                <span class="detail-label">Certificate ID:</span>
-                <span class="detail-value">${certificateData.serialHash}</span>
-              </div>
-              <div class="detail-item">
-                <span class="detail-label">Grade:</span>
-                <span class="detail-value">${certificateData.grade || 'Pass'}</span>
-              </div>
-              <div class="detail-item">
-                <span class="detail-label">Status:</span>
-                <span class="detail-value">Verified</span>
-              </div>
-            </div>
-          </div>
+          </div>` : ''}
           
           <div class="footer">
-            <div class="issuer">Issued by: ${certificateData.issuedByName || 'MicroCourses Platform'}</div>
-            <div class="signature">Digital Signature</div>
+            ${template.signatureImage && template.signatureImage.url ? `<img class="signature-image" src="${escapeHtml(template.signatureImage.url)}" alt="Signature">` : ''}
+            ${signatoryName ? `<div class="issuer">${escapeHtml(signatoryName)}</div>` : ''}
+            ${template.signatoryTitle ? `<div class="signatory-title">${escapeHtml(template.signatoryTitle)}</div>` : ''}
+            ${template.signatoryName && fields.issuer ? `<div class="issued-by">Issued by ${escapeHtml(issuerName)}</div>` : ''}
+            <div class="signature">${certificateData.signatureKeyId ? `Digitally signed (key ${escapeHtml(certificateData.signatureKeyId)})` : 'Digital Signature'}</div>
+            ${qrCode ? `<img class="qr-code" src="${qrCode}" alt="Verification QR code">` : ''}
             <div class="verification">
-              This certificate is digitally verified and can be verified online<br>
+              Verify this certificate online: ${escapeHtml(verificationUrl)}<br>
               Generated on ${new Date().toLocaleString()}
             </div>
           </div>
@@ -448,6 +638,77 @@ class CertificateService {
       </html>
     `;
   }
+
+  // Public verification page for GET /api/certificates/verify/:serialHash.
+  // `verification` is the JSON payload, or null when no certificate matched.
+  static generateVerificationHTML(serialHash, verification) {
+    let status;
+    let details = '';
+
+    if (!verification) {
+      status = { className: 'invalid', label: 'Certificate not found', text: 'No certificate was issued with this ID.' };
+    } else {
+      if (verification.valid) {
+        status = { className: 'valid', label: 'Valid certificate', text: 'This certificate was issued by MicroCourses and is valid.' };
+      } else if (verification.status === 'revoked') {
+        status = { className: 'invalid', label: 'Revoked certificate', text: `This certificate was revoked${verification.revokedAt ? ` on ${formatDate(verification.revokedAt)}` : ''} and is no longer valid.` };
+      } else {
+        status = { className: 'invalid', label: 'Invalid signature', text: 'This certificate record does not match its signature and cannot be trusted.' };
+      }
+
+      const signature = verification.signed
+        ? `${verification.signed.algorithm}, key ${verification.signed.keyId}`
+        : 'Not signed (issued before certificate signing)';
+
+      details = `
+        <dl>
+          <dt>Learner</dt><dd>${escapeHtml(verification.learnerName)}</dd>
+          <dt>Course</dt><dd>${escapeHtml(verification.courseTitle)}</dd>
+          <dt>Issued by</dt><dd>${escapeHtml(verification.issuer)}</dd>
+          <dt>Completion date</dt><dd>${formatDate(verification.completionDate)}</dd>
+          <dt>Grade</dt><dd>${escapeHtml(verification.grade)}</dd>
+          <dt>Signature</dt><dd>${escapeHtml(signature)}</dd>
+        </dl>`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Certificate Verification - ${escapeHtml(serialHash)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; background: #F7FAFC; color: #2D3748; margin: 0; padding: 40px 20px; }
+    .card { max-width: 560px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08); padding: 32px; }
+    h1 { font-size: 20px; margin: 0 0 24px; }
+    .status { border-radius: 6px; padding: 16px; margin-bottom: 24px; }
+    .status strong { display: block; font-size: 18px; margin-bottom: 4px; }
+    .valid { background: #F0FFF4; border: 1px solid #9AE6B4; color: #22543D; }
+    .invalid { background: #FFF5F5; border: 1px solid #FEB2B2; color: #742A2A; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 8px 16px; margin: 0; }
+    dt { color: #718096; }
+    dd { margin: 0; font-weight: 600; }
+    .serial { margin-top: 24px; font-size: 12px; color: #A0AEC0; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>Certificate Verification</h1>
+    <div class="status ${status.className}">
+      <strong>${status.label}</strong>
+      ${escapeHtml(status.text)}
+    </div>${details}
+    <div class="serial">Certificate ID: ${escapeHtml(serialHash)}</div>
+  </div>
+</body>
+</html>`;
+  }
 }
 
+CertificateService.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+// Sample data for template previews
+CertificateService.getSampleCertificateData = () => ({ ...SAMPLE_CERTIFICATE_DATA, completionDate: new Date() });
+
 module.exports = CertificateService;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ALGORITHM = 'Ed25519';
+
+// Fields covered by a certificate signature, in signing order
+const PAYLOAD_FIELDS = ['version', 'serialHash', 'learner', 'course', 'learnerName', 'courseTitle', 'completionDate', 'grade'];
+const PAYLOAD_VERSION = 1;
+
+// Keyring file layout:
+//   {
+//     "activeKeyId": "cert-20261019-1a2b3c",
+//     "keys": [{ "kid", "algorithm", "publicKey", "privateKey"?, "createdAt", "retiredAt" }]
+//   }
+// Only the active key keeps its private key; retired keys are kept (public key only)
+// so certificates they signed still verify.
+const keyringPath = () => path.resolve(process.env.CERTIFICATE_KEYRING_PATH || 'keys/certificate-keyring.json');
+
+let cachedKeyring = null;
+
+// Canonical JSON for a payload: fixed field order, no whitespace
+const canonicalize = (payload) => {
+  const ordered = {};
+  PAYLOAD_FIELDS.forEach(field => {
+    ordered[field] = payload[field] === undefined ? null : payload[field];
+  });
+  return JSON.stringify(ordered);
+};
+
+// Check a payload signature against a list of public keys ({ kid, publicKey }).
+// Needs no database or private keys, so it also works offline.
+const verifyWithKeys = (payload, signature, keyId, keys) => {
+  const key = (keys || []).find(k => k.kid === keyId);
+  if (!key) {
+    return { valid: false, reason: `Unknown signing key: ${keyId}` };
+  }
+
+  if (key.algorithm && key.algorithm !== ALGORITHM) {
+    return { valid: false, reason: `Unsupported signature algorithm: ${key.algorithm}` };
+  }
+
+  if (!payload || payload.version !== PAYLOAD_VERSION) {
+    return { valid: false, reason: 'Unsupported certificate payload version' };
+  }
+
+  let valid = false;
+  try {
+    valid = crypto.verify(
+      null,
+      Buffer.from(canonicalize(payload)),
+      crypto.createPublicKey(key.publicKey),
+      Buffer.from(String(signature), 'base64url')
+    );
+  } catch (error) {
+    return { valid: false, reason: `Malformed key or signature: ${error.message}` };
+  }
+
+  return valid
+    ? { valid: true, keyId, keyStatus: key.retiredAt ? 'retired' : 'active' }
+    : { valid: false, reason: 'Signature does not match the certificate' };
+};
+
+const generateKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+  return {
+    kid: `cert-${date}-${crypto.randomBytes(3).toString('hex')}`,
+    algorithm: ALGORITHM,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    createdAt: new Date().toISOString(),
+    retiredAt: null
+  };
+};
+
+class CertificateSigningService {
+  static get algorithm() {
+    return ALGORITHM;
+  }
+
+  static get payloadVersion() {
+    return PAYLOAD_VERSION;
+  }
+
+  static loadKeyring() {
+    if (cachedKeyring) return cachedKeyring;
+
+    const file = keyringPath();
+    if (fs.existsSync(file)) {
+      cachedKeyring = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return cachedKeyring;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`Certificate keyring not found at ${file}. Run "npm run certificates:keys -- rotate" to create one.`);
+    }
+
+    // Development convenience: create a keyring on first use
+    console.warn(`Certificate keyring not found; creating a new one at ${file}`);
+    return this.rotateKey();
+  }
+
+  static saveKeyring(keyring) {
+    const file = keyringPath();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(keyring, null, 2)}\n`, { mode: 0o600 });
+    cachedKeyring = keyring;
+  }
+
+  // Create a new active key and retire the current one (its private key is discarded)
+  static rotateKey() {
+    const file = keyringPath();
+    const keyring = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : { activeKeyId: null, keys: [] };
+
+    const now = new Date().toISOString();
+    keyring.keys.forEach(key => {
+      if (!key.retiredAt) key.retiredAt = now;
+      delete key.privateKey;
+    });
+
+    const key = generateKey();
+    keyring.keys.push(key);
+    keyring.activeKeyId = key.kid;
+
+    this.saveKeyring(keyring);
+    return keyring;
+  }
+
+  // Public keys as published at GET /api/certificates/keys
+  static getPublicKeys() {
+    return this.loadKeyring().keys.map(key => ({
+      kid: key.kid,
+      algorithm: key.algorithm,
+      publicKey: key.publicKey,
+      status: key.retiredAt ? 'retired' : 'active',
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt || null
+    }));
+  }
+
+  // The signed payload for a certificate
+  static buildPayload(certificate) {
+    return {
+      version: PAYLOAD_VERSION,
+      serialHash: certificate.serialHash,
+      learner: certificate.learner && (certificate.learner._id || certificate.learner).toString(),
+      course: certificate.course && (certificate.course._id || certificate.course).toString(),
+      learnerName: certificate.learnerName,
+      courseTitle: certificate.courseTitle,
+      completionDate: new Date(certificate.completionDate).toISOString(),
+      grade: certificate.grade
+    };
+  }
+
+  // Sign a payload with the active key -> { signature (base64url), keyId, algorithm }
+  static sign(payload) {
+    const keyring = this.loadKeyring();
+    const key = keyring.keys.find(k => k.kid === keyring.activeKeyId);
+
+    if (!key || !key.privateKey) {
+      throw new Error('Certificate keyring has no active signing key');
+    }
+
+    const signature = crypto.sign(null, Buffer.from(canonicalize(payload)), crypto.createPrivateKey(key.privateKey));
+
+    return {
+      signature: signature.toString('base64url'),
+      keyId: key.kid,
+      algorithm: ALGORITHM
+    };
+  }
+
+  static verify(payload, signature, keyId) {
+    return verifyWithKeys(payload, signature, keyId, this.getPublicKeys());
+  }
+}
+
+CertificateSigningService.canonicalize = canonicalize;
+CertificateSigningService.verifyWithKeys = verifyWithKeys;
+
+module.exports = CertificateSigningService;
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Enrollment = require('../models/Enrollment');
+const Lesson = require('../models/Lesson');
+const Review = require('../models/Review');
+const WatchProgress = require('../models/WatchProgress');
+const WishlistItem = require('../models/WishlistItem');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Most points a time series may have (a bit over a year of days)
+const MAX_BUCKETS = 400;
+
+// Days from enrollment to completion, bucketed for a histogram
+const TIME_TO_COMPLETE_BUCKETS = [
+  { label: '< 1 day', max: 1 },
+  { label: '1-7 days', max: 7 },
+  { label: '8-30 days', max: 30 },
+  { label: '31-90 days', max: 90 },
+  { label: '> 90 days', max: Infinity }
+];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+// Start of the UTC day/week (Monday)/month containing date
+const bucketStart = (date, interval) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    d.setUTCDate(1);
+  }
+  return d;
+};
+
+const nextBucket = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+  if (interval === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+};
+
+class CourseAnalyticsService {
+  static get intervals() {
+    return INTERVALS;
+  }
+
+  static get maxBuckets() {
+    return MAX_BUCKETS;
+  }
+
+  // Number of time series points from from to to
+  static bucketCount(from, to, interval) {
+    if (interval === 'month') {
+      return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth() + 1;
+    }
+    const days = (bucketStart(to, 'day') - bucketStart(from, interval)) / DAY_MS;
+    return Math.floor(days / (interval === 'week' ? 7 : 1)) + 1;
+  }
+
+  // Pick a chart interval that keeps the number of points reasonable
+  static defaultInterval(from, to) {
+    const days = (to - from) / DAY_MS;
+    if (days <= 62) return 'day';
+    if (days <= 366) return 'week';
+    return 'month';
+  }
+
+  // Completion, progress, drop-off and time-series analytics for one course.
+  // Cohort metrics cover learners who enrolled between from and to.
+  static async getCourseAnalytics(course, { from, to, interval } = {}) {
+    const rangeStart = from || course.createdAt;
+    const rangeEnd = to || new Date();
+    const bucketInterval = interval || this.defaultInterval(rangeStart, rangeEnd);
+    if (this.bucketCount(rangeStart, rangeEnd, bucketInterval) > MAX_BUCKETS) {
+      throw new Error(`The time series can have at most ${MAX_BUCKETS} points`);
+    }
+    const courseId = new mongoose.Types.ObjectId(course._id);
+
+    const enrollments = await Enrollment.find({ course: courseId })
+      .active()
+      .select('learner status enrolledAt progress completedLessons completedAt')
+      .lean();
+
+    const inRange = date => date && date >= rangeStart && date <= rangeEnd;
+    const cohort = enrollments.filter(e => inRange(e.enrolledAt));
+    const completed = cohort.filter(e => e.status === 'completed');
+
+    // Share of the cohort that completed each lesson, in course order
+    const lessons = await Lesson.find({ course: courseId, isActive: true })
+      .select('title order')
+      .sort({ order: 1 });
+
+    const completionsByLesson = new Map();
+    cohort.forEach(e => {
+      (e.completedLessons || []).forEach(lessonId => {
+        const key = lessonId.toString();
+        completionsByLesson.set(key, (completionsByLesson.get(key) || 0) + 1);
+      });
+    });
+
+    // Video watch stats for the same cohort
+    const watchStats = cohort.length > 0
+      ? await WatchProgress.getLessonStats(lessons.map(lesson => lesson._id), cohort.map(e => e.learner))
+      : {};
+
+    const lessonDropOff = lessons.map(lesson => {
+      const completions = completionsByLesson.get(lesson._id.toString()) || 0;
+      const watch = watchStats[lesson._id.toString()];
+      return {
+        lessonId: lesson._id,
+        title: lesson.title,
+        order: lesson.order,
+        completions,
+        completionRate: cohort.length > 0 ? round((completions / cohort.length) * 100) : 0,
+        viewers: watch ? watch.viewers : 0,
+        averageWatchPercentage: watch ? watch.averageWatchPercentage : 0
+      };
+    });
+
+    // Time to complete, in days
+    const daysToComplete = completed
+      .filter(e => e.completedAt && e.enrolledAt)
+      .map(e => Math.max(0, (new Date(e.completedAt) - new Date(e.enrolledAt)) / DAY_MS));
+
+    const timeToComplete = {
+      completions: daysToComplete.length,
+      medianDays: round(median(daysToComplete), 1),
+      averageDays: daysToComplete.length > 0
+        ? round(daysToComplete.reduce((sum, days) => sum + days, 0) / daysToComplete.length, 1)
+        : 0,
+      distribution: TIME_TO_COMPLETE_BUCKETS.map((bucket, index) => {
+        const min = index === 0 ? 0 : TIME_TO_COMPLETE_BUCKETS[index - 1].max;
+        return {
+          label: bucket.label,
+          count: daysToComplete.filter(days => days >= min && days < bucket.max).length
+        };
+      })
+    };
+
+    // Ratings left within the range
+    const reviews = await Review.find({
+      course: courseId,
+      isHidden: false,
+      createdAt: { $gte: rangeStart, $lte: rangeEnd }
+    }).select('rating createdAt');
+
+    const ratingDistribution = [5, 4, 3, 2, 1].map(stars => ({
+      rating: stars,
+      count: reviews.filter(review => review.rating === stars).length
+    }));
+
+    // Learners who saved the course and haven't enrolled (enrolling takes it off their wishlist)
+    const wishlistItems = await WishlistItem.find({ course: courseId }).select('createdAt').lean();
+    const wishlistedInRange = wishlistItems.filter(item => inRange(item.createdAt));
+
+    // Time series for charting, with empty buckets included
+    const series = new Map();
+    for (let date = bucketStart(rangeStart, bucketInterval); date <= rangeEnd; date = nextBucket(date, bucketInterval)) {
+      series.set(date.getTime(), {
+        date: date.toISOString(),
+        enrollments: 0,
+        completions: 0,
+        reviews: 0,
+        ratingTotal: 0,
+        wishlists: 0
+      });
+    }
+    const pointFor = date => series.get(bucketStart(new Date(date), bucketInterval).getTime());
+
+    cohort.forEach(e => {
+      pointFor(e.enrolledAt).enrollments += 1;
+    });
+    enrollments.filter(e => e.status === 'completed' && inRange(e.completedAt && new Date(e.completedAt))).forEach(e => {
+      pointFor(e.completedAt).completions += 1;
+    });
+    reviews.forEach(review => {
+      const point = pointFor(review.createdAt);
+      point.reviews += 1;
+      point.ratingTotal += review.rating;
+    });
+    wishlistedInRange.forEach(item => {
+      pointFor(item.createdAt).wishlists += 1;
+    });
+
+    // Running total starts from everyone who enrolled before the range
+    let cumulativeEnrollments = enrollments.filter(e => e.enrolledAt < rangeStart).length;
+    const timeSeries = [...series.values()].map(({ ratingTotal, ...point }) => {
+      cumulativeEnrollments += point.enrollments;
+      return {
+        ...point,
+        cumulativeEnrollments,
+        averageRating: point.reviews > 0 ? round(ratingTotal / point.reviews) : null
+      };
+    });
+
+    return {
+      range: {
+        from: rangeStart,
+        to: rangeEnd,
+        interval: bucketInterval
+      },
+      enrollments: cohort.length,
+      completions: completed.length,
+      completionRate: cohort.length > 0 ? round((completed.length / cohort.length) * 100) : 0,
+      medianProgress: median(cohort.map(e => e.progress || 0)),
+      averageProgress: cohort.length > 0
+        ? round(cohort.reduce((sum, e) => sum + (e.progress || 0), 0) / cohort.length)
+        : 0,
+      wishlists: {
+        total: wishlistItems.length,
+        added: wishlistedInRange.length
+      },
+      lessonDropOff,
+      timeToComplete,
+      ratingDistribution,
+      timeSeries
+    };
+  }
+}
+
+module.exports = CourseAnalyticsService;
@@ -0,0 +1,266 @@
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const User = require('../models/User');
+const SearchIndex = require('./search/searchIndex');
+
+// Field weights: a word in the title counts for much more than one said in a video
+const FIELDS = {
+  title: 10,
+  tags: 5,
+  creator: 4,
+  shortDescription: 3,
+  lessons: 2,
+  description: 1,
+  transcripts: 0.5
+};
+
+const PRICE_BANDS = [
+  { value: 'free', label: 'Free', max: 0 },
+  { value: 'under_20', label: 'Under 20', max: 20 },
+  { value: '20_to_50', label: '20 to 50', max: 50 },
+  { value: '50_to_100', label: '50 to 100', max: 100 },
+  { value: 'over_100', label: 'Over 100', max: Infinity }
+];
+
+// Rating facet values are minimums: a 4.6 course is in "4.5 & up", "4 & up"...
+const RATING_THRESHOLDS = [4.5, 4, 3.5, 3];
+
+const SORTS = {
+  relevance: (a, b) => b.score - a.score || b.stored.enrollmentCount - a.stored.enrollmentCount,
+  popular: (a, b) => b.stored.enrollmentCount - a.stored.enrollmentCount || b.score - a.score,
+  rating: (a, b) => b.stored.rating - a.stored.rating || b.stored.ratingCount - a.stored.ratingCount,
+  newest: (a, b) => b.stored.createdAt - a.stored.createdAt,
+  price_low: (a, b) => a.stored.price - b.stored.price || b.score - a.score,
+  price_high: (a, b) => b.stored.price - a.stored.price || b.score - a.score
+};
+
+// The index is rebuilt from scratch this often, to catch changes the incremental sync can't see
+const REBUILD_INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+// Changes are looked for a little before the last sync, for clocks that disagree between servers
+const SYNC_OVERLAP_MS = 5000;
+
+const createIndex = () => new SearchIndex({ fields: FIELDS, facets: ['category', 'level', 'price', 'rating'] });
+
+let index = createIndex();
+let builtAt = null; // last full build
+let syncedAt = null; // changes up to here are in the index
+let checkedAt = 0;
+let syncing = null;
+
+const getPriceBand = price => PRICE_BANDS.find(band => price <= band.max).value;
+
+// Course search over published courses, run in-process: an in-memory index (see
+// SearchIndex) of titles, descriptions, tags, creator names, lesson titles and
+// transcripts, kept up to date from the database before searches. Each process
+// holds its own copy, refreshed at most every SEARCH_SYNC_INTERVAL_SECONDS.
+class CourseSearchService {
+  static get syncIntervalMs() {
+    return (parseInt(process.env.SEARCH_SYNC_INTERVAL_SECONDS) || 30) * 1000;
+  }
+
+  // Characters of each course's transcripts that are searchable (they are long and weigh little)
+  static get transcriptChars() {
+    return parseInt(process.env.SEARCH_TRANSCRIPT_CHARS) || 20000;
+  }
+
+  static get sorts() {
+    return Object.keys(SORTS);
+  }
+
+  static get priceBands() {
+    return PRICE_BANDS.map(({ value, label }) => ({ value, label }));
+  }
+
+  static get ratingThresholds() {
+    return RATING_THRESHOLDS;
+  }
+
+  // What the index holds for a course
+  static toDocument(course, lessonTitles) {
+    const rating = (course.rating && course.rating.average) || 0;
+    return {
+      text: {
+        title: course.title,
+        tags: course.tags || [],
+        creator: course.creator ? course.creator.name : '',
+        shortDescription: course.shortDescription,
+        lessons: lessonTitles,
+        description: course.description,
+        transcripts: (course.transcriptText || '').slice(0, this.transcriptChars)
+      },
+      facets: {
+        category: [course.category],
+        level: [course.level],
+        price: [getPriceBand(course.price || 0)],
+        rating: RATING_THRESHOLDS.filter(threshold => rating >= threshold)
+      },
+      stored: {
+        title: course.title,
+        category: course.category,
+        level: course.level,
+        price: course.price || 0,
+        rating,
+        ratingCount: (course.rating && course.rating.count) || 0,
+        enrollmentCount: course.enrollmentCount || 0,
+        createdAt: new Date(course.createdAt).getTime(),
+        thumbnail: course.thumbnail && course.thumbnail.url ? course.thumbnail.url : null
+      },
+      suggest: [course.title, ...(course.tags || [])]
+    };
+  }
+
+  // Re-read courses from the database into target: published ones are (re)indexed, others removed
+  static async indexCourses(courseIds, target = index) {
+    for (let i = 0; i < courseIds.length; i += BATCH_SIZE) {
+      const batch = courseIds.slice(i, i + BATCH_SIZE);
+      const courses = await Course.find({ _id: { $in: batch }, status: 'published', isActive: true })
+        .select('title shortDescription description tags category level price rating enrollmentCount thumbnail createdAt creator +transcriptText')
+        .populate('creator', 'name')
+        .lean();
+      const lessons = await Lesson.find({ course: { $in: courses.map(course => course._id) }, isActive: true })
+        .select('course title')
+        .sort({ order: 1 })
+        .lean();
+
+      const lessonTitles = {};
+      lessons.forEach(lesson => {
+        const key = lesson.course.toString();
+        (lessonTitles[key] = lessonTitles[key] || []).push(lesson.title);
+      });
+
+      const published = new Set();
+      courses.forEach(course => {
+        const key = course._id.toString();
+        published.add(key);
+        target.add(key, this.toDocument(course, lessonTitles[key] || []));
+      });
+      batch.forEach(id => {
+        if (!published.has(id.toString())) target.remove(id);
+      });
+    }
+  }
+
+  // Bring the index up to date: everything on the first run (and every hour), otherwise
+  // courses, lessons and creators changed since the last sync, plus courses that were
+  // published or removed without the index noticing
+  static async sync({ full = false } = {}) {
+    const startedAt = new Date();
+
+    if (full || !builtAt || startedAt - builtAt >= REBUILD_INTERVAL_MS) {
+      // Built aside and swapped in, so a failed rebuild leaves the current index alone
+      const courseIds = await Course.find({ status: 'published', isActive: true }).distinct('_id');
+      const rebuilt = createIndex();
+      await this.indexCourses(courseIds, rebuilt);
+      index = rebuilt;
+      builtAt = startedAt;
+    } else {
+      const since = new Date(syncedAt.getTime() - SYNC_OVERLAP_MS);
+      const [publishedIds, changedCourses, changedLessonCourses, changedCreators] = await Promise.all([
+        Course.find({ status: 'published', isActive: true }).distinct('_id'),
+        Course.find({ updatedAt: { $gte: since } }).distinct('_id'),
+        Lesson.find({ updatedAt: { $gte: since } }).distinct('course'),
+        User.find({ updatedAt: { $gte: since }, role: { $in: ['creator', 'admin'] } }).distinct('_id')
+      ]);
+      const creatorCourses = changedCreators.length > 0
+        ? await Course.find({ creator: { $in: changedCreators } }).distinct('_id')
+        : [];
+
+      const published = new Set(publishedIds.map(String));
+      const stale = new Set([...changedCourses, ...changedLessonCourses, ...creatorCourses].map(String));
+      published.forEach(id => {
+        if (!index.has(id)) stale.add(id);
+      });
+      index.ids().forEach(id => {
+        if (!published.has(id)) index.remove(id);
+      });
+
+      await this.indexCourses([...stale].filter(id => published.has(id)));
+    }
+
+    syncedAt = startedAt;
+  }
+
+  // Sync unless it was done within the sync interval. While the index has been built,
+  // a failed sync leaves the previous one in use
+  static async ensureFresh() {
+    if (syncing) return syncing;
+    if (builtAt && Date.now() - checkedAt < this.syncIntervalMs) return undefined;
+
+    syncing = this.sync()
+      .then(() => {
+        checkedAt = Date.now();
+      })
+      .catch(error => {
+        if (!builtAt) throw error;
+        console.error('Course search sync failed:', error.message);
+      })
+      .finally(() => {
+        syncing = null;
+      });
+    return syncing;
+  }
+
+  // Make the next search sync first (e.g. right after publishing a course)
+  static invalidate() {
+    checkedAt = 0;
+  }
+
+  // Search published courses.
+  //   filters: { category: [], level: [], price: [band], rating: [threshold] }
+  //   minPrice, maxPrice: price range; sort: one of `sorts` (relevance by default)
+  // Returns { total, courseIds[], facets: { category, level, price, rating: [{ value, label?, count }] } }
+  static async search(query, { filters = {}, minPrice, maxPrice, sort, offset = 0, limit = 20 } = {}) {
+    await this.ensureFresh();
+
+    const hasMin = minPrice !== undefined && minPrice !== null && !isNaN(minPrice);
+    const hasMax = maxPrice !== undefined && maxPrice !== null && !isNaN(maxPrice);
+    const result = index.search(query, {
+      filters,
+      where: hasMin || hasMax
+        ? stored => (!hasMin || stored.price >= minPrice) && (!hasMax || stored.price <= maxPrice)
+        : null,
+      sort: SORTS[sort] || SORTS.relevance,
+      offset,
+      limit
+    });
+
+    const counts = result.facets;
+    const list = (values, name) => values.map(value => ({ value, count: counts[name][value] || 0 }));
+
+    return {
+      total: result.total,
+      courseIds: result.hits.map(hit => hit.id),
+      facets: {
+        category: list(Course.schema.path('category').enumValues, 'category'),
+        level: list(Course.schema.path('level').enumValues, 'level'),
+        price: PRICE_BANDS.map(({ value, label }) => ({ value, label, count: counts.price[value] || 0 })),
+        rating: RATING_THRESHOLDS.map(threshold => ({
+          value: String(threshold),
+          label: `${threshold} & up`,
+          count: counts.rating[threshold] || 0
+        }))
+      }
+    };
+  }
+
+  // Autocomplete for a partial query: completed queries and the best matching courses
+  // ({ _id, title, category, level, thumbnail }), straight from the index
+  static async suggest(query, { limit = 5 } = {}) {
+    await this.ensureFresh();
+
+    const { hits } = index.search(query, { sort: SORTS.relevance, limit });
+    return {
+      suggestions: index.complete(query, { limit }),
+      courses: hits.map(({ id, stored }) => ({
+        _id: id,
+        title: stored.title,
+        category: stored.category,
+        level: stored.level,
+        thumbnail: stored.thumbnail
+      }))
+    };
+  }
+}
+
+module.exports = CourseSearchService;
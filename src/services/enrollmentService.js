@@ -0,0 +1,146 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Lesson = require('../models/Lesson');
+const Certificate = require('../models/Certificate');
+const WishlistItem = require('../models/WishlistItem');
+const QuizService = require('./quizService');
+
+class EnrollmentService {
+  // Check whether a learner is enrolled in a course
+  static async isEnrolled(userId, courseId) {
+    const enrollment = await Enrollment.exists({
+      learner: userId,
+      course: courseId,
+      status: { $in: Enrollment.ACTIVE_STATUSES }
+    });
+    return Boolean(enrollment);
+  }
+
+  // Get a learner's active enrollment in a course, or null
+  static async getEnrollment(userId, courseId) {
+    return Enrollment.findOne({ learner: userId, course: courseId }).active();
+  }
+
+  // Enroll a learner in a course. Safe to call twice: an existing enrollment is left untouched.
+  static async enroll(userId, courseOrId) {
+    const course = courseOrId instanceof Course ? courseOrId : await Course.findById(courseOrId);
+    if (!course) {
+      throw new Error('Course not found');
+    }
+
+    let enrollment = await Enrollment.findOne({ learner: userId, course: course._id });
+
+    if (enrollment && enrollment.status !== 'cancelled') {
+      return { enrollment, alreadyEnrolled: true };
+    }
+
+    if (enrollment) {
+      // Re-enrolling after a cancellation keeps earlier progress
+      enrollment.status = enrollment.progress === 100 && enrollment.completedAt ? 'completed' : 'active';
+      enrollment.enrolledAt = new Date();
+      enrollment.cancelledAt = undefined;
+      await enrollment.save();
+    } else {
+      try {
+        enrollment = await Enrollment.create({
+          learner: userId,
+          course: course._id,
+          enrolledAt: new Date()
+        });
+      } catch (error) {
+        // Lost a race with a concurrent enrollment
+        if (error.code === 11000) {
+          enrollment = await Enrollment.findOne({ learner: userId, course: course._id });
+          return { enrollment, alreadyEnrolled: true };
+        }
+        throw error;
+      }
+    }
+
+    await course.updateEnrollmentCount();
+    // The course leaves the learner's wishlist once they have it
+    await WishlistItem.deleteOne({ learner: userId, course: course._id });
+
+    return { enrollment, alreadyEnrolled: false };
+  }
+
+  // Complete the enrollment and issue the certificate once every lesson is done and,
+  // for courses with requireQuizPass, every required quiz is passed. Does not save.
+  static async completeIfEligible(enrollment, learner, course) {
+    if (enrollment.progress < 100) {
+      return { completed: false, pendingQuizzes: [] };
+    }
+
+    if (course.requireQuizPass) {
+      const pendingQuizzes = await QuizService.getPendingQuizzes(learner._id, course._id);
+      if (pendingQuizzes.length > 0) {
+        return { completed: false, pendingQuizzes };
+      }
+    }
+
+    enrollment.markCompleted();
+
+    if (!enrollment.certificateIssued) {
+      try {
+        await this.issueCertificate(enrollment, learner, course);
+      } catch (error) {
+        // The completion stands; the error is kept so the certificate can be issued later
+        console.error('Error generating certificate:', error);
+        enrollment.certificateError = error.message;
+      }
+    }
+
+    return { completed: true, pendingQuizzes: [] };
+  }
+
+  // Issue the certificate for a completed enrollment, graded by the learner's quiz results.
+  // Does not save; throws when the certificate can't be created or signed.
+  static async issueCertificate(enrollment, learner, course) {
+    const { grade } = await QuizService.getCourseGrade(learner._id, course._id);
+    const certificate = await Certificate.generateCertificate(learner, course._id, { grade });
+
+    enrollment.certificate = certificate._id;
+    enrollment.certificateIssued = true;
+    enrollment.certificateHash = certificate.serialHash;
+    enrollment.certificateError = undefined;
+
+    return certificate;
+  }
+
+  // Record a completed lesson, update progress and complete the course when eligible.
+  // Saves the enrollment; returns { completed, pendingQuizzes[], totalLessons }.
+  static async completeLesson(enrollment, lesson, learner, course) {
+    enrollment.completedLessons.push(lesson._id);
+
+    const totalLessons = await Lesson.countDocuments({ course: course._id, isActive: true });
+    enrollment.updateProgress(totalLessons);
+
+    const { completed, pendingQuizzes } = await this.completeIfEligible(enrollment, learner, course);
+
+    enrollment.lastAccessedAt = new Date();
+    await enrollment.save();
+
+    return { completed, pendingQuizzes, totalLessons };
+  }
+
+  // Cancel a learner's enrollment (e.g. after a refund). Returns false if there was none.
+  static async unenroll(userId, courseId) {
+    const result = await Enrollment.updateOne(
+      { learner: userId, course: courseId, status: { $in: Enrollment.ACTIVE_STATUSES } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    const course = await Course.findById(courseId);
+    if (course) {
+      await course.updateEnrollmentCount();
+    }
+
+    return true;
+  }
+}
+
+module.exports = EnrollmentService;
@@ -0,0 +1,117 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// A running job whose worker hasn't finished it after this long is assumed dead and picked up
+// again; generous because encoding a long video can take hours
+const LOCK_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+const handlers = {};
+
+// Background jobs stored in MongoDB. Handlers are registered per job type;
+// a worker (src/worker.js, or the web server with JOB_WORKER=on) polls for
+// queued jobs and runs them one at a time, retrying failures with a backoff.
+class JobQueue {
+  static get pollIntervalMs() {
+    return parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+  }
+
+  // handler(payload, job) does the work; onFailed(payload, error) runs once the job has used all its attempts
+  static registerHandler(type, handler, { onFailed } = {}) {
+    handlers[type] = { handler, onFailed };
+  }
+
+  static async enqueue(type, payload = {}, { runAt = new Date(), maxAttempts } = {}) {
+    return Job.create({ type, payload, runAt, maxAttempts });
+  }
+
+  // Atomically take the next due job (or one abandoned by a crashed worker)
+  static async claimNext(workerId, now = new Date()) {
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: Object.keys(handlers) },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  static async runJob(job) {
+    const { handler, onFailed } = handlers[job.type];
+
+    try {
+      await handler(job.payload, job);
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lastError = undefined;
+    } catch (error) {
+      console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+      job.lastError = error.message;
+
+      if (job.attempts < job.maxAttempts) {
+        // 1, 4, 9... minutes between attempts
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + job.attempts * job.attempts * 60 * 1000);
+      } else {
+        job.status = 'failed';
+        job.failedAt = new Date();
+        if (onFailed) {
+          try {
+            await onFailed(job.payload, error);
+          } catch (hookError) {
+            console.error(`onFailed for job ${job._id} failed:`, hookError.message);
+          }
+        }
+      }
+    }
+
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    await job.save();
+
+    return job;
+  }
+
+  // Run the next due job; returns it, or null when there was nothing to do
+  static async runNext(workerId = `${os.hostname()}:${process.pid}`) {
+    const job = await this.claimNext(workerId);
+    if (!job) return null;
+    return this.runJob(job);
+  }
+
+  // Keep running jobs until stop() is called
+  static start({ pollIntervalMs = this.pollIntervalMs } = {}) {
+    if (this.timer !== undefined) return;
+
+    const tick = async () => {
+      try {
+        // Drain the queue before waiting again
+        while (this.timer !== undefined && await this.runNext()) {
+          // next job
+        }
+      } catch (error) {
+        console.error('Job worker error:', error.message);
+      }
+
+      if (this.timer !== undefined) {
+        this.timer = setTimeout(tick, pollIntervalMs);
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+    console.log(`Job worker started (handlers: ${Object.keys(handlers).join(', ') || 'none'})`);
+  }
+
+  static stop() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+  }
+}
+
+module.exports = JobQueue;
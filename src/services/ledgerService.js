@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+
+const round = amount => LedgerEntry.roundAmount(amount);
+
+class LedgerService {
+  // Platform share of each sale, as a fraction (PLATFORM_FEE_PERCENT, default 20%)
+  static getPlatformFeeRate() {
+    const percent = parseFloat(process.env.PLATFORM_FEE_PERCENT);
+    return isNaN(percent) ? 0.2 : Math.min(Math.max(percent, 0), 100) / 100;
+  }
+
+  // Record the creator's share of a paid order. Idempotent per order.
+  static async recordSale(order) {
+    const existing = await LedgerEntry.findOne({ order: order._id, type: 'sale' });
+    if (existing) return existing;
+
+    const platformFee = round(order.amount * this.getPlatformFeeRate());
+
+    return LedgerEntry.create({
+      creator: order.creator,
+      type: 'sale',
+      order: order._id,
+      course: order.course,
+      grossAmount: round(order.amount),
+      platformFee,
+      netAmount: round(order.amount - platformFee),
+      currency: order.currency,
+      description: `Sale: ${order.courseTitle || order.course}`,
+      occurredAt: order.paidAt || new Date()
+    });
+  }
+
+  // Reverse the sale entry of a refunded order. Idempotent per order.
+  static async recordRefund(order) {
+    const existing = await LedgerEntry.findOne({ order: order._id, type: 'refund' });
+    if (existing) return existing;
+
+    const sale = await LedgerEntry.findOne({ order: order._id, type: 'sale' });
+    if (!sale) return null;
+
+    return LedgerEntry.create({
+      creator: sale.creator,
+      type: 'refund',
+      order: order._id,
+      course: sale.course,
+      grossAmount: -sale.grossAmount,
+      platformFee: -sale.platformFee,
+      netAmount: -sale.netAmount,
+      currency: sale.currency,
+      description: `Refund: ${order.courseTitle || order.course}${order.refundReason ? ` (${order.refundReason})` : ''}`,
+      occurredAt: order.refundedAt || new Date()
+    });
+  }
+
+  // Totals and monthly buckets for a creator's ledger
+  static async getEarnings(creatorId, { months = 12 } = {}) {
+    const creator = new mongoose.Types.ObjectId(creatorId);
+
+    const totals = await LedgerEntry.aggregate([
+      { $match: { creator } },
+      {
+        $group: {
+          _id: '$type',
+          gross: { $sum: '$grossAmount' },
+          fees: { $sum: '$platformFee' },
+          net: { $sum: '$netAmount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    const byType = type => totals.find(row => row._id === type) || { gross: 0, fees: 0, net: 0, count: 0 };
+    const sales = byType('sale');
+    const refunds = byType('refund');
+    const payouts = byType('payout');
+
+    const byCourse = await LedgerEntry.aggregate([
+      { $match: { creator, type: { $in: ['sale', 'refund'] } } },
+      {
+        $group: {
+          _id: '$course',
+          gross: { $sum: '$grossAmount' },
+          fees: { $sum: '$platformFee' },
+          net: { $sum: '$netAmount' },
+          sales: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, 1, 0] } },
+          refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    // Monthly buckets, including empty months
+    const now = new Date();
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+    const monthlyRows = await LedgerEntry.aggregate([
+      { $match: { creator, type: { $in: ['sale', 'refund'] }, occurredAt: { $gte: start } } },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$occurredAt' },
+            month: { $month: '$occurredAt' }
+          },
+          gross: { $sum: '$grossAmount' },
+          fees: { $sum: '$platformFee' },
+          net: { $sum: '$netAmount' },
+          refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$grossAmount', 0] } },
+          sales: { $sum: { $cond: [{ $eq: ['$type', 'sale'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const monthly = [];
+    for (let i = 0; i < months; i++) {
+      const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 1));
+      const row = monthlyRows.find(r => r._id.year === date.getUTCFullYear() && r._id.month === date.getUTCMonth() + 1)
+        || { gross: 0, fees: 0, net: 0, refunds: 0, sales: 0 };
+
+      monthly.push({
+        month: date.toLocaleString('default', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+        year: date.getUTCFullYear(),
+        monthNumber: date.getUTCMonth() + 1,
+        grossRevenue: round(row.gross),
+        platformFees: round(row.fees),
+        refunds: round(-row.refunds),
+        earnings: round(row.net),
+        sales: row.sales
+      });
+    }
+
+    const { balance } = await LedgerEntry.getBalance(creatorId);
+
+    return {
+      summary: {
+        grossRevenue: round(sales.gross + refunds.gross),
+        platformFees: round(sales.fees + refunds.fees),
+        refunds: round(-refunds.gross),
+        earnings: round(sales.net + refunds.net),
+        paidOut: round(-payouts.net),
+        balance,
+        sales: sales.count,
+        refundCount: refunds.count
+      },
+      byCourse: byCourse.reduce((result, row) => {
+        result[row._id.toString()] = {
+          grossRevenue: round(row.gross),
+          platformFees: round(row.fees),
+          earnings: round(row.net),
+          sales: row.sales,
+          refunds: row.refunds
+        };
+        return result;
+      }, {}),
+      monthly
+    };
+  }
+
+  // Settle every creator's unpaid balance (optionally limited to some creators)
+  static async createPayoutBatch({ paidBy, creatorIds, minimumAmount = 0, before = new Date(), reference } = {}) {
+    const batchId = `PB-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+    const match = { payout: null, type: { $in: ['sale', 'refund'] }, occurredAt: { $lte: before } };
+    if (creatorIds && creatorIds.length > 0) {
+      match.creator = { $in: creatorIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const balances = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$creator',
+          amount: { $sum: '$netAmount' },
+          gross: { $sum: '$grossAmount' },
+          fees: { $sum: '$platformFee' },
+          entryIds: { $push: '$_id' },
+          periodStart: { $min: '$occurredAt' },
+          periodEnd: { $max: '$occurredAt' },
+          currency: { $first: '$currency' }
+        }
+      }
+    ]);
+
+    const payouts = [];
+    const skipped = [];
+
+    for (const row of balances) {
+      if (round(row.amount) <= 0 || round(row.amount) < minimumAmount) {
+        // Negative or small balances carry over to the next batch
+        skipped.push({ creator: row._id, balance: round(row.amount) });
+        continue;
+      }
+
+      // Claim the entries first so a concurrent batch cannot pay them twice,
+      // then total only what was actually claimed
+      const payoutId = new mongoose.Types.ObjectId();
+      await LedgerEntry.updateMany(
+        { _id: { $in: row.entryIds }, payout: null },
+        { $set: { payout: payoutId } }
+      );
+
+      const [claimed] = await LedgerEntry.aggregate([
+        { $match: { payout: payoutId } },
+        {
+          $group: {
+            _id: null,
+            amount: { $sum: '$netAmount' },
+            gross: { $sum: '$grossAmount' },
+            fees: { $sum: '$platformFee' },
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
+      const amount = claimed ? round(claimed.amount) : 0;
+      if (amount <= 0 || amount < minimumAmount) {
+        await LedgerEntry.updateMany({ payout: payoutId }, { $set: { payout: null } });
+        skipped.push({ creator: row._id, balance: amount });
+        continue;
+      }
+
+      const payout = await Payout.create({
+        _id: payoutId,
+        batchId,
+        creator: row._id,
+        amount,
+        currency: row.currency,
+        grossAmount: round(claimed.gross),
+        platformFees: round(claimed.fees),
+        entryCount: claimed.count,
+        periodStart: row.periodStart,
+        periodEnd: row.periodEnd,
+        paidBy,
+        reference
+      });
+
+      await LedgerEntry.create({
+        creator: row._id,
+        type: 'payout',
+        payout: payout._id,
+        netAmount: -amount,
+        currency: row.currency,
+        description: `Payout ${batchId}`,
+        occurredAt: payout.paidAt
+      });
+
+      payouts.push(payout);
+    }
+
+    return { batchId, payouts, skipped };
+  }
+
+  // CSV statement of the ledger entries settled by a payout
+  static async buildStatementCsv(payout) {
+    const entries = await LedgerEntry.find({ payout: payout._id, type: { $ne: 'payout' } })
+      .populate('course', 'title')
+      .sort({ occurredAt: 1 });
+
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [
+      ['date', 'type', 'order', 'course', 'description', 'gross', 'platform_fee', 'net', 'currency']
+    ];
+
+    entries.forEach(entry => {
+      rows.push([
+        entry.occurredAt.toISOString(),
+        entry.type,
+        entry.order || '',
+        entry.course ? entry.course.title : '',
+        entry.description,
+        entry.grossAmount.toFixed(2),
+        entry.platformFee.toFixed(2),
+        entry.netAmount.toFixed(2),
+        entry.currency
+      ]);
+    });
+
+    rows.push([]);
+    rows.push(['payout', payout.batchId, '', '', `Paid ${payout.paidAt.toISOString()}`, payout.grossAmount.toFixed(2), payout.platformFees.toFixed(2), payout.amount.toFixed(2), payout.currency]);
+
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+  }
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,103 @@
+const Lesson = require('../models/Lesson');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+
+const toIds = (values = []) => values.map(value => value.toString());
+
+class LessonAccessService {
+  // Work out which of a course's lessons a learner can open right now.
+  // Returns { [lessonId]: { isLocked, unlocksAt, released, videoReady, pendingLessons[], pendingQuizzes[] } }
+  // where unlocksAt is the learner's release date for drip-scheduled lessons (otherwise null).
+  static async getAvailability(lessons, enrollment, now = new Date()) {
+    const completed = new Set(toIds(enrollment.completedLessons));
+
+    const lessonIds = new Set();
+    const quizIds = new Set();
+    for (const lesson of lessons) {
+      const prerequisites = lesson.prerequisites || {};
+      toIds(prerequisites.lessons).forEach(id => lessonIds.add(id));
+      toIds(prerequisites.quizzes).forEach(id => quizIds.add(id));
+    }
+
+    // Inactive lessons and quizzes can't be finished, so they never block
+    const [prerequisiteLessons, prerequisiteQuizzes] = await Promise.all([
+      lessonIds.size > 0
+        ? Lesson.find({ _id: { $in: [...lessonIds] }, isActive: true }).select('title order')
+        : [],
+      quizIds.size > 0
+        ? Quiz.find({ _id: { $in: [...quizIds] }, isActive: true }).select('title lesson passMark')
+        : []
+    ]);
+
+    const quizResults = prerequisiteQuizzes.length > 0
+      ? await QuizAttempt.getBestResults(enrollment.learner, prerequisiteQuizzes.map(quiz => quiz._id))
+      : {};
+
+    const lessonsById = new Map(prerequisiteLessons.map(lesson => [lesson._id.toString(), lesson]));
+    const quizzesById = new Map(prerequisiteQuizzes.map(quiz => [quiz._id.toString(), quiz]));
+
+    const availability = {};
+    for (const lesson of lessons) {
+      const prerequisites = lesson.prerequisites || {};
+      const unlocksAt = lesson.getReleaseDate(enrollment.enrolledAt);
+      const released = !unlocksAt || unlocksAt <= now;
+
+      const pendingLessons = toIds(prerequisites.lessons)
+        .filter(id => lessonsById.has(id) && !completed.has(id))
+        .map(id => lessonsById.get(id));
+
+      const pendingQuizzes = toIds(prerequisites.quizzes)
+        .filter(id => quizzesById.has(id) && !(quizResults[id] || {}).passed)
+        .map(id => quizzesById.get(id));
+
+      // Lessons the learner already finished stay open even if the rules change later,
+      // but nobody can open a lesson whose video is still being processed
+      const videoReady = lesson.isVideoReady();
+      const isLocked = !videoReady || (!completed.has(lesson._id.toString()) &&
+        (!released || pendingLessons.length > 0 || pendingQuizzes.length > 0));
+
+      availability[lesson._id.toString()] = {
+        isLocked,
+        unlocksAt,
+        released,
+        videoReady,
+        pendingLessons,
+        pendingQuizzes
+      };
+    }
+
+    return availability;
+  }
+
+  // Availability of a single lesson for a learner
+  static async getLessonAvailability(lesson, enrollment, now = new Date()) {
+    const availability = await this.getAvailability([lesson], enrollment, now);
+    return availability[lesson._id.toString()];
+  }
+
+  // Error message for a locked lesson
+  static getLockMessage(availability) {
+    if (!availability.videoReady) {
+      return 'This lesson\'s video is still being processed; try again shortly';
+    }
+    if (!availability.released) {
+      return `This lesson unlocks on ${new Date(availability.unlocksAt).toISOString()}`;
+    }
+    return 'Complete the prerequisite lessons and quizzes to unlock this lesson';
+  }
+
+  // Strip a locked lesson down to what the lesson list may show
+  static toLockedView(lesson) {
+    const view = lesson.toObject ? lesson.toObject() : { ...lesson };
+    delete view.video;
+    delete view.article;
+    delete view.embed;
+    delete view.transcript;
+    delete view.captions;
+    delete view.resources;
+    delete view.notes;
+    return view;
+  }
+}
+
+module.exports = LessonAccessService;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { getFileUrl, getFileBuffer, getSigningSecret } = require('./storage');
+const LessonResourceService = require('./lessonResourceService');
+
+// Lesson videos are stored as private files; responses carry signed URLs that expire after this long
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+class LessonMediaService {
+  static get urlTtl() {
+    return parseInt(process.env.MEDIA_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+  }
+
+  static get signingSecret() {
+    return getSigningSecret();
+  }
+
+  static get apiBaseUrl() {
+    return process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4001}`;
+  }
+
+  // The lesson as a plain object with video.url replaced by a short-lived signed URL
+  // (and video.urlExpiresAt set), and caption file URLs signed the same way.
+  // Processed lessons also get video.hlsUrl, a signed
+  // link to their HLS master playlist. Resource files lose their URL; they are
+  // downloaded through the counted download endpoint instead.
+  // Only call this for users allowed to watch the lesson.
+  static async withSignedUrls(lesson) {
+    const view = lesson && lesson.toObject ? lesson.toObject() : { ...lesson };
+    view.resources = (view.resources || []).map(resource => LessonResourceService.toView(resource));
+
+    const ttl = this.urlTtl;
+    try {
+      // Embedded videos have captions too
+      view.captions = await Promise.all((view.captions || []).map(async caption => ({
+        ...caption,
+        file: { ...caption.file, url: await getFileUrl(caption.file.publicId, ttl) }
+      })));
+    } catch (error) {
+      console.error(`Could not sign caption URLs for lesson ${view._id}:`, error.message);
+    }
+
+    if (view.video && view.video.publicId) {
+      try {
+        view.video = {
+          ...view.video,
+          url: await getFileUrl(view.video.publicId, ttl),
+          urlExpiresAt: new Date(Date.now() + ttl * 1000)
+        };
+      } catch (error) {
+        // The stored URL is private, so falling back to it gives nothing away
+        console.error(`Could not sign video URL for lesson ${view._id}:`, error.message);
+      }
+
+      const ready = !view.processing || view.processing.status === 'ready';
+      if (ready && view.video.hls && view.video.hls.masterKey) {
+        view.video.hlsUrl = this.getStreamUrl(view._id, 'master.m3u8', Math.floor(Date.now() / 1000) + ttl);
+      }
+    }
+
+    return view;
+  }
+
+  static async withSignedUrlsAll(lessons) {
+    return Promise.all(lessons.map(lesson => this.withSignedUrls(lesson)));
+  }
+
+  static signStream(lessonId, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`hls:${lessonId}:${expires}`).digest('hex');
+  }
+
+  // Check the expires/signature query of a stream link
+  static verifyStream(lessonId, expires, signature) {
+    if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signStream(lessonId, expires), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Signed link to one of a lesson's playlists (GET /api/lessons/:id/hls/<playlist>)
+  static getStreamUrl(lessonId, playlist, expires) {
+    return `${this.apiBaseUrl}/api/lessons/${lessonId}/hls/${playlist}?expires=${expires}&signature=${this.signStream(lessonId, expires)}`;
+  }
+
+  // The text of a lesson's master or rendition playlist, with every URI in it
+  // replaced by a signed one; null for playlists the lesson doesn't have.
+  // Segments stay readable for the video's length on top of the usual TTL so
+  // playback that started in time can finish.
+  static async getHlsPlaylist(lesson, playlist, expires) {
+    const hls = lesson.video && lesson.video.hls;
+    if (!hls || !hls.masterKey) return null;
+
+    if (playlist === 'master.m3u8') {
+      const text = (await getFileBuffer(hls.masterKey)).toString('utf8');
+      return this.rewritePlaylist(text, uri => this.getStreamUrl(lesson._id, uri, expires));
+    }
+
+    const rendition = hls.renditions.find(candidate => playlist === `${candidate.name}/index.m3u8`);
+    if (!rendition) return null;
+
+    const segmentTtl = this.urlTtl + Math.ceil(lesson.video.duration || 0);
+    const text = (await getFileBuffer(`${hls.prefix}${playlist}`)).toString('utf8');
+    const urls = {};
+    for (const uri of text.split('\n').filter(line => line.trim() && !line.startsWith('#'))) {
+      urls[uri.trim()] = await getFileUrl(`${hls.prefix}${rendition.name}/${uri.trim()}`, segmentTtl);
+    }
+    return this.rewritePlaylist(text, uri => urls[uri]);
+  }
+
+  // Map every URI line (non-empty, not a tag) of an m3u8 playlist
+  static rewritePlaylist(text, mapUri) {
+    return text.split('\n')
+      .map(line => (line.trim() && !line.startsWith('#') ? mapUri(line.trim()) : line))
+      .join('\n');
+  }
+}
+
+module.exports = LessonMediaService;
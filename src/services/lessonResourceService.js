@@ -0,0 +1,166 @@
+const path = require('path');
+const Lesson = require('../models/Lesson');
+const { RESOURCE_CONTENT_TYPES } = require('../config/upload');
+const { uploadFile, deleteFile, getFileUrl } = require('./storage');
+
+const MAX_RESOURCES = 20;
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+class ResourceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ResourceError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Lesson resources: links, and files (slides, documents, code archives) stored
+// privately and handed out through short-lived, counted download links.
+class LessonResourceService {
+  static get maxResources() {
+    return MAX_RESOURCES;
+  }
+
+  static checkRoom(lesson) {
+    if (lesson.resources.length >= MAX_RESOURCES) {
+      throw new ResourceError(`A lesson can have at most ${MAX_RESOURCES} resources`);
+    }
+  }
+
+  // Store an uploaded multer file and add it to the end of the lesson's resources
+  static async addFile(lesson, file, { title } = {}) {
+    this.checkRoom(lesson);
+
+    const extension = path.extname(file.originalname).toLowerCase();
+    const contentType = RESOURCE_CONTENT_TYPES[extension];
+    if (!contentType) {
+      throw new ResourceError('This file type is not allowed for lesson resources');
+    }
+
+    // Stored with the type its extension calls for, not the one the browser sent
+    const stored = await uploadFile({ ...file, mimetype: contentType }, 'microcourses/resources', { isPrivate: true });
+
+    lesson.resources.push({
+      title: String(title || '').trim() || path.basename(file.originalname, path.extname(file.originalname)),
+      url: stored.url,
+      publicId: stored.key,
+      type: extension === '.pdf' ? 'pdf' : 'file',
+      fileName: file.originalname,
+      contentType,
+      size: file.size
+    });
+
+    try {
+      await lesson.save();
+    } catch (error) {
+      await deleteFile(stored.key);
+      throw error;
+    }
+
+    return lesson.resources[lesson.resources.length - 1];
+  }
+
+  // Add a link (http or https) to the end of the lesson's resources
+  static async addLink(lesson, { title, url }) {
+    this.checkRoom(lesson);
+
+    let parsed = null;
+    try {
+      parsed = new URL(String(url));
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ResourceError('Links must be http or https URLs');
+    }
+    if (!title || !String(title).trim()) {
+      throw new ResourceError('Links need a title');
+    }
+
+    lesson.resources.push({
+      title: String(title).trim(),
+      url: parsed.href,
+      type: 'link'
+    });
+    await lesson.save();
+
+    return lesson.resources[lesson.resources.length - 1];
+  }
+
+  // Put the resources in the order of resourceIds, which must list each of them once
+  static async reorder(lesson, resourceIds) {
+    const requested = Array.isArray(resourceIds) ? resourceIds.map(String) : [];
+    const byId = new Map(lesson.resources.map(resource => [resource._id.toString(), resource]));
+
+    if (requested.length !== byId.size ||
+        new Set(requested).size !== requested.length ||
+        !requested.every(id => byId.has(id))) {
+      throw new ResourceError('resourceIds must list every resource of the lesson exactly once');
+    }
+
+    // Saved as a whole, so reread the counters the array is built from
+    const { resources } = await Lesson.findById(lesson._id).select('resources').lean();
+    const counts = new Map(resources.map(resource => [resource._id.toString(), resource.downloadCount]));
+
+    lesson.resources = requested.map(id => {
+      const resource = byId.get(id).toObject();
+      return { ...resource, downloadCount: counts.get(id) ?? resource.downloadCount };
+    });
+    await lesson.save();
+
+    return lesson.resources;
+  }
+
+  // Remove a resource and its stored file
+  static async remove(lesson, resourceId) {
+    const resource = lesson.resources.id(resourceId);
+    if (!resource) {
+      throw new ResourceError('Resource not found', 404);
+    }
+
+    lesson.resources.pull(resource._id);
+    await lesson.save();
+    await deleteFile(resource.publicId);
+
+    return resource;
+  }
+
+  // Delete the stored files of all the lesson's resources (when the lesson is deleted)
+  static async deleteFiles(lesson) {
+    await Promise.all(lesson.resources.map(resource => deleteFile(resource.publicId)));
+  }
+
+  // { url, expiresAt } to open a resource: a signed link for files, the link itself otherwise.
+  // Counts the download unless count is false (creators checking their own files).
+  static async getDownload(lesson, resource, { count = true } = {}) {
+    const download = resource.publicId
+      ? {
+        url: await getFileUrl(resource.publicId, DOWNLOAD_URL_TTL_SECONDS),
+        expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000)
+      }
+      : { url: resource.url, expiresAt: null };
+
+    if (count) {
+      await Lesson.updateOne(
+        { _id: lesson._id, 'resources._id': resource._id },
+        { $inc: { 'resources.$.downloadCount': 1 } }
+      );
+    }
+
+    return download;
+  }
+
+  // A resource as lesson responses show it: stored files have no direct URL
+  static toView(resource) {
+    const view = resource.toObject ? resource.toObject() : { ...resource };
+    if (view.publicId) {
+      delete view.url;
+      delete view.publicId;
+    }
+    return view;
+  }
+}
+
+LessonResourceService.ResourceError = ResourceError;
+
+module.exports = LessonResourceService;
@@ -0,0 +1,230 @@
+const WatchProgress = require('../models/WatchProgress');
+const ArticleService = require('./articleService');
+const QuizService = require('./quizService');
+
+const TYPES = ['video', 'article', 'embed', 'download', 'quiz'];
+
+// Articles count as read once scrolled this far, with at least this share of the
+// estimated reading time spent on the page
+const ARTICLE_MIN_SCROLL_PERCENT = 90;
+const ARTICLE_MIN_READ_SHARE = 0.5;
+
+// Embeddable video hosts: the id in a pasted link and the player URL for it
+const EMBED_PROVIDERS = [
+  {
+    name: 'youtube',
+    hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be', 'www.youtube-nocookie.com'],
+    getId: url => (url.hostname === 'youtu.be'
+      ? url.pathname.slice(1)
+      : url.searchParams.get('v') || (url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/) || [])[1]),
+    isValidId: id => /^[A-Za-z0-9_-]{11}$/.test(id),
+    embedUrl: id => `https://www.youtube-nocookie.com/embed/${id}`
+  },
+  {
+    name: 'vimeo',
+    hosts: ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'],
+    getId: url => (url.pathname.match(/^\/(?:video\/)?(\d+)/) || [])[1],
+    isValidId: id => /^\d{1,12}$/.test(id),
+    embedUrl: (id, url) => {
+      // Unlisted videos carry a hash: vimeo.com/<id>/<hash> or ?h=<hash>
+      const hash = url.searchParams.get('h') || (url.pathname.match(/^\/\d+\/([^/]+)/) || [])[1];
+      if (!hash) return `https://player.vimeo.com/video/${id}`;
+      if (!/^[0-9a-f]+$/.test(hash)) return null;
+      return `https://player.vimeo.com/video/${id}?${new URLSearchParams({ h: hash })}`;
+    }
+  },
+  {
+    name: 'loom',
+    hosts: ['loom.com', 'www.loom.com'],
+    getId: url => (url.pathname.match(/^\/(?:share|embed)\/([^/]+)/) || [])[1],
+    isValidId: id => /^[0-9a-f]{32}$/.test(id),
+    embedUrl: id => `https://www.loom.com/embed/${id}`
+  }
+];
+
+// JSON form value (multipart forms send objects as strings)
+const parseObject = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Not an object');
+  return parsed;
+};
+
+// Lesson types and what each one needs: uploaded video (video), a written
+// article (article), a video hosted elsewhere (embed), only resources to
+// download (download), or only quizzes (quiz).
+class LessonTypeService {
+  static get types() {
+    return TYPES;
+  }
+
+  // { provider, videoId, url, embedUrl } for a YouTube, Vimeo or Loom link; null otherwise
+  static parseEmbedUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value).trim());
+    } catch (error) {
+      return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+    const provider = EMBED_PROVIDERS.find(candidate => candidate.hosts.includes(url.hostname.toLowerCase()));
+    const videoId = provider && provider.getId(url);
+    if (!videoId || !provider.isValidId(videoId)) return null;
+
+    const embedUrl = provider.embedUrl(videoId, url);
+    if (!embedUrl) return null;
+
+    return {
+      provider: provider.name,
+      videoId,
+      url: url.href,
+      embedUrl
+    };
+  }
+
+  // Check and build the type-specific content of a lesson from form values
+  // ({ article: { format, body }, embed: { url, duration } }, JSON strings in multipart forms).
+  // Returns { content: { article?, embed? }, errors[] }. When partial (updates), content
+  // may be left out; otherwise the type's content is required.
+  static resolveContent(type, { article, embed } = {}, { partial = false } = {}) {
+    const errors = [];
+    const content = {};
+
+    if (!TYPES.includes(type)) {
+      return { content, errors: [`Lesson type must be one of: ${TYPES.join(', ')}`] };
+    }
+
+    let parsedArticle;
+    let parsedEmbed;
+    try {
+      parsedArticle = parseObject(article);
+      parsedEmbed = parseObject(embed);
+    } catch (error) {
+      return { content, errors: ['Invalid article or embed format'] };
+    }
+
+    if (parsedArticle !== undefined && type !== 'article') {
+      errors.push('Only article lessons have article content');
+    }
+    if (parsedEmbed !== undefined && type !== 'embed') {
+      errors.push('Only embed lessons have an embedded video');
+    }
+
+    if (type === 'article') {
+      if (parsedArticle === undefined) {
+        if (!partial) errors.push('Article lessons need article content');
+      } else {
+        const format = parsedArticle.format || 'markdown';
+        const body = typeof parsedArticle.body === 'string' ? parsedArticle.body : '';
+        if (!ArticleService.formats.includes(format)) {
+          errors.push('Article format must be markdown or html');
+        } else if (!body.trim()) {
+          errors.push('Article content is required');
+        } else if (body.length > ArticleService.maxBodyLength) {
+          errors.push(`Articles cannot exceed ${ArticleService.maxBodyLength} characters`);
+        } else {
+          content.article = ArticleService.render({ format, body });
+        }
+      }
+    }
+
+    if (type === 'embed') {
+      if (parsedEmbed === undefined) {
+        if (!partial) errors.push('Embed lessons need a video link');
+      } else {
+        const parsed = this.parseEmbedUrl(parsedEmbed.url);
+        const duration = parsedEmbed.duration;
+        if (!parsed) {
+          errors.push('Embedded videos must be YouTube, Vimeo or Loom links');
+        } else if (duration !== undefined && duration !== null && duration !== '' && !(Number(duration) >= 0)) {
+          errors.push('Embedded video duration must be a number of seconds');
+        } else {
+          content.embed = { ...parsed, duration: Number(duration) || 0 };
+        }
+      }
+    }
+
+    return { content, errors };
+  }
+
+  // Lesson length in minutes when the creator didn't give one
+  static getDefaultDuration(type, content) {
+    if (type === 'article' && content.article) return content.article.readingTime;
+    if (type === 'embed' && content.embed && content.embed.duration) return Math.ceil(content.embed.duration / 60);
+    return 1;
+  }
+
+  // Whether a learner's reading progress satisfies an article's completion rule
+  static getReadingRequirement(lesson) {
+    const readingSeconds = ((lesson.article && lesson.article.readingTime) || lesson.duration || 1) * 60;
+    return {
+      scrollPercentage: ARTICLE_MIN_SCROLL_PERCENT,
+      readSeconds: Math.round(readingSeconds * ARTICLE_MIN_READ_SHARE)
+    };
+  }
+
+  static hasReadArticle(lesson, watchProgress) {
+    const required = this.getReadingRequirement(lesson);
+    return Boolean(watchProgress) &&
+      watchProgress.scrollPercentage >= required.scrollPercentage &&
+      watchProgress.watchedSeconds >= required.readSeconds;
+  }
+
+  // Why the learner can't complete the lesson yet: { message, data } or null.
+  //   video/embed - nothing beyond the course's quiz rule
+  //   article     - scrolled to the end and spent about half the reading time on it
+  //   download    - downloaded at least one of its resources
+  //   quiz        - passed its quizzes (whatever the course's quiz rule)
+  // Lesson quizzes also gate every type when the course has requireQuizPass.
+  // Pass watchProgress when the caller already has it loaded.
+  static async getCompletionBlocker(lesson, learnerId, course, { watchProgress } = {}) {
+    const type = lesson.type || 'video';
+
+    if (type === 'article' || type === 'download') {
+      const progress = watchProgress !== undefined
+        ? watchProgress
+        : await WatchProgress.findOne({ learner: learnerId, lesson: lesson._id });
+
+      if (type === 'article' && !this.hasReadArticle(lesson, progress)) {
+        return {
+          message: 'Read the article before completing it',
+          data: {
+            required: this.getReadingRequirement(lesson),
+            progress: {
+              scrollPercentage: progress ? progress.scrollPercentage : 0,
+              readSeconds: progress ? progress.watchedSeconds : 0
+            }
+          }
+        };
+      }
+
+      const hasResources = lesson.resources && lesson.resources.length > 0;
+      if (type === 'download' && hasResources && !(progress && progress.downloadedResources.length > 0)) {
+        return {
+          message: 'Download the lesson\'s resources before completing it',
+          data: {}
+        };
+      }
+    }
+
+    if (type === 'quiz' || course.requireQuizPass) {
+      const pendingQuizzes = await QuizService.getPendingQuizzes(learnerId, course._id, {
+        lessonId: lesson._id,
+        requiredOnly: type !== 'quiz'
+      });
+      if (pendingQuizzes.length > 0) {
+        return {
+          message: 'Pass the quiz for this lesson before completing it',
+          data: { pendingQuizzes }
+        };
+      }
+    }
+
+    return null;
+  }
+}
+
+LessonTypeService.ARTICLE_MIN_SCROLL_PERCENT = ARTICLE_MIN_SCROLL_PERCENT;
+
+module.exports = LessonTypeService;
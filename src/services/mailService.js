@@ -0,0 +1,98 @@
+const { getMailTransport } = require('./mailTransports');
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+class MailService {
+  static async send({ to, subject, text, html }) {
+    return getMailTransport().send({
+      from: process.env.MAIL_FROM || 'MicroCourses <no-reply@microcourses.local>',
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+
+  static async sendEmailVerification(user, token) {
+    const link = `${appUrl()}/verify-email?token=${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your MicroCourses email address',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening this link:',
+        link,
+        '',
+        'The link expires in 24 hours. If you did not create an account, you can ignore this email.'
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm your email address:</p>
+<p><a href="${link}">Verify email</a></p>
+<p>The link expires in 24 hours. If you did not create an account, you can ignore this email.</p>`
+    });
+  }
+
+  static async sendPasswordReset(user, token) {
+    const link = `${appUrl()}/reset-password?token=${token}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your MicroCourses password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password for your account. To choose a new password, open this link:',
+        link,
+        '',
+        'The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.'
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Someone asked to reset the password for your account.</p>
+<p><a href="${link}">Choose a new password</a></p>
+<p>The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.</p>`
+    });
+  }
+
+  // A course on the user's wishlist got cheaper ({ priceDrop: { from, to } }) and/or
+  // gained lessons ({ newLessons })
+  static async sendWishlistUpdate(user, course, { priceDrop, newLessons }) {
+    const link = `${appUrl()}/courses/${course._id}`;
+    const currency = (process.env.PAYMENT_CURRENCY || 'usd').toUpperCase();
+    const news = [];
+    if (priceDrop) {
+      news.push(priceDrop.to === 0
+        ? `It is now free (was ${priceDrop.from.toFixed(2)} ${currency}).`
+        : `Its price dropped from ${priceDrop.from.toFixed(2)} to ${priceDrop.to.toFixed(2)} ${currency}.`);
+    }
+    if (newLessons) {
+      news.push(`It has ${newLessons} new ${newLessons === 1 ? 'lesson' : 'lessons'}.`);
+    }
+
+    return this.send({
+      to: user.email,
+      subject: priceDrop ? `Price drop: ${course.title}` : `New lessons: ${course.title}`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `A course on your wishlist, ${course.title}, has news:`,
+        ...news,
+        '',
+        link
+      ].join('\n'),
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>A course on your wishlist, <strong>${escapeHtml(course.title)}</strong>, has news:</p>
+${news.map(line => `<p>${escapeHtml(line)}</p>`).join('\n')}
+<p><a href="${link}">View the course</a></p>`
+    });
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Development transport: prints each message to the console
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const id = `console_${crypto.randomBytes(8).toString('hex')}`;
+
+    console.log([
+      '📧 Mail',
+      `  To: ${message.to}`,
+      `  Subject: ${message.subject}`,
+      '',
+      message.text
+    ].join('\n'));
+
+    return { id };
+  }
+}
+
+module.exports = ConsoleMailTransport;
@@ -0,0 +1,26 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Development/test transport: writes each message to <dir>/<timestamp>-<id>.json
+// so it can be inspected (or read back by tests) instead of being sent.
+class FileMailTransport {
+  constructor({ dir }) {
+    this.name = 'file';
+    this.dir = dir;
+  }
+
+  async send(message) {
+    const id = `file_${crypto.randomBytes(8).toString('hex')}`;
+    const sentAt = new Date();
+
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const file = path.join(this.dir, `${sentAt.getTime()}-${id}.json`);
+    await fs.writeFile(file, JSON.stringify({ id, sentAt, ...message }, null, 2));
+
+    return { id, file };
+  }
+}
+
+module.exports = FileMailTransport;
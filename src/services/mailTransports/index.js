@@ -0,0 +1,86 @@
+const path = require('path');
+const ConsoleMailTransport = require('./consoleTransport');
+const FileMailTransport = require('./fileTransport');
+const SmtpMailTransport = require('./smtpTransport');
+
+// Thrown when no usable transport is configured; sign-ups answer 503 rather than
+// creating accounts that could never be verified
+class MailConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailConfigError';
+    this.statusCode = 503;
+  }
+}
+
+// Mail transports implement:
+//   name                                  - string
+//   send({ from, to, subject, text, html }) -> { id }
+const transportFactories = {
+  console: () => new ConsoleMailTransport(),
+  file: () => new FileMailTransport({
+    dir: process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail')
+  }),
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new MailConfigError('SMTP_HOST must be set for the smtp mail transport');
+    }
+
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    return new SmtpMailTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      // Implicit TLS on 465; other ports upgrade with STARTTLS
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    });
+  }
+};
+
+let activeTransport = null;
+
+// Register an additional transport (e.g. a provider's HTTP API) under a name
+const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Get the transport selected by MAIL_TRANSPORT (defaults to console outside production).
+// Production needs a real transport such as smtp: console and file write out whole
+// messages, with the sign-in links and tokens in them, to the logs or disk.
+const getMailTransport = () => {
+  if (!activeTransport) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (isProduction ? null : 'console');
+
+    if (!name) {
+      throw new MailConfigError('MAIL_TRANSPORT must be set in production');
+    }
+    if (['console', 'file'].includes(name) && isProduction) {
+      throw new MailConfigError(`The ${name} mail transport cannot be used in production`);
+    }
+
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new MailConfigError(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+// Replace the active transport (used by tests)
+const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+module.exports = {
+  MailConfigError,
+  getMailTransport,
+  registerMailTransport,
+  setMailTransport
+};
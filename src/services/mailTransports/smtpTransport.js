@@ -0,0 +1,22 @@
+const nodemailer = require('nodemailer');
+
+// Production transport: delivers through an SMTP server (or a provider's SMTP relay)
+class SmtpMailTransport {
+  constructor({ host, port, secure, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpMailTransport;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Local payment provider for development and tests. It never moves money:
+// checkout sessions are just IDs, and payments are "made" by generating a
+// signed webhook event with simulateEvent() and posting it to the webhook.
+class FakePaymentProvider {
+  constructor({ webhookSecret, baseUrl }) {
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret;
+    this.baseUrl = baseUrl;
+  }
+
+  async createCheckoutSession({ order }) {
+    const sessionId = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+
+    return {
+      sessionId,
+      checkoutUrl: `${this.baseUrl}/api/payments/fake/sessions/${sessionId}`,
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+      amount: order.amount,
+      currency: order.currency
+    };
+  }
+
+  async refund({ order }) {
+    return {
+      refundId: `fake_re_${crypto.randomBytes(12).toString('hex')}`,
+      amount: order.amount
+    };
+  }
+
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  // Verify a webhook request and return the normalized event
+  verifyWebhook(rawBody, headers) {
+    // Its secret may be the public default, so its events are never trusted in production
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Fake payment provider webhooks are not accepted in production');
+    }
+
+    const header = headers[SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+      throw new Error('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new Error('Malformed webhook signature');
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Webhook signature has expired');
+    }
+
+    const expected = Buffer.from(this.sign(rawBody.toString(), timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+
+  // Build a signed webhook request as the provider would send it
+  simulateEvent(type, data) {
+    const event = {
+      id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    const rawBody = JSON.stringify(event);
+
+    return {
+      event,
+      rawBody,
+      headers: { [SIGNATURE_HEADER]: this.sign(rawBody) }
+    };
+  }
+}
+
+module.exports = FakePaymentProvider;
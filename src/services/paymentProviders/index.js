@@ -0,0 +1,78 @@
+const FakePaymentProvider = require('./fakeProvider');
+
+// Payment providers implement:
+//   name                                        - string stored on each Order
+//   createCheckoutSession({ order, successUrl, cancelUrl })
+//                                               -> { sessionId, checkoutUrl, expiresAt }
+//   verifyWebhook(rawBody, headers)             -> event; throws if the signature is invalid
+//   refund({ order, reason })                   -> { refundId }
+//
+// Webhook events are normalized to { id, type, data } where type is one of
+//   checkout.completed  data: { sessionId, paymentId, amount, currency }
+//   checkout.failed     data: { sessionId, reason }
+//   charge.refunded     data: { paymentId, refundId, reason }
+const providerFactories = {
+  fake: () => new FakePaymentProvider({
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret',
+    baseUrl: process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4001}`
+  })
+};
+
+let activeProvider = null;
+
+// Thrown when no usable provider is configured; payment routes answer 503 rather than 500
+class PaymentConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentConfigError';
+    this.statusCode = 503;
+  }
+}
+
+// Register an additional provider (e.g. a Stripe adapter) under a name
+const registerPaymentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+// Get the provider selected by PAYMENT_PROVIDER (defaults to the fake provider outside
+// production). In production a real provider and a webhook secret must be configured:
+// anyone could sign the fake provider's webhooks and enroll themselves for free. This is
+// checked on use, so the rest of the API still runs while payments are unconfigured.
+const getPaymentProvider = () => {
+  if (!activeProvider) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.PAYMENT_PROVIDER || (isProduction ? null : 'fake');
+
+    if (!name) {
+      throw new PaymentConfigError('PAYMENT_PROVIDER must be set in production');
+    }
+    if (name === 'fake' && isProduction) {
+      throw new PaymentConfigError('The fake payment provider cannot be used in production');
+    }
+    if (isProduction && !process.env.PAYMENT_WEBHOOK_SECRET) {
+      throw new PaymentConfigError('PAYMENT_WEBHOOK_SECRET must be set in production');
+    }
+
+    const factory = providerFactories[name];
+
+    if (!factory) {
+      throw new PaymentConfigError(`Unknown payment provider: ${name}`);
+    }
+
+    activeProvider = factory();
+  }
+
+  return activeProvider;
+};
+
+// Replace the active provider (used by tests)
+const setPaymentProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = {
+  PaymentConfigError,
+  getPaymentProvider,
+  registerPaymentProvider,
+  setPaymentProvider
+};
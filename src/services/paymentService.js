@@ -0,0 +1,148 @@
+const Order = require('../models/Order');
+const EnrollmentService = require('./enrollmentService');
+const LedgerService = require('./ledgerService');
+const { getPaymentProvider } = require('./paymentProviders');
+
+class PaymentService {
+  // Start (or resume) a checkout for a paid course
+  static async createCheckout(user, course, { successUrl, cancelUrl } = {}) {
+    const provider = getPaymentProvider();
+
+    // Reuse an open checkout rather than creating duplicate orders
+    const openOrder = await Order.findOne({
+      learner: user._id,
+      course: course._id,
+      status: 'pending',
+      provider: provider.name,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (openOrder && openOrder.amount === course.price) {
+      return openOrder;
+    }
+
+    const order = new Order({
+      learner: user._id,
+      course: course._id,
+      creator: course.creator,
+      courseTitle: course.title,
+      amount: course.price,
+      currency: process.env.PAYMENT_CURRENCY || 'usd',
+      provider: provider.name
+    });
+
+    const session = await provider.createCheckoutSession({ order, successUrl, cancelUrl });
+
+    order.providerSessionId = session.sessionId;
+    order.checkoutUrl = session.checkoutUrl;
+    order.expiresAt = session.expiresAt;
+
+    await order.save();
+    return order;
+  }
+
+  // Verify and apply a provider webhook
+  static async handleWebhook(rawBody, headers) {
+    const provider = getPaymentProvider();
+    const event = provider.verifyWebhook(rawBody, headers);
+    const order = await this.applyEvent(provider, event);
+    return { event, order };
+  }
+
+  static async applyEvent(provider, event) {
+    const { type, data = {} } = event;
+
+    if (type === 'checkout.completed') {
+      const order = await Order.findOne({ provider: provider.name, providerSessionId: data.sessionId });
+      if (!order) throw new Error(`No order for checkout session ${data.sessionId}`);
+
+      // Webhooks may be delivered more than once
+      if (order.status === 'refunded') return order;
+
+      // Money for an order that already failed or was cancelled: keep the payment on record
+      // for an admin to refund or honour, rather than enrolling on a closed order
+      if (!['pending', 'paid'].includes(order.status)) {
+        if (!order.needsReview) {
+          order.needsReview = true;
+          order.reviewReason = `Payment ${data.paymentId} received for a ${order.status} order`;
+          order.reviewEventId = event.id;
+          order.providerPaymentId = order.providerPaymentId || data.paymentId;
+          await order.save();
+          console.error(`Order ${order._id} needs review: ${order.reviewReason}`);
+        }
+        return order;
+      }
+
+      if (order.status === 'pending') {
+        if (data.amount !== undefined && Number(data.amount) !== order.amount) {
+          throw new Error(`Paid amount ${data.amount} does not match order amount ${order.amount}`);
+        }
+
+        order.status = 'paid';
+        order.providerPaymentId = data.paymentId;
+        order.paidAt = new Date();
+        await order.save();
+      }
+
+      // Enrollment happens only once the provider confirms payment. Both steps are
+      // idempotent and run again for a paid order, so when one fails the provider's
+      // retry of the webhook finishes the job
+      await EnrollmentService.enroll(order.learner, order.course);
+      await LedgerService.recordSale(order);
+      return order;
+    }
+
+    if (type === 'checkout.failed') {
+      const order = await Order.findOne({ provider: provider.name, providerSessionId: data.sessionId });
+      if (!order) throw new Error(`No order for checkout session ${data.sessionId}`);
+
+      if (order.status === 'pending') {
+        order.status = 'failed';
+        order.failedAt = new Date();
+        order.failureReason = data.reason;
+        await order.save();
+      }
+      return order;
+    }
+
+    if (type === 'charge.refunded') {
+      const order = await Order.findOne({ provider: provider.name, providerPaymentId: data.paymentId });
+      if (!order) throw new Error(`No order for payment ${data.paymentId}`);
+
+      if (order.status === 'paid') {
+        await this.markRefunded(order, { refundId: data.refundId, reason: data.reason });
+      }
+      return order;
+    }
+
+    // Unknown event types are acknowledged and ignored
+    return null;
+  }
+
+  // Refund a paid order through the provider and revoke the enrollment
+  static async refundOrder(order, { reason, refundedBy } = {}) {
+    if (order.status !== 'paid') {
+      throw new Error(`Only paid orders can be refunded (order is ${order.status})`);
+    }
+
+    const provider = getPaymentProvider();
+    const refund = await provider.refund({ order, reason });
+
+    return this.markRefunded(order, { refundId: refund.refundId, reason, refundedBy });
+  }
+
+  static async markRefunded(order, { refundId, reason, refundedBy }) {
+    order.status = 'refunded';
+    order.providerRefundId = refundId;
+    order.refundedAt = new Date();
+    order.refundReason = reason;
+    order.refundedBy = refundedBy;
+    await order.save();
+
+    await EnrollmentService.unenroll(order.learner, order.course);
+    await LedgerService.recordRefund(order);
+    return order;
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+
+// Certificate grade from the learner's average best quiz score (percent)
+const GRADE_BANDS = [
+  { grade: 'A+', min: 97 },
+  { grade: 'A', min: 90 },
+  { grade: 'B+', min: 85 },
+  { grade: 'B', min: 80 },
+  { grade: 'C+', min: 75 },
+  { grade: 'C', min: 70 }
+];
+
+class QuizError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'QuizError';
+    this.statusCode = statusCode;
+  }
+}
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const normalizeText = (value, caseSensitive) => {
+  const text = String(value || '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+class QuizService {
+  // Question/option order for a new attempt
+  static buildLayout(quiz) {
+    const questions = quiz.shuffleQuestions ? shuffle(quiz.questions) : quiz.questions;
+
+    return questions.map(question => {
+      const options = question.options.map(option => option._id);
+      return {
+        question: question._id,
+        options: quiz.shuffleOptions ? shuffle(options) : options
+      };
+    });
+  }
+
+  // Questions as shown to a learner: in attempt order, without answer keys
+  static presentQuestions(quiz, layout) {
+    const order = layout && layout.length > 0 ? layout : this.buildLayout(quiz);
+
+    return order
+      .map(entry => {
+        const question = quiz.questions.id(entry.question);
+        if (!question) return null;
+
+        const options = entry.options
+          .map(optionId => question.options.id(optionId))
+          .filter(Boolean)
+          .map(option => ({ _id: option._id, text: option.text }));
+
+        return {
+          _id: question._id,
+          type: question.type,
+          prompt: question.prompt,
+          points: question.points,
+          ...(options.length > 0 && { options })
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // Score submitted answers: [{ questionId, selectedOptionIds?, answer? }]
+  static scoreAnswers(quiz, submitted = []) {
+    const byQuestion = new Map(
+      (Array.isArray(submitted) ? submitted : [])
+        .filter(answer => answer && answer.questionId)
+        .map(answer => [String(answer.questionId), answer])
+    );
+
+    let score = 0;
+    let maxScore = 0;
+
+    const answers = quiz.questions.map(question => {
+      const given = byQuestion.get(question._id.toString()) || {};
+      const points = question.points || 0;
+      const result = { question: question._id, isCorrect: false, pointsAwarded: 0 };
+      maxScore += points;
+
+      if (question.type === 'multiple_choice' || question.type === 'multi_select') {
+        const selected = [...new Set(
+          (Array.isArray(given.selectedOptionIds) ? given.selectedOptionIds : [given.selectedOptionIds])
+            .filter(Boolean)
+            .map(String)
+        )];
+        const correct = question.options.filter(option => option.isCorrect).map(option => option._id.toString());
+
+        result.selectedOptions = selected.filter(id => question.options.id(id));
+        // Multi-select is all-or-nothing: exactly the correct set
+        result.isCorrect = result.selectedOptions.length === correct.length &&
+          correct.every(id => result.selectedOptions.includes(id));
+      } else if (question.type === 'true_false') {
+        const answer = given.answer === true || given.answer === 'true'
+          ? true
+          : (given.answer === false || given.answer === 'false' ? false : undefined);
+
+        result.booleanAnswer = answer;
+        result.isCorrect = answer !== undefined && answer === question.correctAnswer;
+      } else if (question.type === 'short_answer') {
+        const text = typeof given.answer === 'string' ? given.answer.slice(0, 1000) : '';
+        const normalized = normalizeText(text, question.caseSensitive);
+
+        result.textAnswer = text;
+        result.isCorrect = normalized.length > 0 && question.acceptedAnswers
+          .some(accepted => normalizeText(accepted, question.caseSensitive) === normalized);
+      }
+
+      if (result.isCorrect) {
+        result.pointsAwarded = points;
+        score += points;
+      }
+
+      return result;
+    });
+
+    const percentage = maxScore > 0 ? round((score / maxScore) * 100) : 0;
+
+    return {
+      answers,
+      score,
+      maxScore,
+      percentage,
+      passed: percentage >= quiz.passMark
+    };
+  }
+
+  // Start an attempt, or resume the one already in progress
+  static async startAttempt(quiz, learnerId) {
+    const inProgress = await QuizAttempt.findOne({ quiz: quiz._id, learner: learnerId, status: 'in_progress' });
+    if (inProgress) {
+      return { attempt: inProgress, resumed: true };
+    }
+
+    const attemptsUsed = await QuizAttempt.countDocuments({ quiz: quiz._id, learner: learnerId });
+    if (quiz.maxAttempts > 0 && attemptsUsed >= quiz.maxAttempts) {
+      throw new QuizError(`You have used all ${quiz.maxAttempts} attempts for this quiz`, 403);
+    }
+
+    try {
+      const attempt = await QuizAttempt.create({
+        quiz: quiz._id,
+        learner: learnerId,
+        course: quiz.course,
+        attemptNumber: attemptsUsed + 1,
+        layout: this.buildLayout(quiz)
+      });
+      return { attempt, resumed: false };
+    } catch (error) {
+      // Two starts raced for the same attempt number
+      if (error.code === 11000) {
+        throw new QuizError('An attempt is already being started, please retry', 409);
+      }
+      throw error;
+    }
+  }
+
+  static async submitAttempt(quiz, attempt, submittedAnswers) {
+    if (attempt.status !== 'in_progress') {
+      throw new QuizError('This attempt has already been submitted');
+    }
+
+    const result = this.scoreAnswers(quiz, submittedAnswers);
+
+    // Only the first submission of an attempt counts
+    const submitted = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in_progress' },
+      {
+        $set: {
+          status: 'submitted',
+          answers: result.answers,
+          score: result.score,
+          maxScore: result.maxScore,
+          percentage: result.percentage,
+          passed: result.passed,
+          submittedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!submitted) {
+      throw new QuizError('This attempt has already been submitted');
+    }
+
+    return submitted;
+  }
+
+  // Required quizzes in a course (optionally only those on one lesson) the learner has not passed.
+  // With requiredOnly false, optional quizzes count too (quiz lessons).
+  static async getPendingQuizzes(learnerId, courseId, { lessonId, requiredOnly = true } = {}) {
+    const filter = { course: courseId, isActive: true };
+    if (requiredOnly) filter.isRequired = true;
+    if (lessonId) filter.lesson = lessonId;
+
+    const quizzes = await Quiz.find(filter).select('title lesson passMark');
+    if (quizzes.length === 0) return [];
+
+    const results = await QuizAttempt.getBestResults(learnerId, quizzes.map(quiz => quiz._id));
+
+    return quizzes.filter(quiz => !(results[quiz._id.toString()] || {}).passed);
+  }
+
+  // Certificate grade from the average of the learner's best score on each active quiz
+  static async getCourseGrade(learnerId, courseId) {
+    const quizzes = await Quiz.find({ course: courseId, isActive: true }).select('_id');
+    if (quizzes.length === 0) {
+      return { grade: 'Pass', averageScore: null };
+    }
+
+    const results = await QuizAttempt.getBestResults(learnerId, quizzes.map(quiz => quiz._id));
+    const averageScore = round(
+      quizzes.reduce((sum, quiz) => sum + ((results[quiz._id.toString()] || {}).percentage || 0), 0) / quizzes.length
+    );
+
+    const band = GRADE_BANDS.find(b => averageScore >= b.min);
+    return { grade: band ? band.grade : 'Pass', averageScore };
+  }
+}
+
+QuizService.QuizError = QuizError;
+QuizService.GRADE_BANDS = GRADE_BANDS;
+
+module.exports = QuizService;
@@ -0,0 +1,68 @@
+// Text analysis shared by indexing and queries: the same steps must run on both
+// sides for terms to meet.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'the', 'to', 'with', 'your', 'you', 'this', 'that'
+]);
+
+// Lowercase and strip accents ("Café" -> "cafe")
+const normalize = text => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Words as they appear (lowercased, accents stripped). Keeps the characters that
+// carry meaning in course titles: c++, c#, node.js, .net
+const words = text => normalize(text).match(/[a-z0-9]+(?:\.[a-z0-9]+)*[+#]*|\.[a-z]+/g) || [];
+
+// A light English stemmer: plurals and the common -ing/-ed endings, so "courses"
+// finds "course" and "designing" finds "design". Short words are left alone.
+const stem = word => {
+  if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/(?:ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3).replace(/(.)\1$/, '$1');
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2).replace(/(.)\1$/, '$1');
+  return word;
+};
+
+// Index/query terms of a text: stemmed words without stop words
+const analyze = text => words(text).filter(word => !STOP_WORDS.has(word)).map(stem);
+
+// Edit distance (insertions, deletions, substitutions and swapped neighbours) between
+// two terms, or max + 1 as soon as it is known to exceed max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+module.exports = {
+  STOP_WORDS,
+  normalize,
+  words,
+  stem,
+  analyze,
+  editDistance
+};
@@ -0,0 +1,331 @@
+const { STOP_WORDS, words, stem, analyze, editDistance } = require('./analyzer');
+
+// BM25 parameters: term frequency saturation and field length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// How much a query word counts when it only matches as the start of a term, or with typos
+const PREFIX_WEIGHT = 0.5;
+const LAST_PREFIX_WEIGHT = 0.9; // the last word may still be being typed
+const TYPO_WEIGHTS = [1, 0.6, 0.35];
+
+// Shortest words matched as prefixes (the last word from 2 letters, the others from 4)
+// and with typos (1 edit from 4 letters, 2 from 8)
+const MIN_PREFIX_LENGTH = 2;
+const MIN_INNER_PREFIX_LENGTH = 4;
+const MIN_TYPO_LENGTH = 4;
+const MIN_TWO_TYPO_LENGTH = 8;
+
+// Limits on the work one query can cause (the search endpoints are public): query
+// length and words, terms a word can expand to, and terms compared for typos
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_WORDS = 10;
+const MAX_EXPANSIONS = 50;
+const MAX_TYPO_LENGTH = 20;
+const MAX_TYPO_CANDIDATES = 5000;
+
+// The words of a query that count, within the limits
+const queryWordsOf = query => words(String(query || '').slice(0, MAX_QUERY_LENGTH))
+  .filter(word => !STOP_WORDS.has(word))
+  .slice(0, MAX_QUERY_WORDS);
+
+// A full-text index held in memory: weighted fields ranked with BM25, prefix and
+// typo-tolerant matching, facet counts and word completions. Every query word
+// (up to MAX_QUERY_WORDS) must match, in any field, for a document to be found.
+//
+//   const index = new SearchIndex({ fields: { title: 10, body: 1 }, facets: ['category'] });
+//   index.add(id, { text: { title, body }, facets: { category: ['Design'] }, stored, suggest: [title] });
+//   index.search('desgn', { filters: { category: ['Design'] } });
+class SearchIndex {
+  constructor({ fields, facets = [] }) {
+    this.fieldWeights = fields;
+    this.facetNames = facets;
+    this.clear();
+  }
+
+  clear() {
+    this.docs = new Map(); // id -> { lengths, facets, stored, terms, suggestWords }
+    this.postings = new Map(); // term -> Map(id -> { field: frequency })
+    this.fieldTotals = Object.fromEntries(Object.keys(this.fieldWeights).map(field => [field, 0]));
+    this.completions = new Map(); // word as written -> number of documents
+    this.sortedTerms = null;
+    this.termsByLength = null;
+    this.sortedCompletions = null;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  has(id) {
+    return this.docs.has(String(id));
+  }
+
+  ids() {
+    return [...this.docs.keys()];
+  }
+
+  // Index (or re-index) a document. text: { field: string or [string] } for the weighted
+  // fields; facets: { name: [values] }; stored: returned with hits; suggest: texts
+  // whose words are offered as completions
+  add(id, { text = {}, facets = {}, stored = {}, suggest = [] }) {
+    const key = String(id);
+    this.remove(key);
+
+    const doc = { lengths: {}, facets: {}, stored, terms: new Set(), suggestWords: new Set() };
+
+    Object.keys(this.fieldWeights).forEach(field => {
+      const value = text[field];
+      const terms = analyze(Array.isArray(value) ? value.join(' ') : value);
+      doc.lengths[field] = terms.length;
+      this.fieldTotals[field] += terms.length;
+
+      terms.forEach(term => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          this.sortedTerms = null;
+          this.termsByLength = null;
+        }
+        const frequencies = this.postings.get(term);
+        if (!frequencies.has(key)) frequencies.set(key, {});
+        const entry = frequencies.get(key);
+        entry[field] = (entry[field] || 0) + 1;
+        doc.terms.add(term);
+      });
+    });
+
+    this.facetNames.forEach(name => {
+      doc.facets[name] = new Set((facets[name] || []).map(String));
+    });
+
+    suggest.forEach(value => {
+      words(value)
+        .filter(word => word.length >= MIN_PREFIX_LENGTH + 1 && !STOP_WORDS.has(word))
+        .forEach(word => doc.suggestWords.add(word));
+    });
+    doc.suggestWords.forEach(word => {
+      if (!this.completions.has(word)) this.sortedCompletions = null;
+      this.completions.set(word, (this.completions.get(word) || 0) + 1);
+    });
+
+    this.docs.set(key, doc);
+  }
+
+  remove(id) {
+    const key = String(id);
+    const doc = this.docs.get(key);
+    if (!doc) return false;
+
+    doc.terms.forEach(term => {
+      const frequencies = this.postings.get(term);
+      frequencies.delete(key);
+      if (frequencies.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+        this.termsByLength = null;
+      }
+    });
+    Object.keys(this.fieldWeights).forEach(field => {
+      this.fieldTotals[field] -= doc.lengths[field];
+    });
+    doc.suggestWords.forEach(word => {
+      const count = this.completions.get(word) - 1;
+      if (count > 0) {
+        this.completions.set(word, count);
+      } else {
+        this.completions.delete(word);
+        this.sortedCompletions = null;
+      }
+    });
+
+    this.docs.delete(key);
+    return true;
+  }
+
+  // Terms starting with prefix, from a sorted list
+  static withPrefix(sorted, prefix) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sorted[middle] < prefix) low = middle + 1; else high = middle;
+    }
+    const matches = [];
+    for (let i = low; i < sorted.length && sorted[i].startsWith(prefix); i++) {
+      matches.push(sorted[i]);
+    }
+    return matches;
+  }
+
+  getSortedTerms() {
+    if (!this.sortedTerms) this.sortedTerms = [...this.postings.keys()].sort();
+    return this.sortedTerms;
+  }
+
+  // Terms of a given length (typo candidates differ in length by at most the edits allowed)
+  getTermsOfLength(length) {
+    if (!this.termsByLength) {
+      this.termsByLength = new Map();
+      this.getSortedTerms().forEach(term => {
+        if (!this.termsByLength.has(term.length)) this.termsByLength.set(term.length, []);
+        this.termsByLength.get(term.length).push(term);
+      });
+    }
+    return this.termsByLength.get(length) || [];
+  }
+
+  // Index terms a query word stands for, with how much each match counts:
+  // { term: weight } for the exact term, terms it starts and terms a typo or two away.
+  // At most MAX_EXPANSIONS terms, and MAX_TYPO_CANDIDATES compared for typos
+  expandWord(word, isLast) {
+    const term = stem(word);
+    const expansions = {};
+    let count = 0;
+    const offer = (candidate, weight) => {
+      if (expansions[candidate] === undefined) {
+        if (count >= MAX_EXPANSIONS) return;
+        count++;
+      }
+      if (!(expansions[candidate] >= weight)) expansions[candidate] = weight;
+    };
+
+    if (this.postings.has(term)) offer(term, 1);
+
+    if (word.length >= (isLast ? MIN_PREFIX_LENGTH : MIN_INNER_PREFIX_LENGTH)) {
+      const weight = isLast ? LAST_PREFIX_WEIGHT : PREFIX_WEIGHT;
+      new Set([word, term]).forEach(prefix => {
+        SearchIndex.withPrefix(this.getSortedTerms(), prefix).forEach(candidate => offer(candidate, weight));
+      });
+    }
+
+    if (term.length >= MIN_TYPO_LENGTH && term.length <= MAX_TYPO_LENGTH) {
+      const maxEdits = term.length >= MIN_TWO_TYPO_LENGTH ? 2 : 1;
+      // Same length first: swaps and substitutions are the most common typos
+      const lengths = [0, -1, 1, -2, 2].filter(delta => Math.abs(delta) <= maxEdits).map(delta => term.length + delta);
+      let compared = 0;
+      for (const length of lengths) {
+        for (const candidate of this.getTermsOfLength(length)) {
+          if (compared >= MAX_TYPO_CANDIDATES || count >= MAX_EXPANSIONS) return expansions;
+          if (expansions[candidate]) continue;
+          compared++;
+          const distance = editDistance(term, candidate, maxEdits);
+          if (distance <= maxEdits) offer(candidate, TYPO_WEIGHTS[distance]);
+        }
+      }
+    }
+
+    return expansions;
+  }
+
+  // BM25 score of one term in one document, summed over the weighted fields
+  scoreTerm(term, key) {
+    const frequencies = this.postings.get(term);
+    const entry = frequencies.get(key);
+    const doc = this.docs.get(key);
+    const idf = Math.log(1 + (this.docs.size - frequencies.size + 0.5) / (frequencies.size + 0.5));
+
+    let score = 0;
+    Object.entries(entry).forEach(([field, frequency]) => {
+      const average = this.fieldTotals[field] / this.docs.size || 1;
+      const norm = 1 - B + B * (doc.lengths[field] / average);
+      score += this.fieldWeights[field] * (frequency * (K1 + 1)) / (frequency + K1 * norm);
+    });
+    return idf * score;
+  }
+
+  // { id: score } of the documents matching every word of the query (all documents,
+  // scored 0, for an empty query)
+  match(query) {
+    // Stop words aren't indexed, so a query of only stop words ("how to") matches everything
+    const queryWords = queryWordsOf(query);
+
+    if (queryWords.length === 0) {
+      return new Map([...this.docs.keys()].map(key => [key, 0]));
+    }
+
+    let scores = null;
+    queryWords.forEach((word, i) => {
+      const expansions = this.expandWord(word, i === queryWords.length - 1);
+      const wordScores = new Map();
+
+      Object.entries(expansions).forEach(([term, weight]) => {
+        this.postings.get(term).forEach((entry, key) => {
+          if (scores && !scores.has(key)) return;
+          const score = weight * this.scoreTerm(term, key);
+          if (!(wordScores.get(key) >= score)) wordScores.set(key, score);
+        });
+      });
+
+      if (scores) {
+        wordScores.forEach((score, key) => wordScores.set(key, score + scores.get(key)));
+      }
+      scores = wordScores;
+    });
+
+    return scores;
+  }
+
+  // Search the index.
+  //   filters: { facet: [values] } - documents must have one of the values of each facet
+  //   where(stored)                - further condition on the stored fields
+  //   sort(a, b)                   - order of hits ({ id, score, stored }); by score by default
+  // Facet counts are disjunctive: each facet is counted with every filter but its own,
+  // so the other values of a facet in use keep their counts.
+  // Returns { total, hits[{ id, score, stored }], facets: { name: { value: count } } }
+  search(query, { filters = {}, where = null, sort = null, offset = 0, limit = 20 } = {}) {
+    const activeFilters = Object.entries(filters)
+      .filter(([name, values]) => this.facetNames.includes(name) && values && values.length > 0)
+      .map(([name, values]) => [name, new Set(values.map(String))]);
+
+    const facets = Object.fromEntries(this.facetNames.map(name => [name, {}]));
+    const count = (doc, name) => {
+      doc.facets[name].forEach(value => {
+        facets[name][value] = (facets[name][value] || 0) + 1;
+      });
+    };
+
+    const hits = [];
+    this.match(query).forEach((score, id) => {
+      const doc = this.docs.get(id);
+      if (where && !where(doc.stored)) return;
+
+      const failed = activeFilters
+        .filter(([name, values]) => ![...doc.facets[name]].some(value => values.has(value)))
+        .map(([name]) => name);
+
+      if (failed.length === 0) {
+        this.facetNames.forEach(name => count(doc, name));
+        hits.push({ id, score, stored: doc.stored });
+      } else if (failed.length === 1) {
+        count(doc, failed[0]);
+      }
+    });
+
+    hits.sort(sort || ((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1)));
+
+    return {
+      total: hits.length,
+      hits: hits.slice(offset, offset + limit),
+      facets
+    };
+  }
+
+  // Completions of the last word of a partial query, the most common first:
+  // "intro jav" -> ["intro javascript", "intro java"]
+  complete(query, { limit = 5 } = {}) {
+    const queryWords = words(String(query || '').slice(0, MAX_QUERY_LENGTH)).slice(-MAX_QUERY_WORDS);
+    const last = queryWords.pop();
+    if (!last || last.length < MIN_PREFIX_LENGTH) return [];
+
+    if (!this.sortedCompletions) this.sortedCompletions = [...this.completions.keys()].sort();
+    const before = queryWords.length > 0 ? `${queryWords.join(' ')} ` : '';
+
+    return SearchIndex.withPrefix(this.sortedCompletions, last)
+      .filter(word => word !== last)
+      .sort((a, b) => this.completions.get(b) - this.completions.get(a) || a.length - b.length || (a < b ? -1 : 1))
+      .slice(0, limit)
+      .map(word => `${before}${word}`);
+  }
+}
+
+module.exports = SearchIndex;
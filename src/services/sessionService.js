@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken } = require('../middlewares/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+class SessionService {
+  static get refreshTokenTtlMs() {
+    const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS);
+    return (isNaN(days) || days <= 0 ? 30 : days) * DAY_MS;
+  }
+
+  // Start a session for a user who just logged in or registered
+  static async createSession(user, req, { deviceName } = {}) {
+    const session = new Session({
+      user: user._id,
+      deviceName: deviceName ? String(deviceName).slice(0, 100) : undefined,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlMs),
+      refreshTokenHash: 'pending'
+    });
+
+    const refreshToken = buildRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+      session,
+      accessToken: generateToken(user._id, session._id),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new access token and a new refresh token
+  static async refresh(refreshToken, req) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) {
+      throw new SessionError('Invalid refresh token');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const nextToken = buildRefreshToken(sessionId);
+
+    // Rotate atomically so the same refresh token can only be exchanged once
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: presentedHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          previousTokenHash: presentedHash,
+          refreshTokenHash: hashToken(nextToken),
+          lastUsedAt: new Date(),
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const existing = await Session.findById(sessionId);
+
+      if (existing && existing.isActive() && existing.previousTokenHash === presentedHash) {
+        await this.revokeSession(existing, { reason: 'token_reuse' });
+        throw new SessionError('Refresh token has already been used; session revoked');
+      }
+
+      if (!existing || !existing.isActive()) {
+        throw new SessionError('Session has expired or been revoked');
+      }
+
+      throw new SessionError('Invalid refresh token');
+    }
+
+    return {
+      session,
+      accessToken: generateToken(session.user, session._id),
+      refreshToken: nextToken
+    };
+  }
+
+  // Find the session a refresh token belongs to, without validating it
+  static async findByRefreshToken(refreshToken) {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+    const session = await Session.findById(sessionId);
+    return session && session.refreshTokenHash === hashToken(refreshToken) ? session : null;
+  }
+
+  static async listActiveSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  static async revokeSession(session, { reason = 'user', revokedBy } = {}) {
+    if (session.revokedAt) return session;
+
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    session.revokedBy = revokedBy;
+    await session.save();
+    return session;
+  }
+
+  // Revoke every active session of a user. Returns the number revoked.
+  static async revokeAllForUser(userId, { reason = 'user', revokedBy, exceptSessionId } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason, revokedBy }
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+SessionService.SessionError = SessionError;
+
+module.exports = SessionService;
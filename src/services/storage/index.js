@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { s3Client, hasS3Config, BUCKET_NAME } = require('../../config/s3');
+const S3StorageDriver = require('./s3Driver');
+const LocalStorageDriver = require('./localDriver');
+
+// Storage drivers implement:
+//   name                                         - string
+//   put(key, body, { contentType, contentLength, isPrivate }) -> { key, url }; body is a Buffer or Readable
+//   delete(key)
+//   deletePrefix(prefix)                         - delete every file under a folder
+//   getSignedUrl(key, expiresIn)                 -> URL readable for expiresIn seconds
+//   head(key)                                    -> { size, contentType, lastModified } or null
+//   stream(key)                                  -> Readable
+//   makePrivate(key)                             - used by the private media migration
+//
+// and, for direct-from-client uploads in parts (see UploadService):
+//   createMultipartUpload(key, { contentType, isPrivate, maxPartSize }) -> uploadId
+//   getPartUploadUrl(key, uploadId, partNumber, expiresIn)    -> URL the client PUTs the part to
+//   listParts(key, uploadId)                                  -> [{ partNumber, etag, size }]
+//   completeMultipartUpload(key, uploadId, [{ partNumber, etag }]) -> { key, url }
+//   abortMultipartUpload(key, uploadId)
+
+let generatedSecret = null;
+
+// Secret for signing private file and video stream links: STORAGE_SIGNING_SECRET, kept
+// apart from the auth key. Required in production; elsewhere a random one is used, so
+// signed links stop working when the server restarts.
+const getSigningSecret = () => {
+  if (process.env.STORAGE_SIGNING_SECRET) {
+    return process.env.STORAGE_SIGNING_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('STORAGE_SIGNING_SECRET must be set in production');
+  }
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+};
+
+const driverFactories = {
+  s3: () => {
+    if (!hasS3Config) {
+      console.warn(' AWS S3 environment variables are missing!');
+      console.warn('File upload features will not work properly.');
+      console.warn('Required: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION, AWS_S3_BUCKET_NAME');
+    }
+    return new S3StorageDriver({
+      client: s3Client,
+      bucket: BUCKET_NAME,
+      region: process.env.AWS_REGION
+    });
+  },
+  local: () => new LocalStorageDriver({
+    root: process.env.STORAGE_LOCAL_DIR || 'uploads',
+    baseUrl: process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 4001}`,
+    secret: getSigningSecret()
+  })
+};
+
+let activeDriver = null;
+
+// Register an additional driver under a name
+const registerStorageDriver = (name, factory) => {
+  driverFactories[name] = factory;
+};
+
+// Get the driver selected by STORAGE_DRIVER (defaults to s3 when AWS is configured, otherwise local)
+const getStorage = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || (hasS3Config ? 's3' : 'local');
+    const factory = driverFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    if (name === 'local' && process.env.NODE_ENV === 'production') {
+      console.warn('Using local file storage in production - uploads live on this server\'s disk!');
+    }
+
+    activeDriver = factory();
+  }
+
+  return activeDriver;
+};
+
+// Replace the active driver (used by tests)
+const setStorage = (driver) => {
+  activeDriver = driver;
+};
+
+// A new unique key under folder for a file name
+const buildKey = (folder, fileName) =>
+  `${folder}/${Date.now()}-${Math.round(Math.random() * 1E9)}-${String(fileName).replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+
+// Store an uploaded multer file under folder; returns { url, key }.
+// Disk-stored files are streamed and their temp file removed afterwards.
+const uploadFile = async (file, folder = 'uploads', { isPrivate = false } = {}) => {
+  const key = buildKey(folder, file.originalname);
+  const body = file.buffer || fs.createReadStream(file.path);
+
+  try {
+    return await getStorage().put(key, body, { contentType: file.mimetype, contentLength: file.size, isPrivate });
+  } finally {
+    if (file.path) {
+      await fs.promises.rm(file.path, { force: true });
+    }
+  }
+};
+
+// Delete a stored file; failures are logged, not thrown (the file may already be gone)
+const deleteFile = async (key) => {
+  if (!key) return;
+
+  try {
+    await getStorage().delete(key);
+  } catch (error) {
+    console.error(`Error deleting ${key} from storage:`, error);
+  }
+};
+
+// Short-lived URL for reading a (private) file
+const getFileUrl = (key, expiresIn = 3600) => getStorage().getSignedUrl(key, expiresIn);
+
+// Read a whole file into memory (for small files such as images)
+const getFileBuffer = async (key) => {
+  const chunks = [];
+  for await (const chunk of await getStorage().stream(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  getStorage,
+  getSigningSecret,
+  registerStorageDriver,
+  setStorage,
+  buildKey,
+  uploadFile,
+  deleteFile,
+  getFileUrl,
+  getFileBuffer
+};
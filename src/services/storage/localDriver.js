@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { pipeline } = require('stream/promises');
+
+const META_SUFFIX = '.meta.json';
+// Parts of unfinished multipart uploads live here, one directory per upload
+const MULTIPART_DIR = '.multipart';
+// Largest part accepted when the upload didn't set maxPartSize (S3's own limit)
+const MAX_PART_SIZE = 5 * 1024 * 1024 * 1024;
+
+// Stores files on the local filesystem for development and tests. Files are
+// served by GET /api/files/<key>: public files as-is, private files only with
+// an unexpired signature from getSignedUrl(). Multipart upload parts are
+// accepted by PUT /api/files/multipart/<uploadId>/<partNumber> with a signature
+// from getPartUploadUrl().
+class LocalStorageDriver {
+  constructor({ root, baseUrl, secret }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl;
+    this.secret = secret;
+  }
+
+  // Absolute path for a key; throws for keys that would escape the storage root
+  resolvePath(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!key || !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  fileUrl(key) {
+    return `${this.baseUrl}/api/files/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async put(key, body, { contentType, isPrivate = false } = {}) {
+    const filePath = this.resolvePath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+    await this.writeMeta(key, { contentType, isPrivate });
+
+    return { key, url: this.fileUrl(key) };
+  }
+
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rm(filePath + META_SUFFIX, { force: true });
+  }
+
+  // Delete a folder of files (prefix is a folder key such as "a/b/")
+  async deletePrefix(prefix) {
+    await fs.promises.rm(this.resolvePath(prefix.replace(/\/+$/, '')), { recursive: true, force: true });
+  }
+
+  sign(key, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  async getSignedUrl(key, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.fileUrl(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  // Check a signed link's expires/signature query values
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // { size, contentType, lastModified, isPrivate } or null when the file doesn't exist
+  async head(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolvePath(key));
+      const meta = await this.readMeta(key);
+      return {
+        size: stats.size,
+        contentType: meta.contentType,
+        lastModified: stats.mtime,
+        isPrivate: Boolean(meta.isPrivate)
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async stream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  uploadDir(uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(String(uploadId))) {
+      throw Object.assign(new Error(`Invalid upload id: ${uploadId}`), { name: 'NoSuchUpload' });
+    }
+    return path.join(this.root, MULTIPART_DIR, uploadId);
+  }
+
+  // The { key, contentType, isPrivate, maxPartSize } an upload was started with; throws NoSuchUpload if it is gone
+  async readUpload(uploadId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.uploadDir(uploadId), 'upload.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw Object.assign(new Error(`Upload ${uploadId} not found`), { name: 'NoSuchUpload' });
+      }
+      throw error;
+    }
+  }
+
+  // maxPartSize: largest part writePart accepts, in bytes
+  async createMultipartUpload(key, { contentType, isPrivate = false, maxPartSize = MAX_PART_SIZE } = {}) {
+    this.resolvePath(key);
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const dir = this.uploadDir(uploadId);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, 'upload.json'), JSON.stringify({ key, contentType, isPrivate, maxPartSize }));
+
+    return uploadId;
+  }
+
+  async getPartUploadUrl(key, uploadId, partNumber, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const partPath = `multipart/${uploadId}/${partNumber}`;
+    return `${this.baseUrl}/api/files/${partPath}?expires=${expires}&signature=${this.sign(partPath, expires)}`;
+  }
+
+  verifyPartSignature(uploadId, partNumber, expires, signature) {
+    return this.verifySignature(`multipart/${uploadId}/${partNumber}`, expires, signature);
+  }
+
+  // Store one part from a readable stream; returns its ETag (quoted MD5, like S3).
+  // Throws EntityTooLarge once the part grows past the upload's maxPartSize
+  async writePart(uploadId, partNumber, body) {
+    const upload = await this.readUpload(uploadId);
+    const maxPartSize = upload.maxPartSize || MAX_PART_SIZE;
+
+    const dir = this.uploadDir(uploadId);
+    const tempPath = path.join(dir, `${partNumber}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    const hash = crypto.createHash('md5');
+    let size = 0;
+
+    try {
+      await pipeline(body, async function* (source) {
+        for await (const chunk of source) {
+          size += chunk.length;
+          if (size > maxPartSize) {
+            throw Object.assign(new Error(`Parts can be at most ${maxPartSize} bytes`), { name: 'EntityTooLarge' });
+          }
+          hash.update(chunk);
+          yield chunk;
+        }
+      }, fs.createWriteStream(tempPath));
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const etag = `"${hash.digest('hex')}"`;
+    await fs.promises.rename(tempPath, path.join(dir, `${partNumber}.part`));
+    await fs.promises.writeFile(path.join(dir, `${partNumber}.etag`), etag);
+    return etag;
+  }
+
+  async listParts(key, uploadId) {
+    await this.readUpload(uploadId);
+
+    const dir = this.uploadDir(uploadId);
+    const parts = [];
+
+    for (const name of await fs.promises.readdir(dir)) {
+      const match = name.match(/^(\d+)\.part$/);
+      if (!match) continue;
+
+      const stats = await fs.promises.stat(path.join(dir, name));
+      parts.push({
+        partNumber: parseInt(match[1]),
+        etag: (await fs.promises.readFile(path.join(dir, `${match[1]}.etag`), 'utf8')).trim(),
+        size: stats.size
+      });
+    }
+
+    return parts.sort((a, b) => a.partNumber - b.partNumber);
+  }
+
+  // Join the listed parts, in part number order, into the final file
+  async completeMultipartUpload(key, uploadId, parts) {
+    const upload = await this.readUpload(uploadId);
+    if (upload.key !== key) {
+      throw new Error(`Upload ${uploadId} is not for ${key}`);
+    }
+
+    const stored = new Map((await this.listParts(key, uploadId)).map(part => [part.partNumber, part.etag]));
+    const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+    const unquote = etag => String(etag).replace(/"/g, '');
+
+    for (const part of ordered) {
+      if (!stored.has(part.partNumber) || unquote(stored.get(part.partNumber)) !== unquote(part.etag)) {
+        throw Object.assign(new Error(`Part ${part.partNumber} is missing or its ETag does not match`), { name: 'InvalidPart' });
+      }
+    }
+
+    const dir = this.uploadDir(uploadId);
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const output = fs.createWriteStream(filePath);
+    await pipeline(async function* () {
+      for (const part of ordered) {
+        yield* fs.createReadStream(path.join(dir, `${part.partNumber}.part`));
+      }
+    }, output);
+
+    await this.writeMeta(key, { contentType: upload.contentType, isPrivate: upload.isPrivate });
+    await fs.promises.rm(dir, { recursive: true, force: true });
+
+    return { key, url: this.fileUrl(key) };
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await fs.promises.rm(this.uploadDir(uploadId), { recursive: true, force: true });
+  }
+
+  async makePrivate(key) {
+    const meta = await this.readMeta(key);
+    await this.writeMeta(key, { ...meta, isPrivate: true });
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.resolvePath(key) + META_SUFFIX, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async writeMeta(key, meta) {
+    await fs.promises.writeFile(this.resolvePath(key) + META_SUFFIX, JSON.stringify(meta));
+  }
+}
+
+module.exports = LocalStorageDriver;
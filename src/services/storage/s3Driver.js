@@ -0,0 +1,169 @@
+const {
+  PutObjectCommand,
+  PutObjectAclCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Stores files in an S3 bucket. Public objects are readable at their object URL;
+// private ones only through presigned URLs.
+class S3StorageDriver {
+  constructor({ client, bucket, region }) {
+    this.name = 's3';
+    this.client = client;
+    this.bucket = bucket;
+    this.region = region;
+  }
+
+  async put(key, body, { contentType, contentLength, isPrivate = false } = {}) {
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        // Required when body is a stream
+        ContentLength: contentLength,
+        ACL: isPrivate ? 'private' : 'public-read'
+      }));
+    } catch (error) {
+      console.error('S3 upload error:', error);
+      throw new Error(`Failed to upload file to S3: ${error.message}`);
+    }
+
+    return { key, url: this.objectUrl(key) };
+  }
+
+  // Object URL (only reachable directly for public objects)
+  objectUrl(key) {
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+
+  // Delete every object whose key starts with prefix
+  async deletePrefix(prefix) {
+    let token;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: token
+      }));
+      const objects = (response.Contents || []).map(object => ({ Key: object.Key }));
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({ Bucket: this.bucket, Delete: { Objects: objects } }));
+      }
+      token = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (token);
+  }
+
+  async getSignedUrl(key, expiresIn) {
+    try {
+      return await getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn });
+    } catch (error) {
+      console.error('S3 presigned URL error:', error);
+      throw new Error(`Failed to generate presigned URL: ${error.message}`);
+    }
+  }
+
+  // { size, contentType, lastModified } or null when the object doesn't exist
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Readable stream of the object's contents
+  async stream(key) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return response.Body;
+  }
+
+  async createMultipartUpload(key, { contentType, isPrivate = false } = {}) {
+    const response = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      ACL: isPrivate ? 'private' : 'public-read'
+    }));
+    return response.UploadId;
+  }
+
+  // Presigned PUT URL for one part; the client reads the part's ETag from the response headers
+  async getPartUploadUrl(key, uploadId, partNumber, expiresIn) {
+    return getSignedUrl(this.client, new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber
+    }), { expiresIn });
+  }
+
+  // [{ partNumber, etag, size }] of the parts uploaded so far
+  async listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+
+    do {
+      const response = await this.client.send(new ListPartsCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumberMarker: marker
+      }));
+      (response.Parts || []).forEach(part => parts.push({
+        partNumber: part.PartNumber,
+        etag: part.ETag,
+        size: part.Size
+      }));
+      marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts;
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    await this.client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+      }
+    }));
+    return { key, url: this.objectUrl(key) };
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await this.client.send(new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId }));
+  }
+
+  async makePrivate(key) {
+    await this.client.send(new PutObjectAclCommand({ Bucket: this.bucket, Key: key, ACL: 'private' }));
+  }
+}
+
+module.exports = S3StorageDriver;
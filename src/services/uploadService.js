@@ -0,0 +1,235 @@
+const UploadSession = require('../models/UploadSession');
+const { getStorage, buildKey, deleteFile } = require('./storage');
+
+const MB = 1024 * 1024;
+// S3 needs every part but the last to be at least 5MB and allows 10,000 parts
+const MIN_PART_SIZE = 5 * MB;
+const DEFAULT_PART_SIZE = 10 * MB;
+const MAX_PARTS = 10000;
+const PART_URL_TTL_SECONDS = 60 * 60;
+
+class UploadError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Uploads of lesson videos straight from the client to storage: the server
+// only hands out presigned part URLs and finalizes the file, it never sees the bytes.
+class UploadService {
+  static get maxVideoSize() {
+    const mb = parseInt(process.env.VIDEO_UPLOAD_MAX_MB);
+    return (isNaN(mb) || mb <= 0 ? 5 * 1024 : mb) * MB;
+  }
+
+  // How long an upload may take before it is treated as abandoned
+  static get sessionTtlMs() {
+    const hours = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS);
+    return (isNaN(hours) || hours <= 0 ? 24 : hours) * 60 * 60 * 1000;
+  }
+
+  // Part size for a file, whole MBs, large enough to stay within MAX_PARTS
+  static getPartSize(size) {
+    return Math.max(DEFAULT_PART_SIZE, Math.ceil(size / MAX_PARTS / MB) * MB, MIN_PART_SIZE);
+  }
+
+  // Start a multipart upload of a private lesson video
+  static async createVideoUpload({ creator, course, lesson = null, fileName, contentType, size }) {
+    size = Number(size);
+
+    if (!fileName || typeof fileName !== 'string') {
+      throw new UploadError('fileName is required');
+    }
+    if (!contentType || !String(contentType).startsWith('video/')) {
+      throw new UploadError('Only video files are allowed');
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new UploadError('size must be the file size in bytes');
+    }
+    if (size > this.maxVideoSize) {
+      throw new UploadError(`Videos can be at most ${Math.floor(this.maxVideoSize / MB)}MB`);
+    }
+
+    const key = buildKey('microcourses/videos', fileName);
+    const partSize = this.getPartSize(size);
+    const uploadId = await getStorage().createMultipartUpload(key, { contentType, isPrivate: true, maxPartSize: partSize });
+
+    return UploadSession.create({
+      creator,
+      course,
+      lesson,
+      key,
+      uploadId,
+      fileName: fileName.slice(0, 255),
+      contentType,
+      size,
+      partSize,
+      partCount: Math.ceil(size / partSize),
+      expiresAt: new Date(Date.now() + this.sessionTtlMs)
+    });
+  }
+
+  // Presigned URLs for the given part numbers (1-based)
+  static async getPartUrls(session, partNumbers) {
+    if (!session.isOpen()) {
+      throw new UploadError('This upload is no longer open', 409);
+    }
+
+    const numbers = [...new Set((Array.isArray(partNumbers) ? partNumbers : []).map(Number))];
+    if (numbers.length === 0 || numbers.some(n => !Number.isInteger(n) || n < 1 || n > session.partCount)) {
+      throw new UploadError(`partNumbers must be part numbers between 1 and ${session.partCount}`);
+    }
+
+    const storage = getStorage();
+    return Promise.all(numbers.map(async partNumber => ({
+      partNumber,
+      url: await storage.getPartUploadUrl(session.key, session.uploadId, partNumber, PART_URL_TTL_SECONDS)
+    })));
+  }
+
+  // Parts already in storage, so an interrupted upload can resume where it stopped
+  static async listUploadedParts(session) {
+    if (session.status !== 'pending') {
+      return [];
+    }
+    return getStorage().listParts(session.key, session.uploadId);
+  }
+
+  // Join the uploaded parts into the final file; parts is [{ partNumber, etag }] for every part
+  static async complete(session, parts) {
+    if (!session.isOpen()) {
+      throw new UploadError('This upload is no longer open', 409);
+    }
+
+    const list = Array.isArray(parts) ? parts.map(part => ({
+      partNumber: Number(part && part.partNumber),
+      etag: part && part.etag
+    })) : [];
+    const numbers = new Set(list.map(part => part.partNumber));
+
+    if (list.length !== session.partCount || numbers.size !== session.partCount ||
+        list.some(part => !Number.isInteger(part.partNumber) || part.partNumber < 1 ||
+          part.partNumber > session.partCount || !part.etag || typeof part.etag !== 'string')) {
+      throw new UploadError(`parts must list all ${session.partCount} parts with their ETags`);
+    }
+
+    const storage = getStorage();
+    let result;
+    try {
+      result = await storage.completeMultipartUpload(session.key, session.uploadId, list);
+    } catch (error) {
+      if (error.name === 'InvalidPart' || error.name === 'InvalidPartOrder' || error.name === 'EntityTooSmall') {
+        throw new UploadError(`Could not complete the upload: ${error.message}`);
+      }
+      throw error;
+    }
+
+    const info = await storage.head(session.key);
+    if (info && info.size !== session.size) {
+      await deleteFile(session.key);
+      session.status = 'aborted';
+      session.abortedAt = new Date();
+      await session.save();
+      throw new UploadError(`Uploaded ${info.size} bytes, expected ${session.size}`);
+    }
+
+    session.status = 'completed';
+    session.url = result.url;
+    session.completedAt = new Date();
+    // Leave time to create the lesson that uses it
+    session.expiresAt = new Date(Date.now() + this.sessionTtlMs);
+    await session.save();
+
+    return session;
+  }
+
+  // A completed upload of this creator and course that no lesson uses yet
+  static async findAttachable(id, creatorId, courseId) {
+    const session = await UploadSession.findOne({ _id: id, creator: creatorId, course: courseId });
+
+    if (!session || session.status !== 'completed') {
+      throw new UploadError('Video upload not found or not completed');
+    }
+
+    return session;
+  }
+
+  // Make the uploaded video the lesson's video; a replaced video is deleted from storage
+  static async attachToLesson(session, lesson, { duration } = {}) {
+    const previousKey = lesson.video && lesson.video.publicId;
+
+    lesson.video = {
+      url: session.url,
+      publicId: session.key,
+      duration: Number(duration) > 0 ? Number(duration) : 0
+    };
+    await lesson.save();
+
+    if (previousKey && previousKey !== session.key) {
+      await deleteFile(previousKey);
+    }
+
+    await this.markAttached(session, lesson);
+
+    return lesson;
+  }
+
+  // Record that a lesson uses the uploaded video, so cleanup leaves it alone
+  static async markAttached(session, lesson) {
+    session.status = 'attached';
+    session.lesson = lesson._id;
+    session.attachedAt = new Date();
+    await session.save();
+  }
+
+  // Give up on an upload and remove whatever it stored
+  static async abort(session) {
+    if (session.status === 'pending') {
+      try {
+        await getStorage().abortMultipartUpload(session.key, session.uploadId);
+      } catch (error) {
+        // Already gone (e.g. removed by a bucket lifecycle rule)
+        if (error.name !== 'NoSuchUpload') throw error;
+      }
+    } else if (session.status === 'completed') {
+      await deleteFile(session.key);
+    } else {
+      return session;
+    }
+
+    session.status = 'aborted';
+    session.abortedAt = new Date();
+    await session.save();
+
+    return session;
+  }
+
+  // Abort uploads that were abandoned: still pending, or completed but never
+  // used by a lesson, after expiresAt. Returns { aborted, failed }.
+  static async cleanupExpired({ now = new Date(), creator } = {}) {
+    const query = { status: { $in: ['pending', 'completed'] }, expiresAt: { $lt: now } };
+    if (creator) {
+      query.creator = creator;
+    }
+
+    const stats = { aborted: 0, failed: 0 };
+
+    for await (const session of UploadSession.find(query).cursor()) {
+      try {
+        await this.abort(session);
+        stats.aborted++;
+      } catch (error) {
+        stats.failed++;
+        console.error(`Error aborting upload ${session._id}:`, error.message);
+      }
+    }
+
+    return stats;
+  }
+}
+
+UploadService.UploadError = UploadError;
+
+module.exports = UploadService;
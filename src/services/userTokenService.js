@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const TOKEN_TTL_MS = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+class UserTokenService {
+  // Issue a new token, invalidating any earlier unused token of the same type.
+  // Returns the raw token, which is only ever sent to the user.
+  static async issue(user, type, { ip } = {}) {
+    if (!TOKEN_TTL_MS[type]) {
+      throw new Error(`Unknown token type: ${type}`);
+    }
+
+    await UserToken.updateMany(
+      { user: user._id, type, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await UserToken.create({
+      user: user._id,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+      requestIp: ip
+    });
+
+    return token;
+  }
+
+  // Mark a token used and return it, or null if it is unknown, expired or already used
+  static async consume(token, type) {
+    if (!token || typeof token !== 'string') return null;
+
+    return UserToken.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        type,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = UserTokenService;
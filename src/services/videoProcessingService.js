@@ -0,0 +1,294 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const Lesson = require('../models/Lesson');
+const Course = require('../models/Course');
+const JobQueue = require('./jobQueue');
+const { getStorage, buildKey, deleteFile } = require('./storage');
+
+const execFileAsync = promisify(execFile);
+
+const JOB_TYPE = 'video.process';
+const SEGMENT_SECONDS = 6;
+
+// HLS ladder; renditions taller than the source video are skipped
+const RENDITIONS = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+];
+
+let availability = null;
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.jpg': 'image/jpeg'
+};
+
+// Processes uploaded lesson videos in the background with ffmpeg: probes the
+// real duration, takes a poster frame when the lesson has no thumbnail, and
+// encodes HLS renditions. Needs the ffmpeg and ffprobe binaries; without them
+// videos are not processed and learners get them as uploaded.
+class VideoProcessingService {
+  static get ffmpegPath() {
+    return process.env.FFMPEG_PATH || 'ffmpeg';
+  }
+
+  static get ffprobePath() {
+    return process.env.FFPROBE_PATH || 'ffprobe';
+  }
+
+  // Whether ffmpeg and ffprobe run here. Checked once per process (call it at startup
+  // to report a missing ffmpeg early)
+  static isAvailable() {
+    if (!availability) {
+      availability = Promise.all([this.ffmpegPath, this.ffprobePath].map(bin => execFileAsync(bin, ['-version'])))
+        .then(() => true, () => {
+          console.warn('ffmpeg/ffprobe not found: lesson videos will be served as uploaded, without processing');
+          return false;
+        });
+    }
+    return availability;
+  }
+
+  // Mark the lesson's video as waiting for processing and queue the job. Without ffmpeg
+  // the video is left as uploaded (ready to watch) and null is returned
+  static async queueLesson(lesson) {
+    if (!(await this.isAvailable())) {
+      // HLS made from an earlier video of the lesson doesn't match this one
+      const stalePrefix = lesson.video.hls && lesson.video.hls.prefix;
+      lesson.video.hls = undefined;
+      lesson.processing = { status: 'ready' };
+      await lesson.save();
+
+      if (stalePrefix) await getStorage().deletePrefix(stalePrefix);
+      return null;
+    }
+
+    lesson.processing = {
+      status: 'queued',
+      queuedAt: new Date()
+    };
+    await lesson.save();
+
+    return JobQueue.enqueue(JOB_TYPE, {
+      lessonId: lesson._id.toString(),
+      videoKey: lesson.video.publicId
+    });
+  }
+
+  // { duration (seconds), width, height, hasAudio }
+  static async probe(filePath) {
+    const { stdout } = await execFileAsync(this.ffprobePath, [
+      '-v', 'error',
+      '-show_entries', 'format=duration:stream=codec_type,width,height',
+      '-of', 'json',
+      filePath
+    ], { maxBuffer: 10 * 1024 * 1024 });
+
+    const info = JSON.parse(stdout);
+    const streams = info.streams || [];
+    const video = streams.find(stream => stream.codec_type === 'video');
+    const duration = parseFloat(info.format && info.format.duration);
+
+    if (!video || !(duration > 0)) {
+      throw new Error('The file has no playable video stream');
+    }
+
+    return {
+      duration,
+      width: video.width,
+      height: video.height,
+      hasAudio: streams.some(stream => stream.codec_type === 'audio')
+    };
+  }
+
+  // Renditions to encode for a source of the given height (at least the smallest one)
+  static selectRenditions(sourceHeight) {
+    const renditions = RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+    return renditions.length > 0 ? renditions : [RENDITIONS[0]];
+  }
+
+  static async ffmpeg(args) {
+    await execFileAsync(this.ffmpegPath, ['-nostdin', '-loglevel', 'error', '-y', ...args], {
+      maxBuffer: 10 * 1024 * 1024
+    });
+  }
+
+  // Save a frame a tenth of the way into the video as a JPEG
+  static async extractPoster(input, output, duration) {
+    await this.ffmpeg([
+      '-ss', String(Math.min(duration * 0.1, 10).toFixed(2)),
+      '-i', input,
+      '-frames:v', '1',
+      '-vf', 'scale=1280:-2',
+      '-q:v', '3',
+      output
+    ]);
+  }
+
+  // Encode one rendition into dir as index.m3u8 plus numbered segments
+  static async encodeRendition(input, dir, rendition, { hasAudio }) {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    await this.ffmpeg([
+      '-i', input,
+      '-vf', `scale=-2:${rendition.height}`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-b:v', `${rendition.videoBitrate}k`,
+      '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+      '-bufsize', `${Math.round(rendition.videoBitrate * 1.5)}k`,
+      // Keyframes on segment boundaries so every rendition switches cleanly
+      '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+      '-sc_threshold', '0',
+      ...(hasAudio ? ['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2'] : ['-an']),
+      '-f', 'hls',
+      '-hls_time', String(SEGMENT_SECONDS),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(dir, 'seg_%04d.ts'),
+      path.join(dir, 'index.m3u8')
+    ]);
+  }
+
+  static buildMasterPlaylist(renditions) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    renditions.forEach(rendition => {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+      lines.push(`${rendition.name}/index.m3u8`);
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Store a local file under key
+  static async storeFile(filePath, key, { isPrivate }) {
+    const { size } = await fs.promises.stat(filePath);
+    return getStorage().put(key, fs.createReadStream(filePath), {
+      contentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      contentLength: size,
+      isPrivate
+    });
+  }
+
+  // The job: process the lesson's video if it is still the one the job was queued for
+  static async processLesson({ lessonId, videoKey }) {
+    let lesson = await Lesson.findById(lessonId);
+    if (!lesson || lesson.video.publicId !== videoKey) {
+      // Deleted, or the video was replaced and a newer job handles it
+      return;
+    }
+
+    lesson.processing.status = 'processing';
+    lesson.processing.startedAt = new Date();
+    await lesson.save();
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'lesson-video-'));
+    const prefix = `microcourses/hls/${lesson._id}/${Date.now()}/`;
+
+    try {
+      const input = path.join(workDir, 'source');
+      await pipeline(await getStorage().stream(videoKey), fs.createWriteStream(input));
+
+      const info = await this.probe(input);
+
+      const renditions = [];
+      for (const rendition of this.selectRenditions(info.height)) {
+        const dir = path.join(workDir, rendition.name);
+        await this.encodeRendition(input, dir, rendition, info);
+
+        for (const file of await fs.promises.readdir(dir)) {
+          await this.storeFile(path.join(dir, file), `${prefix}${rendition.name}/${file}`, { isPrivate: true });
+        }
+
+        renditions.push({
+          name: rendition.name,
+          width: Math.round(info.width * rendition.height / info.height / 2) * 2,
+          height: rendition.height,
+          bandwidth: (rendition.videoBitrate + (info.hasAudio ? rendition.audioBitrate : 0)) * 1100
+        });
+      }
+
+      const masterKey = `${prefix}master.m3u8`;
+      await getStorage().put(masterKey, Buffer.from(this.buildMasterPlaylist(renditions)), {
+        contentType: CONTENT_TYPES['.m3u8'],
+        isPrivate: true
+      });
+
+      // Posters are (re)made unless the creator uploaded their own thumbnail
+      const needsPoster = lesson => !lesson.thumbnail || !lesson.thumbnail.url || lesson.thumbnail.generated;
+
+      let poster = null;
+      if (needsPoster(lesson)) {
+        const posterPath = path.join(workDir, 'poster.jpg');
+        await this.extractPoster(input, posterPath, info.duration);
+        poster = await this.storeFile(posterPath, buildKey('microcourses/thumbnails', `${lesson._id}-poster.jpg`), { isPrivate: false });
+      }
+
+      // The creator may have changed the lesson while we were encoding
+      lesson = await Lesson.findById(lessonId);
+      if (!lesson || lesson.video.publicId !== videoKey) {
+        await getStorage().deletePrefix(prefix);
+        if (poster) await deleteFile(poster.key);
+        return;
+      }
+
+      const previousPrefix = lesson.video.hls && lesson.video.hls.prefix;
+      let previousPoster = null;
+
+      lesson.video.duration = Math.round(info.duration);
+      lesson.video.hls = { prefix, masterKey, renditions };
+      lesson.duration = Math.max(1, Math.ceil(info.duration / 60));
+      if (poster && needsPoster(lesson)) {
+        previousPoster = lesson.thumbnail && lesson.thumbnail.publicId;
+        lesson.thumbnail = { url: poster.url, publicId: poster.key, generated: true };
+      } else if (poster) {
+        await deleteFile(poster.key);
+      }
+      lesson.processing.status = 'ready';
+      lesson.processing.error = undefined;
+      lesson.processing.completedAt = new Date();
+      await lesson.save();
+
+      if (previousPrefix && previousPrefix !== prefix) {
+        await getStorage().deletePrefix(previousPrefix);
+      }
+      await deleteFile(previousPoster);
+
+      // Course durations now add up real video lengths
+      const course = await Course.findById(lesson.course);
+      if (course) {
+        await course.calculateTotalDuration();
+        await course.save();
+      }
+    } catch (error) {
+      // Don't leave half an encode behind; the job is retried from scratch
+      await getStorage().deletePrefix(prefix).catch(() => {});
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Called once the job has used all its attempts
+  static async markFailed({ lessonId, videoKey }, error) {
+    await Lesson.updateOne(
+      { _id: lessonId, 'video.publicId': videoKey },
+      { $set: { 'processing.status': 'failed', 'processing.error': error.message } }
+    );
+  }
+}
+
+JobQueue.registerHandler(JOB_TYPE, payload => VideoProcessingService.processLesson(payload), {
+  onFailed: (payload, error) => VideoProcessingService.markFailed(payload, error)
+});
+
+VideoProcessingService.JOB_TYPE = JOB_TYPE;
+VideoProcessingService.RENDITIONS = RENDITIONS;
+
+module.exports = VideoProcessingService;
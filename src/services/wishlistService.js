@@ -0,0 +1,132 @@
+const Course = require('../models/Course');
+const Lesson = require('../models/Lesson');
+const WishlistItem = require('../models/WishlistItem');
+const EnrollmentService = require('./enrollmentService');
+const JobQueue = require('./jobQueue');
+const MailService = require('./mailService');
+
+const JOB_TYPE = 'wishlist.course_updated';
+
+class WishlistError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WishlistError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Learners' saved courses, and telling them when a saved course gets cheaper or
+// gains lessons.
+class WishlistService {
+  // Save a published course for a learner. Returns { item, created }; saving it again is a no-op
+  static async add(learnerId, courseId) {
+    const course = await Course.findOne({ _id: courseId, status: 'published', isActive: true }).select('price');
+    if (!course) {
+      throw new WishlistError('Course not found', 404);
+    }
+
+    if (await EnrollmentService.isEnrolled(learnerId, course._id)) {
+      throw new WishlistError('You are already enrolled in this course');
+    }
+
+    const existing = await WishlistItem.findOne({ learner: learnerId, course: course._id });
+    if (existing) {
+      return { item: existing, created: false };
+    }
+
+    const lessonCount = await Lesson.countDocuments({ course: course._id, isActive: true });
+    try {
+      const item = await WishlistItem.create({
+        learner: learnerId,
+        course: course._id,
+        snapshot: { price: course.price, lessonCount }
+      });
+      return { item, created: true };
+    } catch (error) {
+      // Saved twice at once
+      if (error.code === 11000) {
+        return { item: await WishlistItem.findOne({ learner: learnerId, course: course._id }), created: false };
+      }
+      throw error;
+    }
+  }
+
+  // Remove a course from a learner's wishlist; false when it wasn't on it
+  static async remove(learnerId, courseId) {
+    const { deletedCount } = await WishlistItem.deleteOne({ learner: learnerId, course: courseId });
+    return deletedCount > 0;
+  }
+
+  // Ids (strings) of the given courses that the learner saved
+  static async getWishlistedIds(learnerId, courseIds) {
+    const items = await WishlistItem.find({ learner: learnerId, course: { $in: courseIds } }).select('course').lean();
+    return new Set(items.map(item => item.course.toString()));
+  }
+
+  // Queue a check of a course's wishlists for news (a lower price, more lessons). Call after
+  // the price changes or the course is (re)published; learners are only told about what
+  // changed since they last heard
+  static async queueUpdateCheck(courseId) {
+    return JobQueue.enqueue(JOB_TYPE, { courseId: courseId.toString() });
+  }
+
+  // The `wishlist.course_updated` job: notify each learner who saved the course about a
+  // price below the one they last saw, or lessons added since. Returns { notified }.
+  // A learner whose mail fails keeps their old snapshot and the job throws once the rest
+  // are done, so the retry only picks up the learners who weren't told yet.
+  static async notifyUpdates({ courseId }) {
+    const course = await Course.findOne({ _id: courseId, status: 'published', isActive: true }).select('title price');
+    if (!course) {
+      return { notified: 0 };
+    }
+
+    const lessonCount = await Lesson.countDocuments({ course: course._id, isActive: true });
+    const items = await WishlistItem.find({
+      course: course._id,
+      $or: [
+        { 'snapshot.price': { $gt: course.price } },
+        { 'snapshot.lessonCount': { $lt: lessonCount } }
+      ]
+    }).populate('learner', 'name email');
+
+    let notified = 0;
+    const failures = [];
+    for (const item of items) {
+      const changes = {};
+      if (course.price < item.snapshot.price) {
+        changes.priceDrop = { from: item.snapshot.price, to: course.price };
+      }
+      if (lessonCount > item.snapshot.lessonCount) {
+        changes.newLessons = lessonCount - item.snapshot.lessonCount;
+      }
+
+      if (item.learner && (changes.priceDrop || changes.newLessons)) {
+        try {
+          await MailService.sendWishlistUpdate(item.learner, course, changes);
+        } catch (error) {
+          failures.push(error);
+          continue;
+        }
+        notified++;
+      }
+
+      // Saved per learner, so a retried job doesn't tell anyone twice
+      item.snapshot = { price: course.price, lessonCount };
+      item.lastNotifiedAt = new Date();
+      await item.save();
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Could not notify ${failures.length} of ${items.length} learners: ${failures[0].message}`);
+    }
+
+    return { notified };
+  }
+}
+
+JobQueue.registerHandler(JOB_TYPE, payload => WishlistService.notifyUpdates(payload));
+
+WishlistService.JOB_TYPE = JOB_TYPE;
+WishlistService.WishlistError = WishlistError;
+
+module.exports = WishlistService;
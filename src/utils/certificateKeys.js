@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const CertificateSigningService = require('../services/certificateSigningService');
+
+// Manages the certificate signing keyring (CERTIFICATE_KEYRING_PATH).
+//
+//   node src/utils/certificateKeys.js <command>
+//
+// rotate        create a new active key; the previous key is retired (public key kept)
+// list          show the keys in the keyring
+// public        print the published public keys as JSON (same as GET /api/certificates/keys)
+// sign-missing  sign certificates issued before signing existed, and issue the certificates
+//               of completed enrollments that didn't get one (connects to MONGO_URI)
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error(`Database connection error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const signMissing = async () => {
+  const Certificate = require('../models/Certificate');
+  const stats = { signed: 0, failed: 0 };
+
+  const cursor = Certificate.find({ signature: { $exists: false } }).cursor();
+  for await (const certificate of cursor) {
+    try {
+      certificate.sign();
+      await certificate.save();
+      stats.signed++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Error signing certificate ${certificate.serialHash}:`, error.message);
+    }
+  }
+
+  return stats;
+};
+
+// Completed enrollments whose certificate failed at completion (e.g. before the keyring existed)
+const issueMissing = async () => {
+  const Enrollment = require('../models/Enrollment');
+  const EnrollmentService = require('../services/enrollmentService');
+  const stats = { issued: 0, failed: 0 };
+
+  const cursor = Enrollment.find({ status: 'completed', certificateIssued: false })
+    .populate('learner', 'name')
+    .cursor();
+  for await (const enrollment of cursor) {
+    if (!enrollment.learner) continue;
+
+    try {
+      await EnrollmentService.issueCertificate(enrollment, enrollment.learner, { _id: enrollment.course });
+      stats.issued++;
+    } catch (error) {
+      enrollment.certificateError = error.message;
+      stats.failed++;
+      console.error(`❌ Error issuing certificate for enrollment ${enrollment._id}:`, error.message);
+    }
+    await enrollment.save();
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const command = process.argv[2];
+
+  try {
+    if (command === 'rotate') {
+      const keyring = CertificateSigningService.rotateKey();
+      console.log(`🔑 New active signing key: ${keyring.activeKeyId}`);
+      console.log(`🗄️  Keys in keyring: ${keyring.keys.length} (${keyring.keys.length - 1} retired)`);
+    } else if (command === 'list') {
+      CertificateSigningService.getPublicKeys().forEach(key => {
+        console.log(`${key.status === 'active' ? '✅' : '  '} ${key.kid}  ${key.algorithm}  created ${key.createdAt}${key.retiredAt ? `  retired ${key.retiredAt}` : ''}`);
+      });
+    } else if (command === 'public') {
+      console.log(JSON.stringify({ keys: CertificateSigningService.getPublicKeys() }, null, 2));
+    } else if (command === 'sign-missing') {
+      await connectDB();
+      const stats = await signMissing();
+      console.log(`✅ Signed: ${stats.signed} certificates`);
+      console.log(`❌ Failed: ${stats.failed}`);
+      const issued = await issueMissing();
+      console.log(`✅ Issued: ${issued.issued} missing certificates`);
+      console.log(`❌ Failed: ${issued.failed}`);
+      await mongoose.connection.close();
+    } else {
+      console.log('Usage: node src/utils/certificateKeys.js <rotate|list|public|sign-missing>');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+    await mongoose.connection.close();
+  }
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { signMissing, issueMissing };
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const UploadService = require('../services/uploadService');
+require('dotenv').config();
+
+// Aborts multipart video uploads that were abandoned: still pending after
+// UPLOAD_SESSION_TTL_HOURS, or completed but never used by a lesson. Their
+// parts and files are removed from storage. Run it periodically (e.g. daily cron).
+//
+//   node src/utils/cleanupUploads.js [--dry-run]
+//
+// --dry-run  list the uploads that would be aborted without changing them
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error(`Database connection error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`🧹 Cleaning up abandoned uploads${dryRun ? ' (dry run)' : ''}...`);
+    await connectDB();
+
+    let stats;
+    if (dryRun) {
+      const expired = await UploadSession.find({
+        status: { $in: ['pending', 'completed'] },
+        expiresAt: { $lt: new Date() }
+      }).select('key status');
+      expired.forEach(session => console.log(`Would abort: ${session.key} (${session.status})`));
+      stats = { aborted: expired.length, failed: 0 };
+    } else {
+      stats = await UploadService.cleanupExpired();
+    }
+
+    console.log('\n📊 Cleanup Summary:');
+    console.log(`✅ ${dryRun ? 'Would abort' : 'Aborted'}: ${stats.aborted} uploads`);
+    console.log(`❌ Failed: ${stats.failed}`);
+    if (stats.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Cleanup failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run cleanup if this file is executed directly
+if (require.main === module) {
+  run();
+}
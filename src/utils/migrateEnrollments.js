@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Certificate = require('../models/Certificate');
+const Enrollment = require('../models/Enrollment');
+require('dotenv').config();
+
+// Moves enrollments embedded in users.enrolledCourses into the enrollments
+// collection. Safe to re-run: enrollments that already exist are skipped.
+//
+//   node src/utils/migrateEnrollments.js [--dry-run] [--keep-embedded]
+//
+// --dry-run        report what would be migrated without writing anything
+// --keep-embedded  leave users.enrolledCourses in place after copying
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error(`Database connection error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const migrateEnrollments = async ({ dryRun = false, keepEmbedded = false } = {}) => {
+  const stats = { users: 0, created: 0, skipped: 0, failed: 0 };
+  const touchedCourses = new Set();
+
+  // The field is no longer in the User schema, so read the raw documents
+  const cursor = User.collection.find(
+    { 'enrolledCourses.0': { $exists: true } },
+    { projection: { enrolledCourses: 1 } }
+  );
+
+  for await (const user of cursor) {
+    stats.users++;
+
+    for (const embedded of user.enrolledCourses) {
+      if (!embedded.course) {
+        stats.skipped++;
+        continue;
+      }
+
+      try {
+        const exists = await Enrollment.exists({ learner: user._id, course: embedded.course });
+        if (exists) {
+          stats.skipped++;
+          continue;
+        }
+
+        const certificate = await Certificate.findOne({ learner: user._id, course: embedded.course })
+          .select('_id serialHash completionDate');
+
+        const progress = embedded.progress || 0;
+
+        if (!dryRun) {
+          await Enrollment.create({
+            learner: user._id,
+            course: embedded.course,
+            status: progress === 100 ? 'completed' : 'active',
+            progress,
+            completedLessons: embedded.completedLessons || [],
+            enrolledAt: embedded.enrolledAt || user.createdAt,
+            completedAt: embedded.completedAt || (progress === 100 && certificate ? certificate.completionDate : undefined),
+            certificate: certificate ? certificate._id : null,
+            certificateIssued: Boolean(embedded.certificateIssued),
+            certificateHash: embedded.certificateHash || (certificate ? certificate.serialHash : undefined)
+          });
+        }
+
+        stats.created++;
+        touchedCourses.add(embedded.course.toString());
+      } catch (error) {
+        stats.failed++;
+        console.error(`❌ Error migrating enrollment ${user._id} -> ${embedded.course}:`, error.message);
+      }
+    }
+  }
+
+  if (!dryRun) {
+    // Recount enrollments now that counts come from the new collection
+    for (const courseId of touchedCourses) {
+      const course = await Course.findById(courseId);
+      if (course) {
+        await course.updateEnrollmentCount();
+      }
+    }
+
+    if (!keepEmbedded && stats.failed === 0) {
+      await User.collection.updateMany(
+        { enrolledCourses: { $exists: true } },
+        { $unset: { enrolledCourses: '' } }
+      );
+      console.log('🗑️  Removed embedded enrolledCourses from users');
+    } else if (stats.failed > 0) {
+      console.log('⚠️  Some enrollments failed; embedded data was left in place. Fix the errors and re-run.');
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const keepEmbedded = process.argv.includes('--keep-embedded');
+
+  try {
+    console.log(`🚚 Migrating enrollments${dryRun ? ' (dry run)' : ''}...`);
+    await connectDB();
+
+    const stats = await migrateEnrollments({ dryRun, keepEmbedded });
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`👤 Users with embedded enrollments: ${stats.users}`);
+    console.log(`✅ ${dryRun ? 'Would create' : 'Created'}: ${stats.created} enrollments`);
+    console.log(`⏭️  Skipped: ${stats.skipped} (already migrated)`);
+    console.log(`❌ Failed: ${stats.failed}`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateEnrollments };
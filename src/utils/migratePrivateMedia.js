@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Lesson = require('../models/Lesson');
+const { getStorage } = require('../services/storage');
+require('dotenv').config();
+
+// Lesson videos used to be uploaded with a public-read ACL. This flips every
+// existing lesson video to private so it can only be watched through the
+// signed URLs in lesson responses. Safe to re-run.
+//
+//   node src/utils/migratePrivateMedia.js [--dry-run]
+//
+// --dry-run  list the objects that would be made private without changing them
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error(`Database connection error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const migratePrivateMedia = async ({ dryRun = false } = {}) => {
+  const stats = { lessons: 0, updated: 0, skipped: 0, failed: 0 };
+
+  const cursor = Lesson.find({}).select('title video.publicId').cursor();
+
+  for await (const lesson of cursor) {
+    stats.lessons++;
+    const key = lesson.video && lesson.video.publicId;
+
+    if (!key) {
+      stats.skipped++;
+      continue;
+    }
+
+    try {
+      if (dryRun) {
+        console.log(`Would make private: ${key} (${lesson.title})`);
+      } else {
+        await getStorage().makePrivate(key);
+      }
+      stats.updated++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Error updating ${key} for lesson ${lesson._id}:`, error.message);
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`🔒 Making lesson videos private${dryRun ? ' (dry run)' : ''}...`);
+    await connectDB();
+
+    const stats = await migratePrivateMedia({ dryRun });
+
+    console.log('\n📊 Migration Summary:');
+    console.log(`🎬 Lessons checked: ${stats.lessons}`);
+    console.log(`✅ ${dryRun ? 'Would update' : 'Updated'}: ${stats.updated} videos`);
+    console.log(`⏭️  Skipped: ${stats.skipped} (no stored video key)`);
+    console.log(`❌ Failed: ${stats.failed}`);
+    if (stats.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migratePrivateMedia };
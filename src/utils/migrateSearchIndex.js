@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const CaptionService = require('../services/captionService');
+require('dotenv').config();
+
+// Moves course search to the weighted `course_search` text index, which also
+// covers lesson transcripts, and fills in every course's transcript text.
+// MongoDB allows one text index per collection, so the old one is dropped first.
+//
+//   node src/utils/migrateSearchIndex.js [--dry-run]
+//
+// --dry-run  report what would change without touching the database
+
+const LEGACY_INDEX = 'title_text_description_text_tags_text';
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error(`Database connection error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const migrateSearchIndex = async ({ dryRun = false } = {}) => {
+  const stats = { droppedIndex: false, courses: 0, failed: 0 };
+
+  const indexes = await Course.collection.indexes().catch(() => []);
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    if (dryRun) {
+      console.log(`Would drop index: ${LEGACY_INDEX}`);
+    } else {
+      await Course.collection.dropIndex(LEGACY_INDEX);
+    }
+    stats.droppedIndex = true;
+  }
+
+  if (!dryRun) {
+    await Course.syncIndexes();
+  }
+
+  const cursor = Course.find().select('_id title').cursor();
+
+  for await (const course of cursor) {
+    try {
+      if (dryRun) {
+        console.log(`Would refresh transcript text: ${course.title} (${course._id})`);
+      } else {
+        await CaptionService.refreshCourseSearchText(course._id);
+      }
+      stats.courses++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Error refreshing course ${course._id}:`, error.message);
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(`🔎 Migrating the course search index${dryRun ? ' (dry run)' : ''}...`);
+    await connectDB();
+
+    const stats = await migrateSearchIndex({ dryRun });
+
+    console.log('\n📊 Summary:');
+    console.log(`🗑️  Legacy index ${stats.droppedIndex ? (dryRun ? 'would be dropped' : 'dropped') : 'not found'}`);
+    console.log(`✅ ${dryRun ? 'Would refresh' : 'Refreshed'}: ${stats.courses} courses`);
+    console.log(`❌ Failed: ${stats.failed}`);
+    if (stats.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateSearchIndex };
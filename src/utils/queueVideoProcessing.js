@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Lesson = require('../models/Lesson');
+const VideoProcessingService = require('../services/videoProcessingService');
+require('dotenv').config();
+
+// Queues video processing (duration, poster, HLS) for lessons uploaded before
+// it existed, or whose processing failed. The job worker does the work.
+//
+//   node src/utils/queueVideoProcessing.js [--dry-run] [--failed]
+//
+// --dry-run  list the lessons that would be queued
+// --failed   only retry lessons whose processing failed
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+  } catch (error) {
+    console.error(`Database connection error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+const queueVideoProcessing = async ({ dryRun = false, failedOnly = false } = {}) => {
+  const stats = { queued: 0, failed: 0 };
+
+  const query = failedOnly
+    ? { 'processing.status': 'failed' }
+    : {
+      $or: [
+        { 'processing.status': 'failed' },
+        { 'processing.status': { $in: ['ready', null] }, 'video.hls.masterKey': { $exists: false } }
+      ]
+    };
+
+  const cursor = Lesson.find({ ...query, 'video.publicId': { $exists: true } }).cursor();
+
+  for await (const lesson of cursor) {
+    try {
+      if (dryRun) {
+        console.log(`Would queue: ${lesson.title} (${lesson._id})`);
+      } else {
+        await VideoProcessingService.queueLesson(lesson);
+      }
+      stats.queued++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Error queueing lesson ${lesson._id}:`, error.message);
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const failedOnly = process.argv.includes('--failed');
+
+  try {
+    console.log(`🎬 Queueing lesson videos for processing${dryRun ? ' (dry run)' : ''}...`);
+    await connectDB();
+
+    if (!dryRun && !(await VideoProcessingService.isAvailable())) {
+      throw new Error('ffmpeg and ffprobe are needed to process videos');
+    }
+
+    const stats = await queueVideoProcessing({ dryRun, failedOnly });
+
+    console.log('\n📊 Summary:');
+    console.log(`✅ ${dryRun ? 'Would queue' : 'Queued'}: ${stats.queued} lessons`);
+    console.log(`❌ Failed: ${stats.failed}`);
+    if (stats.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Queueing failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { queueVideoProcessing };
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const { verifyWithKeys } = require('../services/certificateSigningService');
+
+// Verifies a signed certificate without access to the database or private keys.
+//
+//   node src/utils/verifyCertificate.js <certificate.json> --keys <keys.json | https://host/api/certificates/keys>
+//
+// certificate.json is either the response of GET /api/certificates/verify/:serialHash
+// or just its `signed` block: { payload, signature, keyId }.
+// The keys are the published public keys from GET /api/certificates/keys.
+
+const readJson = async (source) => {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${source}: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+};
+
+// Accept full API responses as well as the bare objects
+const extractSigned = json => (json.data && json.data.certificate ? json.data.certificate.signed : json.signed || json);
+const extractKeys = json => (json.data ? json.data.keys : json.keys || json);
+
+const run = async () => {
+  const [file] = process.argv.slice(2);
+  const keysIndex = process.argv.indexOf('--keys');
+  const keysSource = keysIndex > -1 ? process.argv[keysIndex + 1] : null;
+
+  if (!file || !keysSource) {
+    console.log('Usage: node src/utils/verifyCertificate.js <certificate.json> --keys <keys.json|url>');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const signed = extractSigned(await readJson(file));
+    const keys = extractKeys(await readJson(keysSource));
+
+    if (!signed || !signed.payload || !signed.signature) {
+      throw new Error('No signed certificate payload found (certificates issued before signing cannot be verified offline)');
+    }
+
+    const result = verifyWithKeys(signed.payload, signed.signature, signed.keyId, keys);
+
+    if (result.valid) {
+      console.log(`✅ Valid signature (key ${result.keyId}, ${result.keyStatus})`);
+      console.log(`   ${signed.payload.learnerName} - "${signed.payload.courseTitle}" - ${signed.payload.completionDate} - grade ${signed.payload.grade}`);
+      console.log(`   Serial ${signed.payload.serialHash}. Revocation can only be checked online.`);
+    } else {
+      console.log(`❌ Invalid: ${result.reason}`);
+      process.exitCode = 2;
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  }
+};
+
+// Run if this file is executed directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { extractSigned, extractKeys };
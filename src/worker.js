@@ -0,0 +1,25 @@
+require('dotenv').config();
+const connectDB = require('./config/db');
+const JobQueue = require('./services/jobQueue');
+
+// Job handlers register themselves when loaded
+const VideoProcessingService = require('./services/videoProcessingService');
+require('./services/wishlistService');
+
+// Standalone background job worker. Run it next to the API so video encoding
+// doesn't compete with requests (or set JOB_WORKER=on to run jobs in the API).
+const run = async () => {
+  await connectDB();
+  await VideoProcessingService.isAvailable();
+  JobQueue.start();
+
+  const shutdown = () => {
+    console.log('Stopping job worker...');
+    JobQueue.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+run();
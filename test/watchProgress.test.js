@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const WatchProgress = require('../src/models/WatchProgress');
+
+const newProgress = () => new WatchProgress({
+  learner: new mongoose.Types.ObjectId(),
+  course: new mongoose.Types.ObjectId(),
+  lesson: new mongoose.Types.ObjectId()
+});
+
+const at = seconds => new Date(Date.UTC(2026, 0, 1) + seconds * 1000);
+
+test('rapid repeated heartbeats share one slack allowance', () => {
+  const progress = newProgress();
+
+  for (let i = 0; i < 20; i++) {
+    progress.recordHeartbeat({ position: 600, intervals: [{ start: 0, end: 600 }], duration: 600, now: at(0) });
+  }
+
+  assert.strictEqual(progress.watchedSeconds, 30);
+  assert.strictEqual(progress.heartbeatSlack, 0);
+});
+
+test('slack refills only as time passes', () => {
+  const progress = newProgress();
+
+  progress.recordHeartbeat({ intervals: [{ start: 0, end: 30 }], duration: 600, now: at(0) });
+  progress.recordHeartbeat({ intervals: [{ start: 30, end: 600 }], duration: 600, now: at(0) });
+  assert.strictEqual(progress.watchedSeconds, 30);
+
+  // 10 s later: 20 s of 2x playback plus 10 s of slack back
+  progress.recordHeartbeat({ intervals: [{ start: 30, end: 600 }], duration: 600, now: at(10) });
+  assert.strictEqual(progress.watchedSeconds, 60);
+});
+
+test('heartbeats at a normal pace credit everything watched', () => {
+  const progress = newProgress();
+
+  for (let i = 0; i < 60; i++) {
+    progress.recordHeartbeat({ intervals: [{ start: i * 10, end: (i + 1) * 10 }], duration: 600, now: at((i + 1) * 10) });
+  }
+
+  assert.strictEqual(progress.watchedSeconds, 600);
+  assert.strictEqual(progress.watchPercentage, 100);
+});
+
+test('rapid repeated reading heartbeats share one slack allowance', () => {
+  const progress = newProgress();
+
+  for (let i = 0; i < 20; i++) {
+    progress.recordReading({ scrollPercentage: 100, activeSeconds: 30, readingSeconds: 600, now: at(0) });
+  }
+
+  assert.strictEqual(progress.watchedSeconds, 30);
+  assert.strictEqual(progress.watchPercentage, 5);
+});
+
+test('reading time is credited up to the time that passed', () => {
+  const progress = newProgress();
+
+  progress.recordReading({ scrollPercentage: 50, activeSeconds: 15, readingSeconds: 600, now: at(0) });
+  progress.recordReading({ scrollPercentage: 100, activeSeconds: 60, readingSeconds: 600, now: at(15) });
+
+  // 15 s on the first heartbeat, then 15 s elapsed plus the 15 s of slack left and 15 s refilled
+  assert.strictEqual(progress.watchedSeconds, 60);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Course = require('../src/models/Course');
+const Lesson = require('../src/models/Lesson');
+const WishlistItem = require('../src/models/WishlistItem');
+const WishlistService = require('../src/services/wishlistService');
+const { setMailTransport } = require('../src/services/mailTransports');
+
+// Wishlist items for the course, kept in memory; find() applies the job's snapshot filter
+const stubCourse = (t, { price, lessonCount, items }) => {
+  const course = { _id: new mongoose.Types.ObjectId(), title: 'Intro to Testing', price };
+
+  t.mock.method(Course, 'findOne', () => ({ select: async () => course }));
+  t.mock.method(Lesson, 'countDocuments', async () => lessonCount);
+  t.mock.method(WishlistItem, 'find', () => ({
+    populate: async () => items.filter(item => item.snapshot.price > price || item.snapshot.lessonCount < lessonCount)
+  }));
+
+  return course;
+};
+
+const wishlistItem = (email, snapshot) => ({
+  learner: { name: email.split('@')[0], email },
+  snapshot,
+  save: async () => {}
+});
+
+test('a failed wishlist mail is retried without mailing learners already told', async (t) => {
+  const items = ['ada@example.com', 'bob@example.com', 'cy@example.com']
+    .map(email => wishlistItem(email, { price: 50, lessonCount: 4 }));
+  const course = stubCourse(t, { price: 30, lessonCount: 4, items });
+
+  const sent = [];
+  let failFor = 'bob@example.com';
+  setMailTransport({
+    name: 'stub',
+    send: async (message) => {
+      if (message.to === failFor) throw new Error('Mail server unavailable');
+      sent.push(message.to);
+      return { id: `stub_${sent.length}` };
+    }
+  });
+  t.after(() => setMailTransport(null));
+
+  await assert.rejects(
+    WishlistService.notifyUpdates({ courseId: course._id }),
+    /Could not notify 1 of 3 learners: Mail server unavailable/
+  );
+  assert.deepStrictEqual(sent, ['ada@example.com', 'cy@example.com']);
+  assert.strictEqual(items[1].snapshot.price, 50);
+
+  // The job's retry, once mail works again
+  failFor = null;
+  const result = await WishlistService.notifyUpdates({ courseId: course._id });
+
+  assert.deepStrictEqual(result, { notified: 1 });
+  assert.deepStrictEqual(sent, ['ada@example.com', 'cy@example.com', 'bob@example.com']);
+  assert.ok(items.every(item => item.snapshot.price === 30));
+});